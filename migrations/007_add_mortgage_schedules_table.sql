@@ -0,0 +1,22 @@
+-- Add mortgage_schedules table for lender-provided amortization schedules
+-- Each upload is stored as a new version; versions are merged by payment date so a
+-- re-upload after a renewal replaces only the payments it covers and keeps prior history
+
+-- Mortgage schedules table: Versioned lender schedules per mortgage
+CREATE TABLE IF NOT EXISTS mortgage_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mortgage_id UUID NOT NULL REFERENCES mortgages(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    source VARCHAR(50) NOT NULL DEFAULT 'csv_upload', -- csv_upload, manual, import
+    file_name VARCHAR(255),
+    effective_date DATE NOT NULL, -- First payment date covered by this version
+    payment_count INTEGER NOT NULL,
+    payments JSONB NOT NULL, -- Array of { paymentNumber, paymentDate, monthlyPayment, principal, interest, remainingBalance }
+    validation_warning TEXT,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(mortgage_id, version)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_mortgage_schedules_mortgage_id ON mortgage_schedules(mortgage_id);
@@ -0,0 +1,53 @@
+-- Add prime_rates table for the admin-maintained prime rate history
+-- Variable-rate mortgage schedules re-price each payment period from the rate in effect
+
+-- Prime rates table: One row per prime rate change
+CREATE TABLE IF NOT EXISTS prime_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    effective_date DATE NOT NULL UNIQUE,
+    rate DECIMAL(5, 4) NOT NULL, -- As decimal (e.g., 0.0695 for 6.95%)
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_prime_rates_effective_date ON prime_rates(effective_date);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_prime_rates_updated_at BEFORE UPDATE ON prime_rates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed with big-bank prime rate changes since 2015 (matches DEFAULT_PRIME_RATE_HISTORY)
+INSERT INTO prime_rates (effective_date, rate)
+VALUES
+    ('2015-07-16', 0.0270),
+    ('2017-07-13', 0.0295),
+    ('2017-09-07', 0.0320),
+    ('2018-01-18', 0.0345),
+    ('2018-07-12', 0.0370),
+    ('2018-10-25', 0.0395),
+    ('2020-03-05', 0.0345),
+    ('2020-03-17', 0.0295),
+    ('2020-03-30', 0.0245),
+    ('2022-03-03', 0.0270),
+    ('2022-04-14', 0.0320),
+    ('2022-06-02', 0.0370),
+    ('2022-07-14', 0.0470),
+    ('2022-09-08', 0.0545),
+    ('2022-10-27', 0.0595),
+    ('2022-12-08', 0.0645),
+    ('2023-01-26', 0.0670),
+    ('2023-06-08', 0.0695),
+    ('2023-07-13', 0.0720),
+    ('2024-06-06', 0.0695),
+    ('2024-07-25', 0.0670),
+    ('2024-09-05', 0.0645),
+    ('2024-10-24', 0.0595),
+    ('2024-12-12', 0.0545),
+    ('2025-01-30', 0.0520),
+    ('2025-03-13', 0.0495),
+    ('2025-09-18', 0.0470),
+    ('2025-10-30', 0.0445)
+ON CONFLICT (effective_date) DO NOTHING;
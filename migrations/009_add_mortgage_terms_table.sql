@@ -0,0 +1,27 @@
+-- Add mortgage_terms table for renewal chains
+-- A mortgage is a series of terms inside one amortization period. The mortgages row
+-- describes the original (first) term; each renewal is stored here as the next term
+
+-- Mortgage terms table: One row per renewal term
+CREATE TABLE IF NOT EXISTS mortgage_terms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mortgage_id UUID NOT NULL REFERENCES mortgages(id) ON DELETE CASCADE,
+    term_number INTEGER NOT NULL CHECK (term_number >= 2), -- Term 1 is the mortgages row
+    lender VARCHAR(255) NOT NULL,
+    start_date DATE NOT NULL,
+    term_months INTEGER NOT NULL CHECK (term_months > 0),
+    interest_rate DECIMAL(6, 4) NOT NULL, -- As decimal (e.g., 0.0479 for 4.79%)
+    rate_type VARCHAR(50) NOT NULL DEFAULT 'FIXED', -- FIXED, VARIABLE
+    payment_amount DECIMAL(15, 2), -- Per-period payment set by the lender; calculated when NULL
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(mortgage_id, term_number)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_mortgage_terms_mortgage_id ON mortgage_terms(mortgage_id);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_mortgage_terms_updated_at BEFORE UPDATE ON mortgage_terms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
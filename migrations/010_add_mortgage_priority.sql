@@ -0,0 +1,21 @@
+-- Migration 010: Support multiple debts per property
+-- A property can carry several liens (first mortgage, second mortgage, line of credit).
+-- priority orders them by lien position; the lowest priority is the primary mortgage
+
+ALTER TABLE mortgages
+  ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 1 CHECK (priority >= 1);
+
+ALTER TABLE mortgages
+  ADD COLUMN IF NOT EXISTS debt_type VARCHAR(50) NOT NULL DEFAULT 'MORTGAGE'; -- MORTGAGE, PRIVATE_MORTGAGE, LINE_OF_CREDIT
+
+-- Number any existing debts on the same property in the order they were created
+UPDATE mortgages m
+SET priority = ranked.position
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY property_id ORDER BY created_at ASC) AS position
+  FROM mortgages
+) ranked
+WHERE m.id = ranked.id;
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_mortgages_property_priority ON mortgages(property_id, priority);
@@ -0,0 +1,22 @@
+-- Add credit_line_transactions table for HELOCs and readvanceable lines of credit
+-- A line of credit is a mortgages row with debt_type LINE_OF_CREDIT. original_amount is the
+-- balance owing on start_date; the credit limit settings are kept in mortgage_data
+
+-- Credit line transactions table: One row per draw or repayment
+CREATE TABLE IF NOT EXISTS credit_line_transactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mortgage_id UUID NOT NULL REFERENCES mortgages(id) ON DELETE CASCADE,
+    transaction_date DATE NOT NULL,
+    transaction_type VARCHAR(50) NOT NULL, -- DRAW, REPAYMENT
+    amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_credit_line_transactions_mortgage_id ON credit_line_transactions(mortgage_id, transaction_date);
+
+-- Create trigger to automatically update updated_at
+CREATE TRIGGER update_credit_line_transactions_updated_at BEFORE UPDATE ON credit_line_transactions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
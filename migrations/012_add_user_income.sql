@@ -0,0 +1,9 @@
+-- Migration 012: Add income to the user profile
+-- Used by the mortgage qualification calculator for GDS/TDS ratios.
+-- monthly_debt_payments covers obligations outside the portfolio (car loans, credit cards, support)
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS annual_income DECIMAL(15, 2) CHECK (annual_income >= 0);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS monthly_debt_payments DECIMAL(15, 2) CHECK (monthly_debt_payments >= 0);
@@ -6,6 +6,7 @@ import Layout from "@/components/Layout";
 import { RequireAuth, useAuth } from "@/context/AuthContext";
 import apiClient from "@/lib/api-client";
 import { useToast } from "@/context/ToastContext";
+import PrimeRateHistoryPanel from "@/components/admin/PrimeRateHistoryPanel";
 
 export default function AdminDashboard() {
   const { user, loading: authLoading, isAdmin } = useAuth();
@@ -468,6 +469,9 @@ export default function AdminDashboard() {
               <p className="text-gray-500 dark:text-gray-400">No users found</p>
             )}
           </div>
+
+          {/* Prime Rate History Section */}
+          <PrimeRateHistoryPanel />
         </div>
 
         {/* Delete Confirmation Modal */}
@@ -68,7 +68,7 @@ function mapExpenseToDb(expense: any): any {
     amount: expense.amount || 0,
     category: expense.category || 'Other',
     description: expense.description || expense.note || '',
-    expense_data: {}
+    expense_data: expense.expenseData || {}
   };
 }
 
@@ -0,0 +1,41 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { withAdminAuth } from '@/lib/admin-middleware';
+import { deletePrimeRate } from '@/lib/prime-rates';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+
+export const runtime = 'nodejs';
+
+/**
+ * DELETE /api/admin/prime-rates/[id]
+ * Delete a prime rate change (admin only)
+ */
+export const DELETE = withAdminAuth(async (
+  request: NextRequest,
+  admin,
+  { params }: { params: Promise<{ id: string }> }
+) => {
+  try {
+    const { id } = await params;
+
+    const deleted = await deletePrimeRate(id);
+    if (!deleted) {
+      return NextResponse.json(
+        createErrorResponse('Prime rate not found', 404),
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      createSuccessResponse({ message: 'Prime rate deleted successfully' }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting prime rate:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,69 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { withAdminAuth } from '@/lib/admin-middleware';
+import { getPrimeRates, upsertPrimeRate } from '@/lib/prime-rates';
+import { primeRateSchema } from '@/lib/validations/prime-rate.schema';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+
+export const runtime = 'nodejs';
+
+/**
+ * GET /api/admin/prime-rates
+ * Get the prime rate history (admin only)
+ */
+export const GET = withAdminAuth(async () => {
+  try {
+    const primeRates = await getPrimeRates();
+
+    return NextResponse.json(
+      createSuccessResponse(primeRates),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching prime rates:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+});
+
+/**
+ * POST /api/admin/prime-rates
+ * Record a prime rate change (admin only)
+ * Posting an existing effective date updates that change
+ */
+export const POST = withAdminAuth(async (request: NextRequest, admin) => {
+  try {
+    const body = await request.json();
+
+    const validationResult = primeRateSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const { effectiveDate, rate, notes } = validationResult.data;
+    const primeRate = await upsertPrimeRate(effectiveDate, rate, notes || null, admin.id);
+
+    return NextResponse.json(
+      createSuccessResponse(primeRate, 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error saving prime rate:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+});
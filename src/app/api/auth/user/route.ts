@@ -1,11 +1,28 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { authenticateRequest } from '@/lib/auth-middleware';
 import { updateProfileSchema, changePasswordSchema } from '@/lib/validations/auth.schema';
-import { updateUser, updateUserPassword, deleteUser, getUserById } from '@/lib/auth';
+import { updateUser, updateUserIncome, updateUserPassword, deleteUser, getUserById } from '@/lib/auth';
+import type { User } from '@/lib/auth';
 import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
 
 export const runtime = 'nodejs';
 
+function toNumberOrNull(value: string | number | null | undefined): number | null {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function toProfileResponse(user: User) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    created_at: user.created_at,
+    is_admin: user.is_admin,
+    annual_income: toNumberOrNull(user.annual_income),
+    monthly_debt_payments: toNumberOrNull(user.monthly_debt_payments),
+  };
+}
+
 /**
  * GET /api/auth/user
  * Get current user profile
@@ -42,13 +59,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
     }
 
     return NextResponse.json(
-      createSuccessResponse({
-        id: fullUser.id,
-        email: fullUser.email,
-        name: fullUser.name,
-        created_at: fullUser.created_at,
-        is_admin: fullUser.is_admin,
-      }),
+      createSuccessResponse(toProfileResponse(fullUser)),
       { status: 200 }
     );
   } catch (error) {
@@ -64,7 +75,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
 
 /**
  * PATCH /api/auth/user
- * Update user profile (name and/or email)
+ * Update user profile (name, email and the income used for mortgage qualification)
  */
 export async function PATCH(request: NextRequest): Promise<NextResponse> {
   try {
@@ -93,22 +104,28 @@ export async function PATCH(request: NextRequest): Promise<NextResponse> {
       );
     }
 
-    const { name, email } = validationResult.data;
+    const { name, email, annualIncome, monthlyDebtPayments } = validationResult.data;
 
     // Update user
-    const updatedUser = await updateUser(user.id, {
+    await updateUser(user.id, {
       name: name !== undefined ? name : undefined,
       email,
     });
 
+    if (annualIncome !== undefined || monthlyDebtPayments !== undefined) {
+      await updateUserIncome(user.id, { annualIncome, monthlyDebtPayments });
+    }
+
+    const updatedUser = await getUserById(user.id);
+    if (!updatedUser) {
+      return NextResponse.json(
+        createErrorResponse('User not found', 404),
+        { status: 404 }
+      );
+    }
+
     return NextResponse.json(
-      createSuccessResponse({
-        id: updatedUser.id,
-        email: updatedUser.email,
-        name: updatedUser.name,
-        created_at: updatedUser.created_at,
-        is_admin: updatedUser.is_admin,
-      }),
+      createSuccessResponse(toProfileResponse(updatedUser)),
       { status: 200 }
     );
   } catch (error) {
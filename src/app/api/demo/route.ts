@@ -197,7 +197,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
                     amount: expense.amount || 0,
                     category: expense.category || 'Other',
                     description: expense.description || expense.note || '',
-                    expense_data: JSON.stringify({})
+                    expense_data: JSON.stringify(expense.expenseData || {})
                   };
                   
                   await sql`
@@ -245,15 +245,15 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
         sql`
           SELECT id, property_id, lender, original_amount, interest_rate, rate_type,
                  term_months, amortization_years, payment_frequency, start_date,
-                 mortgage_data, created_at, updated_at
+                 mortgage_data, priority, debt_type, created_at, updated_at
           FROM mortgages
           WHERE property_id = ${propertyId}
+          ORDER BY priority ASC, created_at ASC
         `
       );
       const mortgagesResults = await Promise.all(mortgagesPromises);
+      // Each property's debts are already in lien priority order
       mortgagesResult = mortgagesResults.flat() as Array<any>;
-      // Sort by created_at DESC
-      mortgagesResult.sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
     }
 
     // Get expenses for demo account properties
@@ -316,6 +316,8 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
           paymentFrequency: m.payment_frequency,
           paymentAmount: m.mortgage_data?.paymentAmount || null,
           mortgageData: m.mortgage_data,
+          priority: m.priority,
+          debtType: m.debt_type,
           createdAt: m.created_at,
           updatedAt: m.updated_at,
         })),
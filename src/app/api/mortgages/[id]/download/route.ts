@@ -1,49 +1,90 @@
-import { NextResponse } from 'next/server';
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { sql } from '@/lib/db';
+import { createErrorResponse } from '@/lib/api-utils.js';
+import { getUserDebt } from '@/lib/property-debts';
+import { isMortgageId } from '@/lib/mortgages';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
 import { calculateAmortizationSchedule } from '@/utils/mortgageCalculator';
+import type { AmortizationSchedule, MortgageData } from '@/utils/mortgageCalculator';
 import PDFDocument from 'pdfkit';
 
-export async function GET(request, { params }) {
+export const runtime = 'nodejs';
+
+/**
+ * GET /api/mortgages/[id]/download
+ * Download the amortization schedule of a stored mortgage, including its lender schedule and renewals
+ * Query params: format (csv or pdf, default csv), propertyName (optional, defaults to the property's name)
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
   try {
-    const { id } = params;
+    const { id } = await params;
     const { searchParams } = new URL(request.url);
     const format = searchParams.get('format') || 'csv';
-    const propertyName = searchParams.get('propertyName') || 'Property';
-    const lender = searchParams.get('lender') || 'Unknown Lender';
-    const originalAmount = parseFloat(searchParams.get('originalAmount')) || 0;
-    const interestRate = parseFloat(searchParams.get('interestRate')) || 0;
-    const amortizationYears = parseFloat(searchParams.get('amortizationYears')) || 25;
-    const paymentFrequency = searchParams.get('paymentFrequency') || 'Monthly';
-    const startDate = searchParams.get('startDate') || new Date().toISOString();
-
-    // Create mortgage object for calculation
-    const mortgage = {
-      lender,
-      originalAmount,
-      interestRate: interestRate / 100, // Convert percentage to decimal
-      rateType: 'Fixed',
-      termMonths: 60,
-      amortizationYears,
-      paymentFrequency,
-      startDate
-    };
+
+    if (format !== 'csv' && format !== 'pdf') {
+      return NextResponse.json(
+        createErrorResponse('Invalid format. Use csv or pdf.', 400),
+        { status: 400 }
+      );
+    }
+
+    // Verify mortgage ownership through its property
+    const stored = isMortgageId(id) ? await getUserDebt(id, user.id) : null;
+    if (!stored) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    if (stored.debt_type === 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Lines of credit have no amortization schedule', 400),
+        { status: 400 }
+      );
+    }
+
+    let propertyName = searchParams.get('propertyName');
+    if (!propertyName) {
+      const property = await sql`
+        SELECT nickname, address FROM properties WHERE id = ${stored.property_id} LIMIT 1
+      ` as Array<{ nickname: string | null; address: string | null }>;
+      propertyName = property[0]?.nickname || property[0]?.address || 'Property';
+    }
+
+    const mortgage = mapApiDebtToFrontend(stored);
 
     // Calculate amortization schedule
+    await loadPrimeRateHistory();
     const schedule = calculateAmortizationSchedule(mortgage);
 
     if (format === 'csv') {
-      return generateCSV(schedule, propertyName, lender);
-    } else if (format === 'pdf') {
-      return generatePDF(schedule, propertyName, lender, mortgage);
-    } else {
-      return NextResponse.json({ error: 'Invalid format. Use csv or pdf.' }, { status: 400 });
+      return generateCSV(schedule, propertyName);
     }
+    return await generatePDF(schedule, propertyName, mortgage.lender, mortgage);
   } catch (error) {
     console.error('Error generating amortization schedule:', error);
-    return NextResponse.json({ error: 'Failed to generate amortization schedule' }, { status: 500 });
+    return NextResponse.json(
+      createErrorResponse('Failed to generate amortization schedule', 500),
+      { status: 500 }
+    );
   }
 }
 
-function generateCSV(schedule, propertyName, lender) {
+function generateCSV(schedule: AmortizationSchedule, propertyName: string): NextResponse {
   // Create CSV content
   const csvContent = [
     // Header
@@ -71,7 +112,7 @@ function generateCSV(schedule, propertyName, lender) {
   });
 }
 
-function generatePDF(schedule, propertyName, lender, mortgage) {
+function generatePDF(schedule: AmortizationSchedule, propertyName: string, lender: string, mortgage: MortgageData): Promise<NextResponse> {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ margin: 50 });
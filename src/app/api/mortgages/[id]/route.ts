@@ -0,0 +1,193 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { updateMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { getUserDebt, updatePropertyDebt, deletePropertyDebt } from '@/lib/property-debts';
+import { fromMortgageRequest, isMortgageId, toMortgageResponse } from '@/lib/mortgages';
+
+export const runtime = 'nodejs';
+
+/**
+ * GET /api/mortgages/[id]
+ * Get a stored mortgage on one of the user's properties
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+
+    // Verify mortgage ownership through its property
+    const mortgage = isMortgageId(id) ? await getUserDebt(id, user.id) : null;
+    if (!mortgage) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      createSuccessResponse(toMortgageResponse(mortgage)),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching mortgage:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/mortgages/[id]
+ * Update a stored mortgage; fields left out keep their current value
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+
+    // Verify mortgage ownership through its property
+    const existing = isMortgageId(id) ? await getUserDebt(id, user.id) : null;
+    if (!existing) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(existing.property_id, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body (the update schema drops propertyId, so a mortgage stays on its property)
+    const validationResult = updateMortgageSchema.safeParse(fromMortgageRequest(body, existing.mortgage_data));
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    // Validate that term does not exceed amortization period after the update
+    const termMonths = validationResult.data.termMonths ?? existing.term_months;
+    const amortizationYears = validationResult.data.amortizationYears ?? existing.amortization_years;
+    if (termMonths > amortizationYears * 12) {
+      return NextResponse.json(
+        createErrorResponse('Validation failed: termMonths: Term cannot exceed amortization period', 400),
+        { status: 400 }
+      );
+    }
+
+    const mortgage = await updatePropertyDebt(id, validationResult.data);
+    if (!mortgage) {
+      return NextResponse.json(
+        createErrorResponse('Failed to update mortgage', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(existing.property_id);
+
+    return NextResponse.json(
+      createSuccessResponse(toMortgageResponse(mortgage)),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error updating mortgage:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/mortgages/[id]
+ * Delete a stored mortgage along with its lender schedules and renewal terms
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+
+    // Verify mortgage ownership through its property
+    const existing = isMortgageId(id) ? await getUserDebt(id, user.id) : null;
+    if (!existing) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(existing.property_id, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    await deletePropertyDebt(id);
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(existing.property_id);
+
+    return NextResponse.json(
+      createSuccessResponse({ id }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting mortgage:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
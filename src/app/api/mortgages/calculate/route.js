@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { authenticateRequest, createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { getUserDebt } from '@/lib/property-debts';
+import { isMortgageId, toMortgageResponse } from '@/lib/mortgages';
 import { 
   calculateMortgagePayment, 
   generateAmortizationSchedule, 
@@ -7,6 +10,7 @@ import {
 } from '@/lib/mortgage-calculations';
 
 // POST /api/mortgages/calculate - Calculate mortgage payment and schedule
+// Pass mortgageId to calculate a stored mortgage instead of sending its terms
 export async function POST(request) {
   try {
     // Authenticate the request
@@ -19,7 +23,19 @@ export async function POST(request) {
     }
 
     // Parse request body
-    const body = await request.json();
+    let body = await request.json();
+
+    // Load the stored mortgage's terms (ownership checked through its property)
+    if (body.mortgageId) {
+      const stored = isMortgageId(body.mortgageId) ? await getUserDebt(body.mortgageId, user.id) : null;
+      if (!stored) {
+        return NextResponse.json(
+          createErrorResponse('Mortgage not found', 404),
+          { status: 404 }
+        );
+      }
+      body = { ...toMortgageResponse(stored), includeSchedule: body.includeSchedule };
+    }
     
     // Validate required fields
     const requiredFields = ['originalAmount', 'interestRate', 'rateType', 'amortizationPeriodYears', 'paymentFrequency'];
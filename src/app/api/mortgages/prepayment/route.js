@@ -1,5 +1,8 @@
 import { NextResponse } from 'next/server';
-import { authenticateRequest, createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { getUserDebt } from '@/lib/property-debts';
+import { isMortgageId, toMortgageResponse } from '@/lib/mortgages';
 import { 
   calculateLumpSumPrepayment, 
   calculateIncreasedPaymentPrepayment,
@@ -7,6 +10,8 @@ import {
 } from '@/lib/mortgage-calculations';
 
 // POST /api/mortgages/prepayment - Analyze prepayment scenarios
+// Pass mortgageId to analyze a stored mortgage instead of sending mortgageData
+// Prepayments beyond the mortgage's prepayment privileges are rejected unless allowExceedingPrivileges is set
 export async function POST(request) {
   try {
     // Authenticate the request
@@ -20,6 +25,18 @@ export async function POST(request) {
 
     // Parse request body
     const body = await request.json();
+
+    // Load the stored mortgage's terms (ownership checked through its property)
+    if (body.mortgageId) {
+      const stored = isMortgageId(body.mortgageId) ? await getUserDebt(body.mortgageId, user.id) : null;
+      if (!stored) {
+        return NextResponse.json(
+          createErrorResponse('Mortgage not found', 404),
+          { status: 404 }
+        );
+      }
+      body.mortgageData = toMortgageResponse(stored);
+    }
     
     // Validate required fields
     const requiredFields = ['mortgageData', 'prepaymentType'];
@@ -53,7 +70,10 @@ export async function POST(request) {
       amortizationPeriodYears: parseInt(mortgageData.amortizationPeriodYears),
       paymentFrequency: mortgageData.paymentFrequency,
       startDate: mortgageData.startDate ? new Date(mortgageData.startDate) : new Date(),
-      termYears: mortgageData.termYears || mortgageData.amortizationPeriodYears
+      termYears: mortgageData.termYears || mortgageData.amortizationPeriodYears,
+      mortgageType: mortgageData.mortgageType || null,
+      prepaymentPrivileges: mortgageData.prepaymentPrivileges || null,
+      prepayments: Array.isArray(mortgageData.prepayments) ? mortgageData.prepayments : []
     };
 
     let analysis;
@@ -123,6 +143,18 @@ export async function POST(request) {
       );
     }
 
+    // Enforce the prepayment privileges (prepaying more usually costs a penalty)
+    const { privilegeCheck } = analysis;
+    if (privilegeCheck && !privilegeCheck.allowed && !body.allowExceedingPrivileges) {
+      const message = prepaymentType === 'lumpSum'
+        ? `Lump sum exceeds the $${privilegeCheck.privilege.remaining.toFixed(2)} prepayment privilege left in the anniversary year starting ${privilegeCheck.privilege.start}`
+        : `Additional payment exceeds the $${privilegeCheck.privilege.maxIncrease.toFixed(2)} payment increase privilege`;
+      return NextResponse.json(
+        createErrorResponse(message, 400),
+        { status: 400 }
+      );
+    }
+
     // Generate original schedule for comparison
     const originalSchedule = generateAmortizationSchedule(processedMortgageData);
 
@@ -1,8 +1,15 @@
 import { NextResponse } from 'next/server';
-import { authenticateRequest, createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { getUserDebt } from '@/lib/property-debts';
+import { isMortgageId, toMortgageResponse } from '@/lib/mortgages';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { getCurrentMortgageBalance } from '@/utils/mortgageCalculator';
 import { calculateRefinanceAnalysis } from '@/lib/mortgage-calculations';
 
 // POST /api/mortgages/refinance - Analyze refinancing scenarios
+// Pass mortgageId to refinance a stored mortgage; its current balance is used unless remainingBalance is sent
 export async function POST(request) {
   try {
     // Authenticate the request
@@ -16,6 +23,22 @@ export async function POST(request) {
 
     // Parse request body
     const body = await request.json();
+
+    // Load the stored mortgage's terms (ownership checked through its property)
+    if (body.mortgageId) {
+      const stored = isMortgageId(body.mortgageId) ? await getUserDebt(body.mortgageId, user.id) : null;
+      if (!stored) {
+        return NextResponse.json(
+          createErrorResponse('Mortgage not found', 404),
+          { status: 404 }
+        );
+      }
+      body.currentMortgage = toMortgageResponse(stored);
+      if (body.remainingBalance === undefined || body.remainingBalance === null) {
+        await loadPrimeRateHistory();
+        body.remainingBalance = getCurrentMortgageBalance(mapApiDebtToFrontend(stored));
+      }
+    }
     
     // Validate required fields
     const requiredFields = ['currentMortgage', 'newMortgage', 'remainingBalance'];
@@ -112,16 +135,18 @@ export async function POST(request) {
       );
     }
 
-    if (!['MONTHLY', 'BIWEEKLY', 'WEEKLY'].includes(processedCurrentMortgage.paymentFrequency)) {
+    const paymentFrequencies = ['MONTHLY', 'SEMI_MONTHLY', 'BI_WEEKLY', 'ACCELERATED_BI_WEEKLY', 'WEEKLY', 'ACCELERATED_WEEKLY'];
+
+    if (!paymentFrequencies.includes(processedCurrentMortgage.paymentFrequency)) {
       return NextResponse.json(
-        createErrorResponse('Current mortgage paymentFrequency must be MONTHLY, BIWEEKLY, or WEEKLY', 400),
+        createErrorResponse('Current mortgage paymentFrequency must be one of the supported options', 400),
         { status: 400 }
       );
     }
 
-    if (!['MONTHLY', 'BIWEEKLY', 'WEEKLY'].includes(processedNewMortgage.paymentFrequency)) {
+    if (!paymentFrequencies.includes(processedNewMortgage.paymentFrequency)) {
       return NextResponse.json(
-        createErrorResponse('New mortgage paymentFrequency must be MONTHLY, BIWEEKLY, or WEEKLY', 400),
+        createErrorResponse('New mortgage paymentFrequency must be one of the supported options', 400),
         { status: 400 }
       );
     }
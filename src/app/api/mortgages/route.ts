@@ -0,0 +1,148 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { getPropertyDebts, getUserDebts, createPropertyDebt } from '@/lib/property-debts';
+import { fromMortgageRequest, toMortgageResponse } from '@/lib/mortgages';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * GET /api/mortgages
+ * List the mortgages on every property the user owns
+ * Query params: propertyId (optional) - only that property's mortgages, in lien order
+ */
+export async function GET(request: NextRequest): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const propertyId = searchParams.get('propertyId');
+
+    if (propertyId) {
+      // Verify property ownership
+      const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+      if (!ownsProperty) {
+        return NextResponse.json(
+          createErrorResponse('Property not found', 404),
+          { status: 404 }
+        );
+      }
+    }
+
+    const mortgages = propertyId
+      ? await getPropertyDebts(propertyId)
+      : await getUserDebts(user.id);
+
+    return NextResponse.json(
+      createSuccessResponse(mortgages.map(toMortgageResponse)),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching mortgages:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/mortgages
+ * Add a mortgage to one of the user's properties; it ranks behind the property's existing liens
+ */
+export async function POST(request: NextRequest): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = createMortgageSchema.safeParse(fromMortgageRequest(body));
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const { propertyId } = validationResult.data;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const created = await createPropertyDebt(propertyId, validationResult.data);
+
+    if (!created) {
+      return NextResponse.json(
+        createErrorResponse('Failed to save mortgage', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse(toMortgageResponse(created), 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error saving mortgage:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
@@ -1,28 +1,60 @@
-import { NextResponse } from 'next/server';
-import { authenticateRequest, createSuccessResponse, createErrorResponse } from '@/lib/api-utils';
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
 import { bulkImportRowSchema, transformBulkImportRow } from '@/lib/mortgage-validation';
-import { mockMortgages, addMockMortgage } from '@/lib/mock-data';
+import { createMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { createPropertyDebt } from '@/lib/property-debts';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { fromMortgageRequest } from '@/lib/mortgages';
 import { z } from 'zod';
 
+export const runtime = 'nodejs';
+
 // Constants for file upload limits
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_ROWS = 500;
 
-// POST /api/mortgages/upload - Bulk upload mortgages from CSV/Excel
-export async function POST(request) {
-  try {
-    // Authenticate the request
-    const user = await authenticateRequest(request);
-    if (!user) {
-      return NextResponse.json(
-        createErrorResponse('Authentication required', 401),
-        { status: 401 }
-      );
-    }
+/**
+ * Find the property a row belongs to
+ * A row's Property column can hold the property's ID, nickname or address; rows without one
+ * use the propertyId sent with the upload.
+ */
+function resolveProperty(
+  properties: Array<{ id: string; nickname: string | null; address: string | null }>,
+  reference: string | null
+): string | null {
+  if (!reference) {
+    return null;
+  }
+  const key = reference.trim().toLowerCase();
+  const match = properties.find((property) =>
+    property.id === reference.trim() ||
+    (property.nickname || '').trim().toLowerCase() === key ||
+    (property.address || '').trim().toLowerCase() === key
+  );
+  return match ? match.id : null;
+}
+
+/**
+ * POST /api/mortgages/upload
+ * Bulk upload mortgages from a CSV file onto the user's properties
+ * Form fields: file (required), propertyId (optional) - property for rows without a Property column
+ */
+export async function POST(request: NextRequest): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
 
+  try {
     // Parse the multipart form data
     const formData = await request.formData();
-    const file = formData.get('file');
+    const file = formData.get('file') as File | null;
+    const defaultPropertyId = (formData.get('propertyId') as string | null) || null;
     
     if (!file) {
       return NextResponse.json(
@@ -60,14 +92,14 @@ export async function POST(request) {
     const fileContent = await file.text();
     
     // Parse CSV content
-    let rows;
+    let rows: Array<Record<string, any>>;
     try {
       rows = parseCSV(fileContent);
-      console.log('Parsed rows:', rows.length);
     } catch (error) {
       console.error('CSV parsing error:', error);
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
       return NextResponse.json(
-        createErrorResponse(`Error parsing CSV: ${error.message}`, 400),
+        createErrorResponse(`Error parsing CSV: ${errorMessage}`, 400),
         { status: 400 }
       );
     }
@@ -87,6 +119,14 @@ export async function POST(request) {
       );
     }
 
+    // Mortgages can only be imported onto the user's own properties (demo properties are read-only)
+    const properties = await sql`
+      SELECT p.id, p.nickname, p.address
+      FROM properties p
+      INNER JOIN accounts a ON p.account_id = a.id
+      WHERE a.user_id = ${user.id} AND a.is_demo = false
+    ` as Array<{ id: string; nickname: string | null; address: string | null }>;
+
     // Process each row
     const results = {
       totalRows: rows.length,
@@ -99,48 +139,38 @@ export async function POST(request) {
     };
 
     for (let i = 0; i < rows.length; i++) {
-      // Break condition: stop processing if we exceed 500 rows
-      if (i >= MAX_ROWS) {
-        results.failed.push({
-          row: i + 2,
-          error: `Processing stopped: file exceeds maximum of ${MAX_ROWS} rows.`,
-          data: null
-        });
-        results.summary.errors++;
-        break;
-      }
-
       const row = rows[i];
       const rowNumber = i + 2; // +2 because CSV has header row and arrays are 0-indexed
       
       try {
-        console.log(`Processing row ${rowNumber}:`, row);
-        
         // Validate row data
         const validatedRow = bulkImportRowSchema.parse(row);
-        console.log('Validated row:', validatedRow);
         
         // Transform to mortgage data
         const mortgageData = transformBulkImportRow(validatedRow);
-        console.log('Transformed data:', mortgageData);
-        
-        // Add user ID and timestamps
-        const newMortgage = {
-          id: `mock-mortgage-${Date.now()}-${i}`,
-          userId: user.uid,
-          ...mortgageData,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-        
-        // Add to mock storage (in real implementation, this would be saved to database)
-        addMockMortgage(newMortgage);
+
+        const propertyId = resolveProperty(properties, row.property || defaultPropertyId);
+        if (!propertyId) {
+          throw new Error(row.property
+            ? `Property not found: ${row.property}`
+            : 'Property is required (add a Property column or choose a property for the upload)');
+        }
+
+        const validationResult = createMortgageSchema.safeParse(fromMortgageRequest({ ...mortgageData, propertyId }));
+        if (!validationResult.success) {
+          throw new Error(validationResult.error.issues
+            .map((err) => `${err.path.join('.')}: ${err.message}`)
+            .join(', '));
+        }
+
+        const created = await createPropertyDebt(propertyId, validationResult.data);
         
         results.successful.push({
           row: rowNumber,
-          mortgageId: newMortgage.id,
-          lenderName: newMortgage.lenderName,
-          originalAmount: newMortgage.originalAmount
+          mortgageId: created.id,
+          propertyId,
+          lenderName: created.lender,
+          originalAmount: mortgageData.originalAmount
         });
         
         results.summary.imported++;
@@ -150,9 +180,9 @@ export async function POST(request) {
         
         let errorMessage = 'Unknown error';
         
-        if (error instanceof z.ZodError && error.errors) {
-          errorMessage = error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
-        } else if (error.message) {
+        if (error instanceof z.ZodError) {
+          errorMessage = error.issues.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+        } else if (error instanceof Error) {
           errorMessage = error.message;
         }
         
@@ -166,8 +196,11 @@ export async function POST(request) {
       }
     }
 
+    // Re-post interest and principal to the expense ledger of each property imported onto
+    await syncDebtLedger(...new Set(results.successful.map((item) => item.propertyId)));
+
     return NextResponse.json(
-      createSuccessResponse(results, 'Bulk import completed'),
+      createSuccessResponse(results),
       { status: 200 }
     );
 
@@ -180,18 +213,20 @@ export async function POST(request) {
   }
 }
 
-// GET /api/mortgages/upload/template - Download CSV template
-export async function GET(request) {
-  try {
-    // Authenticate the request
-    const user = await authenticateRequest(request);
-    if (!user) {
-      return NextResponse.json(
-        createErrorResponse('Authentication required', 401),
-        { status: 401 }
-      );
-    }
+/**
+ * GET /api/mortgages/upload?download=template
+ * Download the CSV template
+ */
+export async function GET(request: NextRequest): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
 
+  try {
     const { searchParams } = new URL(request.url);
     const download = searchParams.get('download');
     
@@ -221,7 +256,7 @@ export async function GET(request) {
 }
 
 // Helper function to parse CSV content
-function parseCSV(csvContent) {
+function parseCSV(csvContent: string): Array<Record<string, any>> {
   const lines = csvContent.split('\n').filter(line => line.trim());
   
   if (lines.length < 2) {
@@ -239,7 +274,7 @@ function parseCSV(csvContent) {
     if (values.length === 0) continue; // Skip empty lines
     
     // Create object from headers and values
-    const row = {};
+    const row: Record<string, any> = {};
     headers.forEach((header, index) => {
       const cleanHeader = header.trim().toLowerCase().replace(/\s+/g, '');
       const value = values[index] ? values[index].trim() : '';
@@ -290,8 +325,8 @@ function parseCSV(csvContent) {
 }
 
 // Helper function to parse a single CSV line (handles quoted fields)
-function parseCSVLine(line) {
-  const result = [];
+function parseCSVLine(line: string): string[] {
+  const result: string[] = [];
   let current = '';
   let inQuotes = false;
   
@@ -313,8 +348,9 @@ function parseCSVLine(line) {
 }
 
 // Helper function to generate CSV template
-function generateCSVTemplate() {
+function generateCSVTemplate(): string {
   const headers = [
+    'Property',
     'Lender Name',
     'Original Loan Amount',
     'Interest Rate',
@@ -328,6 +364,7 @@ function generateCSVTemplate() {
   ];
   
   const exampleRow = [
+    'First St',
     'TD Bank',
     '492000',
     '5.2',
@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { getPrimeRates } from '@/lib/prime-rates';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+
+export const runtime = 'nodejs';
+
+/**
+ * GET /api/prime-rates
+ * Get the prime rate history used to price variable-rate mortgages
+ */
+export async function GET(request: NextRequest): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const primeRates = await getPrimeRates();
+
+    return NextResponse.json(
+      createSuccessResponse(primeRates),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching prime rates:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
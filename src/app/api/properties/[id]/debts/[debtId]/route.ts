@@ -0,0 +1,241 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { updateMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import {
+  getPropertyDebts,
+  getPropertyDebt,
+  updatePropertyDebt,
+  deletePropertyDebt,
+} from '@/lib/property-debts';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * GET /api/properties/[id]/debts/[debtId]
+ * Get a single debt on a property
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const debt = await getPropertyDebt(propertyId, debtId);
+    if (!debt) {
+      return NextResponse.json(
+        createErrorResponse('Debt not found', 404),
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      createSuccessResponse(debt),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching property debt:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/properties/[id]/debts/[debtId]
+ * Update a debt, including its lien priority
+ */
+export async function PATCH(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = updateMortgageSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const existing = await getPropertyDebt(propertyId, debtId);
+    if (!existing) {
+      return NextResponse.json(
+        createErrorResponse('Debt not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Validate that term does not exceed amortization period after the update
+    const termMonths = validationResult.data.termMonths ?? existing.term_months;
+    const amortizationYears = validationResult.data.amortizationYears ?? existing.amortization_years;
+    if (termMonths > amortizationYears * 12) {
+      return NextResponse.json(
+        createErrorResponse('Validation failed: termMonths: Term cannot exceed amortization period', 400),
+        { status: 400 }
+      );
+    }
+
+    const debt = await updatePropertyDebt(debtId, validationResult.data);
+    if (!debt) {
+      return NextResponse.json(
+        createErrorResponse('Failed to update debt', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ debt, debts }, 200),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error updating property debt:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/properties/[id]/debts/[debtId]
+ * Delete a debt; the next lien in priority becomes the primary mortgage if this was it
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const existing = await getPropertyDebt(propertyId, debtId);
+    if (!existing) {
+      return NextResponse.json(
+        createErrorResponse('Debt not found', 404),
+        { status: 404 }
+      );
+    }
+
+    await deletePropertyDebt(debtId);
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ id: debtId, debts }, 200),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting property debt:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
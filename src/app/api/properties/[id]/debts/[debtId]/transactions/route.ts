@@ -0,0 +1,289 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createCreditLineTransactionSchema } from '@/lib/validations/credit-line.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import { getPropertyDebts, getPropertyDebt } from '@/lib/property-debts';
+import {
+  getCreditLineTransactions,
+  createCreditLineTransaction,
+  deleteCreditLineTransaction,
+} from '@/lib/credit-line-transactions';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { getCreditLineAvailable, getCreditLineBalance } from '@/utils/creditLine';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * GET /api/properties/[id]/debts/[debtId]/transactions
+ * List the draws and repayments on a line of credit, oldest first
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const debt = await getPropertyDebt(propertyId, debtId);
+    if (!debt || debt.debt_type !== 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Line of credit not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const transactions = await getCreditLineTransactions(debtId);
+
+    return NextResponse.json(
+      createSuccessResponse(transactions),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching credit line transactions:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/properties/[id]/debts/[debtId]/transactions
+ * Record a draw or repayment on a line of credit
+ * Draws can't exceed the credit available on their date and repayments can't exceed the balance owing.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = createCreditLineTransactionSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const transaction = validationResult.data;
+    const debts = (await getPropertyDebts(propertyId)).map(mapApiDebtToFrontend);
+    const line = debts.find((debt) => debt.id === debtId);
+    if (!line || line.debtType !== 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Line of credit not found', 404),
+        { status: 404 }
+      );
+    }
+
+    if (transaction.date < line.startDate) {
+      return NextResponse.json(
+        createErrorResponse(`Transactions can't be dated before the line opened on ${line.startDate}`, 400),
+        { status: 400 }
+      );
+    }
+
+    if (transaction.type === 'REPAYMENT') {
+      const balance = getCreditLineBalance(line, transaction.date);
+      if (transaction.amount > balance + 0.005) {
+        return NextResponse.json(
+          createErrorResponse(`Repayment exceeds the balance owing of $${balance.toFixed(2)} on ${transaction.date}`, 400),
+          { status: 400 }
+        );
+      }
+    } else {
+      // The limit is a share of market value, less the amortizing mortgages on a readvanceable line
+      const propertyResult = await sql`
+        SELECT current_market_value, purchase_price
+        FROM properties
+        WHERE id = ${propertyId}
+        LIMIT 1
+      ` as Array<{ current_market_value: number | null; purchase_price: number | null }>;
+
+      const property = {
+        currentMarketValue: parseFloat(String(propertyResult[0]?.current_market_value || 0)),
+        purchasePrice: parseFloat(String(propertyResult[0]?.purchase_price || 0)),
+        mortgage: debts[0],
+        additionalDebts: debts.slice(1),
+      };
+
+      await loadPrimeRateHistory();
+      const available = getCreditLineAvailable(line, property, transaction.date);
+      if (transaction.amount > available + 0.005) {
+        return NextResponse.json(
+          createErrorResponse(`Draw exceeds the credit available of $${available.toFixed(2)} on ${transaction.date}`, 400),
+          { status: 400 }
+        );
+      }
+    }
+
+    const created = await createCreditLineTransaction(debtId, transaction);
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const updatedDebts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ transaction: created, debts: updatedDebts }, 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error saving credit line transaction:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/properties/[id]/debts/[debtId]/transactions?transactionId=...
+ * Remove a draw or repayment from a line of credit
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const transactionId = searchParams.get('transactionId');
+    if (!transactionId) {
+      return NextResponse.json(
+        createErrorResponse('Transaction ID is required', 400),
+        { status: 400 }
+      );
+    }
+
+    const debt = await getPropertyDebt(propertyId, debtId);
+    if (!debt || debt.debt_type !== 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Line of credit not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const deleted = await deleteCreditLineTransaction(debtId, transactionId);
+    if (!deleted) {
+      return NextResponse.json(
+        createErrorResponse('Transaction not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ id: transactionId, debts }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting credit line transaction:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,251 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { transferMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import {
+  getPropertyDebts,
+  getPropertyDebt,
+  updatePropertyDebt,
+  movePropertyDebt,
+} from '@/lib/property-debts';
+import { createMortgageRenewal } from '@/lib/mortgage-terms';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import {
+  calculateBlendedTopUp,
+  isMortgageAssumed,
+  normalizeMortgageTransfers,
+} from '@/utils/mortgageTransfers';
+import { getMortgageBalanceOn } from '@/utils/mortgageCalculator';
+import type { MortgageTransfer } from '@/utils/mortgageTransfers';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+function dayBefore(dateKey: string): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * POST /api/properties/[id]/debts/[debtId]/transfer
+ * Port a mortgage to another property when this one is sold, optionally with a blended top-up,
+ * or record that the buyer assumed it. The mortgage keeps its terms, schedules and payment
+ * history; the transfer is added to its record.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string; debtId: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId, debtId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = transferMortgageSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const input = validationResult.data;
+    const existing = await getPropertyDebt(propertyId, debtId);
+    if (!existing || existing.debt_type === 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const mortgage = mapApiDebtToFrontend(existing);
+    if (isMortgageAssumed(mortgage, input.date)) {
+      return NextResponse.json(
+        createErrorResponse('This mortgage has already been assumed by a buyer', 400),
+        { status: 400 }
+      );
+    }
+    if (input.date <= existing.start_date) {
+      return NextResponse.json(
+        createErrorResponse(`The closing date must be after the mortgage started on ${existing.start_date}`, 400),
+        { status: 400 }
+      );
+    }
+
+    await loadPrimeRateHistory();
+
+    const balance = getMortgageBalanceOn(mortgage, input.date);
+    if (!(balance > 0.005)) {
+      return NextResponse.json(
+        createErrorResponse(`The mortgage is paid off by ${input.date}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const transfers = normalizeMortgageTransfers(existing.mortgage_data?.transfers);
+
+    if (input.type === 'ASSUMPTION') {
+      const transfer: MortgageTransfer = {
+        type: 'ASSUMPTION',
+        date: input.date,
+        fromPropertyId: propertyId,
+        balance,
+        assumedBy: input.assumedBy || null,
+      };
+      const debt = await updatePropertyDebt(debtId, {
+        mortgageData: { ...(existing.mortgage_data || {}), transfers: [...transfers, transfer] },
+      });
+      // Re-post interest and principal to the expense ledger
+      await syncDebtLedger(propertyId);
+
+      const debts = await getPropertyDebts(propertyId);
+
+      return NextResponse.json(
+        createSuccessResponse({ debt, debts, transfer }, 200),
+        { status: 200 }
+      );
+    }
+
+    // Porting: the property bought must be the user's own too
+    const toPropertyId = input.toPropertyId as string;
+    if (toPropertyId === propertyId) {
+      return NextResponse.json(
+        createErrorResponse('Choose a different property to port the mortgage to', 400),
+        { status: 400 }
+      );
+    }
+    const ownsTarget = await verifyPropertyOwnership(toPropertyId, user.id);
+    if (!ownsTarget) {
+      return NextResponse.json(
+        createErrorResponse('Property to port to not found', 404),
+        { status: 404 }
+      );
+    }
+    const targetDemoCheck = await preventDemoModification(toPropertyId, true);
+    if (targetDemoCheck) {
+      return targetDemoCheck;
+    }
+
+    const transfer: MortgageTransfer = {
+      type: 'PORT',
+      date: input.date,
+      fromPropertyId: propertyId,
+      toPropertyId,
+      balance,
+    };
+    const mortgageData: Record<string, any> = { ...(existing.mortgage_data || {}) };
+
+    // A top-up starts a blended term to the same maturity on the increased balance
+    const topUpAmount = input.topUpAmount || 0;
+    if (topUpAmount > 0) {
+      const renewals = existing.renewals || [];
+      const previousStart = renewals.length > 0 ? renewals[renewals.length - 1].start_date : existing.start_date;
+      if (input.date <= previousStart) {
+        return NextResponse.json(
+          createErrorResponse(`A top-up must start after the current term (started ${previousStart})`, 400),
+          { status: 400 }
+        );
+      }
+
+      const blend = calculateBlendedTopUp(mortgage, {
+        date: input.date,
+        topUpAmount,
+        topUpRate: input.topUpRate as number,
+      });
+      // mortgage_terms stores rates to 0.01%
+      const blendedRate = Math.round(blend.blendedRate * 10000) / 10000;
+
+      await createMortgageRenewal(debtId, {
+        lender: blend.lender || existing.lender,
+        startDate: input.date,
+        termMonths: blend.termMonths,
+        interestRate: blendedRate,
+        rateType: blend.rateType,
+        notes: `Ported with a $${topUpAmount.toFixed(2)} top-up at ${(blend.topUpRate * 100).toFixed(2)}%`,
+      });
+
+      transfer.topUpAmount = topUpAmount;
+      transfer.topUpRate = blend.topUpRate;
+      transfer.blendedRate = blendedRate;
+      // The advance is added to the balance carried into the new property
+      mortgageData.currentBalance = blend.newBalance;
+      mortgageData.currentBalanceDate = dayBefore(input.date);
+    }
+
+    mortgageData.transfers = [...transfers, transfer];
+    const debt = await movePropertyDebt(debtId, toPropertyId, mortgageData);
+    if (!debt) {
+      return NextResponse.json(
+        createErrorResponse('Failed to port mortgage', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId, toPropertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+    const targetDebts = await getPropertyDebts(toPropertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ debt, debts, targetDebts, transfer }, 200),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error transferring mortgage:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,155 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createMortgageSchema } from '@/lib/validations/mortgage.schema';
+import { createCreditLineSchema } from '@/lib/validations/credit-line.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { getPropertyDebts, createPropertyDebt, createCreditLine } from '@/lib/property-debts';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * GET /api/properties/[id]/debts
+ * List every debt on a property in lien order (first mortgage first)
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse(debts),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching property debts:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/properties/[id]/debts
+ * Add a debt to a property; without a priority it ranks behind the existing liens
+ * A LINE_OF_CREDIT debt takes a credit limit and opening balance instead of a term and amortization
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = body?.debtType === 'LINE_OF_CREDIT'
+      ? createCreditLineSchema.safeParse(body)
+      : createMortgageSchema.safeParse({ ...body, propertyId });
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const created = 'creditLimitRatio' in validationResult.data
+      ? await createCreditLine(propertyId, validationResult.data)
+      : await createPropertyDebt(propertyId, validationResult.data);
+
+    if (!created) {
+      return NextResponse.json(
+        createErrorResponse('Failed to save debt', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ debt: created, debts }, 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error saving property debt:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
@@ -38,6 +38,8 @@ async function verifyPropertyOwnership(propertyId: string, userId: string): Prom
 /**
  * GET /api/properties/[id]/expenses
  * Get expenses for a property (paginated)
+ * Interest and principal posted from the property's debts are left out unless
+ * includeGenerated=true, since debt service is added from the debts themselves.
  */
 export async function GET(
   request: NextRequest,
@@ -66,12 +68,14 @@ export async function GET(
     // Parse pagination parameters
     const { page, limit } = parsePaginationParams(request);
     const offset = getOffset(page, limit);
+    const includeGenerated = new URL(request.url).searchParams.get('includeGenerated') === 'true';
 
     // Get total count
     const countResult = await sql`
       SELECT COUNT(*) as count
       FROM expenses
       WHERE property_id = ${propertyId}
+        AND (${includeGenerated} OR COALESCE(expense_data->>'systemGenerated', 'false') <> 'true')
     ` as Array<{ count: bigint }>;
     const total = Number(countResult[0]?.count || 0);
 
@@ -81,6 +85,7 @@ export async function GET(
              created_at, updated_at
       FROM expenses
       WHERE property_id = ${propertyId}
+        AND (${includeGenerated} OR COALESCE(expense_data->>'systemGenerated', 'false') <> 'true')
       ORDER BY date DESC, created_at DESC
       LIMIT ${limit}
       OFFSET ${offset}
@@ -0,0 +1,268 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import {
+  reconcileMortgageStatementSchema,
+  adoptLenderBalanceSchema,
+} from '@/lib/validations/mortgage-schedule.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { getPropertyDebt, getPropertyDebts, updatePropertyDebt } from '@/lib/property-debts';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { parseMortgageScheduleCSV } from '@/utils/scheduleParser';
+import { reconcileLenderStatement } from '@/utils/scheduleReconciliation';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * Helper function to resolve the mortgage a statement belongs to
+ * Uses ?mortgageId= when given, otherwise the property's primary mortgage
+ */
+async function resolveMortgageId(request: NextRequest, propertyId: string): Promise<string | null> {
+  const { searchParams } = new URL(request.url);
+  const mortgageId = searchParams.get('mortgageId');
+
+  const result = mortgageId
+    ? await sql`
+        SELECT id FROM mortgages
+        WHERE id = ${mortgageId} AND property_id = ${propertyId}
+        LIMIT 1
+      ` as Array<{ id: string }>
+    : await sql`
+        SELECT id FROM mortgages
+        WHERE property_id = ${propertyId}
+        ORDER BY priority ASC, created_at ASC
+        LIMIT 1
+      ` as Array<{ id: string }>;
+
+  return result[0]?.id || null;
+}
+
+/**
+ * POST /api/properties/[id]/mortgage/reconcile
+ * Compare a lender statement or transaction CSV with the calculated schedule, payment by payment
+ * The statement isn't stored; upload it as a lender schedule to use it for calculations.
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const mortgageId = await resolveMortgageId(request, propertyId);
+    const stored = mortgageId ? await getPropertyDebt(propertyId, mortgageId) : null;
+    if (!stored) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found. Save the mortgage before reconciling a statement.', 404),
+        { status: 404 }
+      );
+    }
+
+    if (stored.debt_type === 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Lines of credit have no schedule to reconcile against', 400),
+        { status: 400 }
+      );
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = reconcileMortgageStatementSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const { csvContent, mapping } = validationResult.data;
+
+    const { schedule, validation, columns } = parseMortgageScheduleCSV(csvContent, mapping);
+    if (schedule.length === 0) {
+      return NextResponse.json(
+        createErrorResponse(validation.warning || 'Statement contains no payments', 400),
+        { status: 400 }
+      );
+    }
+
+    // Rows are matched by date, so every row needs one
+    const undatedRows = schedule.filter(p => !/^\d{4}-\d{2}-\d{2}$/.test(p.paymentDate));
+    if (undatedRows.length > 0) {
+      return NextResponse.json(
+        createErrorResponse(
+          `Could not read the payment date on ${undatedRows.length} row(s). Check the date column mapping.`,
+          400
+        ),
+        { status: 400 }
+      );
+    }
+
+    if (!columns.some((column) => ['monthlyPayment', 'principal', 'interest', 'remainingBalance'].includes(column))) {
+      return NextResponse.json(
+        createErrorResponse('Could not find a payment, principal, interest or balance column. Check the column mapping.', 400),
+        { status: 400 }
+      );
+    }
+
+    await loadPrimeRateHistory();
+
+    const report = reconcileLenderStatement(mapApiDebtToFrontend(stored), schedule, columns);
+
+    return NextResponse.json(
+      createSuccessResponse({ mortgageId, report }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error reconciling mortgage statement:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/properties/[id]/mortgage/reconcile
+ * Adopt the balance on a lender statement; the calculated schedule re-anchors to it
+ * from the first payment after the statement date
+ */
+export async function PUT(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const mortgageId = await resolveMortgageId(request, propertyId);
+    const stored = mortgageId ? await getPropertyDebt(propertyId, mortgageId) : null;
+    if (!mortgageId || !stored || stored.debt_type === 'LINE_OF_CREDIT') {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = adoptLenderBalanceSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const { balance, asOf } = validationResult.data;
+
+    if (asOf < stored.start_date) {
+      return NextResponse.json(
+        createErrorResponse(`The statement date can't be before the mortgage started on ${stored.start_date}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const updated = await updatePropertyDebt(mortgageId, {
+      mortgageData: {
+        ...(stored.mortgage_data || {}),
+        currentBalance: balance,
+        currentBalanceDate: asOf,
+      },
+    });
+    if (!updated) {
+      return NextResponse.json(
+        createErrorResponse('Failed to update mortgage', 500),
+        { status: 500 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const debts = await getPropertyDebts(propertyId);
+
+    return NextResponse.json(
+      createSuccessResponse({ mortgageId, debts }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error adopting lender balance:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
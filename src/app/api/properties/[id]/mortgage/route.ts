@@ -4,6 +4,9 @@ import { createMortgageSchema, updateMortgageSchema } from '@/lib/validations/mo
 import { sql } from '@/lib/db';
 import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
 import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import { getMergedLenderSchedule } from '@/lib/lender-schedules';
+import { getMortgageRenewals, MortgageTermRecord } from '@/lib/mortgage-terms';
 
 export const runtime = 'nodejs';
 
@@ -19,6 +22,10 @@ interface Mortgage {
   payment_frequency: string | null;
   start_date: string | null;
   mortgage_data: any;
+  priority: number;
+  debt_type: string;
+  lender_schedule?: any[] | null;
+  renewals?: MortgageTermRecord[];
   created_at: Date;
   updated_at: Date;
 }
@@ -40,7 +47,7 @@ async function verifyPropertyOwnership(propertyId: string, userId: string): Prom
 
 /**
  * GET /api/properties/[id]/mortgage
- * Get mortgage for a property
+ * Get the primary mortgage for a property (other liens are under /debts)
  */
 export async function GET(
   request: NextRequest,
@@ -70,9 +77,10 @@ export async function GET(
     const result = await sql`
       SELECT id, property_id, lender, original_amount, interest_rate, rate_type,
              term_months, amortization_years, payment_frequency, start_date,
-             mortgage_data, created_at, updated_at
+             mortgage_data, priority, debt_type, created_at, updated_at
       FROM mortgages
       WHERE property_id = ${propertyId}
+      ORDER BY priority ASC, created_at ASC
       LIMIT 1
     ` as Mortgage[];
 
@@ -83,8 +91,15 @@ export async function GET(
       );
     }
 
+    // Attach the merged lender schedule (if one has been uploaded) and the renewal chain
+    const mortgage: Mortgage = {
+      ...result[0],
+      lender_schedule: await getMergedLenderSchedule(result[0].id),
+      renewals: await getMortgageRenewals(result[0].id),
+    };
+
     return NextResponse.json(
-      createSuccessResponse(result[0]),
+      createSuccessResponse(mortgage),
       { status: 200 }
     );
   } catch (error) {
@@ -100,7 +115,7 @@ export async function GET(
 
 /**
  * POST /api/properties/[id]/mortgage
- * Create or update mortgage for a property
+ * Create or update the primary mortgage for a property
  */
 export async function POST(
   request: NextRequest,
@@ -164,6 +179,7 @@ export async function POST(
     const existing = await sql`
       SELECT id FROM mortgages
       WHERE property_id = ${propertyId}
+      ORDER BY priority ASC, created_at ASC
       LIMIT 1
     ` as Mortgage[];
 
@@ -183,10 +199,10 @@ export async function POST(
           payment_frequency = COALESCE(${paymentFrequency || null}, payment_frequency),
           start_date = COALESCE(${startDate || null}, start_date),
           mortgage_data = COALESCE(${mortgageData ? JSON.stringify(mortgageData) : null}::jsonb, mortgage_data)
-        WHERE property_id = ${propertyId}
+        WHERE id = ${existing[0].id}
         RETURNING id, property_id, lender, original_amount, interest_rate, rate_type,
                    term_months, amortization_years, payment_frequency, start_date,
-                   mortgage_data, created_at, updated_at
+                   mortgage_data, priority, debt_type, created_at, updated_at
       ` as Mortgage[];
     } else {
       // Create new mortgage
@@ -209,7 +225,7 @@ export async function POST(
         )
         RETURNING id, property_id, lender, original_amount, interest_rate, rate_type,
                    term_months, amortization_years, payment_frequency, start_date,
-                   mortgage_data, created_at, updated_at
+                   mortgage_data, priority, debt_type, created_at, updated_at
       ` as Mortgage[];
     }
 
@@ -220,6 +236,9 @@ export async function POST(
       );
     }
 
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
     return NextResponse.json(
       createSuccessResponse(result[0], existing[0] ? 200 : 201),
       { status: existing[0] ? 200 : 201 }
@@ -0,0 +1,313 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { uploadMortgageScheduleSchema } from '@/lib/validations/mortgage-schedule.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import {
+  getScheduleVersions,
+  createScheduleVersion,
+  deleteScheduleVersion,
+  summarizeScheduleVersion,
+} from '@/lib/lender-schedules';
+import { mergeScheduleVersions, parseMortgageScheduleCSV } from '@/utils/scheduleParser';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * Helper function to resolve the mortgage a schedule belongs to
+ * Uses ?mortgageId= when given, otherwise the property's primary mortgage
+ */
+async function resolveMortgageId(request: NextRequest, propertyId: string): Promise<string | null> {
+  const { searchParams } = new URL(request.url);
+  const mortgageId = searchParams.get('mortgageId');
+
+  const result = mortgageId
+    ? await sql`
+        SELECT id FROM mortgages
+        WHERE id = ${mortgageId} AND property_id = ${propertyId}
+        LIMIT 1
+      ` as Array<{ id: string }>
+    : await sql`
+        SELECT id FROM mortgages
+        WHERE property_id = ${propertyId}
+        ORDER BY priority ASC, created_at ASC
+        LIMIT 1
+      ` as Array<{ id: string }>;
+
+  return result[0]?.id || null;
+}
+
+/**
+ * GET /api/properties/[id]/mortgage/schedule
+ * List lender schedule versions and the merged schedule for a property's mortgage
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const mortgageId = await resolveMortgageId(request, propertyId);
+    if (!mortgageId) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const versions = await getScheduleVersions(mortgageId);
+
+    return NextResponse.json(
+      createSuccessResponse({
+        mortgageId,
+        versions: versions.map(summarizeScheduleVersion),
+        schedule: mergeScheduleVersions(versions),
+      }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching mortgage schedule:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/properties/[id]/mortgage/schedule
+ * Upload a lender schedule CSV as a new schedule version
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const mortgageId = await resolveMortgageId(request, propertyId);
+    if (!mortgageId) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found. Save the mortgage before uploading a schedule.', 404),
+        { status: 404 }
+      );
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = uploadMortgageScheduleSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    const { csvContent, fileName, source, mapping } = validationResult.data;
+
+    const { schedule, validation } = parseMortgageScheduleCSV(csvContent, mapping);
+    if (schedule.length === 0) {
+      return NextResponse.json(
+        createErrorResponse(validation.warning || 'Schedule contains no payments', 400),
+        { status: 400 }
+      );
+    }
+
+    // Every row needs a real date so versions can be merged by payment date
+    const undatedRows = schedule.filter(p => !/^\d{4}-\d{2}-\d{2}$/.test(p.paymentDate));
+    if (undatedRows.length > 0) {
+      return NextResponse.json(
+        createErrorResponse(
+          `Could not read the payment date on ${undatedRows.length} row(s). Check the date column mapping.`,
+          400
+        ),
+        { status: 400 }
+      );
+    }
+
+    const payments = [...schedule]
+      .sort((a, b) => a.paymentDate.localeCompare(b.paymentDate))
+      .map((payment, index) => ({ ...payment, paymentNumber: index + 1 }));
+
+    // Lender schedules usually stop at the end of the term, so a schedule that
+    // doesn't amortize to zero is stored with its warning rather than rejected
+    const created = await createScheduleVersion(mortgageId, payments, {
+      source,
+      fileName,
+      validationWarning: validation.isValid ? null : validation.warning,
+      uploadedBy: user.id,
+    });
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const versions = await getScheduleVersions(mortgageId);
+
+    return NextResponse.json(
+      createSuccessResponse({
+        mortgageId,
+        version: summarizeScheduleVersion(created),
+        versions: versions.map(summarizeScheduleVersion),
+        schedule: mergeScheduleVersions(versions),
+      }, 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error uploading mortgage schedule:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/properties/[id]/mortgage/schedule?version=N
+ * Remove a single schedule version (the versions before it apply again)
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const version = parseInt(searchParams.get('version') || '', 10);
+    if (!Number.isInteger(version) || version < 1) {
+      return NextResponse.json(
+        createErrorResponse('A valid schedule version is required', 400),
+        { status: 400 }
+      );
+    }
+
+    const mortgageId = await resolveMortgageId(request, propertyId);
+    if (!mortgageId) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const deleted = await deleteScheduleVersion(mortgageId, version);
+    if (!deleted) {
+      return NextResponse.json(
+        createErrorResponse('Schedule version not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const versions = await getScheduleVersions(mortgageId);
+
+    return NextResponse.json(
+      createSuccessResponse({
+        mortgageId,
+        versions: versions.map(summarizeScheduleVersion),
+        schedule: mergeScheduleVersions(versions),
+      }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting mortgage schedule version:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
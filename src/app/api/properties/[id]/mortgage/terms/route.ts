@@ -0,0 +1,280 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth-middleware';
+import { createMortgageRenewalSchema } from '@/lib/validations/mortgage-term.schema';
+import { sql } from '@/lib/db';
+import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { preventDemoModification } from '@/lib/demo-protection';
+import { syncDebtLedger } from '@/lib/debt-ledger';
+import {
+  getMortgageRenewals,
+  createMortgageRenewal,
+  deleteLatestMortgageRenewal,
+} from '@/lib/mortgage-terms';
+
+export const runtime = 'nodejs';
+
+/**
+ * Helper function to verify property ownership
+ * Allows access to demo account properties (read-only for demo)
+ */
+async function verifyPropertyOwnership(propertyId: string, userId: string): Promise<boolean> {
+  const result = await sql`
+    SELECT p.id
+    FROM properties p
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE p.id = ${propertyId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * Helper function to resolve the mortgage a renewal belongs to
+ * Uses ?mortgageId= when given, otherwise the property's primary mortgage
+ */
+async function resolveMortgage(
+  request: NextRequest,
+  propertyId: string
+): Promise<{ id: string; start_date: string } | null> {
+  const { searchParams } = new URL(request.url);
+  const mortgageId = searchParams.get('mortgageId');
+
+  const result = mortgageId
+    ? await sql`
+        SELECT id, start_date::text AS start_date FROM mortgages
+        WHERE id = ${mortgageId} AND property_id = ${propertyId}
+        LIMIT 1
+      ` as Array<{ id: string; start_date: string }>
+    : await sql`
+        SELECT id, start_date::text AS start_date FROM mortgages
+        WHERE property_id = ${propertyId}
+        ORDER BY priority ASC, created_at ASC
+        LIMIT 1
+      ` as Array<{ id: string; start_date: string }>;
+
+  return result[0] || null;
+}
+
+/**
+ * GET /api/properties/[id]/mortgage/terms
+ * List the renewal terms recorded for a property's mortgage
+ */
+export async function GET(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const mortgage = await resolveMortgage(request, propertyId);
+    if (!mortgage) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const renewals = await getMortgageRenewals(mortgage.id);
+
+    return NextResponse.json(
+      createSuccessResponse({ mortgageId: mortgage.id, renewals }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error fetching mortgage terms:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/properties/[id]/mortgage/terms
+ * Record a renewal as the next term in the mortgage's chain
+ */
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const mortgage = await resolveMortgage(request, propertyId);
+    if (!mortgage) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found. Save the mortgage before recording a renewal.', 404),
+        { status: 404 }
+      );
+    }
+
+    // Parse request body
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = createMortgageRenewalSchema.safeParse(body);
+    if (!validationResult.success) {
+      const errorMessages = validationResult.error.issues
+        .map((err) => `${err.path.join('.')}: ${err.message}`)
+        .join(', ');
+
+      return NextResponse.json(
+        createErrorResponse(`Validation failed: ${errorMessages}`, 400),
+        { status: 400 }
+      );
+    }
+
+    // Renewals are appended, so each one must start after the term before it
+    const existing = await getMortgageRenewals(mortgage.id);
+    const previousStart = existing.length > 0
+      ? existing[existing.length - 1].start_date
+      : mortgage.start_date;
+    if (previousStart && validationResult.data.startDate <= previousStart) {
+      return NextResponse.json(
+        createErrorResponse(`Renewal must start after the current term (started ${previousStart})`, 400),
+        { status: 400 }
+      );
+    }
+
+    const created = await createMortgageRenewal(mortgage.id, validationResult.data);
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const renewals = await getMortgageRenewals(mortgage.id);
+
+    return NextResponse.json(
+      createSuccessResponse({ mortgageId: mortgage.id, term: created, renewals }, 201),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error recording mortgage renewal:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/properties/[id]/mortgage/terms?term=N
+ * Remove the latest renewal term (the term before it applies again)
+ */
+export async function DELETE(
+  request: NextRequest,
+  { params }: { params: Promise<{ id: string }> }
+): Promise<NextResponse> {
+  const user = await authenticateRequest(request);
+  if (!user) {
+    return NextResponse.json(
+      createErrorResponse('Authentication required', 401),
+      { status: 401 }
+    );
+  }
+
+  try {
+    const { id: propertyId } = await params;
+
+    // Verify property ownership
+    const ownsProperty = await verifyPropertyOwnership(propertyId, user.id);
+    if (!ownsProperty) {
+      return NextResponse.json(
+        createErrorResponse('Property not found', 404),
+        { status: 404 }
+      );
+    }
+
+    // Prevent modifications to demo accounts
+    const demoCheck = await preventDemoModification(propertyId, true);
+    if (demoCheck) {
+      return demoCheck;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const termNumber = parseInt(searchParams.get('term') || '', 10);
+    if (!Number.isInteger(termNumber) || termNumber < 2) {
+      return NextResponse.json(
+        createErrorResponse('A valid renewal term number is required', 400),
+        { status: 400 }
+      );
+    }
+
+    const mortgage = await resolveMortgage(request, propertyId);
+    if (!mortgage) {
+      return NextResponse.json(
+        createErrorResponse('Mortgage not found', 404),
+        { status: 404 }
+      );
+    }
+
+    const deleted = await deleteLatestMortgageRenewal(mortgage.id, termNumber);
+    if (!deleted) {
+      return NextResponse.json(
+        createErrorResponse('Only the latest renewal term can be removed', 404),
+        { status: 404 }
+      );
+    }
+
+    // Re-post interest and principal to the expense ledger
+    await syncDebtLedger(propertyId);
+
+    const renewals = await getMortgageRenewals(mortgage.id);
+
+    return NextResponse.json(
+      createSuccessResponse({ mortgageId: mortgage.id, renewals }),
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Error deleting mortgage renewal:', error);
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
+
+    return NextResponse.json(
+      createErrorResponse(errorMessage, 500),
+      { status: 500 }
+    );
+  }
+}
@@ -199,7 +199,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
                             amount: expense.amount || 0,
                             category: expense.category || 'Other',
                             description: expense.description || expense.note || '',
-                            expense_data: JSON.stringify({})
+                            expense_data: JSON.stringify(expense.expenseData || {})
                           };
                           
                           await sql`
@@ -332,7 +332,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
                         amount: expense.amount || 0,
                         category: expense.category || 'Other',
                         description: expense.description || expense.note || '',
-                        expense_data: JSON.stringify({})
+                        expense_data: JSON.stringify(expense.expenseData || {})
                       };
 
                       await sql`
@@ -2,6 +2,15 @@ import { NextRequest, NextResponse } from 'next/server';
 import { authenticateRequest } from '@/lib/auth-middleware';
 import { sql } from '@/lib/db';
 import { createSuccessResponse, createErrorResponse } from '@/lib/api-utils.js';
+import { getPropertyDebtLedger } from '@/lib/debt-ledger';
+import { loadPrimeRateHistory } from '@/lib/prime-rates';
+import {
+  getLedgerTotalsForYear,
+  isGeneratedDebtExpense,
+  isLedgerCoveredExpense,
+  INTEREST_EXPENSE_CATEGORY,
+  PRINCIPAL_EXPENSE_CATEGORY,
+} from '@/utils/debtLedger';
 
 export const runtime = 'nodejs';
 
@@ -77,20 +86,36 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
     const yearStart = `${year}-01-01`;
     const yearEnd = `${year}-12-31`;
 
+    await loadPrimeRateHistory();
+
     // Aggregate data for each property
     const propertyData = await Promise.all(
       properties.map(async (property) => {
+        // Interest and principal on every debt (mortgages and lines of credit), derived from
+        // their schedules the same way the debt ledger posts them
+        const ledger = await getPropertyDebtLedger(property.id, yearEnd);
+        const hasDebts = ledger.debtIds.length > 0;
+
         // Get actual expenses for this property in this year
-        const expenses = await sql`
-          SELECT 
-            category,
-            SUM(amount) as total_amount
+        // Posted debt entries are replaced by the ledger above, as is interest entered by hand
+        // that has been marked as covered by it
+        const expenseRows = await sql`
+          SELECT category, description, amount, expense_data
           FROM expenses
           WHERE property_id = ${property.id}
             AND date >= ${yearStart}::date
             AND date <= ${yearEnd}::date
-          GROUP BY category
-        ` as Array<{ category: string | null; total_amount: number }>;
+        ` as Array<{ category: string | null; description: string | null; amount: number; expense_data: any }>;
+        const actualExpenses = expenseRows.filter(
+          (row) => !isGeneratedDebtExpense(row) && !(hasDebts && isLedgerCoveredExpense(row))
+        );
+        const expenses = Object.entries(
+          actualExpenses.reduce((totals: Record<string, number>, row) => {
+            const category = row.category || 'Other';
+            totals[category] = (totals[category] || 0) + Number(row.amount);
+            return totals;
+          }, {})
+        ).map(([category, total_amount]) => ({ category, total_amount }));
 
         // Get property financial data from property_data JSONB
         const propertyData = property.property_data || {};
@@ -152,10 +177,15 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
           expenseTotals['Motor Vehicle Expenses'] = monthlyExpenses.motorVehicle * 12;
         }
 
+        // Interest and principal paid in the year while each debt was on this property
+        const debtPaid = getLedgerTotalsForYear(ledger.entries, property.id, year);
+
         // Calculate mortgage interest (if mortgage exists)
-        // Use monthly mortgage interest if available, otherwise calculate from mortgage data
+        // Use the debts recorded for the property, then monthly mortgage interest, then mortgage data
         let mortgageInterest = 0;
-        if (monthlyExpenses.mortgageInterest) {
+        if (hasDebts) {
+          mortgageInterest = debtPaid.interest;
+        } else if (monthlyExpenses.mortgageInterest) {
           mortgageInterest = monthlyExpenses.mortgageInterest * 12;
         } else if (mortgage.originalAmount && mortgage.interestRate) {
           // Fallback: estimate annual interest (simplified calculation)
@@ -168,13 +198,17 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
 
         // Add mortgage interest to Interest & Bank Charges
         if (mortgageInterest > 0) {
-          expenseTotals['Interest & Bank Charges'] = 
-            (expenseTotals['Interest & Bank Charges'] || 0) + mortgageInterest;
+          expenseTotals[INTEREST_EXPENSE_CATEGORY] =
+            (expenseTotals[INTEREST_EXPENSE_CATEGORY] || 0) + mortgageInterest;
         }
 
         // Add mortgage principal (not deductible, but shown for completeness)
-        if (monthlyExpenses.mortgagePrincipal) {
-          expenseTotals['Mortgage (Principal)'] = monthlyExpenses.mortgagePrincipal * 12;
+        if (hasDebts) {
+          if (debtPaid.principal > 0) {
+            expenseTotals[PRINCIPAL_EXPENSE_CATEGORY] = debtPaid.principal;
+          }
+        } else if (monthlyExpenses.mortgagePrincipal) {
+          expenseTotals[PRINCIPAL_EXPENSE_CATEGORY] = monthlyExpenses.mortgagePrincipal * 12;
         }
 
         return {
@@ -182,7 +216,7 @@ export async function GET(request: NextRequest): Promise<NextResponse> {
           name: property.nickname || property.address || 'Unnamed Property',
           annualRent,
           expenses: expenseTotals,
-          hasActualData: expenses.length > 0, // Flag to indicate if we have actual transaction data
+          hasActualData: actualExpenses.length > 0, // Flag to indicate if we have actual transaction data
         };
       })
     );
@@ -5,6 +5,8 @@ import Layout from "@/components/Layout.jsx";
 import { RequireAuth } from "@/context/AuthContext";
 import { useProperties } from "@/context/PropertyContext";
 import Link from "next/link";
+import MortgageQualificationCalculator from "@/components/calculators/MortgageQualificationCalculator";
+import LenderOfferComparison from "@/components/calculators/LenderOfferComparison";
 
 export default function FinancialCalculators() {
   const [activeCalculator, setActiveCalculator] = useState("mortgage");
@@ -306,6 +308,11 @@ export default function FinancialCalculators() {
       description: "Mobile-optimized mortgage calculator with interactive sliders",
       link: "/mortgage-calculator-mobile"
     },
+    {
+      id: "offers",
+      title: "Lender Offer Comparison",
+      description: "Compare lender quotes side by side"
+    },
     {
       id: "refinance",
       title: "Refinance Calculator",
@@ -320,6 +327,11 @@ export default function FinancialCalculators() {
       id: "heloc",
       title: "HELOC Calculator",
       description: "Calculate home equity line of credit"
+    },
+    {
+      id: "qualification",
+      title: "Mortgage Qualification",
+      description: "Stress-test GDS/TDS and find the maximum mortgage"
     }
   ];
 
@@ -674,6 +686,14 @@ export default function FinancialCalculators() {
                           </div>
                         )}
 
+                        {calculator.id === "offers" && (
+                          <LenderOfferComparison propertyId={selectedProperty} />
+                        )}
+
+                        {calculator.id === "qualification" && (
+                          <MortgageQualificationCalculator />
+                        )}
+
                         {calculator.id === "heloc" && (
                           <div className="space-y-6">
                             {/* Input Form Area */}
@@ -11,7 +11,14 @@ import { useAccount } from "@/context/AccountContext";
 import { Download, X, ChevronDown, ChevronUp, Edit2, Save, XCircle, Plus, Trash2, Eye, EyeOff, Settings2 } from "lucide-react";
 import * as XLSX from 'xlsx';
 import apiClient from "@/lib/api-client";
-import { calculateAmortizationSchedule } from "@/utils/mortgageCalculator";
+import { getPropertyDebts } from "@/utils/propertyDebts";
+import {
+  getDebtLedgerEntries,
+  getLedgerTotalsForYear,
+  isGeneratedDebtExpense,
+  isLedgerCoveredExpense,
+  isManualInterestExpense,
+} from "@/utils/debtLedger";
 
 // Helper functions for historical data calculations
 const getYearFromDateString = (value) => {
@@ -134,61 +141,42 @@ function getHistoricalIncome(property, year) {
   return totalIncome;
 }
 
-function getHistoricalExpenses(property, year) {
-  if (!property.expenseHistory) return 0;
-  
+// Expenses entered for a year, leaving out debt interest and principal: those are added from
+// the property's debts, so rows posted from their schedules or interest entered by hand and
+// marked as covered by the ledger would count them twice
+function getYearExpenseEntries(property, year) {
+  if (!property.expenseHistory) return [];
+
   const targetYear = parseInt(year);
-  const yearExpenses = property.expenseHistory.filter(expense => {
-    const expenseYear = getYearFromDateString(expense.date);
-    return expenseYear === targetYear;
-  });
-  
-  return yearExpenses.reduce((total, expense) => total + expense.amount, 0);
+  const hasDebts = getPropertyDebts(property).length > 0;
+  return property.expenseHistory.filter(expense =>
+    getYearFromDateString(expense.date) === targetYear &&
+    !isGeneratedDebtExpense(expense) &&
+    !(hasDebts && isLedgerCoveredExpense(expense))
+  );
 }
 
-// Calculate mortgage interest and principal for a given year from amortization schedule
-function getMortgageAmountsForYear(property, year) {
-  if (!property.mortgage || !property.mortgage.originalAmount || !property.mortgage.startDate) {
-    return { interest: 0, principal: 0 };
-  }
-
-  try {
-    const targetYear = parseInt(year);
-    const mortgage = property.mortgage;
-    
-    // Calculate amortization schedule
-    const schedule = calculateAmortizationSchedule({
-      lender: mortgage.lender || '',
-      originalAmount: mortgage.originalAmount,
-      interestRate: mortgage.interestRate || 0,
-      rateType: mortgage.rateType || 'Fixed',
-      termMonths: mortgage.termMonths || 0,
-      amortizationYears: mortgage.amortizationYears || 25,
-      paymentFrequency: mortgage.paymentFrequency || 'MONTHLY',
-      startDate: mortgage.startDate
-    });
-
-    // Filter payments for the target year
-    const yearStart = new Date(targetYear, 0, 1);
-    const yearEnd = new Date(targetYear, 11, 31, 23, 59, 59);
-    
-    const yearPayments = schedule.payments.filter(payment => {
-      const paymentDate = new Date(payment.paymentDate);
-      return paymentDate >= yearStart && paymentDate <= yearEnd;
-    });
+function getHistoricalExpenses(property, year) {
+  return getYearExpenseEntries(property, year).reduce((total, expense) => total + expense.amount, 0);
+}
 
-    // Sum up interest and principal for the year
-    const totalInterest = yearPayments.reduce((sum, payment) => sum + (payment.interest || 0), 0);
-    const totalPrincipal = yearPayments.reduce((sum, payment) => sum + (payment.principal || 0), 0);
+// Calculate interest and principal paid on every debt in a given year from their schedules
+function getMortgageAmountsForYear(property, year) {
+  const targetYear = parseInt(year);
+  const entries = getPropertyDebts(property).flatMap(debt => {
+    try {
+      return getDebtLedgerEntries(debt, property.id, `${targetYear}-12-31`);
+    } catch (error) {
+      console.error('Error calculating mortgage amounts for year:', error);
+      return [];
+    }
+  });
+  const totals = getLedgerTotalsForYear(entries, property.id, targetYear);
 
-    return {
-      interest: parseFloat(totalInterest.toFixed(2)),
-      principal: parseFloat(totalPrincipal.toFixed(2))
-    };
-  } catch (error) {
-    console.error('Error calculating mortgage amounts for year:', error);
-    return { interest: 0, principal: 0 };
-  }
+  return {
+    interest: parseFloat(totals.interest.toFixed(2)),
+    principal: parseFloat(totals.principal.toFixed(2))
+  };
 }
 
 // Calculate monthly breakdown for a given year using only database entries
@@ -223,11 +211,8 @@ function getMonthlyBreakdownForYear(property, year, expenseBreakdown, EXPENSE_CO
   ];
   
   // Get all expense categories from expenseHistory for this year
-  const yearExpenses = (property.expenseHistory || [])
-    .filter(expense => {
-      const expenseYear = getYearFromDateString(expense.date);
-      return expenseYear === targetYear && expense.category;
-    });
+  const yearExpenses = getYearExpenseEntries(property, targetYear)
+    .filter(expense => expense.category);
   
   // Process income (Rent) from incomeHistory
   const yearIncomeEntries = (property.incomeHistory || [])
@@ -415,8 +400,7 @@ function HistoricalDataDisplay({ property, expenseView, selectedYear: externalSe
     const income = getHistoricalIncome(dataSource, year);
     const expenses = getHistoricalExpenses(dataSource, year);
 
-    const expenseBreakdown = (dataSource.expenseHistory || [])
-      .filter(expense => getYearFromDateString(expense.date) === year)
+    const expenseBreakdown = getYearExpenseEntries(dataSource, year)
       .reduce((acc, expense) => {
         const category = expense.category;
         if (!acc[category]) {
@@ -2861,9 +2845,13 @@ function AddExpenseModal({ property, onClose, onSave }) {
     amount: '',
     category: '',
     description: '',
-    paymentFrequency: 'Annual'
+    paymentFrequency: 'Annual',
+    coveredByDebtLedger: false
   });
 
+  // Interest entered by hand can be marked as already derived from the property's debts
+  const canCoverByDebtLedger = getPropertyDebts(property).length > 0 && isManualInterestExpense(formData);
+
   const expenseCategories = [
     'Advertising',
     'Insurance',
@@ -2893,7 +2881,8 @@ function AddExpenseModal({ property, onClose, onSave }) {
       category: formData.category || null,
       description: formData.description || null,
       expenseData: {
-        paymentFrequency: formData.paymentFrequency
+        paymentFrequency: formData.paymentFrequency,
+        ...(canCoverByDebtLedger && formData.coveredByDebtLedger ? { coveredByDebtLedger: true } : {})
       }
     });
   };
@@ -2989,6 +2978,23 @@ function AddExpenseModal({ property, onClose, onSave }) {
             />
           </div>
 
+          {canCoverByDebtLedger && (
+            <label className="flex items-start gap-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.coveredByDebtLedger}
+                onChange={(e) => setFormData(prev => ({ ...prev, coveredByDebtLedger: e.target.checked }))}
+                className="mt-0.5 rounded border-gray-300 dark:border-gray-600 text-[#205A3E] focus:ring-[#205A3E]"
+              />
+              <span className="text-gray-700 dark:text-gray-300">
+                Mortgage or line of credit interest
+                <span className="block text-xs text-gray-500 dark:text-gray-400">
+                  Left out of the totals, since this interest is already derived from the property&apos;s debts
+                </span>
+              </span>
+            </label>
+          )}
+
           <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
             <Button variant="secondary" type="button" onClick={onClose}>
               Cancel
@@ -7,6 +7,12 @@ import { useProperty } from "@/context/PropertyContext";
 import MortgageSummaryBanner from "@/components/mortgages/MortgageSummaryBanner";
 import MortgageDetailsPanel from "@/components/mortgages/MortgageDetailsPanel";
 import PaymentBreakdown from "@/components/mortgages/PaymentBreakdown";
+import LenderSchedulePanel from "@/components/mortgages/LenderSchedulePanel";
+import StatementReconciliationPanel from "@/components/mortgages/StatementReconciliationPanel";
+import PaymentEventsPanel from "@/components/mortgages/PaymentEventsPanel";
+import MortgageRenewalsPanel from "@/components/mortgages/MortgageRenewalsPanel";
+import PropertyDebtsPanel from "@/components/mortgages/PropertyDebtsPanel";
+import MortgageBreakPenaltyCalculator from "@/components/calculators/MortgageBreakPenaltyCalculator";
 
 export default function MortgageDetailsPage({ params }) {
   const { propertyId } = use(params) || {};
@@ -71,6 +77,24 @@ export default function MortgageDetailsPage({ params }) {
             {/* Right-Side Payment Breakdown */}
             <PaymentBreakdown mortgageData={mortgageData} />
           </div>
+
+          {/* Every lien on the property, in priority order */}
+          <PropertyDebtsPanel propertyId={propertyId} />
+
+          {/* Renewal chain */}
+          <MortgageRenewalsPanel propertyId={propertyId} />
+
+          {/* Lender-provided amortization schedule */}
+          <LenderSchedulePanel propertyId={propertyId} />
+
+          {/* Lender statement against the calculated schedule */}
+          <StatementReconciliationPanel propertyId={propertyId} />
+
+          {/* Deferrals, skipped and late payments */}
+          <PaymentEventsPanel propertyId={propertyId} />
+
+          {/* Cost of breaking the mortgage today */}
+          <MortgageBreakPenaltyCalculator propertyId={propertyId} />
         </div>
       </Layout>
     </RequireAuth>
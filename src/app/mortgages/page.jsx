@@ -12,9 +12,11 @@ import MortgageSummaryBanner from "@/components/mortgages/MortgageSummaryBanner"
 import MortgageDetailsPanel from "@/components/mortgages/MortgageDetailsPanel";
 import PaymentBreakdown from "@/components/mortgages/PaymentBreakdown";
 import MortgageCardView from "@/components/mortgages/MortgageCardView";
+import TriggerRateWatch from "@/components/mortgages/TriggerRateWatch";
 import { useProperties, usePropertyContext } from "@/context/PropertyContext";
 import { formatCurrency, formatPercentage } from "@/utils/formatting";
 import { calculateAmortizationSchedule } from "@/utils/mortgageCalculator";
+import { getLenderFee } from "@/utils/loanTypes";
 import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Line, LineChart } from "recharts";
 import { ListPageHeader } from "@/components/shared";
 
@@ -62,6 +64,12 @@ export default function MortgagesPage() {
         termMonths: mortgage.termMonths || (mortgage.termYears ? mortgage.termYears * 12 : 0),
         paymentFrequency: mortgage.paymentFrequency || mortgage.payment_frequency,
         startDate: mortgage.startDate || mortgage.start_date,
+        variableRateSpread: mortgage.variableRateSpread ?? undefined,
+        hasFixedPayments: mortgage.hasFixedPayments === true,
+        loanType: mortgage.loanType ?? null,
+        maturityAction: mortgage.maturityAction ?? null,
+        interestReserve: mortgage.interestReserve ?? null,
+        lenderFee: mortgage.lenderFee ?? null,
       },
       propertyName: properties.find(p => p.id === mortgage.propertyId)?.nickname || 'Unknown Property'
     }));
@@ -340,7 +348,7 @@ export default function MortgagesPage() {
         return {
           ...mortgage,
           totalInterest,
-          totalCost: mortgage.originalAmount + totalInterest,
+          totalCost: mortgage.originalAmount + totalInterest + getLenderFee(mortgage.mortgage),
           payoffDate: schedule.payments[schedule.payments.length - 1]?.paymentDate
         };
       } catch (error) {
@@ -360,7 +368,7 @@ export default function MortgagesPage() {
     try {
       const schedule = calculateAmortizationSchedule(mortgage.mortgage);
       const totalInterest = schedule.payments.reduce((sum, payment) => sum + payment.interest, 0);
-      const totalCost = mortgage.originalAmount + totalInterest;
+      const totalCost = mortgage.originalAmount + totalInterest + getLenderFee(mortgage.mortgage);
 
       return {
         mortgage,
@@ -535,6 +543,13 @@ export default function MortgagesPage() {
               </div>
             ) : (
               <div className="space-y-6">
+                <TriggerRateWatch
+                  mortgages={mortgages.map(m => ({
+                    id: m.id,
+                    label: `${m.lenderName} – ${m.propertyName}`,
+                    mortgage: m.mortgage,
+                  }))}
+                />
                 {Object.entries(mortgagesByProperty).map(([propertyId, { property, mortgages: propertyMortgages }]) => (
                   <div key={propertyId} className="space-y-4">
                     {propertyMortgages.map((mortgage) => (
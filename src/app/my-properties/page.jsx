@@ -13,7 +13,7 @@ import { formatCurrency, formatPercentage } from "@/utils/formatting";
 import { getPropertySlug } from "@/utils/slug";
 import { orderProperties, getPropertyOrder } from "@/utils/propertyOrder";
 import { Building2, TrendingUp, Receipt, Plus, Settings, GripVertical, X } from "lucide-react";
-import { getCurrentMortgageBalance, getMonthlyMortgagePayment, getMonthlyMortgageInterest, getMonthlyMortgagePrincipal } from "@/utils/mortgageCalculator";
+import { getTotalDebtBalance, getTotalMonthlyDebtInterest, getTotalMonthlyDebtPrincipal } from "@/utils/propertyDebts";
 import { ListPageHeader } from "@/components/shared";
 import { calculateIRR as calculateIRRProper } from "@/utils/financialCalculations";
 import {
@@ -480,13 +480,13 @@ function PropertyCard({ property }) {
   const annualCashFlow = property.annualCashFlow || (monthlyCashFlow * 12);
   const capRate = property.capRate || 0;
   
-  // Calculate mortgage debt (property-level)
+  // Calculate mortgage debt (property-level, across all debts on the property)
   let mortgageDebt = 0;
   if (property.mortgage) {
     try {
       // Check if mortgage has required fields
       if (property.mortgage.originalAmount && property.mortgage.interestRate !== undefined && property.mortgage.amortizationYears) {
-        mortgageDebt = getCurrentMortgageBalance(property.mortgage);
+        mortgageDebt = getTotalDebtBalance(property);
         // Ensure it's a valid number
         if (isNaN(mortgageDebt) || !isFinite(mortgageDebt)) {
           mortgageDebt = property.mortgage.originalAmount || 0;
@@ -558,8 +558,8 @@ function PropertyCard({ property }) {
       // Check if mortgage has required fields
       if (property.mortgage.originalAmount && property.mortgage.interestRate !== undefined && property.mortgage.amortizationYears) {
         // Calculate monthly principal and interest payments
-        monthlyPrincipalPayment = getMonthlyMortgagePrincipal(property.mortgage);
-        monthlyInterestPayment = getMonthlyMortgageInterest(property.mortgage);
+        monthlyPrincipalPayment = getTotalMonthlyDebtPrincipal(property);
+        monthlyInterestPayment = getTotalMonthlyDebtInterest(property);
         
         // Ensure they're valid numbers
         if (isNaN(monthlyPrincipalPayment) || !isFinite(monthlyPrincipalPayment)) {
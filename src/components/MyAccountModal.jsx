@@ -19,7 +19,7 @@ export default function MyAccountModal({ isOpen, onClose }) {
   
   // Edit profile state
   const [editingProfile, setEditingProfile] = useState(false);
-  const [profileForm, setProfileForm] = useState({ name: "", email: "" });
+  const [profileForm, setProfileForm] = useState({ name: "", email: "", annualIncome: "", monthlyDebtPayments: "" });
   const [profileError, setProfileError] = useState("");
   
   // Change password state
@@ -44,6 +44,8 @@ export default function MyAccountModal({ isOpen, onClose }) {
         setProfileForm({
           name: response.data.name || "",
           email: response.data.email || "",
+          annualIncome: response.data.annual_income ?? "",
+          monthlyDebtPayments: response.data.monthly_debt_payments ?? "",
         });
       }
     } catch (error) {
@@ -59,6 +61,8 @@ export default function MyAccountModal({ isOpen, onClose }) {
         setProfileForm({
           name: authUser.name || "",
           email: authUser.email || "",
+          annualIncome: "",
+          monthlyDebtPayments: "",
         });
       }
       // Only show error toast if it's not a network error (user might be offline)
@@ -83,6 +87,15 @@ export default function MyAccountModal({ isOpen, onClose }) {
       if (profileForm.email !== profile.email) {
         updateData.email = profileForm.email;
       }
+      // Blank income fields clear the stored values
+      const annualIncome = profileForm.annualIncome === "" ? null : Number(profileForm.annualIncome);
+      if (annualIncome !== (profile.annual_income ?? null)) {
+        updateData.annualIncome = annualIncome;
+      }
+      const monthlyDebtPayments = profileForm.monthlyDebtPayments === "" ? null : Number(profileForm.monthlyDebtPayments);
+      if (monthlyDebtPayments !== (profile.monthly_debt_payments ?? null)) {
+        updateData.monthlyDebtPayments = monthlyDebtPayments;
+      }
 
       if (Object.keys(updateData).length === 0) {
         setEditingProfile(false);
@@ -224,6 +237,9 @@ export default function MyAccountModal({ isOpen, onClose }) {
     }
   };
 
+  const formatMoney = (amount) =>
+    new Intl.NumberFormat("en-CA", { style: "currency", currency: "CAD", maximumFractionDigits: 0 }).format(amount);
+
   if (!isOpen) return null;
 
   // Render using portal to document body
@@ -289,6 +305,22 @@ export default function MyAccountModal({ isOpen, onClose }) {
                         {profile?.email || "N/A"}
                       </div>
                     </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Annual Income
+                      </label>
+                      <div className="mt-1 text-sm text-gray-900 dark:text-white">
+                        {profile?.annual_income != null ? formatMoney(profile.annual_income) : "Not set"}
+                      </div>
+                    </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Other Monthly Debt Payments
+                      </label>
+                      <div className="mt-1 text-sm text-gray-900 dark:text-white">
+                        {profile?.monthly_debt_payments != null ? formatMoney(profile.monthly_debt_payments) : "Not set"}
+                      </div>
+                    </div>
                     <div>
                       <label className="text-sm font-medium text-gray-500 dark:text-gray-400">
                         Account Created
@@ -344,6 +376,40 @@ export default function MyAccountModal({ isOpen, onClose }) {
                         className="w-full rounded-md border border-black/15 dark:border-white/15 bg-transparent px-3 py-2 outline-none focus:ring-2 focus:ring-black/20 dark:focus:ring-white/20"
                       />
                     </div>
+                    <div className="grid gap-2">
+                      <label htmlFor="profile-annual-income" className="text-sm font-medium">
+                        Annual Income (before tax)
+                      </label>
+                      <input
+                        id="profile-annual-income"
+                        type="number"
+                        min="0"
+                        step="1000"
+                        value={profileForm.annualIncome}
+                        onChange={(e) =>
+                          setProfileForm({ ...profileForm, annualIncome: e.target.value })
+                        }
+                        className="w-full rounded-md border border-black/15 dark:border-white/15 bg-transparent px-3 py-2 outline-none focus:ring-2 focus:ring-black/20 dark:focus:ring-white/20"
+                        placeholder="Used to check mortgage qualification"
+                      />
+                    </div>
+                    <div className="grid gap-2">
+                      <label htmlFor="profile-monthly-debts" className="text-sm font-medium">
+                        Other Monthly Debt Payments
+                      </label>
+                      <input
+                        id="profile-monthly-debts"
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={profileForm.monthlyDebtPayments}
+                        onChange={(e) =>
+                          setProfileForm({ ...profileForm, monthlyDebtPayments: e.target.value })
+                        }
+                        className="w-full rounded-md border border-black/15 dark:border-white/15 bg-transparent px-3 py-2 outline-none focus:ring-2 focus:ring-black/20 dark:focus:ring-white/20"
+                        placeholder="Car loans, credit cards, support payments"
+                      />
+                    </div>
                     <div className="flex gap-3">
                       <Button
                         type="submit"
@@ -361,6 +427,8 @@ export default function MyAccountModal({ isOpen, onClose }) {
                           setProfileForm({
                             name: profile?.name || "",
                             email: profile?.email || "",
+                            annualIncome: profile?.annual_income ?? "",
+                            monthlyDebtPayments: profile?.monthly_debt_payments ?? "",
                           });
                           setProfileError("");
                         }}
@@ -0,0 +1,175 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "@/lib/api-client";
+import { useToast } from "@/context/ToastContext";
+import { setPrimeRateHistory, toPrimeRateEntries } from "@/utils/primeRateHistory";
+
+/**
+ * Admin editor for the prime rate history used to price variable-rate mortgages
+ */
+export default function PrimeRateHistoryPanel() {
+  const { addToast } = useToast();
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [effectiveDate, setEffectiveDate] = useState("");
+  const [ratePercent, setRatePercent] = useState("");
+  const [notes, setNotes] = useState("");
+
+  const applyRates = useCallback((rows) => {
+    setRates(rows);
+    setPrimeRateHistory(toPrimeRateEntries(rows));
+  }, []);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiClient.getAdminPrimeRates();
+      if (response.success) {
+        applyRates(response.data || []);
+      } else {
+        setError(response.error || "Failed to load prime rates");
+      }
+    } catch (err) {
+      console.error("Error fetching prime rates:", err);
+      setError(err.message || "Failed to load prime rates");
+    } finally {
+      setLoading(false);
+    }
+  }, [applyRates]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const rate = parseFloat(ratePercent);
+    if (!effectiveDate || !Number.isFinite(rate)) {
+      addToast("Enter an effective date and rate", { type: "error" });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await apiClient.saveAdminPrimeRate({
+        effectiveDate,
+        rate: rate / 100,
+        notes: notes.trim() || null,
+      });
+      addToast(`Prime rate ${rate.toFixed(2)}% saved for ${effectiveDate}`, { type: "success" });
+      setEffectiveDate("");
+      setRatePercent("");
+      setNotes("");
+      await fetchRates();
+    } catch (err) {
+      console.error("Error saving prime rate:", err);
+      addToast(err.message || "Failed to save prime rate", { type: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(`Delete the ${row.effective_date} prime rate change?`)) {
+      return;
+    }
+
+    try {
+      await apiClient.deleteAdminPrimeRate(row.id);
+      addToast("Prime rate deleted", { type: "success" });
+      await fetchRates();
+    } catch (err) {
+      console.error("Error deleting prime rate:", err);
+      addToast(err.message || "Failed to delete prime rate", { type: "error" });
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-neutral-900 border border-gray-200 dark:border-gray-800 rounded-lg p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">
+        Prime Rate History
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Variable-rate mortgage schedules re-price each payment from the prime rate in effect.
+        Add a row whenever the prime rate changes.
+      </p>
+
+      <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+        <input
+          type="date"
+          value={effectiveDate}
+          onChange={(e) => setEffectiveDate(e.target.value)}
+          className="px-4 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-neutral-800 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+        />
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          max="25"
+          placeholder="Rate (%)"
+          value={ratePercent}
+          onChange={(e) => setRatePercent(e.target.value)}
+          className="px-4 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-neutral-800 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+        />
+        <input
+          type="text"
+          placeholder="Notes (optional)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          className="px-4 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-neutral-800 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 text-sm font-medium text-white bg-[#205A3E] rounded-lg hover:bg-[#1a4a33] disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Rate"}
+        </button>
+      </form>
+
+      {error ? (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4">
+          <p className="text-red-800 dark:text-red-200">{error}</p>
+        </div>
+      ) : loading ? (
+        <p className="text-gray-500 dark:text-gray-400">Loading prime rates...</p>
+      ) : rates.length > 0 ? (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-800 text-left text-gray-600 dark:text-gray-400">
+                <th className="py-2 pr-4 font-medium">Effective Date</th>
+                <th className="py-2 pr-4 font-medium">Prime Rate</th>
+                <th className="py-2 pr-4 font-medium">Notes</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...rates].reverse().map((row) => (
+                <tr key={row.id} className="border-b border-gray-100 dark:border-gray-800">
+                  <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">{row.effective_date}</td>
+                  <td className="py-2 pr-4 text-gray-900 dark:text-gray-100">{(Number(row.rate) * 100).toFixed(2)}%</td>
+                  <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">{row.notes || "-"}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => handleDelete(row)}
+                      className="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-500 dark:text-gray-400">No prime rate history recorded</p>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@
 import { useState, useEffect, useRef } from "react";
 import { DollarSign, TrendingUp, ChevronDown, Save, RotateCcw, Pin, Trash2, HelpCircle } from "lucide-react";
 import { CASH_FLOW_DEFAULT_ASSUMPTIONS, EQUITY_DEFAULT_ASSUMPTIONS, SCENARIO_PRESETS } from "@/lib/sensitivity-analysis";
+import { SEASONALITY_PRESETS } from "@/lib/monthly-forecast";
 import { formatCurrency } from "@/utils/formatting";
 import { getCurrentMortgageBalance, getMonthlyMortgagePayment, getMortgageYearlySummary } from '@/utils/mortgageCalculator';
 
@@ -25,10 +26,13 @@ const ASSUMPTION_TOOLTIPS = {
   // Equity mode
   annualPropertyAppreciation: "The Wealth Builder. This is how much the property value grows. It's the biggest driver of your 'Total Profit' when you eventually sell.",
   exitCapRate: "The Market Mood. A lower number assumes you sell in a 'hot' market for a higher price; a higher number is a safer, 'cooler' market assumption.",
+  seasonality: "The Calendar Effect. Spreads vacancy and utility and maintenance costs unevenly through the year. Yearly totals stay the same; the lean months show up in the monthly cash flow.",
   // Prepayment
-  prepaymentAmount: "The Strategic Infusion. Model a one-time principal payment in a specific year to instantly reduce debt and maximize long-term interest savings.",
+  prepaymentAmount: "The Strategic Infusion. Model a one-time principal payment in a specific year and month to instantly reduce debt and maximize long-term interest savings.",
 };
 
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 export default function ModelingSandboxSidebar({
   properties = [],
   selectedPropertyId,
@@ -499,6 +503,45 @@ export default function ModelingSandboxSidebar({
               );
             })}
 
+            {/* Seasonality - cash flow only */}
+            {analysisMode === 'cash-flow' && (
+              <div>
+                <label className="flex items-center gap-1.5 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1.5">
+                  Seasonality
+                  <div className="relative inline-block">
+                    <HelpCircle
+                      className="w-3.5 h-3.5 text-gray-400 cursor-help hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+                      onMouseEnter={() => handleTooltipEnter('seasonality')}
+                      onMouseLeave={handleTooltipLeave}
+                    />
+                    {showTooltip === 'seasonality' && (
+                      <div className="absolute left-5 top-0 z-50 w-[220px] p-2.5 bg-gray-900 text-white text-xs rounded-md shadow-xl pointer-events-none">
+                        {ASSUMPTION_TOOLTIPS.seasonality}
+                        <div className="absolute left-0 top-2 -ml-1.5 w-0 h-0 border-t-4 border-t-transparent border-b-4 border-b-transparent border-r-4 border-r-gray-900"></div>
+                      </div>
+                    )}
+                  </div>
+                </label>
+                <select
+                  value={assumptions.seasonality || 'none'}
+                  onChange={(e) => {
+                    setActivePreset(null);
+                    onAssumptionsChange({
+                      ...assumptions,
+                      seasonality: e.target.value,
+                    });
+                  }}
+                  className="w-full px-2 py-1 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-[#205A3E]"
+                >
+                  {Object.entries(SEASONALITY_PRESETS).map(([key, preset]) => (
+                    <option key={key} value={key}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Mortgage Prepayment - Compact Row */}
             <div>
               <label className="flex items-center gap-1.5 text-xs font-medium text-gray-700 dark:text-gray-300 mb-1.5">
@@ -511,7 +554,7 @@ export default function ModelingSandboxSidebar({
                   />
                   {showTooltip === 'prepaymentAmount' && (
                     <div className="absolute left-5 top-0 z-50 w-[220px] p-2.5 bg-gray-900 text-white text-xs rounded-md shadow-xl pointer-events-none">
-                      The Strategic Infusion. Model a one-time principal payment in a specific year to instantly reduce debt and maximize long-term interest savings.
+                      {ASSUMPTION_TOOLTIPS.prepaymentAmount}
                       <div className="absolute left-0 top-2 -ml-1.5 w-0 h-0 border-t-4 border-t-transparent border-b-4 border-b-transparent border-r-4 border-r-gray-900"></div>
                     </div>
                   )}
@@ -555,7 +598,7 @@ export default function ModelingSandboxSidebar({
                       prepaymentYear: newYear,
                     });
                   }}
-                  className="w-24 px-2 py-1 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-[#205A3E]"
+                  className="w-20 px-2 py-1 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-[#205A3E]"
                 >
                   {Array.from({ length: holdingPeriod }, (_, i) => i + 1).map((year) => (
                     <option key={year} value={year}>
@@ -563,6 +606,25 @@ export default function ModelingSandboxSidebar({
                     </option>
                   ))}
                 </select>
+                <select
+                  value={assumptions.prepaymentMonth || ''}
+                  onChange={(e) => {
+                    setActivePreset(null);
+                    onAssumptionsChange({
+                      ...assumptions,
+                      prepaymentMonth: e.target.value ? parseInt(e.target.value) : undefined,
+                    });
+                  }}
+                  aria-label="Prepayment month"
+                  className="w-20 px-2 py-1 text-xs border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-[#205A3E]"
+                >
+                  <option value="">1st mo.</option>
+                  {MONTH_LABELS.map((label, index) => (
+                    <option key={label} value={index + 1}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
               </div>
               {/* Warning message if prepayment exceeds estimated balance */}
               {(() => {
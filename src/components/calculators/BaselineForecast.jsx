@@ -200,6 +200,17 @@ const BaselineForecast = ({ property, assumptions, years = 10, baselineData = nu
       }
     }
 
+    // Interest-only and balloon loans paid off at maturity
+    forecastData
+      .filter((yearData) => yearData.balloonPayment > 0)
+      .forEach((yearData) => {
+        insights.push({
+          icon: TrendingDown,
+          text: `Year ${yearData.year} includes a ${formatCurrency(yearData.balloonPayment)} balloon payment to pay off a loan at maturity`,
+          color: 'text-red-600 dark:text-red-400',
+        });
+      });
+
     return insights;
   };
 
@@ -4,8 +4,9 @@ import { useMemo, useState, useEffect } from 'react';
 import { formatPercentage } from '@/utils/formatting';
 import { AlertCircle, TrendingUp, TrendingDown } from 'lucide-react';
 import { getMonthlyMortgagePayment } from '@/utils/mortgageCalculator';
+import GoalSeekPanel from './GoalSeekPanel';
 
-const BreakEvenAnalysis = ({ property }) => {
+const BreakEvenAnalysis = ({ property, assumptions }) => {
   // Calculate break-even vacancy rate
   const breakEvenMetrics = useMemo(() => {
     if (!property) return null;
@@ -225,6 +226,9 @@ const BreakEvenAnalysis = ({ property }) => {
         </div>
       </div>
 
+      {/* General "solve for" goal seek */}
+      <GoalSeekPanel property={property} assumptions={assumptions} />
+
       {/* Additional Context */}
       <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
         <details className="text-sm">
@@ -0,0 +1,193 @@
+"use client";
+
+import { useMemo, useState, useEffect } from 'react';
+import { formatCurrency } from '@/utils/formatting';
+import { solveForTarget, getGoalSeekVariables, GOAL_SEEK_METRICS } from '@/lib/goal-seek';
+import { Crosshair, AlertCircle } from 'lucide-react';
+import Button from '@/components/Button';
+
+const formatValue = (unit, value) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '—';
+  if (unit === 'currency') return formatCurrency(value);
+  if (unit === 'percent') return `${value.toFixed(2)}%`;
+  return value.toFixed(2);
+};
+
+const selectClassName = 'px-3 py-2 text-sm border border-gray-200 dark:border-gray-700 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const GoalSeekPanel = ({ property, assumptions }) => {
+  const [metric, setMetric] = useState('dscr');
+  const [target, setTarget] = useState(String(GOAL_SEEK_METRICS.dscr.defaultTarget));
+  const [variable, setVariable] = useState('monthlyRent');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSolving, setIsSolving] = useState(false);
+
+  const variables = useMemo(() => getGoalSeekVariables(property, metric), [property, metric]);
+
+  // Keep the free input on one that applies to this property and metric
+  useEffect(() => {
+    if (variables.length > 0 && !variables.some((option) => option.key === variable)) {
+      setVariable(variables[0].key);
+    }
+  }, [variables, variable]);
+
+  // A new question clears the old answer
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [property, assumptions, metric, target, variable]);
+
+  const handleMetricChange = (value) => {
+    setMetric(value);
+    setTarget(String(GOAL_SEEK_METRICS[value].defaultTarget));
+  };
+
+  const handleSolve = () => {
+    const targetValue = parseFloat(target);
+    if (!Number.isFinite(targetValue)) {
+      setError('Enter a target value');
+      return;
+    }
+
+    setIsSolving(true);
+    setError(null);
+    // Let the button show its state before the solver ties up the thread
+    setTimeout(() => {
+      try {
+        setResult(solveForTarget(property, { metric, target: targetValue, variable, assumptions }));
+      } catch (solveError) {
+        console.error('Error solving for target:', solveError);
+        setResult(null);
+        setError(solveError.message);
+      } finally {
+        setIsSolving(false);
+      }
+    }, 50);
+  };
+
+  if (!property) {
+    return null;
+  }
+
+  const metricConfig = GOAL_SEEK_METRICS[metric];
+
+  return (
+    <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+      <div className="flex items-center gap-2 mb-2">
+        <Crosshair className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+        <h3 className="font-semibold text-gray-900 dark:text-white">
+          Solve For
+        </h3>
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Pick a target and one input to change. The solver finds the value of that input that hits the target,
+        with everything else as it is today.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+        <label className="flex flex-col gap-1 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Target metric
+          <select value={metric} onChange={(e) => handleMetricChange(e.target.value)} className={selectClassName}>
+            {Object.entries(GOAL_SEEK_METRICS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Target value {metricConfig.unit === 'percent' ? '(%)' : metricConfig.unit === 'currency' ? '($)' : ''}
+          <input
+            type="number"
+            step={metricConfig.unit === 'ratio' ? '0.05' : metricConfig.unit === 'percent' ? '0.5' : '50'}
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className={selectClassName}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-xs font-medium text-gray-700 dark:text-gray-300">
+          By changing
+          <select value={variable} onChange={(e) => setVariable(e.target.value)} className={selectClassName}>
+            {variables.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <Button onClick={handleSolve} disabled={isSolving} className="justify-center">
+          {isSolving ? 'Solving...' : 'Solve'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-red-700 dark:text-red-400 mb-4">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+
+      {result && !result.solved && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4 text-sm text-yellow-900 dark:text-yellow-300">
+          <p className="font-semibold mb-1">No solution</p>
+          <p>
+            {result.reason}.
+            {result.reachable && (
+              <> Between {formatValue(result.variable.unit, result.range.min)} and {formatValue(result.variable.unit, result.range.max)} it
+              ranges from {formatValue(metricConfig.unit, result.reachable.min)} to {formatValue(metricConfig.unit, result.reachable.max)}.</>
+            )}
+          </p>
+        </div>
+      )}
+
+      {result && result.solved && (
+        <>
+          <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-4 mb-4">
+            <p className="text-sm text-blue-700 dark:text-blue-400 mb-1">
+              {result.variable.label} {result.bound === 'min' ? 'of at least' : 'of at most'}
+            </p>
+            <p className="text-3xl font-bold tabular-nums text-blue-900 dark:text-blue-300">
+              {formatValue(result.variable.unit, result.value)}
+            </p>
+            <p className="text-sm text-blue-700 dark:text-blue-400 mt-1">
+              for {metricConfig.label} of {formatValue(metricConfig.unit, result.target)} or better
+              (currently {formatValue(result.variable.unit, result.currentValue)}, giving {formatValue(metricConfig.unit, result.currentMetric)})
+            </p>
+          </div>
+
+          {/* Proof table: the calculation re-run at the answer and either side of it */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm tabular-nums">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-xs font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400">
+                  <th className="py-2 pr-4">Case</th>
+                  <th className="py-2 pr-4 text-right">{result.variable.label}</th>
+                  <th className="py-2 pr-4 text-right">{metricConfig.label}</th>
+                  <th className="py-2 pr-4 text-right">NOI</th>
+                  <th className="py-2 pr-4 text-right">Debt Service</th>
+                  <th className="py-2 text-right">Annual Cash Flow</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.proof.map((row) => (
+                  <tr
+                    key={row.label}
+                    className={`border-b border-gray-100 dark:border-gray-700/50 ${
+                      row.label === 'Required' ? 'bg-blue-50 dark:bg-blue-900/20 font-semibold text-gray-900 dark:text-white' : 'text-gray-700 dark:text-gray-300'
+                    }`}
+                  >
+                    <td className="py-2 pr-4">{row.label}</td>
+                    <td className="py-2 pr-4 text-right">{formatValue(result.variable.unit, row.inputValue)}</td>
+                    <td className="py-2 pr-4 text-right">{formatValue(metricConfig.unit, row.metric)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(row.noi)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(row.annualDebtService)}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.annualCashFlow)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GoalSeekPanel;
@@ -0,0 +1,340 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { Plus, Trash2, Save, FileDown } from "lucide-react";
+import Input from "@/components/Input";
+import { useProperties } from "@/context/PropertyContext";
+import { useToast } from "@/context/ToastContext";
+import { deleteScenario, getScenariosByProperty, saveScenario } from "@/lib/scenario-storage";
+import { OFFER_PENALTY_METHOD_LABELS, WORST_CASE_RATE_DROP, compareLenderOffers } from "@/utils/lenderOffers";
+import { exportLenderOffersAsPDF } from "@/utils/lenderOfferExport";
+
+const SCENARIO_TYPE = "lender-offers";
+
+const PAYMENT_FREQUENCIES = [
+  { value: "MONTHLY", label: "Monthly" },
+  { value: "SEMI_MONTHLY", label: "Semi-monthly" },
+  { value: "BI_WEEKLY", label: "Bi-weekly" },
+  { value: "ACCELERATED_BI_WEEKLY", label: "Accelerated bi-weekly" },
+  { value: "WEEKLY", label: "Weekly" },
+  { value: "ACCELERATED_WEEKLY", label: "Accelerated weekly" },
+];
+
+function formatCurrency(n) {
+  if (Number.isNaN(n) || !Number.isFinite(n)) return "-";
+  return n.toLocaleString("en-CA", { style: "currency", currency: "CAD", maximumFractionDigits: 0 });
+}
+
+function formatRate(rate) {
+  return Number.isFinite(rate) ? `${(rate * 100).toFixed(2)}%` : "-";
+}
+
+// Offers are edited as percentages and strings, and compared as decimals and numbers
+function newOffer() {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    lender: "",
+    ratePercent: "",
+    rateType: "FIXED",
+    termYears: "5",
+    amortizationYears: "25",
+    paymentFrequency: "MONTHLY",
+    cashback: "",
+    fees: "",
+    lumpSumPercent: "",
+    paymentIncreasePercent: "",
+    doubleUp: false,
+    penaltyMethod: "POSTED_RATE_DISCOUNT",
+    portable: true,
+  };
+}
+
+function toLenderOffer(offer) {
+  return {
+    id: offer.id,
+    lender: offer.lender,
+    rate: (Number(offer.ratePercent) || 0) / 100,
+    rateType: offer.rateType,
+    termMonths: Math.round((Number(offer.termYears) || 0) * 12),
+    amortizationYears: Number(offer.amortizationYears) || 0,
+    paymentFrequency: offer.paymentFrequency,
+    cashback: Number(offer.cashback) || 0,
+    fees: Number(offer.fees) || 0,
+    prepaymentPrivileges: {
+      lumpSumRatio: offer.lumpSumPercent === "" ? null : Number(offer.lumpSumPercent) / 100,
+      paymentIncreaseRatio: offer.paymentIncreasePercent === "" ? null : Number(offer.paymentIncreasePercent) / 100,
+      doubleUp: !!offer.doubleUp,
+    },
+    penaltyMethod: offer.penaltyMethod,
+    portable: !!offer.portable,
+  };
+}
+
+/**
+ * Compare lender quotes side by side
+ * Each offer runs over its own term from the same principal; comparisons can be saved to a
+ * property and reopened at the next renewal, or exported to PDF.
+ */
+export default function LenderOfferComparison({ propertyId: initialPropertyId = "" }) {
+  const properties = useProperties();
+  const { showToast } = useToast();
+
+  const [propertyId, setPropertyId] = useState(initialPropertyId);
+  const [principal, setPrincipal] = useState("");
+  const [startDate, setStartDate] = useState(new Date().toISOString().split("T")[0]);
+  const [offers, setOffers] = useState(() => [newOffer(), newOffer()]);
+  const [comparisonName, setComparisonName] = useState("");
+  const [savedComparisons, setSavedComparisons] = useState([]);
+
+  useEffect(() => {
+    setPropertyId(initialPropertyId);
+  }, [initialPropertyId]);
+
+  useEffect(() => {
+    setSavedComparisons(propertyId ? getScenariosByProperty(propertyId).filter((s) => s.type === SCENARIO_TYPE) : []);
+  }, [propertyId]);
+
+  const property = (properties || []).find((p) => p.id === propertyId) || null;
+  const lenderOffers = useMemo(() => offers.map(toLenderOffer), [offers]);
+  const comparison = useMemo(
+    () => compareLenderOffers(lenderOffers.filter((offer) => offer.rate > 0), Number(principal) || 0, startDate || new Date()),
+    [lenderOffers, principal, startDate]
+  );
+
+  const updateOffer = (id, updates) => {
+    setOffers((prev) => prev.map((offer) => (offer.id === id ? { ...offer, ...updates } : offer)));
+  };
+
+  const handleSave = () => {
+    if (!propertyId) {
+      showToast("Choose a property to save the comparison to", "error");
+      return;
+    }
+    const name = comparisonName.trim() || `Lender offers ${startDate}`;
+    const saved = saveScenario({
+      name,
+      propertyId,
+      propertyName: property?.nickname || property?.name || "",
+      assumptions: { principal, startDate, offers },
+      type: SCENARIO_TYPE,
+      description: `${offers.length} offers`,
+    });
+    if (saved) {
+      setSavedComparisons(getScenariosByProperty(propertyId).filter((s) => s.type === SCENARIO_TYPE));
+      setComparisonName("");
+      showToast("Comparison saved", "success");
+    } else {
+      showToast("Failed to save comparison", "error");
+    }
+  };
+
+  const handleLoad = (scenario) => {
+    setPrincipal(scenario.assumptions?.principal ?? "");
+    setStartDate(scenario.assumptions?.startDate || new Date().toISOString().split("T")[0]);
+    setOffers(Array.isArray(scenario.assumptions?.offers) && scenario.assumptions.offers.length > 0
+      ? scenario.assumptions.offers.map((offer) => ({ ...newOffer(), ...offer }))
+      : [newOffer()]);
+    setComparisonName(scenario.name);
+  };
+
+  const handleDelete = (id) => {
+    deleteScenario(id);
+    setSavedComparisons((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  const handleExport = () => {
+    exportLenderOffersAsPDF(lenderOffers, comparison, {
+      title: comparisonName.trim() || "Lender Offer Comparison",
+      propertyName: property?.nickname || property?.name || "",
+    });
+  };
+
+  const selectClassName = "w-full rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 text-sm text-slate-700 dark:text-slate-300 outline-none focus:border-[#205A3E]";
+  const labelClassName = "text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400";
+  const highlight = (offerId, bestId) => (offerId === bestId && comparison.results.length > 1 ? "font-semibold text-emerald-600" : "font-medium");
+
+  return (
+    <div className="rounded-lg border border-black/10 dark:border-white/10 p-4">
+      <h2 className="text-lg font-semibold">Lender Offer Comparison</h2>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-3">
+        <div className="grid gap-2">
+          <label htmlFor="loc-property" className={labelClassName}>Property</label>
+          <select id="loc-property" value={propertyId} onChange={(e) => setPropertyId(e.target.value)} className={selectClassName}>
+            <option value="">No property</option>
+            {(properties || []).map((p) => (
+              <option key={p.id} value={p.id}>{p.nickname || p.name || p.address}</option>
+            ))}
+          </select>
+        </div>
+        <Input label="Mortgage amount" id="loc-principal" type="number" value={principal} placeholder="500000" onChange={(e) => setPrincipal(e.target.value)} />
+        <Input label="Start date" id="loc-start" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+      </div>
+
+      <div className="mt-6 grid gap-4 lg:grid-cols-2">
+        {offers.map((offer, index) => (
+          <div key={offer.id} className="rounded-lg border border-gray-200 dark:border-gray-800 p-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold">Offer {index + 1}</h3>
+              {offers.length > 1 && (
+                <button type="button" onClick={() => setOffers((prev) => prev.filter((o) => o.id !== offer.id))} className="p-1 text-gray-400 hover:text-red-600" aria-label={`Remove offer ${index + 1}`}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            <div className="mt-3 grid gap-3 grid-cols-2">
+              <Input label="Lender" id={`loc-lender-${offer.id}`} value={offer.lender} placeholder="e.g., TD" onChange={(e) => updateOffer(offer.id, { lender: e.target.value })} />
+              <Input label="Rate (%)" id={`loc-rate-${offer.id}`} type="number" step="0.01" value={offer.ratePercent} placeholder="4.49" onChange={(e) => updateOffer(offer.id, { ratePercent: e.target.value })} />
+              <div className="grid gap-2">
+                <label htmlFor={`loc-type-${offer.id}`} className={labelClassName}>Rate type</label>
+                <select id={`loc-type-${offer.id}`} value={offer.rateType} onChange={(e) => updateOffer(offer.id, { rateType: e.target.value })} className={selectClassName}>
+                  <option value="FIXED">Fixed</option>
+                  <option value="VARIABLE">Variable</option>
+                </select>
+              </div>
+              <Input label="Term (years)" id={`loc-term-${offer.id}`} type="number" value={offer.termYears} onChange={(e) => updateOffer(offer.id, { termYears: e.target.value })} />
+              <Input label="Amortization (years)" id={`loc-amort-${offer.id}`} type="number" value={offer.amortizationYears} onChange={(e) => updateOffer(offer.id, { amortizationYears: e.target.value })} />
+              <div className="grid gap-2">
+                <label htmlFor={`loc-freq-${offer.id}`} className={labelClassName}>Payment frequency</label>
+                <select id={`loc-freq-${offer.id}`} value={offer.paymentFrequency} onChange={(e) => updateOffer(offer.id, { paymentFrequency: e.target.value })} className={selectClassName}>
+                  {PAYMENT_FREQUENCIES.map((frequency) => (
+                    <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                  ))}
+                </select>
+              </div>
+              <Input label="Cashback" id={`loc-cashback-${offer.id}`} type="number" value={offer.cashback} placeholder="0" onChange={(e) => updateOffer(offer.id, { cashback: e.target.value })} />
+              <Input label="Fees" id={`loc-fees-${offer.id}`} type="number" value={offer.fees} placeholder="0" onChange={(e) => updateOffer(offer.id, { fees: e.target.value })} />
+              <Input label="Lump sum privilege (%)" id={`loc-lump-${offer.id}`} type="number" value={offer.lumpSumPercent} placeholder="15" onChange={(e) => updateOffer(offer.id, { lumpSumPercent: e.target.value })} />
+              <Input label="Payment increase (%)" id={`loc-increase-${offer.id}`} type="number" value={offer.paymentIncreasePercent} placeholder="20" onChange={(e) => updateOffer(offer.id, { paymentIncreasePercent: e.target.value })} />
+              <div className="grid gap-2 col-span-2">
+                <label htmlFor={`loc-penalty-${offer.id}`} className={labelClassName}>Penalty method</label>
+                <select id={`loc-penalty-${offer.id}`} value={offer.penaltyMethod} onChange={(e) => updateOffer(offer.id, { penaltyMethod: e.target.value })} className={selectClassName}>
+                  {Object.entries(OFFER_PENALTY_METHOD_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={offer.doubleUp} onChange={(e) => updateOffer(offer.id, { doubleUp: e.target.checked })} className="w-4 h-4 rounded border-gray-300 text-[#205A3E] focus:ring-[#205A3E]" />
+                Double-up
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input type="checkbox" checked={offer.portable} onChange={(e) => updateOffer(offer.id, { portable: e.target.checked })} className="w-4 h-4 rounded border-gray-300 text-[#205A3E] focus:ring-[#205A3E]" />
+                Portable
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setOffers((prev) => [...prev, newOffer()])}
+        className="mt-4 inline-flex items-center gap-2 rounded-lg border border-[#205A3E] px-3 py-2 text-sm font-medium text-[#205A3E] hover:bg-[#205A3E]/5"
+      >
+        <Plus className="w-4 h-4" />
+        Add offer
+      </button>
+
+      {comparison.results.length > 0 && Number(principal) > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="py-2 pr-4 font-medium"></th>
+                {comparison.results.map((result, index) => (
+                  <th key={result.offerId} className="py-2 px-2 font-medium text-right">{result.lender || `Offer ${index + 1}`}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">Payment</td>
+                {comparison.results.map((result) => <td key={result.offerId} className="py-1 px-2 text-right font-medium">{formatCurrency(result.payment)}</td>)}
+              </tr>
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">Total interest over term</td>
+                {comparison.results.map((result) => <td key={result.offerId} className={`py-1 px-2 text-right ${highlight(result.offerId, comparison.lowestInterest)}`}>{formatCurrency(result.totalInterest)}</td>)}
+              </tr>
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">Balance at term end</td>
+                {comparison.results.map((result) => <td key={result.offerId} className="py-1 px-2 text-right font-medium">{formatCurrency(result.balanceAtTermEnd)}</td>)}
+              </tr>
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">APR (with fees &amp; cashback)</td>
+                {comparison.results.map((result) => <td key={result.offerId} className={`py-1 px-2 text-right ${highlight(result.offerId, comparison.lowestApr)}`}>{formatRate(result.apr)}</td>)}
+              </tr>
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">Lump-sum privilege</td>
+                {comparison.results.map((result) => <td key={result.offerId} className="py-1 px-2 text-right font-medium">{result.lumpSumLimit === null ? "-" : `${formatCurrency(result.lumpSumLimit)}/yr`}</td>)}
+              </tr>
+              {[2, 3].map((year) => (
+                <tr key={year} className="border-t border-black/5 dark:border-white/5">
+                  <td className="py-1 pr-4">Penalty to break in year {year}</td>
+                  {comparison.results.map((result) => {
+                    const penalty = result.breakPenalties.find((item) => item.year === year);
+                    return (
+                      <td key={result.offerId} className="py-1 px-2 text-right font-medium">
+                        {penalty ? `${formatCurrency(penalty.penalty)} – ${formatCurrency(penalty.worstCasePenalty)}` : "Term ended"}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr className="border-t border-black/5 dark:border-white/5">
+                <td className="py-1 pr-4">Portable</td>
+                {comparison.results.map((result) => <td key={result.offerId} className="py-1 px-2 text-right font-medium">{result.portable ? "Yes" : "No"}</td>)}
+              </tr>
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Penalties use today&apos;s posted rates for the lender; the higher figure assumes rates have fallen {(WORST_CASE_RATE_DROP * 100).toFixed(2)}% by then.
+          </p>
+        </div>
+      )}
+
+      <div className="mt-6 flex flex-wrap items-end gap-3">
+        <div className="min-w-[220px] flex-1">
+          <Input label="Comparison name" id="loc-name" value={comparisonName} placeholder={`Lender offers ${startDate}`} onChange={(e) => setComparisonName(e.target.value)} />
+        </div>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!propertyId}
+          className="inline-flex items-center gap-2 rounded-lg bg-[#205A3E] px-4 py-2 text-sm font-medium text-white hover:bg-[#1a4a32] disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          Save to property
+        </button>
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={comparison.results.length === 0 || !(Number(principal) > 0)}
+          className="inline-flex items-center gap-2 rounded-lg border border-gray-300 dark:border-gray-700 px-4 py-2 text-sm font-medium hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50"
+        >
+          <FileDown className="w-4 h-4" />
+          Export PDF
+        </button>
+      </div>
+
+      {savedComparisons.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold">Saved comparisons</h3>
+          <ul className="mt-2 divide-y divide-black/5 dark:divide-white/5 text-sm">
+            {savedComparisons.map((scenario) => (
+              <li key={scenario.id} className="flex items-center justify-between py-2">
+                <button type="button" onClick={() => handleLoad(scenario)} className="text-left hover:text-[#205A3E]">
+                  {scenario.name}
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{new Date(scenario.createdAt).toLocaleDateString("en-CA")}</span>
+                </button>
+                <button type="button" onClick={() => handleDelete(scenario.id)} className="p-1 text-gray-400 hover:text-red-600" aria-label={`Delete ${scenario.name}`}>
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
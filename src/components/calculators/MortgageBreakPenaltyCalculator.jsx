@@ -2,43 +2,149 @@
 
 import { useMemo, useState } from "react";
 import Input from "@/components/Input";
+import { useProperty } from "@/context/PropertyContext";
+import { getPropertyDebts } from "@/utils/propertyDebts";
+import {
+  IRD_METHOD_LABELS,
+  LENDER_RATE_TABLES,
+  calculateBreakPenalty,
+  getLenderRateTable,
+  getMortgageBreakDetails,
+} from "@/utils/breakPenalty";
 
 function formatCurrency(n) {
   if (Number.isNaN(n) || !Number.isFinite(n)) return "-";
-  return n.toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+  return n.toLocaleString("en-CA", { style: "currency", currency: "CAD", maximumFractionDigits: 0 });
 }
 
-export default function MortgageBreakPenaltyCalculator() {
-  const [balance, setBalance] = useState(300000);
-  const [contractRate, setContractRate] = useState(5.0);
-  const [comparisonRate, setComparisonRate] = useState(3.5);
-  const [monthsRemaining, setMonthsRemaining] = useState(24);
-
-  const results = useMemo(() => {
-    const r = contractRate / 100;
-    const threeMonthsInterest = balance * r * (3 / 12);
-    const rateDiff = Math.max(0, (contractRate - comparisonRate) / 100);
-    const ird = balance * rateDiff * (monthsRemaining / 12);
-    const penalty = Math.max(threeMonthsInterest, ird);
-    return { threeMonthsInterest, ird, penalty };
-  }, [balance, contractRate, comparisonRate, monthsRemaining]);
+function formatRate(rate) {
+  return typeof rate === "number" ? `${(rate * 100).toFixed(2)}%` : "-";
+}
+
+// Blank inputs fall back to the value from the mortgage or the posted-rate table
+function parseOverride(value, scale = 1) {
+  if (value === "" || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number * scale : null;
+}
+
+/**
+ * Estimate the penalty to break a mortgage today
+ * With a propertyId, the balance, contract rate and time left in the term come from the
+ * selected mortgage, and the IRD method and posted rates from its lender; any of them can be overridden.
+ */
+export default function MortgageBreakPenaltyCalculator({ propertyId }) {
+  const property = useProperty(propertyId);
+  const mortgages = useMemo(
+    () => getPropertyDebts(property).filter((debt) => debt.debtType !== "LINE_OF_CREDIT"),
+    [property]
+  );
+
+  const [selectedId, setSelectedId] = useState("");
+  const [tableId, setTableId] = useState("");
+  const [method, setMethod] = useState("");
+  const [balance, setBalance] = useState("");
+  const [contractRate, setContractRate] = useState("");
+  const [monthsRemaining, setMonthsRemaining] = useState("");
+  const [comparisonRate, setComparisonRate] = useState("");
+
+  const mortgage = mortgages.find((debt) => debt.id === selectedId) || mortgages[0] || null;
+  const details = useMemo(() => (mortgage ? getMortgageBreakDetails(mortgage) : null), [mortgage]);
+
+  const table = getLenderRateTable(tableId) || details?.table || LENDER_RATE_TABLES[0];
+  const results = useMemo(() => calculateBreakPenalty({
+    balance: parseOverride(balance) ?? details?.balance ?? 0,
+    contractRate: parseOverride(contractRate, 0.01) ?? details?.contractRate ?? 0,
+    monthsRemaining: parseOverride(monthsRemaining) ?? details?.monthsRemaining ?? 0,
+    rateType: details?.rateType,
+    mortgageType: mortgage?.mortgageType,
+    method: method || table.method,
+    table,
+    termStartDate: details?.termStartDate,
+    termMonths: details?.termMonths,
+    comparisonRate: parseOverride(comparisonRate, 0.01),
+  }), [balance, contractRate, monthsRemaining, comparisonRate, method, table, details, mortgage]);
+
+  const selectMortgage = (id) => {
+    setSelectedId(id);
+    setTableId("");
+    setMethod("");
+    setBalance("");
+    setContractRate("");
+    setMonthsRemaining("");
+    setComparisonRate("");
+  };
+
+  const selectClassName = "w-full rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 text-sm text-slate-700 dark:text-slate-300 outline-none focus:border-[#205A3E]";
 
   return (
     <div className="rounded-lg border border-black/10 dark:border-white/10 p-4">
       <h2 className="text-lg font-semibold">Mortgage Break Penalty</h2>
+      {mortgages.length > 1 && (
+        <div className="mt-4 grid gap-2">
+          <label htmlFor="mbp-mortgage" className="text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400">Mortgage</label>
+          <select id="mbp-mortgage" value={mortgage?.id || ""} onChange={(e) => selectMortgage(e.target.value)} className={selectClassName}>
+            {mortgages.map((debt) => (
+              <option key={debt.id} value={debt.id}>
+                {debt.lender || "Mortgage"} - {formatCurrency(debt.originalAmount)}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
       <div className="mt-4 grid gap-4 md:grid-cols-2">
-        <Input label="Mortgage balance" id="mbp-balance" type="number" value={balance} onChange={(e) => setBalance(Number(e.target.value))} />
-        <Input label="Contract rate (APR %)" id="mbp-rate" type="number" step="0.01" value={contractRate} onChange={(e) => setContractRate(Number(e.target.value))} />
-        <Input label="Comparison rate (APR %)" id="mbp-comp" type="number" step="0.01" value={comparisonRate} onChange={(e) => setComparisonRate(Number(e.target.value))} />
-        <Input label="Months remaining in term" id="mbp-months" type="number" value={monthsRemaining} onChange={(e) => setMonthsRemaining(Number(e.target.value))} />
+        <div className="grid gap-2">
+          <label htmlFor="mbp-lender" className="text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400">Lender rate table</label>
+          <select id="mbp-lender" value={table.id} onChange={(e) => setTableId(e.target.value)} className={selectClassName}>
+            {LENDER_RATE_TABLES.map((lenderTable) => (
+              <option key={lenderTable.id} value={lenderTable.id}>{lenderTable.name}</option>
+            ))}
+          </select>
+          {mortgage && !details?.table && !tableId && (
+            <p className="text-xs text-amber-600">{mortgage.lender || "This lender"} isn&apos;t in the posted-rate table; estimating with big-bank rates.</p>
+          )}
+        </div>
+        <div className="grid gap-2">
+          <label htmlFor="mbp-method" className="text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400">IRD method</label>
+          <select id="mbp-method" value={method || table.method} onChange={(e) => setMethod(e.target.value)} className={selectClassName}>
+            {Object.entries(IRD_METHOD_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <Input label="Mortgage balance" id="mbp-balance" type="number" value={balance} placeholder={details ? String(Math.round(details.balance)) : "300000"} onChange={(e) => setBalance(e.target.value)} />
+        <Input label="Contract rate (%)" id="mbp-rate" type="number" step="0.01" value={contractRate} placeholder={details ? (details.contractRate * 100).toFixed(2) : "5.00"} onChange={(e) => setContractRate(e.target.value)} />
+        <Input label="Months remaining in term" id="mbp-months" type="number" value={monthsRemaining} placeholder={details ? details.monthsRemaining.toFixed(1) : "24"} onChange={(e) => setMonthsRemaining(e.target.value)} />
+        <Input label="Comparison rate (%)" id="mbp-comp" type="number" step="0.01" value={comparisonRate} placeholder={results.comparisonRate !== null ? (results.comparisonRate * 100).toFixed(2) : "From rate table"} onChange={(e) => setComparisonRate(e.target.value)} />
       </div>
+      {details && (
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {details.rateType === "VARIABLE" ? "Variable" : "Fixed"} term from {details.termStartDate} to {details.termEndDate}
+        </p>
+      )}
       <div className="mt-6 grid gap-2 text-sm">
+        {results.discount !== null && (
+          <div className="flex justify-between"><span>Posted rate at signing ({details?.termMonths / 12}-year)</span><span className="font-medium">{formatRate(results.postedRateAtSigning)}</span></div>
+        )}
+        {results.discount !== null && (
+          <div className="flex justify-between"><span>Discount clawed back</span><span className="font-medium">{formatRate(results.discount)}</span></div>
+        )}
+        {results.comparisonRate !== null && (
+          <div className="flex justify-between">
+            <span>Comparison rate{results.comparisonTermMonths ? ` (${results.comparisonTermMonths}-month posted)` : ""}</span>
+            <span className="font-medium">{formatRate(results.comparisonRate)}</span>
+          </div>
+        )}
         <div className="flex justify-between"><span>Three months interest</span><span className="font-medium">{formatCurrency(results.threeMonthsInterest)}</span></div>
-        <div className="flex justify-between"><span>Interest rate differential (IRD)</span><span className="font-medium">{formatCurrency(results.ird)}</span></div>
+        <div className="flex justify-between">
+          <span>Interest rate differential (IRD)</span>
+          <span className="font-medium">{results.ird === null ? "Not applicable" : formatCurrency(results.ird)}</span>
+        </div>
         <div className="flex justify-between"><span>Estimated penalty</span><span className="font-semibold">{formatCurrency(results.penalty)}</span></div>
+        {results.penaltyType === "NONE" && mortgage?.mortgageType === "OPEN" && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">Open mortgages can be paid off without a penalty.</p>
+        )}
       </div>
     </div>
   );
 }
-
-
@@ -0,0 +1,224 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import Input from "@/components/Input";
+import apiClient from "@/lib/api-client";
+import { useProperties } from "@/context/PropertyContext";
+import {
+  DEFAULT_MONTHLY_HEATING,
+  DEFAULT_RENTAL_INCLUSION,
+  GDS_LIMIT,
+  QUALIFYING_RATE_FLOOR,
+  RENTAL_INCOME_METHODS,
+  TDS_LIMIT,
+  calculateMortgageQualification,
+  getRentalPropertyObligations,
+} from "@/lib/mortgage-qualification";
+
+function formatCurrency(n) {
+  if (Number.isNaN(n) || !Number.isFinite(n)) return "-";
+  return n.toLocaleString("en-CA", { style: "currency", currency: "CAD", maximumFractionDigits: 0 });
+}
+
+function formatRatio(ratio) {
+  return Number.isFinite(ratio) ? `${(ratio * 100).toFixed(1)}%` : "-";
+}
+
+// Blank inputs fall back to the profile or the lender default
+function parseOverride(value, scale = 1) {
+  if (value === "" || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number * scale : null;
+}
+
+/**
+ * Stress-test a mortgage against the borrower's income
+ * Income and outside debts come from the user profile; rent and carrying costs of the
+ * properties already in the portfolio are counted with the selected rental income method.
+ * When refinancing one of those properties, it is left out so the mortgage being replaced
+ * is not counted on top of the new one.
+ */
+export default function MortgageQualificationCalculator() {
+  const properties = useProperties();
+  const [profile, setProfile] = useState(null);
+
+  const [annualIncome, setAnnualIncome] = useState("");
+  const [monthlyDebtPayments, setMonthlyDebtPayments] = useState("");
+  const [mortgageAmount, setMortgageAmount] = useState("");
+  const [downPayment, setDownPayment] = useState("");
+  const [contractRate, setContractRate] = useState("");
+  const [rateType, setRateType] = useState("FIXED");
+  const [amortizationYears, setAmortizationYears] = useState("25");
+  const [monthlyPropertyTax, setMonthlyPropertyTax] = useState("");
+  const [monthlyHeating, setMonthlyHeating] = useState("");
+  const [monthlyCondoFees, setMonthlyCondoFees] = useState("");
+  const [monthlyRent, setMonthlyRent] = useState("");
+  const [rentalMethod, setRentalMethod] = useState("OFFSET");
+  const [inclusionPercent, setInclusionPercent] = useState("");
+  const [includePortfolio, setIncludePortfolio] = useState(true);
+  const [subjectPropertyId, setSubjectPropertyId] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    apiClient.getUserProfile()
+      .then((response) => {
+        if (!cancelled && response.success && response.data) {
+          setProfile(response.data);
+        }
+      })
+      .catch(() => {
+        // Income can still be entered by hand
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const rentalProperties = useMemo(
+    () => (includePortfolio
+      ? (properties || [])
+        .filter((property) => String(property.id) !== subjectPropertyId)
+        .map(getRentalPropertyObligations)
+      : []),
+    [properties, includePortfolio, subjectPropertyId]
+  );
+
+  const income = parseOverride(annualIncome) ?? profile?.annual_income ?? 0;
+  const outsideDebts = parseOverride(monthlyDebtPayments) ?? profile?.monthly_debt_payments ?? 0;
+
+  const results = useMemo(() => calculateMortgageQualification({
+    annualIncome: income,
+    monthlyDebtPayments: outsideDebts,
+    mortgageAmount: parseOverride(mortgageAmount) ?? 0,
+    downPayment: parseOverride(downPayment),
+    contractRate: parseOverride(contractRate, 0.01) ?? 0,
+    rateType,
+    amortizationYears: parseOverride(amortizationYears) || 25,
+    monthlyPropertyTax: parseOverride(monthlyPropertyTax) ?? 0,
+    monthlyHeating: parseOverride(monthlyHeating) ?? DEFAULT_MONTHLY_HEATING,
+    monthlyCondoFees: parseOverride(monthlyCondoFees) ?? 0,
+    monthlyRent: parseOverride(monthlyRent) ?? 0,
+    rentalProperties,
+    rentalMethod,
+    rentalInclusionRate: parseOverride(inclusionPercent, 0.01) ?? undefined,
+  }), [income, outsideDebts, mortgageAmount, downPayment, contractRate, rateType, amortizationYears, monthlyPropertyTax, monthlyHeating, monthlyCondoFees, monthlyRent, rentalProperties, rentalMethod, inclusionPercent]);
+
+  const hasMortgage = (parseOverride(mortgageAmount) ?? 0) > 0;
+  const selectClassName = "w-full rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 px-3 py-2 text-sm text-slate-700 dark:text-slate-300 outline-none focus:border-[#205A3E]";
+  const labelClassName = "text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400";
+
+  return (
+    <div className="rounded-lg border border-black/10 dark:border-white/10 p-4">
+      <h2 className="text-lg font-semibold">Mortgage Qualification</h2>
+      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        Qualifies at the greater of the contract rate + 2% or {(QUALIFYING_RATE_FLOOR * 100).toFixed(2)}%, against GDS {(GDS_LIMIT * 100).toFixed(0)}% and TDS {(TDS_LIMIT * 100).toFixed(0)}% limits.
+      </p>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-2">
+        <Input label="Annual income" id="mq-income" type="number" value={annualIncome} placeholder={profile?.annual_income != null ? String(profile.annual_income) : "Set in My Account"} onChange={(e) => setAnnualIncome(e.target.value)} />
+        <Input label="Other monthly debt payments" id="mq-debts" type="number" value={monthlyDebtPayments} placeholder={profile?.monthly_debt_payments != null ? String(profile.monthly_debt_payments) : "0"} onChange={(e) => setMonthlyDebtPayments(e.target.value)} />
+        <Input label="Mortgage amount" id="mq-amount" type="number" value={mortgageAmount} placeholder="Leave blank to find the maximum" onChange={(e) => setMortgageAmount(e.target.value)} />
+        <Input label="Down payment" id="mq-down" type="number" value={downPayment} placeholder="Optional" onChange={(e) => setDownPayment(e.target.value)} />
+        <Input label="Contract rate (%)" id="mq-rate" type="number" step="0.01" value={contractRate} placeholder="4.50" onChange={(e) => setContractRate(e.target.value)} />
+        <div className="grid gap-2">
+          <label htmlFor="mq-rate-type" className={labelClassName}>Rate type</label>
+          <select id="mq-rate-type" value={rateType} onChange={(e) => setRateType(e.target.value)} className={selectClassName}>
+            <option value="FIXED">Fixed</option>
+            <option value="VARIABLE">Variable</option>
+          </select>
+        </div>
+        <Input label="Amortization (years)" id="mq-amortization" type="number" value={amortizationYears} onChange={(e) => setAmortizationYears(e.target.value)} />
+        <Input label="Property tax (monthly)" id="mq-tax" type="number" value={monthlyPropertyTax} placeholder="0" onChange={(e) => setMonthlyPropertyTax(e.target.value)} />
+        <Input label="Heating (monthly)" id="mq-heat" type="number" value={monthlyHeating} placeholder={String(DEFAULT_MONTHLY_HEATING)} onChange={(e) => setMonthlyHeating(e.target.value)} />
+        <Input label="Condo fees (monthly)" id="mq-condo" type="number" value={monthlyCondoFees} placeholder="0" onChange={(e) => setMonthlyCondoFees(e.target.value)} />
+        <Input label="Expected rent (monthly)" id="mq-rent" type="number" value={monthlyRent} placeholder="0 for a principal residence" onChange={(e) => setMonthlyRent(e.target.value)} />
+        <div className="grid gap-2">
+          <label htmlFor="mq-method" className={labelClassName}>Rental income method</label>
+          <select id="mq-method" value={rentalMethod} onChange={(e) => setRentalMethod(e.target.value)} className={selectClassName}>
+            {Object.entries(RENTAL_INCOME_METHODS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <Input label="Rent counted (%)" id="mq-inclusion" type="number" value={inclusionPercent} placeholder={String(DEFAULT_RENTAL_INCLUSION[rentalMethod] * 100)} onChange={(e) => setInclusionPercent(e.target.value)} />
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 self-end pb-2">
+          <input type="checkbox" checked={includePortfolio} onChange={(e) => setIncludePortfolio(e.target.checked)} className="w-4 h-4 rounded border-gray-300 text-[#205A3E] focus:ring-[#205A3E]" />
+          Include my existing properties
+        </label>
+        {includePortfolio && (properties || []).length > 0 && (
+          <div className="grid gap-2">
+            <label htmlFor="mq-subject" className={labelClassName}>Refinancing</label>
+            <select id="mq-subject" value={subjectPropertyId} onChange={(e) => setSubjectPropertyId(e.target.value)} className={selectClassName}>
+              <option value="">None (new purchase)</option>
+              {(properties || []).map((property) => (
+                <option key={property.id} value={String(property.id)}>{property.nickname || property.name || property.address}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {!income && (
+        <p className="mt-3 text-xs text-amber-600">Add your annual income in My Account, or enter it above, to check qualification.</p>
+      )}
+
+      <div className="mt-6 grid gap-2 text-sm">
+        <div className="flex justify-between"><span>Qualifying rate</span><span className="font-medium">{(results.qualifyingRate * 100).toFixed(2)}%</span></div>
+        <div className="flex justify-between"><span>Gross monthly income{results.rentalIncomeAddBack > 0 ? " (with rental add-back)" : ""}</span><span className="font-medium">{formatCurrency(results.monthlyIncome)}</span></div>
+        {hasMortgage && (
+          <>
+            <div className="flex justify-between"><span>Payment at contract rate</span><span className="font-medium">{formatCurrency(results.contractPayment)}</span></div>
+            <div className="flex justify-between"><span>Payment at qualifying rate</span><span className="font-medium">{formatCurrency(results.qualifyingPayment)}</span></div>
+            <div className="flex justify-between">
+              <span>GDS (limit {formatRatio(results.gdsLimit)})</span>
+              <span className={`font-medium ${results.gds <= results.gdsLimit ? "text-emerald-600" : "text-red-600"}`}>{formatRatio(results.gds)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>TDS (limit {formatRatio(results.tdsLimit)})</span>
+              <span className={`font-medium ${results.tds <= results.tdsLimit ? "text-emerald-600" : "text-red-600"}`}>{formatRatio(results.tds)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Result</span>
+              <span className={`font-semibold ${results.qualifies ? "text-emerald-600" : "text-red-600"}`}>{results.qualifies ? "Qualifies" : "Does not qualify"}</span>
+            </div>
+          </>
+        )}
+        <div className="flex justify-between border-t border-black/10 dark:border-white/10 pt-2">
+          <span>Maximum mortgage (limited by {results.limitedBy})</span>
+          <span className="font-semibold">{formatCurrency(results.maxMortgage)}</span>
+        </div>
+        {results.maxPurchasePrice !== null && (
+          <div className="flex justify-between"><span>Maximum purchase price</span><span className="font-semibold">{formatCurrency(results.maxPurchasePrice)}</span></div>
+        )}
+      </div>
+
+      {results.portfolio.length > 0 && (
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold">Existing properties ({RENTAL_INCOME_METHODS[rentalMethod].toLowerCase()})</h3>
+          <table className="mt-2 w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="py-1 font-medium">Property</th>
+                <th className="py-1 font-medium text-right">Rent</th>
+                <th className="py-1 font-medium text-right">Carrying costs</th>
+                <th className="py-1 font-medium text-right">Income added</th>
+                <th className="py-1 font-medium text-right">Debt counted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.portfolio.map((property) => (
+                <tr key={property.id} className="border-t border-black/5 dark:border-white/5">
+                  <td className="py-1">{property.name}</td>
+                  <td className="py-1 text-right">{formatCurrency(property.monthlyRent)}</td>
+                  <td className="py-1 text-right">{formatCurrency(property.monthlyCosts)}</td>
+                  <td className="py-1 text-right">{formatCurrency(property.incomeAddBack)}</td>
+                  <td className="py-1 text-right">{formatCurrency(property.debtObligation)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
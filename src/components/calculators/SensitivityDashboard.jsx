@@ -2,9 +2,71 @@
 
 import { useMemo, useState, useEffect, useRef } from 'react';
 import { formatCurrency, formatPercentage } from '@/utils/formatting';
-import { calculateReturnMetrics, compareScenarios, calculateYoYMetrics, DEFAULT_ASSUMPTIONS } from '@/lib/sensitivity-analysis';
-import { TrendingUp, TrendingDown, Minus, Target, ChevronDown, Lightbulb, Check, ArrowRight, AlertTriangle } from 'lucide-react';
+import { calculateReturnMetrics, compareScenarios, calculateYoYMetrics, runMonteCarloSimulation, runTornadoAnalysis, rankTornadoVariables, DEFAULT_ASSUMPTIONS } from '@/lib/sensitivity-analysis';
+import { ComposedChart, BarChart, Area, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { TrendingUp, TrendingDown, Minus, Target, ChevronDown, Lightbulb, Check, ArrowRight, AlertTriangle, Dices, BarChart3 } from 'lucide-react';
 import MetricCardSkeleton from '@/components/analytics/MetricCardSkeleton';
+import SensitivityHeatmap from './SensitivityHeatmap';
+
+const SIMULATION_RUN_OPTIONS = [500, 1000, 2000, 5000];
+
+const FAN_METRICS = {
+  cumulativeCashFlow: 'Cumulative Cash Flow',
+  equity: 'Equity',
+};
+
+// Compact currency for chart axes ($45k, $1.2M)
+const formatCurrencyTick = (value) => {
+  if (value === 0) return '$0k';
+  const absValue = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+  if (absValue >= 1000000) {
+    return `${sign}$${(absValue / 1000000).toFixed(1)}M`;
+  }
+  return `${sign}$${(absValue / 1000).toFixed(0)}k`;
+};
+
+const TORNADO_METRICS = {
+  irr: { label: 'IRR', format: (val) => `${val.toFixed(1)}%`, formatChange: (val) => `${val > 0 ? '+' : ''}${val.toFixed(1)} pts` },
+  npv: { label: 'NPV', format: (val) => formatCurrency(val), formatChange: (val) => `${val > 0 ? '+' : ''}${formatCurrency(val)}` },
+  cumulativeCashFlow: { label: 'Cash Flow', format: (val) => formatCurrency(val), formatChange: (val) => `${val > 0 ? '+' : ''}${formatCurrency(val)}` },
+};
+
+const TORNADO_ASSUMPTION_RANGES = [0.5, 1, 2];
+const TORNADO_VALUE_RANGES = [5, 10, 20];
+
+// Rates are shown as percentages; price, rent and prepayment as currency
+const formatTornadoInput = (unit, value) => (unit === 'points' ? `${value.toFixed(2)}%` : formatCurrency(value));
+
+const TornadoTooltip = ({ active, payload, metric }) => {
+  if (!active || !payload || !payload.length) return null;
+  const row = payload[0].payload;
+  const { format } = TORNADO_METRICS[metric];
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+      <p className="font-semibold text-gray-900 dark:text-white mb-2">{row.label}</p>
+      <p className="text-sm tabular-nums text-red-600 dark:text-red-400">
+        Low ({formatTornadoInput(row.unit, row.lowValue)}): {format(row.lowResult)}
+      </p>
+      <p className="text-sm tabular-nums text-blue-600 dark:text-blue-400">
+        High ({formatTornadoInput(row.unit, row.highValue)}): {format(row.highResult)}
+      </p>
+    </div>
+  );
+};
+
+const FanTooltip = ({ active, payload, label }) => {
+  if (!active || !payload || !payload.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700">
+      <p className="font-semibold text-gray-900 dark:text-white mb-2 tabular-nums">Year {label}</p>
+      <p className="text-sm tabular-nums text-gray-600 dark:text-gray-400">P90: {formatCurrency(point.p90)}</p>
+      <p className="text-sm tabular-nums font-semibold text-blue-600 dark:text-blue-400">P50: {formatCurrency(point.p50)}</p>
+      <p className="text-sm tabular-nums text-gray-600 dark:text-gray-400">P10: {formatCurrency(point.p10)}</p>
+    </div>
+  );
+};
 
 const SensitivityDashboard = ({ property, assumptions }) => {
   const [isCalculating, setIsCalculating] = useState(false);
@@ -13,6 +75,15 @@ const SensitivityDashboard = ({ property, assumptions }) => {
   const [comparison, setComparison] = useState(null);
   const [yoyMetrics, setYoyMetrics] = useState(null);
   const [isOpen, setIsOpen] = useState(true);
+  const [simulationRuns, setSimulationRuns] = useState(2000);
+  const [simulationSeed, setSimulationSeed] = useState(1);
+  const [fanMetric, setFanMetric] = useState('cumulativeCashFlow');
+  const [simulation, setSimulation] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [tornadoMetric, setTornadoMetric] = useState('irr');
+  const [tornadoAssumptionRange, setTornadoAssumptionRange] = useState(1);
+  const [tornadoValueRange, setTornadoValueRange] = useState(10);
+  const [tornado, setTornado] = useState(null);
   const dropdownRef = useRef(null);
 
   // Calculate metrics with loading state
@@ -47,6 +118,85 @@ const SensitivityDashboard = ({ property, assumptions }) => {
     return () => clearTimeout(timer);
   }, [property, assumptions]);
 
+  // Monte Carlo simulation runs separately so the comparison isn't held up by it
+  useEffect(() => {
+    if (!property) {
+      setSimulation(null);
+      return;
+    }
+
+    setIsSimulating(true);
+    const timer = setTimeout(() => {
+      try {
+        setSimulation(runMonteCarloSimulation(property, assumptions, {
+          runs: simulationRuns,
+          seed: simulationSeed,
+        }));
+      } catch (error) {
+        console.error('Error running simulation:', error);
+        setSimulation(null);
+      } finally {
+        setIsSimulating(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [property, assumptions, simulationRuns, simulationSeed]);
+
+  // One-at-a-time sweep of every input for the tornado chart
+  useEffect(() => {
+    if (!property) {
+      setTornado(null);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      try {
+        setTornado(runTornadoAnalysis(property, assumptions, {
+          assumptionRange: tornadoAssumptionRange,
+          valueRange: tornadoValueRange,
+        }));
+      } catch (error) {
+        console.error('Error running tornado analysis:', error);
+        setTornado(null);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [property, assumptions, tornadoAssumptionRange, tornadoValueRange]);
+
+  // Bars run from the base result to the result at each end of the input's range
+  const tornadoData = useMemo(() => {
+    if (!tornado || tornado.base[tornadoMetric] === null) return [];
+    const base = tornado.base[tornadoMetric];
+    return rankTornadoVariables(tornado, tornadoMetric).map((variable) => ({
+      label: variable.label,
+      unit: variable.unit,
+      lowValue: variable.lowValue,
+      highValue: variable.highValue,
+      lowResult: variable.low[tornadoMetric],
+      highResult: variable.high[tornadoMetric],
+      low: variable.low[tornadoMetric] - base,
+      high: variable.high[tornadoMetric] - base,
+    }));
+  }, [tornado, tornadoMetric]);
+
+  // Fan chart bands: a transparent base up to P10 with the P10-P90 band stacked on top
+  const fanData = useMemo(() => {
+    if (!simulation) return [];
+    return simulation.fan.map((point) => {
+      const { p10, p50, p90 } = point[fanMetric];
+      return {
+        year: point.year,
+        p10: Math.round(p10),
+        p50: Math.round(p50),
+        p90: Math.round(p90),
+        base: Math.round(p10),
+        band: Math.round(p90 - p10),
+      };
+    });
+  }, [simulation, fanMetric]);
+
 
   if (!property) {
     return (
@@ -313,6 +463,280 @@ const SensitivityDashboard = ({ property, assumptions }) => {
         })}
       </div>
 
+      {/* Monte Carlo Simulation */}
+      <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-800">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+          <div className="flex items-center gap-2">
+            <Dices className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">
+              Monte Carlo Simulation
+            </h3>
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+              Runs:
+              <select
+                value={simulationRuns}
+                onChange={(e) => setSimulationRuns(parseInt(e.target.value))}
+                className="px-2 py-1 text-sm border border-black/10 dark:border-white/10 rounded-md bg-white dark:bg-neutral-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {SIMULATION_RUN_OPTIONS.map((runs) => (
+                  <option key={runs} value={runs}>{runs.toLocaleString()}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+              Seed:
+              <input
+                type="number"
+                min="0"
+                value={simulationSeed}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value);
+                  if (value >= 0) {
+                    setSimulationSeed(value);
+                  }
+                }}
+                className="w-20 px-2 py-1 text-sm border border-black/10 dark:border-white/10 rounded-md bg-white dark:bg-neutral-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+          </div>
+        </div>
+        <p className="text-xs text-gray-600 dark:text-gray-400 mb-4">
+          Rent growth, expense inflation, vacancy, appreciation, exit cap rate and future interest rate are each drawn around your assumptions.
+          The same seed always gives the same results. P10 is the outcome 90% of runs beat; P90 the one only 10% beat.
+        </p>
+
+        {isSimulating || !simulation ? (
+          <MetricCardSkeleton count={1} />
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+              {[
+                { label: 'IRR', values: simulation.irr, formatter: (val) => `${val.toFixed(1)}%` },
+                { label: `Equity (Year ${simulation.years})`, values: simulation.finalEquity, formatter: (val) => formatCurrency(val) },
+                { label: 'Cumulative Cash Flow', values: simulation.cumulativeCashFlow, formatter: (val) => formatCurrency(val) },
+              ].map((metric) => (
+                <div key={metric.label} className="rounded-xl border border-gray-200 dark:border-gray-800 p-4">
+                  <div className="text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400 mb-2">
+                    {metric.label}
+                  </div>
+                  {metric.values ? (
+                    <>
+                      <div className="text-2xl font-semibold tabular-nums text-slate-900 dark:text-slate-100">
+                        {metric.formatter(metric.values.p50)}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 tabular-nums">
+                        P10 {metric.formatter(metric.values.p10)} · P90 {metric.formatter(metric.values.p90)}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="text-sm text-gray-500 dark:text-gray-400">
+                      Needs a total investment
+                    </div>
+                  )}
+                </div>
+              ))}
+              <div className={`rounded-xl border border-gray-200 dark:border-gray-800 p-4 ${
+                simulation.probabilityNegativeCashFlow > 0.25 ? 'bg-red-50 dark:bg-red-900/20' : ''
+              }`}>
+                <div className="text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400 mb-2">
+                  Chance of Negative Cash Flow
+                </div>
+                <div className={`text-2xl font-semibold tabular-nums ${
+                  simulation.probabilityNegativeCashFlow > 0.25 ? 'text-red-600 dark:text-red-400' : 'text-slate-900 dark:text-slate-100'
+                }`}>
+                  {(simulation.probabilityNegativeCashFlow * 100).toFixed(0)}%
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 tabular-nums">
+                  {(simulation.probabilityNegativeYear * 100).toFixed(0)}% of runs have a negative year
+                </div>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2 mb-2">
+              {Object.entries(FAN_METRICS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setFanMetric(key)}
+                  className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                    fanMetric === key
+                      ? 'bg-gray-900 text-white dark:bg-white dark:text-gray-900'
+                      : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={fanData} margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                  <CartesianGrid
+                    strokeDasharray="1 3"
+                    stroke="#f1f5f9"
+                    horizontal={true}
+                    vertical={false}
+                    className="dark:stroke-gray-800"
+                  />
+                  <XAxis
+                    dataKey="year"
+                    tick={{ fontSize: 10, fill: '#94a3b8', className: 'tabular-nums' }}
+                  />
+                  <YAxis
+                    width={70}
+                    tickFormatter={formatCurrencyTick}
+                    tick={{ fontSize: 10, fill: '#94a3b8', className: 'tabular-nums' }}
+                  />
+                  <Tooltip content={<FanTooltip />} />
+                  <Area
+                    type="monotone"
+                    dataKey="base"
+                    stackId="fan"
+                    stroke="none"
+                    fill="transparent"
+                    activeDot={false}
+                    isAnimationActive={false}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey="band"
+                    stackId="fan"
+                    name="P10-P90"
+                    stroke="none"
+                    fill="#3B82F6"
+                    fillOpacity={0.2}
+                    activeDot={false}
+                    isAnimationActive={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="p50"
+                    name="P50"
+                    stroke="#2563EB"
+                    strokeWidth={2}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Tornado Chart */}
+      <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-800">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+          <div className="flex items-center gap-2">
+            <BarChart3 className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">
+              What Moves Returns Most
+            </h3>
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+              Rates:
+              <select
+                value={tornadoAssumptionRange}
+                onChange={(e) => setTornadoAssumptionRange(parseFloat(e.target.value))}
+                className="px-2 py-1 text-sm border border-black/10 dark:border-white/10 rounded-md bg-white dark:bg-neutral-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {TORNADO_ASSUMPTION_RANGES.map((range) => (
+                  <option key={range} value={range}>±{range} pts</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+              Price &amp; rent:
+              <select
+                value={tornadoValueRange}
+                onChange={(e) => setTornadoValueRange(parseFloat(e.target.value))}
+                className="px-2 py-1 text-sm border border-black/10 dark:border-white/10 rounded-md bg-white dark:bg-neutral-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {TORNADO_VALUE_RANGES.map((range) => (
+                  <option key={range} value={range}>±{range}%</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+        <p className="text-xs text-gray-600 dark:text-gray-400 mb-4">
+          Each input is moved down and up on its own while everything else stays at your assumptions.
+          The longest bars are the inputs worth checking most carefully.
+        </p>
+
+        <div className="flex items-center gap-2 mb-2">
+          {Object.entries(TORNADO_METRICS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setTornadoMetric(key)}
+              className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+                tornadoMetric === key
+                  ? 'bg-gray-900 text-white dark:bg-white dark:text-gray-900'
+                  : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {!tornado ? (
+          <MetricCardSkeleton count={1} />
+        ) : tornadoData.length === 0 ? (
+          <div className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+            {TORNADO_METRICS[tornadoMetric].label} needs a total investment for this property
+          </div>
+        ) : (
+          <>
+            <div className="text-xs text-gray-500 dark:text-gray-400 mb-2 tabular-nums">
+              Base {TORNADO_METRICS[tornadoMetric].label}: {TORNADO_METRICS[tornadoMetric].format(tornado.base[tornadoMetric])}
+            </div>
+            <div style={{ height: Math.max(200, tornadoData.length * 36 + 40) }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ top: 10, right: 20, left: 20, bottom: 10 }}>
+                  <CartesianGrid
+                    strokeDasharray="1 3"
+                    stroke="#f1f5f9"
+                    horizontal={false}
+                    vertical={true}
+                    className="dark:stroke-gray-800"
+                  />
+                  <XAxis
+                    type="number"
+                    tickFormatter={tornadoMetric === 'irr' ? (val) => `${val.toFixed(1)}` : formatCurrencyTick}
+                    tick={{ fontSize: 10, fill: '#94a3b8', className: 'tabular-nums' }}
+                  />
+                  <YAxis
+                    type="category"
+                    dataKey="label"
+                    width={140}
+                    tick={{ fontSize: 11, fill: '#64748b' }}
+                  />
+                  <Tooltip content={<TornadoTooltip metric={tornadoMetric} />} cursor={{ fill: 'rgba(148, 163, 184, 0.1)' }} />
+                  <ReferenceLine x={0} stroke="#94a3b8" />
+                  <Bar dataKey="low" name="Low input" stackId="tornado" fill="#F87171" isAnimationActive={false} />
+                  <Bar dataKey="high" name="High input" stackId="tornado" fill="#3B82F6" isAnimationActive={false} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="flex items-center gap-4 mt-2 text-xs text-gray-600 dark:text-gray-400">
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-red-400" /> Input lowered</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-blue-500" /> Input raised</span>
+              <span className="ml-auto tabular-nums">
+                Largest swing: <strong>{tornadoData[0].label}</strong> ({TORNADO_METRICS[tornadoMetric].formatChange(tornadoData[0].low)} / {TORNADO_METRICS[tornadoMetric].formatChange(tornadoData[0].high)})
+              </span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Two-Variable Heatmap */}
+      <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-800">
+        <SensitivityHeatmap property={property} assumptions={assumptions} />
+      </div>
+
       {/* Key Insights */}
       <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-800">
         <div className="flex items-center gap-2 mb-3">
@@ -0,0 +1,366 @@
+"use client";
+
+import { useMemo, useState, useEffect, useRef } from 'react';
+import { formatCurrency } from '@/utils/formatting';
+import { runSensitivityGrid, getSensitivityVariables, SENSITIVITY_GRID_METRICS } from '@/lib/sensitivity-analysis';
+import { exportChartAsPNG, exportChartAsPDF, exportChartAsCSV, generateFilename } from '@/utils/chartExport';
+import { Grid3x3, Download, FileImage, FileText, FileSpreadsheet, ChevronDown } from 'lucide-react';
+import MetricCardSkeleton from '@/components/analytics/MetricCardSkeleton';
+import { useToast } from '@/context/ToastContext';
+
+const GRID_SIZES = [5, 7];
+const ASSUMPTION_RANGES = [0.5, 1, 2];
+const VALUE_RANGES = [5, 10, 20];
+
+const formatMetric = (metric, value) => {
+  if (value === null) return '—';
+  return metric === 'dscr' ? value.toFixed(2) : `${value.toFixed(1)}%`;
+};
+
+// Rates are shown as percentages; price, rent and prepayment as currency
+const formatInput = (unit, value) => (unit === 'points' ? `${value.toFixed(2)}%` : formatCurrency(value));
+
+// CSV headers are joined unquoted, so keep commas out of them
+const formatCsvInput = (unit, value) => (unit === 'points' ? `${Number(value.toFixed(2))}%` : `$${Math.round(value)}`);
+
+const isCurrentValue = (value, baseValue) => Math.abs(value - baseValue) < 1e-9;
+
+/**
+ * Red (worst) through amber to green (best) across the grid's range
+ */
+const getCellColor = (value, min, max) => {
+  if (value === null || min === null) return undefined;
+  const position = max > min ? (value - min) / (max - min) : 0.5;
+  return `hsl(${Math.round(position * 130)}, 70%, 82%)`;
+};
+
+const selectClassName = 'px-2 py-1 text-sm border border-black/10 dark:border-white/10 rounded-md bg-white dark:bg-neutral-900 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const SensitivityHeatmap = ({ property, assumptions }) => {
+  const [rowKey, setRowKey] = useState('exitCapRate');
+  const [columnKey, setColumnKey] = useState('vacancyRate');
+  const [metric, setMetric] = useState('irr');
+  const [size, setSize] = useState(5);
+  const [assumptionRange, setAssumptionRange] = useState(1);
+  const [valueRange, setValueRange] = useState(10);
+  const [grid, setGrid] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const chartRef = useRef(null);
+  const exportMenuRef = useRef(null);
+  const { addToast } = useToast();
+
+  const variables = useMemo(() => getSensitivityVariables(property, assumptions), [property, assumptions]);
+
+  // Keep both picks on inputs that apply to this property
+  useEffect(() => {
+    if (variables.length < 2) return;
+    if (!variables.some((variable) => variable.key === rowKey)) {
+      setRowKey(variables.find((variable) => variable.key !== columnKey).key);
+    }
+    if (!variables.some((variable) => variable.key === columnKey)) {
+      setColumnKey(variables.find((variable) => variable.key !== rowKey).key);
+    }
+  }, [variables, rowKey, columnKey]);
+
+  // Recompute the grid with loading state
+  useEffect(() => {
+    if (!property || rowKey === columnKey) {
+      setGrid(null);
+      return;
+    }
+
+    setIsCalculating(true);
+    const timer = setTimeout(() => {
+      try {
+        setGrid(runSensitivityGrid(property, assumptions, {
+          rowKey,
+          columnKey,
+          metric,
+          size,
+          assumptionRange,
+          valueRange,
+        }));
+      } catch (error) {
+        console.error('Error calculating sensitivity grid:', error);
+        setGrid(null);
+      } finally {
+        setIsCalculating(false);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [property, assumptions, rowKey, columnKey, metric, size, assumptionRange, valueRange]);
+
+  // One CSV row per grid row, one column per column input value
+  const csvData = useMemo(() => {
+    if (!grid) return [];
+    return grid.row.values.map((rowValue, rowIndex) => ({
+      [grid.row.label]: formatCsvInput(grid.row.unit, rowValue),
+      ...Object.fromEntries(grid.column.values.map((columnValue, columnIndex) => {
+        const cell = grid.cells[rowIndex][columnIndex];
+        return [
+          `${grid.column.label} ${formatCsvInput(grid.column.unit, columnValue)}`,
+          cell === null ? '' : Number(cell.toFixed(metric === 'dscr' ? 2 : 1)),
+        ];
+      })),
+    }));
+  }, [grid, metric]);
+
+  // Handle export
+  const handleExport = async (format) => {
+    if (!property || !chartRef.current || !grid) return;
+
+    setIsExporting(true);
+    setShowExportMenu(false);
+
+    try {
+      const propertyName = property.nickname || property.name || 'property';
+      const chartType = `${grid.row.key}_x_${grid.column.key}_${metric}`;
+
+      switch (format) {
+        case 'png': {
+          const filename = generateFilename(propertyName, chartType, 'png');
+          await exportChartAsPNG(chartRef.current, filename);
+          addToast('Heatmap exported as PNG successfully');
+          break;
+        }
+        case 'pdf': {
+          const filename = generateFilename(propertyName, chartType, 'pdf');
+          await exportChartAsPDF(
+            chartRef.current,
+            csvData,
+            property,
+            assumptions,
+            filename,
+            `${SENSITIVITY_GRID_METRICS[metric]}: ${grid.row.label} × ${grid.column.label}`
+          );
+          addToast('Heatmap exported as PDF successfully');
+          break;
+        }
+        case 'csv': {
+          const filename = generateFilename(propertyName, chartType, 'csv');
+          exportChartAsCSV(csvData, filename);
+          addToast('Heatmap exported as CSV successfully');
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      addToast('Failed to export heatmap', 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Close export menu on outside click
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (exportMenuRef.current && !exportMenuRef.current.contains(event.target)) {
+        setShowExportMenu(false);
+      }
+    };
+
+    if (showExportMenu) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [showExportMenu]);
+
+  if (!property) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-neutral-900" ref={chartRef}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <div className="flex items-center gap-2">
+          <Grid3x3 className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+          <h3 className="font-semibold text-gray-900 dark:text-white">
+            Two-Variable Sensitivity
+          </h3>
+        </div>
+        {/* Export Button */}
+        <div className="relative" ref={exportMenuRef} data-html2canvas-ignore>
+          <button
+            onClick={() => setShowExportMenu(!showExportMenu)}
+            disabled={isExporting || !grid}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download className="w-4 h-4" />
+            <span>Export</span>
+            <ChevronDown className="w-3 h-3" />
+          </button>
+
+          {showExportMenu && (
+            <div className="absolute right-0 mt-2 w-48 rounded-lg border border-black/10 dark:border-white/10 bg-white dark:bg-gray-800 shadow-lg z-50">
+              <button
+                onClick={() => handleExport('png')}
+                disabled={isExporting}
+                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                <FileImage className="w-4 h-4" />
+                Export as PNG
+              </button>
+              <button
+                onClick={() => handleExport('pdf')}
+                disabled={isExporting}
+                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                <FileText className="w-4 h-4" />
+                Export as PDF
+              </button>
+              <button
+                onClick={() => handleExport('csv')}
+                disabled={isExporting}
+                className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50 rounded-b-lg"
+              >
+                <FileSpreadsheet className="w-4 h-4" />
+                Export as CSV
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-gray-600 dark:text-gray-400 mb-4">
+        Pick two inputs to see {SENSITIVITY_GRID_METRICS[metric]} for every combination, like a what-if data table.
+        The outlined cell is your current assumptions.
+      </p>
+
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-3 mb-4" data-html2canvas-ignore>
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Rows:
+          <select value={rowKey} onChange={(e) => setRowKey(e.target.value)} className={selectClassName}>
+            {variables.map((variable) => (
+              <option key={variable.key} value={variable.key} disabled={variable.key === columnKey}>{variable.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Columns:
+          <select value={columnKey} onChange={(e) => setColumnKey(e.target.value)} className={selectClassName}>
+            {variables.map((variable) => (
+              <option key={variable.key} value={variable.key} disabled={variable.key === rowKey}>{variable.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Grid:
+          <select value={size} onChange={(e) => setSize(parseInt(e.target.value))} className={selectClassName}>
+            {GRID_SIZES.map((gridSize) => (
+              <option key={gridSize} value={gridSize}>{gridSize} × {gridSize}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Rates:
+          <select value={assumptionRange} onChange={(e) => setAssumptionRange(parseFloat(e.target.value))} className={selectClassName}>
+            {ASSUMPTION_RANGES.map((range) => (
+              <option key={range} value={range}>±{range} pts</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-xs font-medium text-gray-700 dark:text-gray-300">
+          Price &amp; rent:
+          <select value={valueRange} onChange={(e) => setValueRange(parseFloat(e.target.value))} className={selectClassName}>
+            {VALUE_RANGES.map((range) => (
+              <option key={range} value={range}>±{range}%</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex items-center gap-2 mb-3" data-html2canvas-ignore>
+        {Object.entries(SENSITIVITY_GRID_METRICS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setMetric(key)}
+            className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
+              metric === key
+                ? 'bg-gray-900 text-white dark:bg-white dark:text-gray-900'
+                : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {isCalculating || !grid ? (
+        <MetricCardSkeleton count={1} />
+      ) : grid.min === null ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+          {metric === 'dscr'
+            ? 'DSCR needs a debt on this property'
+            : `${SENSITIVITY_GRID_METRICS[metric]} needs a total investment for this property`}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm tabular-nums border-separate border-spacing-1">
+            <thead>
+              <tr>
+                <th className="text-left text-[11px] font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400 px-2">
+                  {grid.row.label} ↓ / {grid.column.label} →
+                </th>
+                {grid.column.values.map((columnValue) => (
+                  <th
+                    key={columnValue}
+                    className={`px-2 py-1 text-xs text-center ${
+                      isCurrentValue(columnValue, grid.column.baseValue)
+                        ? 'font-semibold text-gray-900 dark:text-white'
+                        : 'font-medium text-gray-500 dark:text-gray-400'
+                    }`}
+                  >
+                    {formatInput(grid.column.unit, columnValue)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.row.values.map((rowValue, rowIndex) => (
+                <tr key={rowValue}>
+                  <th
+                    className={`px-2 py-1 text-xs text-left ${
+                      isCurrentValue(rowValue, grid.row.baseValue)
+                        ? 'font-semibold text-gray-900 dark:text-white'
+                        : 'font-medium text-gray-500 dark:text-gray-400'
+                    }`}
+                  >
+                    {formatInput(grid.row.unit, rowValue)}
+                  </th>
+                  {grid.column.values.map((columnValue, columnIndex) => {
+                    const cell = grid.cells[rowIndex][columnIndex];
+                    const isCurrent = isCurrentValue(rowValue, grid.row.baseValue) && isCurrentValue(columnValue, grid.column.baseValue);
+                    return (
+                      <td
+                        key={columnValue}
+                        className={`px-2 py-2 text-center rounded-md text-gray-900 ${
+                          isCurrent ? 'ring-2 ring-gray-900 dark:ring-white font-semibold' : ''
+                        } ${cell === null ? 'bg-gray-100 dark:bg-gray-800 dark:text-gray-400' : ''}`}
+                        style={{ backgroundColor: getCellColor(cell, grid.min, grid.max) }}
+                      >
+                        {formatMetric(metric, cell)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex items-center gap-2 mt-2 text-xs text-gray-600 dark:text-gray-400 tabular-nums">
+            <span>{formatMetric(metric, grid.min)}</span>
+            <span
+              className="h-2 w-32 rounded-full"
+              style={{ background: `linear-gradient(to right, ${getCellColor(0, 0, 1)}, ${getCellColor(0.5, 0, 1)}, ${getCellColor(1, 0, 1)})` }}
+            />
+            <span>{formatMetric(metric, grid.max)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityHeatmap;
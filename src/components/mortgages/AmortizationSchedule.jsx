@@ -58,13 +58,11 @@ export default function AmortizationSchedule({ mortgage, propertyName, onClose }
   };
 
   const handleDownload = (format) => {
-    if (!schedule || !mortgage) return;
-    
-    // Generate a unique mortgage ID for the API call
-    const mortgageId = `mortgage-${mortgage.lender}-${mortgage.originalAmount}-${mortgage.interestRate}`.replace(/[^a-zA-Z0-9-]/g, '-');
+    // The schedule is generated server-side from the stored mortgage
+    if (!schedule || !mortgage?.id) return;
     
     // Make API call to download the file
-    const downloadUrl = `/api/mortgages/${encodeURIComponent(mortgageId)}/download?format=${format}&propertyName=${encodeURIComponent(propertyName)}&lender=${encodeURIComponent(mortgage.lender)}&originalAmount=${mortgage.originalAmount}&interestRate=${mortgage.interestRate}&amortizationYears=${mortgage.amortizationYears}&paymentFrequency=${mortgage.paymentFrequency}&startDate=${mortgage.startDate}`;
+    const downloadUrl = `/api/mortgages/${encodeURIComponent(mortgage.id)}/download?format=${format}&propertyName=${encodeURIComponent(propertyName)}`;
     
     // Trigger download
     window.location.href = downloadUrl;
@@ -211,7 +209,9 @@ export default function AmortizationSchedule({ mortgage, propertyName, onClose }
           <div className="relative" ref={downloadMenuRef}>
             <button
               onClick={() => setShowDownloadMenu(!showDownloadMenu)}
-              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+              disabled={!mortgage?.id}
+              title={mortgage?.id ? undefined : 'Save this mortgage to download its schedule'}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <Download className="w-4 h-4" />
               <span>Download Schedule</span>
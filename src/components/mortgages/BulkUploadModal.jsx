@@ -4,7 +4,7 @@ import { useState, useCallback } from "react";
 import { Upload, Download, FileText, CheckCircle, XCircle, AlertCircle } from "lucide-react";
 import { useToast } from "@/context/ToastContext";
 
-export default function BulkUploadModal({ onClose, onSuccess }) {
+export default function BulkUploadModal({ propertyId, onClose, onSuccess }) {
   const [dragActive, setDragActive] = useState(false);
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
@@ -96,6 +96,10 @@ export default function BulkUploadModal({ onClose, onSuccess }) {
     try {
       const formData = new FormData();
       formData.append('file', file);
+      // Rows without a Property column are imported onto this property
+      if (propertyId) {
+        formData.append('propertyId', propertyId);
+      }
       
       const response = await fetch('/api/mortgages/upload', {
         method: 'POST',
@@ -0,0 +1,167 @@
+"use client";
+
+import { useMemo } from "react";
+import { AlertTriangle, CalendarClock, Zap } from "lucide-react";
+import { getDebtMaturities, getMaturityLadder, getRateShockReport, DSCR_FLOOR } from "@/utils/rateShock";
+
+/**
+ * Forward risk view of a portfolio's debt: a maturity ladder of the balances coming due for
+ * renewal each quarter, and the payment, cash flow and DSCR of each property if its mortgages
+ * renew 1%, 2% or 3% above their current rates. Properties that would fall below a 1.0 DSCR
+ * are flagged.
+ *
+ * @param {Array} properties - Properties from PropertyContext
+ */
+export default function DebtMaturityReport({ properties = [], className = "" }) {
+  const { ladder, report } = useMemo(() => {
+    const maturities = getDebtMaturities(properties);
+    return {
+      ladder: getMaturityLadder(maturities),
+      report: getRateShockReport(properties),
+    };
+  }, [properties]);
+
+  if (ladder.length === 0 && report.properties.length === 0) {
+    return null;
+  }
+
+  const largestQuarter = Math.max(...ladder.map((quarter) => quarter.balance), 1);
+  const rows = [
+    ...report.properties,
+    { ...report.portfolio, propertyId: "portfolio", propertyName: "Portfolio", isTotal: true },
+  ];
+
+  return (
+    <div className={`grid grid-cols-1 gap-6 ${className}`}>
+      {/* Maturity Ladder */}
+      {ladder.length > 0 && (
+        <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4">
+          <div className="flex items-center gap-2 mb-3">
+            <CalendarClock className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+            <h3 className="font-medium text-gray-900 dark:text-white">Maturity Ladder</h3>
+          </div>
+          <div className="space-y-3">
+            {ladder.map((quarter) => (
+              <div key={quarter.key}>
+                <div className="flex items-center justify-between gap-4 mb-1">
+                  <span className="text-sm font-medium text-gray-900 dark:text-white w-20">{quarter.label}</span>
+                  <div className="flex-1 bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                    <div
+                      className="h-2 rounded-full bg-[#205A3E]"
+                      style={{ width: `${(quarter.balance / largestQuarter) * 100}%` }}
+                    ></div>
+                  </div>
+                  <span className="text-sm font-medium text-gray-900 dark:text-white w-28 text-right">
+                    {formatCurrency(quarter.balance)}
+                  </span>
+                </div>
+                {quarter.maturities.map((maturity) => (
+                  <p
+                    key={`${maturity.propertyId}-${maturity.lender}-${maturity.maturityDate}`}
+                    className="text-xs text-gray-600 dark:text-gray-400 ml-20 pl-4"
+                  >
+                    {maturity.maturityDate} · {maturity.propertyName} · {maturity.lender || maturity.debtLabel} at {formatRate(maturity.rate)}
+                    {maturity.dueAtMaturity && " · Balance due at maturity"}
+                  </p>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Rate Shock */}
+      {report.properties.length > 0 && (
+        <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-4">
+          <div className="flex items-center gap-2 mb-1">
+            <Zap className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+            <h3 className="font-medium text-gray-900 dark:text-white">Rate Shock at Renewal</h3>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+            Monthly debt service, cash flow and DSCR once each mortgage renews above its current rate. Lines of
+            credit take the increase on today&apos;s balance.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-600 dark:text-gray-400">
+                  <th className="py-2 pr-4 font-medium">Property</th>
+                  <th className="py-2 pr-4 font-medium text-right">Today</th>
+                  {report.shocks.map((shock) => (
+                    <th key={shock} className="py-2 pr-4 font-medium text-right">+{(shock * 100).toFixed(0)}%</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr
+                    key={row.propertyId}
+                    className={`border-b border-gray-100 dark:border-gray-700 align-top ${row.isTotal ? "font-medium" : ""}`}
+                  >
+                    <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                      {row.propertyName}
+                      {row.scenarios.some((scenario) => scenario.belowFloor) && (
+                        <AlertTriangle className="inline w-4 h-4 ml-1 text-red-600 dark:text-red-400" />
+                      )}
+                    </td>
+                    <ShockCell
+                      monthlyDebtService={row.monthlyDebtService}
+                      monthlyCashFlow={row.monthlyCashFlow}
+                      dscr={row.dscr}
+                    />
+                    {row.scenarios.map((scenario) => (
+                      <ShockCell
+                        key={scenario.shock}
+                        monthlyDebtService={scenario.monthlyDebtService}
+                        monthlyCashFlow={scenario.monthlyCashFlow}
+                        dscr={scenario.dscr}
+                        paymentIncrease={scenario.paymentIncrease}
+                      />
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            Each cell shows debt service per month, cash flow per month and DSCR (NOI / debt service). DSCR below{" "}
+            {DSCR_FLOOR.toFixed(2)} is shown in red: rent no longer covers the mortgage payments.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ShockCell({ monthlyDebtService, monthlyCashFlow, dscr, paymentIncrease = 0 }) {
+  const belowFloor = dscr !== null && dscr < DSCR_FLOOR;
+  return (
+    <td className="py-2 pr-4 text-right whitespace-nowrap">
+      <p className="text-gray-900 dark:text-white">
+        {formatCurrency(monthlyDebtService)}
+        {paymentIncrease > 0.5 && (
+          <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">(+{formatCurrency(paymentIncrease)})</span>
+        )}
+      </p>
+      <p className={monthlyCashFlow < 0 ? "text-red-600 dark:text-red-400" : "text-gray-600 dark:text-gray-400"}>
+        {formatCurrency(monthlyCashFlow)}
+      </p>
+      <p className={belowFloor ? "text-red-600 dark:text-red-400 font-medium" : "text-gray-600 dark:text-gray-400"}>
+        {dscr === null ? "—" : `${dscr.toFixed(2)}x`}
+      </p>
+    </td>
+  );
+}
+
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+function formatCurrency(amount) {
+  return new Intl.NumberFormat("en-CA", {
+    style: "currency",
+    currency: "CAD",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
@@ -0,0 +1,173 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { Upload, Trash2, AlertCircle } from 'lucide-react';
+import { apiClient } from '@/lib/api-client';
+import { usePropertyContext } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+
+/**
+ * Lender schedule versions for a property's mortgage.
+ * Uploading a lender CSV adds a new version; newer versions replace payments from
+ * their first payment date onward, so earlier terms stay in the history.
+ */
+const LenderSchedulePanel = ({ propertyId }) => {
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [dateColumn, setDateColumn] = useState('');
+  const [paymentColumn, setPaymentColumn] = useState('');
+
+  const applyScheduleResponse = useCallback((data) => {
+    setVersions(data?.versions || []);
+    const schedule = data?.schedule || [];
+    updateProperty(propertyId, { mortgage: { lenderSchedule: schedule.length > 0 ? schedule : null } }, true);
+  }, [propertyId, updateProperty]);
+
+  useEffect(() => {
+    let cancelled = false;
+    apiClient.getMortgageSchedule(propertyId)
+      .then((response) => {
+        if (!cancelled && response.success) {
+          setVersions(response.data?.versions || []);
+        }
+      })
+      .catch(() => {
+        // No saved mortgage yet (or demo data) – nothing to list
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [propertyId]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      showToast('Please select a CSV file exported from your lender', 'error');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const csvContent = await file.text();
+      const mapping = {};
+      if (dateColumn.trim()) mapping.paymentDate = dateColumn.trim();
+      if (paymentColumn.trim()) mapping.monthlyPayment = paymentColumn.trim();
+
+      const response = await apiClient.uploadMortgageSchedule(propertyId, {
+        csvContent,
+        fileName: file.name,
+        ...(Object.keys(mapping).length > 0 ? { mapping } : {}),
+      });
+
+      applyScheduleResponse(response.data);
+      const created = response.data?.version;
+      showToast(
+        `Schedule version ${created?.version} saved (${created?.payment_count} payments)`,
+        'success'
+      );
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to upload schedule', 'error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (version) => {
+    if (!window.confirm(`Remove schedule version ${version}? Earlier versions will apply again.`)) {
+      return;
+    }
+    try {
+      const response = await apiClient.deleteMortgageScheduleVersion(propertyId, version);
+      applyScheduleResponse(response.data);
+      showToast(`Schedule version ${version} removed`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to remove schedule version', 'error');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-black/10 dark:border-white/10 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Lender Schedule</h3>
+        <label className={`inline-flex items-center gap-2 px-4 py-2 border-2 border-[#205A3E] text-[#205A3E] dark:text-[#4ade80] dark:border-[#4ade80] rounded-lg hover:bg-[#205A3E]/10 dark:hover:bg-[#4ade80]/10 transition-colors duration-200 text-sm font-medium ${uploading ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+          <Upload className="w-4 h-4" />
+          {uploading ? 'Uploading...' : 'Upload CSV'}
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+        </label>
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+        Upload the amortization schedule or payment activity from your lender. Calculations use it instead of
+        an estimated schedule. Re-upload after a renewal – payments from earlier terms are kept.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+        <input
+          type="text"
+          value={dateColumn}
+          onChange={(e) => setDateColumn(e.target.value)}
+          placeholder="Date column (optional)"
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+        />
+        <input
+          type="text"
+          value={paymentColumn}
+          onChange={(e) => setPaymentColumn(e.target.value)}
+          placeholder="Payment amount column (optional)"
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+        />
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading schedule versions...</p>
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No lender schedule uploaded yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {[...versions].reverse().map((version) => (
+            <div
+              key={version.id}
+              className="flex items-start justify-between gap-4 py-2 border-b border-black/5 dark:border-white/5 last:border-0"
+            >
+              <div>
+                <div className="font-medium">
+                  Version {version.version}
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                    {version.file_name || version.source}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {version.payment_count} payments from {version.effective_date}
+                </div>
+                {version.validation_warning && (
+                  <div className="mt-1 flex items-start gap-1 text-xs text-amber-600 dark:text-amber-400">
+                    <AlertCircle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+                    <span>{version.validation_warning}</span>
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={() => handleDelete(version.version)}
+                className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Remove this version"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LenderSchedulePanel;
@@ -2,15 +2,22 @@
 
 import React from 'react';
 import { formatCurrency, formatPercentage } from '@/utils/formatting';
+import { getMortgageTermOn, getTermEndDate, hasMortgageRenewals } from '@/utils/mortgageCalculator';
 
 const MortgageDetailsPanel = ({ mortgageData }) => {
   // Use actual mortgage data from property context
   const mortgageNumber = mortgageData?.mortgage?.mortgageNumber || "8963064.1";
   const principalBalance = mortgageData?.mortgage?.currentBalance || mortgageData?.mortgage?.originalAmount || 378652.02;
   const propertyAddress = mortgageData?.property?.address || "403 311 Richmond St E Toronto ON";
-  const rate = (mortgageData?.mortgage?.interestRate || 0.0269) * 100;
-  const term = `${(mortgageData?.mortgage?.termMonths || 60) / 12} Years`;
-  const renewalDate = mortgageData?.mortgage?.renewalDate ? new Date(mortgageData.mortgage.renewalDate) : new Date('2027-01-28');
+  // Once renewed, rate, term and renewal date come from the term in effect
+  const currentTerm = mortgageData?.mortgage && hasMortgageRenewals(mortgageData.mortgage)
+    ? getMortgageTermOn(mortgageData.mortgage)
+    : null;
+  const rate = (currentTerm?.interestRate ?? (mortgageData?.mortgage?.interestRate || 0.0269)) * 100;
+  const term = `${(currentTerm?.termMonths || mortgageData?.mortgage?.termMonths || 60) / 12} Years`;
+  const renewalDate = currentTerm
+    ? new Date(getTermEndDate(currentTerm))
+    : mortgageData?.mortgage?.renewalDate ? new Date(mortgageData.mortgage.renewalDate) : new Date('2027-01-28');
   const product = mortgageData?.mortgage?.product || "Fixed";
 
   const InfoIcon = () => (
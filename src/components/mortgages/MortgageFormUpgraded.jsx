@@ -1,15 +1,16 @@
 "use client";
 
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState, useCallback, useMemo } from "react";
 import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { useCreateMortgage, useUpdateMortgage, useCalculateMortgage } from "@/hooks/useMortgages";
 import { useToast } from "@/context/ToastContext";
 import { useProperties } from "@/context/PropertyContext";
 import { mortgageSchema, transformMortgageFormData, transformMortgageApiData } from "@/lib/mortgage-validation";
-import { ArrowLeft, Save, X, Calculator, Loader2, AlertCircle, CheckCircle, Info, TrendingUp, TrendingDown } from "lucide-react";
-import { CANADIAN_PRIME_RATE, calculateEffectiveVariableRate } from "@/utils/mortgageConstants";
+import { ArrowLeft, Save, X, Calculator, Loader2, AlertCircle, CheckCircle, Info, TrendingUp, TrendingDown, ShieldCheck } from "lucide-react";
+import { getPrimeRate, calculateEffectiveVariableRate } from "@/utils/mortgageConstants";
 import { calculateRenewalDate, getEffectiveInterestRate } from "@/utils/mortgageUtils";
+import { calculateMortgageInsurance, INSURANCE_PROVIDER_LABELS } from "@/utils/mortgageInsurance";
 
 export default function MortgageFormUpgraded({ mortgage, onClose }) {
   const createMortgage = useCreateMortgage();
@@ -23,6 +24,8 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
   const [isCalculating, setIsCalculating] = useState(false);
   const [mortgageInsights, setMortgageInsights] = useState(null);
   const [validationWarnings, setValidationWarnings] = useState([]);
+  // Prime rate in effect today, from the prime rate history (percentage)
+  const currentPrimeRate = Number((getPrimeRate() * 100).toFixed(2));
 
   const {
     register,
@@ -41,19 +44,44 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
       interestRate: 0,
       rateType: 'FIXED',
       variableRateSpread: null,
-      primeRate: CANADIAN_PRIME_RATE,
+      primeRate: currentPrimeRate,
       amortizationValue: 25,
       amortizationUnit: 'years',
       termValue: 5,
       termUnit: 'years',
       startDate: new Date(),
-      paymentFrequency: 'MONTHLY'
+      paymentFrequency: 'MONTHLY',
+      mortgageType: 'CLOSED',
+      lumpSumPrivilegePercent: null,
+      paymentIncreasePrivilegePercent: null,
+      doubleUpPrivilege: false,
+      insuranceProvider: 'CMHC',
+      mliSelectPoints: null
     }
   });
 
   // Watch form values for payment calculation
   const watchedValues = watch(['originalAmount', 'interestRate', 'rateType', 'variableRateSpread', 'primeRate', 'amortizationValue', 'amortizationUnit', 'paymentFrequency', 'termValue', 'termUnit', 'startDate']);
 
+  // Default insurance for the loan against the selected property's purchase price
+  const [propertyId, loanAmount, amortizationLength, amortizationLengthUnit, mliSelectPoints] = watch(['propertyId', 'originalAmount', 'amortizationValue', 'amortizationUnit', 'mliSelectPoints']);
+  const selectedProperty = (properties || []).find((property) => property.id === propertyId) || null;
+  const insurance = useMemo(() => {
+    if (!selectedProperty?.purchasePrice || !(loanAmount > 0)) {
+      return null;
+    }
+    return calculateMortgageInsurance({
+      purchasePrice: selectedProperty.purchasePrice,
+      loanAmount,
+      numberOfUnits: selectedProperty.units,
+      amortizationYears: amortizationLengthUnit === 'years' ? amortizationLength : amortizationLength / 12,
+      province: selectedProperty.province,
+      purchaseDate: selectedProperty.purchaseDate,
+      mliSelectPoints,
+    });
+  }, [selectedProperty, loanAmount, amortizationLength, amortizationLengthUnit, mliSelectPoints]);
+  const insuredPrincipal = insurance?.eligible ? insurance.insuredPrincipal : null;
+
   // Initialize form with existing mortgage data
   useEffect(() => {
     if (mortgage) {
@@ -78,7 +106,9 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
 
   // Calculate payment and insights when relevant fields change
   useEffect(() => {
-    const [originalAmount, interestRate, rateType, variableRateSpread, primeRate, amortizationValue, amortizationUnit, paymentFrequency, termValue, termUnit, startDate] = watchedValues;
+    const [loanAmount, interestRate, rateType, variableRateSpread, primeRate, amortizationValue, amortizationUnit, paymentFrequency, termValue, termUnit, startDate] = watchedValues;
+    // Payments are on the principal after any insurance premium is added
+    const originalAmount = insuredPrincipal ?? loanAmount;
     
     // Calculate effective rate for variable mortgages
     let effectiveRate = interestRate;
@@ -166,11 +196,11 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
       });
       setValidationWarnings(warnings);
     }
-  }, [watchedValues, calculatePayment, calculatedPayment]);
+  }, [watchedValues, calculatePayment, calculatedPayment, insuredPrincipal]);
 
   const onSubmit = async (data) => {
     try {
-      const transformedData = transformMortgageFormData(data);
+      const transformedData = transformMortgageFormData(data, insurance);
       
       if (mortgage) {
         // Update existing mortgage
@@ -279,6 +309,9 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
             {errors.originalAmount && (
               <p className="mt-1 text-sm text-red-600">{errors.originalAmount.message}</p>
             )}
+            {insurance?.eligible && insurance.premium > 0 && (
+              <p className="mt-1 text-xs text-gray-500">Before the {formatCurrency(insurance.premium)} insurance premium</p>
+            )}
           </div>
 
           {/* Interest Rate */}
@@ -329,7 +362,7 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Prime Rate (%) *
-                  <span className="text-xs text-gray-500 ml-2">(Current: {CANADIAN_PRIME_RATE}%)</span>
+                  <span className="text-xs text-gray-500 ml-2">(Current: {currentPrimeRate}%)</span>
                 </label>
                 <input
                   {...register('primeRate', { valueAsNumber: true })}
@@ -338,13 +371,13 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
                   min="0"
                   max="20"
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  placeholder={CANADIAN_PRIME_RATE.toString()}
+                  placeholder={currentPrimeRate.toString()}
                 />
                 {errors.primeRate && (
                   <p className="mt-1 text-sm text-red-600">{errors.primeRate.message}</p>
                 )}
                 <p className="mt-1 text-xs text-gray-500">
-                  Bank of Canada prime rate. Update when rates change.
+                  Prime rate today. Schedules re-price each payment from the prime rate history.
                 </p>
               </div>
               <div>
@@ -376,6 +409,25 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
                   </div>
                 )}
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment Type
+                </label>
+                <Controller
+                  name="hasFixedPayments"
+                  control={control}
+                  render={({ field }) => (
+                    <select
+                      value={field.value ? 'FIXED' : 'ADJUSTABLE'}
+                      onChange={(e) => field.onChange(e.target.value === 'FIXED')}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="ADJUSTABLE">Adjustable payment (payment changes with prime)</option>
+                      <option value="FIXED">Fixed payment (principal/interest split changes with prime)</option>
+                    </select>
+                  )}
+                />
+              </div>
             </>
           )}
 
@@ -560,8 +612,149 @@ export default function MortgageFormUpgraded({ mortgage, onClose }) {
               <p className="mt-1 text-sm text-red-600">{errors.paymentFrequency.message}</p>
             )}
           </div>
+
+          {/* Mortgage Type */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Mortgage Type
+            </label>
+            <select
+              {...register('mortgageType')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="CLOSED">Closed (prepayment privileges apply)</option>
+              <option value="OPEN">Open (prepay any amount)</option>
+            </select>
+          </div>
+
+          {/* Prepayment Privileges (closed mortgages) */}
+          {watch('mortgageType') !== 'OPEN' && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Lump Sum Privilege (% of original amount per year)
+                </label>
+                <input
+                  {...register('lumpSumPrivilegePercent', { setValueAs: (value) => value === '' || value === null ? null : Number(value) })}
+                  type="number"
+                  step="1"
+                  min="0"
+                  max="100"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="15"
+                />
+                {errors.lumpSumPrivilegePercent && (
+                  <p className="mt-1 text-sm text-red-600">{errors.lumpSumPrivilegePercent.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment Increase Privilege (%)
+                </label>
+                <input
+                  {...register('paymentIncreasePrivilegePercent', { setValueAs: (value) => value === '' || value === null ? null : Number(value) })}
+                  type="number"
+                  step="1"
+                  min="0"
+                  max="100"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="20"
+                />
+                {errors.paymentIncreasePrivilegePercent && (
+                  <p className="mt-1 text-sm text-red-600">{errors.paymentIncreasePrivilegePercent.message}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 md:col-span-2">
+                <input
+                  {...register('doubleUpPrivilege')}
+                  type="checkbox"
+                  id="doubleUpPrivilege"
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <label htmlFor="doubleUpPrivilege" className="text-sm text-gray-700">
+                  Double-up payments allowed
+                </label>
+                <span className="text-xs text-gray-500">Leave the limits blank if your lender doesn&apos;t cap prepayments.</span>
+              </div>
+            </>
+          )}
         </div>
 
+        {/* Mortgage Default Insurance (high-ratio or multi-unit loans) */}
+        {insurance && (insurance.required || insurance.multiUnit) && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+            <div className="flex items-center gap-2 mb-3">
+              <ShieldCheck className="w-5 h-5 text-amber-700" />
+              <h3 className="font-medium text-amber-900">Mortgage Default Insurance</h3>
+            </div>
+            <p className="text-sm text-amber-800 mb-4">
+              {insurance.multiUnit
+                ? `${selectedProperty.units}-unit rental loans are insured on the multi-unit premium schedule.`
+                : `This loan is ${(insurance.ltv * 100).toFixed(1)}% of the purchase price. Loans over 80% must be insured.`}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Insurer
+                </label>
+                <select
+                  {...register('insuranceProvider')}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white"
+                >
+                  {Object.entries(INSURANCE_PROVIDER_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              {insurance.multiUnit && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    MLI Select Points
+                  </label>
+                  <input
+                    {...register('mliSelectPoints', { setValueAs: (value) => value === '' || value === null ? null : Number(value) })}
+                    type="number"
+                    step="1"
+                    min="0"
+                    max="150"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="0"
+                  />
+                  {errors.mliSelectPoints && (
+                    <p className="mt-1 text-sm text-red-600">{errors.mliSelectPoints.message}</p>
+                  )}
+                </div>
+              )}
+            </div>
+            {insurance.eligible ? (
+              <div className="grid gap-2 text-sm text-amber-900">
+                <div className="flex justify-between"><span>Loan-to-value</span><span className="font-medium">{(insurance.ltv * 100).toFixed(2)}%</span></div>
+                <div className="flex justify-between">
+                  <span>Premium rate{insurance.mliSelectDiscount > 0 ? ` (${(insurance.mliSelectDiscount * 100).toFixed(0)}% MLI Select discount)` : ''}</span>
+                  <span className="font-medium">{(insurance.premiumRate * 100).toFixed(2)}%</span>
+                </div>
+                <div className="flex justify-between"><span>Premium (added to the loan)</span><span className="font-medium">{formatCurrency(insurance.premium)}</span></div>
+                {insurance.premiumTax > 0 && (
+                  <div className="flex justify-between"><span>Sales tax on premium (paid at closing)</span><span className="font-medium">{formatCurrency(insurance.premiumTax)}</span></div>
+                )}
+                <div className="flex justify-between border-t border-amber-200 pt-2"><span>Insured principal</span><span className="font-semibold">{formatCurrency(insurance.insuredPrincipal)}</span></div>
+              </div>
+            ) : (
+              <p className="text-sm font-medium text-red-700">This loan can&apos;t be insured as entered.</p>
+            )}
+            {insurance.warnings.length > 0 && (
+              <ul className="mt-3 space-y-1">
+                {insurance.warnings.map((warning) => (
+                  <li key={warning} className="text-xs text-amber-800 flex items-start gap-1">
+                    <AlertCircle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    {warning}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Calculated Payment Display */}
         {calculatedPayment > 0 && (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -0,0 +1,267 @@
+"use client";
+
+import React, { useMemo, useState } from 'react';
+import { RefreshCw, Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/api-client';
+import { usePropertyContext, useProperty } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+import {
+  calculateTermChainSchedule,
+  getMortgageTermChain,
+  getTermEndDate,
+  normalizeMortgageRenewals,
+} from '@/utils/mortgageCalculator';
+
+/**
+ * Renewal chain for a property's mortgage.
+ * The original mortgage is term 1; each recorded renewal starts a new term with its own
+ * lender, rate and payment, and the balance carries over from the term before it.
+ */
+const MortgageRenewalsPanel = ({ propertyId }) => {
+  const property = useProperty(propertyId);
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
+  const mortgage = property?.mortgage;
+
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [lender, setLender] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [termYears, setTermYears] = useState(5);
+  const [ratePercent, setRatePercent] = useState('');
+  const [rateType, setRateType] = useState('FIXED');
+  const [paymentAmount, setPaymentAmount] = useState('');
+
+  const chain = useMemo(() => {
+    if (!mortgage?.startDate || !mortgage?.originalAmount) return [];
+    const terms = getMortgageTermChain(mortgage);
+
+    // Payment and opening balance of each term from the chain schedule
+    let payments = [];
+    try {
+      payments = calculateTermChainSchedule(mortgage).payments;
+    } catch (error) {
+      console.warn('Error calculating renewal chain schedule:', error);
+    }
+
+    return terms.map((term) => {
+      const index = payments.findIndex((p) => p.termNumber === term.termNumber);
+      return {
+        ...term,
+        endDate: getTermEndDate(term),
+        payment: index >= 0 ? payments[index].monthlyPayment : null,
+        openingBalance: index > 0 ? payments[index - 1].remainingBalance : index === 0 ? mortgage.originalAmount : null,
+      };
+    });
+  }, [mortgage]);
+
+  const applyRenewals = (rows) => {
+    updateProperty(propertyId, { mortgage: { renewals: normalizeMortgageRenewals(rows || []) } }, true);
+  };
+
+  const openForm = () => {
+    const current = chain[chain.length - 1];
+    setLender(current?.lender || '');
+    setStartDate(current?.endDate || '');
+    setTermYears(5);
+    setRatePercent('');
+    setRateType('FIXED');
+    setPaymentAmount('');
+    setShowForm(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const rate = parseFloat(ratePercent);
+    if (!lender.trim() || !startDate || !Number.isFinite(rate)) {
+      showToast('Enter the lender, start date and rate for the renewal', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const payment = parseFloat(paymentAmount);
+      const response = await apiClient.createMortgageRenewal(propertyId, {
+        lender: lender.trim(),
+        startDate,
+        termMonths: termYears * 12,
+        interestRate: rate / 100,
+        rateType,
+        paymentAmount: Number.isFinite(payment) && payment > 0 ? payment : null,
+      });
+      applyRenewals(response.data?.renewals);
+      setShowForm(false);
+      showToast(`Term ${response.data?.term?.term_number} recorded`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to record renewal', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (termNumber) => {
+    if (!window.confirm(`Remove term ${termNumber}? The previous term will apply again.`)) {
+      return;
+    }
+    try {
+      const response = await apiClient.deleteMortgageRenewal(propertyId, termNumber);
+      applyRenewals(response.data?.renewals);
+      showToast(`Term ${termNumber} removed`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to remove renewal', 'error');
+    }
+  };
+
+  if (!mortgage) {
+    return null;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-black/10 dark:border-white/10 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Terms &amp; Renewals</h3>
+        {!showForm && (
+          <button
+            onClick={openForm}
+            className="inline-flex items-center gap-2 px-4 py-2 border-2 border-[#205A3E] text-[#205A3E] dark:text-[#4ade80] dark:border-[#4ade80] rounded-lg hover:bg-[#205A3E]/10 dark:hover:bg-[#4ade80]/10 transition-colors duration-200 text-sm font-medium"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Record Renewal
+          </button>
+        )}
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+        Each renewal starts a new term at its own rate. Past terms drive the historical schedule; terms after
+        the last one recorded are assumed to renew on the same terms.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+          <input
+            type="text"
+            value={lender}
+            onChange={(e) => setLender(e.target.value)}
+            placeholder="Lender"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <select
+            value={termYears}
+            onChange={(e) => setTermYears(parseInt(e.target.value))}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          >
+            {[1, 2, 3, 4, 5, 7, 10].map((years) => (
+              <option key={years} value={years}>{years} Year{years > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            max="25"
+            value={ratePercent}
+            onChange={(e) => setRatePercent(e.target.value)}
+            placeholder="Rate (%)"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <select
+            value={rateType}
+            onChange={(e) => setRateType(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          >
+            <option value="FIXED">Fixed</option>
+            <option value="VARIABLE">Variable</option>
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={paymentAmount}
+            onChange={(e) => setPaymentAmount(e.target.value)}
+            placeholder="Payment from lender (optional)"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-[#205A3E] rounded-lg hover:bg-[#1a4a33] disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Renewal'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="space-y-2">
+        {chain.map((term, index) => {
+          const isCurrent = term.startDate <= today && today < term.endDate;
+          const isLatest = index === chain.length - 1;
+          return (
+            <div
+              key={term.termNumber}
+              className="flex items-start justify-between gap-4 py-2 border-b border-black/5 dark:border-white/5 last:border-0"
+            >
+              <div>
+                <div className="font-medium">
+                  Term {term.termNumber}
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{term.lender}</span>
+                  {isCurrent && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-[#205A3E]/10 text-[#205A3E] dark:bg-[#4ade80]/10 dark:text-[#4ade80]">
+                      Current
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {term.startDate} to {term.endDate} · {(term.interestRate * 100).toFixed(2)}% {term.rateType === 'VARIABLE' ? 'variable' : 'fixed'}
+                </div>
+                {term.payment !== null && (
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    Payment {formatCurrency(term.payment)}
+                    {term.openingBalance !== null && ` · Opening balance ${formatCurrency(term.openingBalance)}`}
+                  </div>
+                )}
+              </div>
+              {isLatest && term.termNumber > 1 && (
+                <button
+                  onClick={() => handleDelete(term.termNumber)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove this renewal"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Helper function to format currency
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+export default MortgageRenewalsPanel;
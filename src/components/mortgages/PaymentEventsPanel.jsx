@@ -0,0 +1,270 @@
+"use client";
+
+import React, { useMemo, useState } from 'react';
+import { CalendarX, Trash2 } from 'lucide-react';
+import { usePropertyContext, useProperty } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+import { useUpdateMortgage } from '@/hooks/useMortgages';
+import { calculateAmortizationSchedule } from '@/utils/mortgageCalculator';
+import { PAYMENT_EVENT_LABELS, normalizePaymentEvents } from '@/utils/paymentEvents';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-CA', {
+  style: 'currency',
+  currency: 'CAD',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+}).format(value || 0);
+
+const inputClassName = 'px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700';
+
+/**
+ * Payment deferrals, skipped and late payments on a property's mortgage.
+ * Each event changes the schedule from the payment it falls on: deferred and skipped payments
+ * add their interest to the balance, late payments accrue interest until they're made. The
+ * balance, annual interest and T776 interest all follow the adjusted schedule.
+ */
+const PaymentEventsPanel = ({ propertyId }) => {
+  const property = useProperty(propertyId);
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
+  const updateMortgage = useUpdateMortgage();
+  const mortgage = property?.mortgage;
+
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [type, setType] = useState('DEFERRAL');
+  const [date, setDate] = useState('');
+  const [payments, setPayments] = useState('6');
+  const [paidDate, setPaidDate] = useState('');
+  const [fee, setFee] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const events = useMemo(() => normalizePaymentEvents(mortgage?.paymentEvents), [mortgage]);
+
+  // Interest and fees the events added to the balance
+  const impact = useMemo(() => {
+    if (!mortgage?.startDate || !mortgage?.originalAmount || events.length === 0) return null;
+    try {
+      const affected = calculateAmortizationSchedule(mortgage).payments.filter((p) => p.paymentEvent);
+      return {
+        missedPayments: affected.filter((p) => p.paymentEvent !== 'LATE').length,
+        capitalizedInterest: affected
+          .filter((p) => p.paymentEvent !== 'LATE')
+          .reduce((sum, p) => sum + p.interest, 0),
+        fees: affected.reduce((sum, p) => sum + (p.fee || 0), 0),
+      };
+    } catch (error) {
+      console.warn('Error calculating payment event impact:', error);
+      return null;
+    }
+  }, [mortgage, events]);
+
+  const saveEvents = async (nextEvents) => {
+    await updateMortgage.mutateAsync({
+      mortgageId: mortgage.id,
+      mortgageData: { paymentEvents: nextEvents },
+    });
+    updateProperty(propertyId, {
+      mortgage: { paymentEvents: nextEvents },
+      // Re-derive debt service from the adjusted schedule
+      monthlyExpenses: { mortgagePayment: 0, mortgageInterest: 0, mortgagePrincipal: 0 },
+    }, true);
+  };
+
+  const openForm = () => {
+    setType('DEFERRAL');
+    setDate('');
+    setPayments('6');
+    setPaidDate('');
+    setFee('');
+    setNotes('');
+    setShowForm(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!date) {
+      showToast('Enter the date of the payment', 'error');
+      return;
+    }
+    if (type === 'LATE' && !(paidDate > date)) {
+      showToast('Enter the date the late payment was made, after the date it was due', 'error');
+      return;
+    }
+
+    const feeAmount = parseFloat(fee);
+    const event = {
+      type,
+      date,
+      ...(type === 'DEFERRAL' ? { payments: Math.max(1, parseInt(payments) || 1) } : {}),
+      ...(type === 'LATE' ? { paidDate } : {}),
+      ...(Number.isFinite(feeAmount) && feeAmount > 0 ? { fee: feeAmount } : {}),
+      ...(notes.trim() ? { notes: notes.trim() } : {}),
+    };
+
+    setSaving(true);
+    try {
+      await saveEvents(normalizePaymentEvents([...events, event]));
+      setShowForm(false);
+      showToast(`${PAYMENT_EVENT_LABELS[type]} recorded`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to record payment event', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (index) => {
+    const event = events[index];
+    if (!window.confirm(`Remove the ${PAYMENT_EVENT_LABELS[event.type].toLowerCase()} on ${event.date}?`)) {
+      return;
+    }
+    try {
+      await saveEvents(events.filter((_, i) => i !== index));
+      showToast('Payment event removed', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to remove payment event', 'error');
+    }
+  };
+
+  if (!mortgage?.id) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-black/10 dark:border-white/10 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Deferrals, Skipped &amp; Late Payments</h3>
+        {!showForm && (
+          <button
+            onClick={openForm}
+            className="inline-flex items-center gap-2 px-4 py-2 border-2 border-[#205A3E] text-[#205A3E] dark:text-[#4ade80] dark:border-[#4ade80] rounded-lg hover:bg-[#205A3E]/10 dark:hover:bg-[#4ade80]/10 transition-colors duration-200 text-sm font-medium"
+          >
+            <CalendarX className="w-4 h-4" />
+            Record Event
+          </button>
+        )}
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+        Payments that weren&apos;t made on time change every balance after them. Deferred and skipped payments add
+        their interest to the balance; a deferral also extends the amortization. A late payment accrues interest
+        until the day it was made.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-6">
+          <select value={type} onChange={(e) => setType(e.target.value)} className={inputClassName}>
+            {Object.entries(PAYMENT_EVENT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            title={type === 'DEFERRAL' ? 'First deferred payment' : 'Payment due date'}
+            className={inputClassName}
+          />
+          {type === 'DEFERRAL' && (
+            <input
+              type="number"
+              min="1"
+              max="60"
+              value={payments}
+              onChange={(e) => setPayments(e.target.value)}
+              placeholder="Payments deferred"
+              className={inputClassName}
+            />
+          )}
+          {type === 'LATE' && (
+            <input
+              type="date"
+              value={paidDate}
+              onChange={(e) => setPaidDate(e.target.value)}
+              title="Date the payment was made"
+              className={inputClassName}
+            />
+          )}
+          {type === 'SKIP' && <div className="hidden sm:block" />}
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={fee}
+            onChange={(e) => setFee(e.target.value)}
+            placeholder="Fee charged (optional)"
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Notes (optional)"
+            className={`${inputClassName} sm:col-span-2`}
+          />
+          <div className="sm:col-span-3 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-[#205A3E] rounded-lg hover:bg-[#1a4a33] disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Event'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Every payment has been made on schedule.</p>
+      ) : (
+        <div className="space-y-2">
+          {events.map((event, index) => (
+            <div
+              key={`${event.type}-${event.date}-${index}`}
+              className="flex items-start justify-between gap-4 py-2 border-b border-black/5 dark:border-white/5 last:border-0"
+            >
+              <div>
+                <div className="font-medium">
+                  {PAYMENT_EVENT_LABELS[event.type]}
+                  <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{event.date}</span>
+                </div>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {event.type === 'DEFERRAL' && `${event.payments || 1} payment${(event.payments || 1) > 1 ? 's' : ''} deferred`}
+                  {event.type === 'SKIP' && 'Payment skipped'}
+                  {event.type === 'LATE' && `Paid ${event.paidDate}`}
+                  {event.fee > 0 && ` · Fee ${formatCurrency(event.fee)}`}
+                  {event.notes && ` · ${event.notes}`}
+                </div>
+              </div>
+              <button
+                onClick={() => handleDelete(index)}
+                className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Remove this event"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {impact && impact.missedPayments > 0 && (
+        <div className="mt-4 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300">
+          {impact.missedPayments} payment{impact.missedPayments > 1 ? 's' : ''} not made added{' '}
+          {formatCurrency(impact.capitalizedInterest)} of interest
+          {impact.fees > 0 && ` and ${formatCurrency(impact.fees)} of fees`} to the balance.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentEventsPanel;
@@ -2,6 +2,8 @@
 
 import { useMortgages } from "@/hooks/useMortgages";
 import { useProperties } from "@/context/PropertyContext";
+import TriggerRateWatch from "@/components/mortgages/TriggerRateWatch";
+import DebtMaturityReport from "@/components/mortgages/DebtMaturityReport";
 import { 
   CreditCard, 
   TrendingUp, 
@@ -76,6 +78,16 @@ export default function PortfolioMortgageDashboard({ className = "" }) {
     allMortgages.some(mortgage => mortgage.propertyId === property.id)
   );
 
+  // Fixed-payment variable mortgages to check against their trigger rate
+  const triggerWatchMortgages = allMortgages.map((mortgage) => {
+    const property = (properties || []).find(p => p.id === mortgage.propertyId);
+    return {
+      id: mortgage.id,
+      label: `${mortgage.lenderName}${property ? ` – ${property.address}` : ''}`,
+      mortgage: toCalculatorMortgage(mortgage),
+    };
+  });
+
   const rateTypeDistribution = allMortgages.reduce((acc, mortgage) => {
     acc[mortgage.rateType] = (acc[mortgage.rateType] || 0) + 1;
     return acc;
@@ -130,6 +142,12 @@ export default function PortfolioMortgageDashboard({ className = "" }) {
         </div>
       </div>
 
+      {/* Trigger Rate Flags */}
+      <TriggerRateWatch mortgages={triggerWatchMortgages} className="mb-4 md:mb-6" />
+
+      {/* Maturity Ladder and Rate Shock */}
+      <DebtMaturityReport properties={properties} className="mb-4 md:mb-6" />
+
       {/* Distribution Charts */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Rate Type Distribution */}
@@ -266,6 +284,22 @@ function calculateMonthlyPayment(mortgage) {
   }
 }
 
+// Helper function to map an API mortgage to the mortgage calculator format
+function toCalculatorMortgage(mortgage) {
+  return {
+    lender: mortgage.lenderName,
+    originalAmount: mortgage.originalAmount,
+    interestRate: mortgage.interestRate,
+    rateType: mortgage.rateType,
+    termMonths: mortgage.termMonths || (mortgage.termYears ? mortgage.termYears * 12 : 60),
+    amortizationYears: mortgage.amortizationPeriodYears || (mortgage.amortizationPeriodMonths ? mortgage.amortizationPeriodMonths / 12 : 25),
+    paymentFrequency: mortgage.paymentFrequency || 'MONTHLY',
+    startDate: mortgage.startDate,
+    variableRateSpread: mortgage.variableRateSpread ?? undefined,
+    hasFixedPayments: mortgage.hasFixedPayments === true,
+  };
+}
+
 // Helper function to format currency
 function formatCurrency(amount) {
   return new Intl.NumberFormat('en-CA', {
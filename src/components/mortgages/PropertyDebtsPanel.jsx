@@ -0,0 +1,615 @@
+"use client";
+
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, ArrowLeftRight, Plus, Trash2 } from 'lucide-react';
+import { apiClient } from '@/lib/api-client';
+import { usePropertyContext, useProperty } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+import { getCurrentMortgageBalance, getMonthlyMortgagePayment } from '@/utils/mortgageCalculator';
+import { DEBT_TYPE_LABELS, getPropertyDebts, mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { LOAN_TYPE_LABELS, MATURITY_ACTION_LABELS, getLoanType, hasBalloonAtMaturity } from '@/utils/loanTypes';
+import {
+  HELOC_MAX_LIMIT_RATIO,
+  getCreditLineAvailable,
+  getCreditLineBalance,
+  getCreditLineLimit,
+  getCreditLineMonthlyInterest,
+  getCreditLineRate,
+  isCreditLine,
+} from '@/utils/creditLine';
+
+/**
+ * Every lien on a property in priority order (first mortgage, second mortgage, line of credit).
+ * Debt service, balances and forecasts for the property add up all of them.
+ * Lines of credit show their limit and available credit, and take draws and repayments.
+ * Private and vendor take-back loans can be interest-only, balloon or fixed-principal.
+ */
+const PropertyDebtsPanel = ({ propertyId }) => {
+  const property = useProperty(propertyId);
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
+
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [debtType, setDebtType] = useState('MORTGAGE');
+  const [lender, setLender] = useState('');
+  const [amount, setAmount] = useState('');
+  const [ratePercent, setRatePercent] = useState('');
+  const [rateType, setRateType] = useState('FIXED');
+  const [amortizationYears, setAmortizationYears] = useState(25);
+  const [termYears, setTermYears] = useState(5);
+  const [startDate, setStartDate] = useState('');
+  const [limitPercent, setLimitPercent] = useState(String(HELOC_MAX_LIMIT_RATIO * 100));
+  const [readvanceable, setReadvanceable] = useState(false);
+  const [loanType, setLoanType] = useState('AMORTIZING');
+  const [maturityAction, setMaturityAction] = useState('PAYOFF');
+  const [interestReserve, setInterestReserve] = useState('');
+  const [lenderFee, setLenderFee] = useState('');
+
+  // Draw / repayment entry for a line of credit
+  const [transactionDebtId, setTransactionDebtId] = useState(null);
+  const [transactionType, setTransactionType] = useState('DRAW');
+  const [transactionAmount, setTransactionAmount] = useState('');
+  const [transactionDate, setTransactionDate] = useState('');
+
+  const isLineOfCredit = debtType === 'LINE_OF_CREDIT';
+  const hasMaturityBalance = loanType === 'INTEREST_ONLY' || loanType === 'BALLOON';
+
+  const debts = useMemo(() => {
+    return getPropertyDebts(property).map((debt) => {
+      if (isCreditLine(debt)) {
+        const limit = getCreditLineLimit(debt, property);
+        return {
+          ...debt,
+          balance: getCreditLineBalance(debt),
+          payment: getCreditLineMonthlyInterest(debt),
+          rate: getCreditLineRate(debt),
+          limit,
+          available: getCreditLineAvailable(debt, property),
+        };
+      }
+
+      let balance = debt.originalAmount;
+      let payment = 0;
+      try {
+        balance = getCurrentMortgageBalance(debt);
+        payment = getMonthlyMortgagePayment(debt);
+      } catch (error) {
+        console.warn('Error calculating debt balance:', error);
+      }
+      return { ...debt, balance, payment, rate: debt.interestRate || 0 };
+    });
+  }, [property]);
+
+  const totals = debts.reduce(
+    (sum, debt) => ({ balance: sum.balance + debt.balance, payment: sum.payment + debt.payment }),
+    { balance: 0, payment: 0 }
+  );
+
+  const applyDebts = (rows) => {
+    const mapped = (rows || []).map(mapApiDebtToFrontend);
+    updateProperty(propertyId, {
+      mortgage: mapped[0] || { originalAmount: 0 },
+      additionalDebts: mapped.slice(1),
+      // Re-derive debt service from the new set of debts
+      monthlyExpenses: { mortgagePayment: 0, mortgageInterest: 0, mortgagePrincipal: 0 },
+    }, true);
+  };
+
+  const openForm = () => {
+    setDebtType(debts.length > 0 ? 'PRIVATE_MORTGAGE' : 'MORTGAGE');
+    setLender('');
+    setAmount('');
+    setRatePercent('');
+    setRateType('FIXED');
+    setAmortizationYears(25);
+    setTermYears(5);
+    setStartDate('');
+    setLimitPercent(String(HELOC_MAX_LIMIT_RATIO * 100));
+    setReadvanceable(false);
+    setLoanType('AMORTIZING');
+    setMaturityAction('PAYOFF');
+    setInterestReserve('');
+    setLenderFee('');
+    setShowForm(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    // A line of credit can open with nothing drawn
+    const originalAmount = isLineOfCredit && amount === '' ? 0 : parseFloat(amount);
+    const rate = parseFloat(ratePercent);
+    if (!lender.trim() || !startDate || !Number.isFinite(originalAmount) || !Number.isFinite(rate)) {
+      showToast('Enter the lender, amount, rate and start date for the debt', 'error');
+      return;
+    }
+
+    const limitRatio = parseFloat(limitPercent) / 100;
+    if (isLineOfCredit && !(limitRatio > 0)) {
+      showToast('Enter the credit limit as a percentage of the property value', 'error');
+      return;
+    }
+
+    const reserve = parseFloat(interestReserve);
+    const fee = parseFloat(lenderFee);
+
+    setSaving(true);
+    try {
+      const response = await apiClient.createPropertyDebt(propertyId, isLineOfCredit
+        ? {
+          debtType,
+          lender: lender.trim(),
+          openingBalance: originalAmount,
+          interestRate: rate / 100,
+          rateType,
+          startDate,
+          creditLimitRatio: limitRatio,
+          readvanceable,
+        }
+        : {
+          debtType,
+          lender: lender.trim(),
+          originalAmount,
+          interestRate: rate / 100,
+          rateType,
+          termMonths: Math.min(termYears, amortizationYears) * 12,
+          amortizationYears,
+          paymentFrequency: 'MONTHLY',
+          startDate,
+          mortgageData: {
+            loanType,
+            maturityAction: hasMaturityBalance ? maturityAction : null,
+            interestReserve: reserve > 0 ? reserve : null,
+            lenderFee: fee > 0 ? fee : null,
+          },
+        });
+      applyDebts(response.data?.debts);
+      setShowForm(false);
+      showToast(`${DEBT_TYPE_LABELS[debtType]} added`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to add debt', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Swap lien positions with the neighbouring debt, renumbering priorities 1..n
+  const handleMove = async (index, direction) => {
+    const reordered = [...debts];
+    [reordered[index], reordered[index + direction]] = [reordered[index + direction], reordered[index]];
+    if (reordered.some((debt) => !debt.id)) return;
+
+    try {
+      let response = null;
+      for (const [position, debt] of reordered.entries()) {
+        if (debt.priority !== position + 1) {
+          response = await apiClient.updatePropertyDebt(propertyId, debt.id, { priority: position + 1 });
+        }
+      }
+      if (response) {
+        applyDebts(response.data?.debts);
+      }
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to reorder debts', 'error');
+    }
+  };
+
+  const handleDelete = async (debt) => {
+    if (!debt.id) return;
+    if (!window.confirm(`Remove the ${debt.lender} ${DEBT_TYPE_LABELS[debt.debtType || 'MORTGAGE'].toLowerCase()}? Its schedules and renewals are removed too.`)) {
+      return;
+    }
+    try {
+      const response = await apiClient.deletePropertyDebt(propertyId, debt.id);
+      applyDebts(response.data?.debts);
+      showToast('Debt removed', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to remove debt', 'error');
+    }
+  };
+
+  const openTransactionForm = (debt) => {
+    setTransactionDebtId(debt.id);
+    setTransactionType('DRAW');
+    setTransactionAmount('');
+    setTransactionDate(new Date().toISOString().split('T')[0]);
+  };
+
+  const handleSaveTransaction = async (e, debt) => {
+    e.preventDefault();
+    const value = parseFloat(transactionAmount);
+    if (!transactionDate || !Number.isFinite(value) || value <= 0) {
+      showToast('Enter the amount and date of the transaction', 'error');
+      return;
+    }
+    if (transactionType === 'DRAW' && value > getCreditLineAvailable(debt, property, transactionDate)) {
+      showToast('Draw exceeds the credit available on that date', 'error');
+      return;
+    }
+    if (transactionType === 'REPAYMENT' && value > getCreditLineBalance(debt, transactionDate)) {
+      showToast('Repayment exceeds the balance owing on that date', 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await apiClient.createCreditLineTransaction(propertyId, debt.id, {
+        date: transactionDate,
+        type: transactionType,
+        amount: value,
+      });
+      applyDebts(response.data?.debts);
+      setTransactionDebtId(null);
+      showToast(transactionType === 'DRAW' ? 'Draw recorded' : 'Repayment recorded', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to record transaction', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTransaction = async (debt, transaction) => {
+    if (!transaction.id) return;
+    if (!window.confirm(`Remove the ${transaction.type === 'DRAW' ? 'draw' : 'repayment'} of ${formatCurrency(transaction.amount)} on ${transaction.date}?`)) {
+      return;
+    }
+    try {
+      const response = await apiClient.deleteCreditLineTransaction(propertyId, debt.id, transaction.id);
+      applyDebts(response.data?.debts);
+      showToast('Transaction removed', 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to remove transaction', 'error');
+    }
+  };
+
+  if (!property) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-black/10 dark:border-white/10 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Debts on this Property</h3>
+        {!showForm && (
+          <button
+            onClick={openForm}
+            className="inline-flex items-center gap-2 px-4 py-2 border-2 border-[#205A3E] text-[#205A3E] dark:text-[#4ade80] dark:border-[#4ade80] rounded-lg hover:bg-[#205A3E]/10 dark:hover:bg-[#4ade80]/10 transition-colors duration-200 text-sm font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            Add Debt
+          </button>
+        )}
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+        Liens are listed by priority. The first is the property&apos;s mortgage; debt service, DSCR and
+        forecasts include every debt listed here.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleSave} className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-6">
+          <select
+            value={debtType}
+            onChange={(e) => setDebtType(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          >
+            {Object.entries(DEBT_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={lender}
+            onChange={(e) => setLender(e.target.value)}
+            placeholder="Lender"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={isLineOfCredit ? 'Opening balance' : 'Original amount'}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            max="25"
+            value={ratePercent}
+            onChange={(e) => setRatePercent(e.target.value)}
+            placeholder="Rate (%)"
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+          <select
+            value={rateType}
+            onChange={(e) => setRateType(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          >
+            <option value="FIXED">Fixed</option>
+            <option value="VARIABLE">Variable</option>
+          </select>
+          {isLineOfCredit ? (
+            <>
+              <input
+                type="number"
+                step="0.1"
+                min="1"
+                max="95"
+                value={limitPercent}
+                onChange={(e) => setLimitPercent(e.target.value)}
+                placeholder="Limit (% of value)"
+                title="Credit limit as a percentage of the property's market value"
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              />
+              <label
+                className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                title="The limit is shared with the amortizing mortgage and grows as it is paid down"
+              >
+                <input
+                  type="checkbox"
+                  checked={readvanceable}
+                  onChange={(e) => setReadvanceable(e.target.checked)}
+                  className="rounded border-gray-300 dark:border-gray-600"
+                />
+                Readvanceable
+              </label>
+            </>
+          ) : (
+            <>
+              <select
+                value={amortizationYears}
+                onChange={(e) => setAmortizationYears(parseInt(e.target.value))}
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              >
+                {[5, 10, 15, 20, 25, 30].map((years) => (
+                  <option key={years} value={years}>{years} Year Amortization</option>
+                ))}
+              </select>
+              <select
+                value={termYears}
+                onChange={(e) => setTermYears(parseInt(e.target.value))}
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              >
+                {[1, 2, 3, 4, 5, 7, 10].map((years) => (
+                  <option key={years} value={years}>{years} Year Term</option>
+                ))}
+              </select>
+              <select
+                value={loanType}
+                onChange={(e) => setLoanType(e.target.value)}
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              >
+                {Object.entries(LOAN_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {hasMaturityBalance ? (
+                <select
+                  value={maturityAction}
+                  onChange={(e) => setMaturityAction(e.target.value)}
+                  className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+                >
+                  {Object.entries(MATURITY_ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              ) : (
+                <div className="hidden sm:block" />
+              )}
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={interestReserve}
+                onChange={(e) => setInterestReserve(e.target.value)}
+                placeholder="Interest reserve (optional)"
+                title="Interest the lender held back from the advance to cover the first payments"
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              />
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={lenderFee}
+                onChange={(e) => setLenderFee(e.target.value)}
+                placeholder="Lender fee (optional)"
+                title="Lender and broker fees deducted at funding"
+                className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+              />
+            </>
+          )}
+          <div className="sm:col-span-4 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-[#205A3E] rounded-lg hover:bg-[#1a4a33] disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Debt'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {debts.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No debts recorded for this property</p>
+      ) : (
+        <div className="space-y-2">
+          {debts.map((debt, index) => (
+            <div
+              key={debt.id || index}
+              className="py-2 border-b border-black/5 dark:border-white/5 last:border-0"
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <div className="font-medium">
+                    {index + 1}. {DEBT_TYPE_LABELS[debt.debtType || 'MORTGAGE']}
+                    <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{debt.lender}</span>
+                    {debt.readvanceable && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-[#205A3E]/10 text-[#205A3E] dark:bg-[#4ade80]/10 dark:text-[#4ade80]">
+                        Readvanceable
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    Balance {formatCurrency(debt.balance)} · {(debt.rate * 100).toFixed(2)}% · {isCreditLine(debt) ? 'Interest' : 'Payment'} {formatCurrency(debt.payment)}/mo
+                  </div>
+                  {isCreditLine(debt) && (
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      Limit {formatCurrency(debt.limit)} · Available {formatCurrency(debt.available)}
+                    </div>
+                  )}
+                  {!isCreditLine(debt) && getLoanType(debt) !== 'AMORTIZING' && (
+                    <div className="text-sm text-gray-600 dark:text-gray-400">
+                      {LOAN_TYPE_LABELS[getLoanType(debt)]}
+                      {hasBalloonAtMaturity(debt) && ' · Balance due at maturity'}
+                      {debt.interestReserve > 0 && ` · Interest reserve ${formatCurrency(debt.interestReserve)}`}
+                      {debt.lenderFee > 0 && ` · Lender fee ${formatCurrency(debt.lenderFee)}`}
+                    </div>
+                  )}
+                </div>
+                {debt.id && (
+                  <div className="flex items-center gap-1">
+                    {isCreditLine(debt) && (
+                      <button
+                        onClick={() => openTransactionForm(debt)}
+                        className="p-1.5 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                        title="Record a draw or repayment"
+                      >
+                        <ArrowLeftRight className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      className="p-1.5 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                      title="Move up in priority"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === debts.length - 1}
+                      className="p-1.5 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                      title="Move down in priority"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(debt)}
+                      className="p-1.5 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Remove this debt"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+              {transactionDebtId === debt.id && (
+                <form onSubmit={(e) => handleSaveTransaction(e, debt)} className="grid grid-cols-1 sm:grid-cols-4 gap-3 mt-3">
+                  <select
+                    value={transactionType}
+                    onChange={(e) => setTransactionType(e.target.value)}
+                    className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+                  >
+                    <option value="DRAW">Draw</option>
+                    <option value="REPAYMENT">Repayment</option>
+                  </select>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={transactionAmount}
+                    onChange={(e) => setTransactionAmount(e.target.value)}
+                    placeholder="Amount"
+                    className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+                  />
+                  <input
+                    type="date"
+                    value={transactionDate}
+                    onChange={(e) => setTransactionDate(e.target.value)}
+                    className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+                  />
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => setTransactionDebtId(null)}
+                      className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium text-white bg-[#205A3E] rounded-lg hover:bg-[#1a4a33] disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </form>
+              )}
+              {isCreditLine(debt) && (debt.transactions || []).length > 0 && (
+                <div className="mt-2 space-y-1">
+                  {debt.transactions.slice(-5).reverse().map((transaction) => (
+                    <div
+                      key={transaction.id || `${transaction.date}-${transaction.amount}`}
+                      className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400"
+                    >
+                      <span>
+                        {transaction.date} · {transaction.type === 'DRAW' ? 'Draw' : 'Repayment'} {formatCurrency(transaction.amount)}
+                      </span>
+                      {transaction.id && (
+                        <button
+                          onClick={() => handleDeleteTransaction(debt, transaction)}
+                          className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                          title="Remove this transaction"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          {debts.length > 1 && (
+            <div className="flex justify-between pt-2 text-sm font-medium">
+              <span>Total</span>
+              <span>
+                {formatCurrency(totals.balance)} · {formatCurrency(totals.payment)}/mo
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Helper function to format currency
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+export default PropertyDebtsPanel;
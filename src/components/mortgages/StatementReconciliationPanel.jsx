@@ -0,0 +1,334 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Upload, AlertCircle, CheckCircle2, Anchor } from 'lucide-react';
+import { apiClient } from '@/lib/api-client';
+import { usePropertyContext, useProperty } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { RECONCILIATION_TOLERANCE } from '@/utils/scheduleReconciliation';
+
+const COLUMN_FIELDS = [
+  { key: 'paymentDate', placeholder: 'Date column' },
+  { key: 'monthlyPayment', placeholder: 'Payment column' },
+  { key: 'principal', placeholder: 'Principal column' },
+  { key: 'interest', placeholder: 'Interest column' },
+  { key: 'remainingBalance', placeholder: 'Balance column' },
+  { key: 'interestRate', placeholder: 'Rate column' },
+];
+
+const STATUS_STYLES = {
+  MATCHED: { label: 'Matched', className: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' },
+  DRIFT: { label: 'Drift', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300' },
+  MISSED: { label: 'Missed', className: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' },
+  EXTRA: { label: 'Extra', className: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300' },
+};
+
+const formatCurrency = (value) => {
+  if (value === null || value === undefined) return '—';
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(value);
+};
+
+const formatDrift = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Math.abs(value) <= RECONCILIATION_TOLERANCE) return formatCurrency(0);
+  return `${value > 0 ? '+' : ''}${formatCurrency(value)}`;
+};
+
+const formatRate = (value) => (typeof value === 'number' ? `${(value * 100).toFixed(2)}%` : '—');
+
+/**
+ * Reconcile a lender's annual statement or transaction export against the calculated schedule.
+ * Each statement row is compared with the scheduled payment on the same date, so drift in the
+ * balance can be traced to missed or extra payments, a different rate or the interest calculation.
+ * Adopting the lender's balance re-anchors the schedule from the statement date.
+ */
+const StatementReconciliationPanel = ({ propertyId }) => {
+  const property = useProperty(propertyId);
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
+  const mortgage = property?.mortgage;
+
+  const [mapping, setMapping] = useState({});
+  const [csvContent, setCsvContent] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [report, setReport] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [adopting, setAdopting] = useState(false);
+  const [differencesOnly, setDifferencesOnly] = useState(true);
+
+  const reconcile = async (content) => {
+    const columnMapping = Object.fromEntries(
+      Object.entries(mapping)
+        .map(([key, value]) => [key, value.trim()])
+        .filter(([, value]) => value)
+    );
+
+    const response = await apiClient.reconcileMortgageStatement(propertyId, {
+      csvContent: content,
+      ...(Object.keys(columnMapping).length > 0 ? { mapping: columnMapping } : {}),
+    });
+    setReport(response.data?.report || null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      showToast('Please select a CSV file exported from your lender', 'error');
+      return;
+    }
+
+    setReconciling(true);
+    try {
+      const content = await file.text();
+      await reconcile(content);
+      setCsvContent(content);
+      setFileName(file.name);
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to reconcile statement', 'error');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  const handleAdopt = async () => {
+    const closing = report?.closingBalance;
+    if (!closing) return;
+    if (!window.confirm(
+      `Use the lender's balance of ${formatCurrency(closing.lender)} on ${closing.date}? ` +
+      'The schedule will continue from this balance.'
+    )) {
+      return;
+    }
+
+    setAdopting(true);
+    try {
+      const response = await apiClient.adoptLenderBalance(propertyId, {
+        balance: Math.round(closing.lender * 100) / 100,
+        asOf: closing.date,
+      });
+      const mapped = (response.data?.debts || []).map(mapApiDebtToFrontend);
+      updateProperty(propertyId, {
+        mortgage: mapped[0] || { originalAmount: 0 },
+        additionalDebts: mapped.slice(1),
+        // Re-derive debt service from the re-anchored schedule
+        monthlyExpenses: { mortgagePayment: 0, mortgageInterest: 0, mortgagePrincipal: 0 },
+      }, true);
+      await reconcile(csvContent);
+      showToast(`Schedule re-anchored to the lender balance on ${closing.date}`, 'success');
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to adopt lender balance', 'error');
+    } finally {
+      setAdopting(false);
+    }
+  };
+
+  const findings = [];
+  if (report) {
+    if (report.missedCount > 0) {
+      findings.push(`${report.missedCount} scheduled payment(s) have no matching statement row – a skipped payment, or a payment date that differs from the lender's.`);
+    }
+    if (report.extraCount > 0) {
+      findings.push(`${report.extraCount} statement row(s) aren't in the schedule – prepayments or extra payments lower the balance faster than calculated.`);
+    }
+    if (report.rateMismatchCount > 0) {
+      findings.push(`The lender's rate differs from ours on ${report.rateMismatchCount} payment(s). Check the interest rate, renewals and the prime rate spread.`);
+    } else if (report.columns.includes('interest') && Math.abs(report.totals.interestDrift) > RECONCILIATION_TOLERANCE) {
+      findings.push(`Interest differs by ${formatDrift(report.totals.interestDrift)} while the rates agree – the lender likely charges interest by the day rather than per payment.`);
+    }
+  }
+
+  const rows = report
+    ? report.rows.filter((row) => !differencesOnly || row.status !== 'MATCHED' || row.rateMismatch)
+    : [];
+  const closing = report?.closingBalance;
+  const hasColumn = (column) => !!report?.columns.includes(column);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-black/10 dark:border-white/10 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Statement Reconciliation</h3>
+        <label className={`inline-flex items-center gap-2 px-4 py-2 border-2 border-[#205A3E] text-[#205A3E] dark:text-[#4ade80] dark:border-[#4ade80] rounded-lg hover:bg-[#205A3E]/10 dark:hover:bg-[#4ade80]/10 transition-colors duration-200 text-sm font-medium ${reconciling || !mortgage?.id ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+          <Upload className="w-4 h-4" />
+          {reconciling ? 'Reconciling...' : 'Upload Statement'}
+          <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+        </label>
+      </div>
+
+      <p className="text-gray-600 dark:text-gray-400 mb-4 text-sm">
+        Compare your lender&apos;s annual statement or transaction export with the calculated schedule, payment by
+        payment. Columns are detected from the CSV headers; name them below if your lender uses different headers.
+      </p>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-6">
+        {COLUMN_FIELDS.map(({ key, placeholder }) => (
+          <input
+            key={key}
+            type="text"
+            value={mapping[key] || ''}
+            onChange={(e) => setMapping((current) => ({ ...current, [key]: e.target.value }))}
+            placeholder={`${placeholder} (optional)`}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700"
+          />
+        ))}
+      </div>
+
+      {mortgage?.currentBalanceDate && mortgage?.currentBalance > 0 && (
+        <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+          Schedule anchored to the lender balance of {formatCurrency(mortgage.currentBalance)} on {mortgage.currentBalanceDate}.
+        </p>
+      )}
+
+      {!report ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {mortgage?.id ? 'No statement reconciled yet.' : 'Save the mortgage before reconciling a statement.'}
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            {fileName} · {report.periodStart} to {report.periodEnd}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+            {[
+              { label: 'Matched', value: report.matchedCount },
+              { label: 'Drifted', value: report.driftCount },
+              { label: 'Missed', value: report.missedCount },
+              { label: 'Extra', value: report.extraCount },
+              { label: 'Rate mismatches', value: report.rateMismatchCount },
+            ].map(({ label, value }) => (
+              <div key={label} className="rounded-lg bg-gray-50 dark:bg-gray-700/50 p-3">
+                <div className="text-xs text-gray-500 dark:text-gray-400">{label}</div>
+                <div className="text-lg font-semibold tabular-nums">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {closing && (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-lg border border-black/10 dark:border-white/10 p-4">
+              <div className="text-sm">
+                <div className="font-medium">Balance on {closing.date}</div>
+                <div className="text-gray-600 dark:text-gray-400">
+                  Lender {formatCurrency(closing.lender)} · Calculated {formatCurrency(closing.computed)} ·{' '}
+                  <span className={Math.abs(closing.drift) > RECONCILIATION_TOLERANCE ? 'text-amber-600 dark:text-amber-400 font-medium' : ''}>
+                    Drift {formatDrift(closing.drift)}
+                  </span>
+                </div>
+              </div>
+              {Math.abs(closing.drift) > RECONCILIATION_TOLERANCE && (
+                <button
+                  onClick={handleAdopt}
+                  disabled={adopting}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-[#205A3E] text-white rounded-lg hover:bg-[#1a4a32] transition-colors disabled:opacity-50 text-sm font-medium"
+                >
+                  <Anchor className="w-4 h-4" />
+                  {adopting ? 'Adopting...' : 'Adopt Lender Balance'}
+                </button>
+              )}
+            </div>
+          )}
+
+          {(hasColumn('interest') || hasColumn('principal')) && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+              {hasColumn('interest') && (
+                <div>
+                  Interest: lender {formatCurrency(report.totals.lenderInterest)} vs calculated{' '}
+                  {formatCurrency(report.totals.computedInterest)} ({formatDrift(report.totals.interestDrift)})
+                </div>
+              )}
+              {hasColumn('principal') && (
+                <div>
+                  Principal: lender {formatCurrency(report.totals.lenderPrincipal)} vs calculated{' '}
+                  {formatCurrency(report.totals.computedPrincipal)} ({formatDrift(report.totals.principalDrift)})
+                </div>
+              )}
+            </div>
+          )}
+
+          {findings.length > 0 ? (
+            <ul className="space-y-1">
+              {findings.map((finding) => (
+                <li key={finding} className="flex items-start gap-2 text-sm text-amber-700 dark:text-amber-400">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  <span>{finding}</span>
+                </li>
+              ))}
+            </ul>
+          ) : report.driftCount === 0 && (
+            <div className="flex items-center gap-2 text-sm text-green-700 dark:text-green-400">
+              <CheckCircle2 className="w-4 h-4" />
+              <span>Every payment on the statement matches the calculated schedule.</span>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+            <input
+              type="checkbox"
+              checked={differencesOnly}
+              onChange={(e) => setDifferencesOnly(e.target.checked)}
+            />
+            Show differences only
+          </label>
+
+          {rows.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-black/10 dark:border-white/10">
+                    <th className="py-2 pr-4 font-medium">Date</th>
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 pr-4 font-medium text-right">Lender Payment</th>
+                    <th className="py-2 pr-4 font-medium text-right">Calculated Payment</th>
+                    <th className="py-2 pr-4 font-medium text-right">Principal Drift</th>
+                    <th className="py-2 pr-4 font-medium text-right">Interest Drift</th>
+                    <th className="py-2 pr-4 font-medium text-right">Balance Drift</th>
+                    <th className="py-2 font-medium text-right">Rate (Lender / Ours)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={`${row.date}-${index}`} className="border-b border-black/5 dark:border-white/5 last:border-0">
+                      <td className="py-2 pr-4 whitespace-nowrap">{row.date}</td>
+                      <td className="py-2 pr-4">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[row.status].className}`}>
+                          {STATUS_STYLES[row.status].label}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">
+                        {row.lender ? formatCurrency(row.lender.monthlyPayment || row.lender.principal + row.lender.interest) : '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">
+                        {row.computed ? formatCurrency(row.computed.monthlyPayment) : '—'}
+                      </td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatDrift(row.principalDrift)}</td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatDrift(row.interestDrift)}</td>
+                      <td className="py-2 pr-4 text-right tabular-nums">{formatDrift(row.balanceDrift)}</td>
+                      <td className={`py-2 text-right tabular-nums whitespace-nowrap ${row.rateMismatch ? 'text-amber-600 dark:text-amber-400 font-medium' : ''}`}>
+                        {formatRate(row.lenderRate)}{row.lenderRateImplied ? '*' : ''} / {formatRate(row.computedRate)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.some((row) => row.lenderRateImplied) && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  * Implied by the interest charged on the balance owing
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementReconciliationPanel;
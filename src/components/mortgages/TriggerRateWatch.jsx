@@ -0,0 +1,96 @@
+"use client";
+
+import { useMemo } from "react";
+import { AlertTriangle } from "lucide-react";
+import { analyzeTriggerRate } from "@/utils/mortgageCalculator";
+
+const STATUS_STYLES = {
+  PAST_TRIGGER_RATE: {
+    label: "Past trigger rate",
+    badge: "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300",
+  },
+  NEAR_TRIGGER_RATE: {
+    label: "Near trigger rate",
+    badge: "bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300",
+  },
+};
+
+/**
+ * Flags fixed-payment variable mortgages that are near or past their trigger rate, or whose
+ * payment has already been reset, with the projected date the lender would force a payment reset.
+ *
+ * @param {Array<{id: string, label: string, mortgage: object}>} mortgages - Mortgages in calculator format
+ */
+export default function TriggerRateWatch({ mortgages = [], className = "" }) {
+  const flagged = useMemo(() => {
+    return mortgages
+      .map((item) => ({ ...item, analysis: analyzeTriggerRate(item.mortgage) }))
+      .filter((item) => item.analysis && (item.analysis.status !== "OK" || item.analysis.lastResetDate));
+  }, [mortgages]);
+
+  if (flagged.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`bg-amber-50 dark:bg-amber-900/10 border border-amber-200 dark:border-amber-800 rounded-lg p-4 ${className}`}>
+      <div className="flex items-center gap-2 mb-3">
+        <AlertTriangle className="w-5 h-5 text-amber-600 dark:text-amber-400" />
+        <h3 className="font-medium text-gray-900 dark:text-white">Trigger Rate Watch</h3>
+      </div>
+      <div className="space-y-3">
+        {flagged.map(({ id, label, analysis }) => {
+          const style = STATUS_STYLES[analysis.status];
+          const headroomText = analysis.projectedResetDate
+            ? `Projected payment reset ${analysis.projectedResetDate}${analysis.projectedResetPayment ? ` to ${formatCurrency(analysis.projectedResetPayment)}` : ""}`
+            : `${formatRate(Math.max(0, analysis.rateHeadroom))} rate headroom`;
+          return (
+            <div key={id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3 bg-white dark:bg-gray-800 rounded-lg">
+              <div>
+                <div className="flex items-center gap-2">
+                  <p className="font-medium text-gray-900 dark:text-white">{label}</p>
+                  {style && (
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${style.badge}`}>
+                      {style.label}
+                    </span>
+                  )}
+                  {analysis.lastResetDate && (
+                    <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                      Payment reset {analysis.lastResetDate}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Rate {formatRate(analysis.currentRate)} · Trigger rate {formatRate(analysis.triggerRate)}
+                  {analysis.negativeAmortization && " · Balance is growing"}
+                </p>
+              </div>
+              <div className="text-sm sm:text-right">
+                <p className="text-gray-900 dark:text-white">
+                  Balance {formatCurrency(analysis.currentBalance)} of {formatCurrency(analysis.triggerPointBalance)} trigger point
+                </p>
+                <p className="text-gray-600 dark:text-gray-400">
+                  {headroomText}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+// Helper function to format currency
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-CA', {
+    style: 'currency',
+    currency: 'CAD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
@@ -1,10 +1,11 @@
 "use client";
 
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
 import { useToast } from "@/context/ToastContext";
 import apiClient from "@/lib/api-client";
 import { savePropertyDraft, getPropertyDraft, clearPropertyDraft } from "@/lib/onboarding-draft-storage";
 import { normalizePaymentFrequency } from "@/lib/mortgage-validation";
+import { calculateMortgageInsurance, INSURANCE_PROVIDER_LABELS } from "@/utils/mortgageInsurance";
 import Button from "@/components/Button";
 import Input from "@/components/Input";
 import DateInput from "@/components/DateInput";
@@ -19,7 +20,8 @@ import {
   Plus, 
   X,
   Save,
-  Loader2
+  Loader2,
+  ShieldCheck
 } from "lucide-react";
 
 const EXPENSE_CATEGORIES = [
@@ -63,6 +65,16 @@ const PAYMENT_FREQUENCY_OPTIONS = [
   { value: 'ACCELERATED_WEEKLY', label: 'Accelerated Weekly (52 payments/year)' },
 ];
 
+// Number of units on the property (property_data.units is a count or the per-unit details)
+function getUnitCount(property) {
+  const units = property?.numberOfUnits ?? property?.units ?? (property?.property_data || property?.propertyData || {}).units;
+  return Array.isArray(units) ? units.length : (parseInt(units) || 1);
+}
+
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-CA', { style: 'currency', currency: 'CAD' }).format(amount);
+}
+
 export default function PropertyFinancialDataForm({
   propertyId,
   property,
@@ -103,6 +115,8 @@ export default function PropertyFinancialDataForm({
       startDate: new Date().toISOString().split('T')[0],
       paymentFrequency: 'MONTHLY',
       currentBalance: '', // Optional field for existing mortgages
+      insuranceProvider: 'CMHC', // Default insurer on high-ratio and multi-unit loans
+      mliSelectPoints: '',
     },
     expensesByYear: {}, // { [year]: { revenue: '', expenses: { [category]: '' } } }
   });
@@ -114,6 +128,25 @@ export default function PropertyFinancialDataForm({
     expenses: {},
   });
 
+  // Default insurance for the loan against the purchase price; the premium is added to the principal
+  const mortgageInsurance = useMemo(() => {
+    const purchasePrice = parseFloat(property?.purchasePrice ?? property?.purchase_price);
+    const loanAmount = parseFloat(formData.mortgage.originalAmount);
+    if (!(purchasePrice > 0) || !(loanAmount > 0)) {
+      return null;
+    }
+    return calculateMortgageInsurance({
+      purchasePrice,
+      loanAmount,
+      numberOfUnits: getUnitCount(property),
+      amortizationYears: parseInt(formData.mortgage.amortizationYears),
+      province: property?.province,
+      purchaseDate: property?.purchaseDate ?? property?.purchase_date,
+      provider: formData.mortgage.insuranceProvider,
+      mliSelectPoints: formData.mortgage.mliSelectPoints === '' ? null : parseInt(formData.mortgage.mliSelectPoints),
+    });
+  }, [property, formData.mortgage.originalAmount, formData.mortgage.amortizationYears, formData.mortgage.insuranceProvider, formData.mortgage.mliSelectPoints]);
+
   // Get default year from property closing date
   const getDefaultYear = () => {
     if (property?.purchaseDate) {
@@ -744,10 +777,22 @@ export default function PropertyFinancialDataForm({
       if (formData.mortgage.currentBalance) {
         mortgageData.currentBalance = parseFloat(formData.mortgage.currentBalance);
       }
+      const insured = mortgageInsurance?.eligible && mortgageInsurance.premium > 0;
+      if (insured) {
+        mortgageData.defaultInsurance = {
+          provider: formData.mortgage.insuranceProvider || 'CMHC',
+          premiumRate: mortgageInsurance.premiumRate,
+          premium: mortgageInsurance.premium,
+          premiumTax: mortgageInsurance.premiumTax,
+          mliSelectPoints: mortgageInsurance.multiUnit && formData.mortgage.mliSelectPoints !== ''
+            ? parseInt(formData.mortgage.mliSelectPoints)
+            : null,
+        };
+      }
 
       const response = await apiClient.saveMortgage(property.id, {
         lender: formData.mortgage.lender,
-        original_amount: parseFloat(formData.mortgage.originalAmount),
+        original_amount: insured ? mortgageInsurance.insuredPrincipal : parseFloat(formData.mortgage.originalAmount),
         interest_rate: interestRateDecimal,
         term_months: parseInt(formData.mortgage.termMonths),
         amortization_years: parseInt(formData.mortgage.amortizationYears),
@@ -1508,6 +1553,61 @@ export default function PropertyFinancialDataForm({
                   ))}
                 </SelectInput>
               </div>
+              {mortgageInsurance && (mortgageInsurance.required || mortgageInsurance.multiUnit) && (
+                <div className="rounded-lg border border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-900/20 p-4">
+                  <div className="flex items-center gap-2 mb-2">
+                    <ShieldCheck className="w-5 h-5 text-amber-700 dark:text-amber-400" />
+                    <h4 className="text-sm font-semibold text-amber-900 dark:text-amber-200">Mortgage Default Insurance</h4>
+                  </div>
+                  <p className="text-xs text-amber-800 dark:text-amber-300 mb-4">
+                    {mortgageInsurance.multiUnit
+                      ? 'Rental properties with 5 or more units are insured on the multi-unit premium schedule.'
+                      : `This loan is ${(mortgageInsurance.ltv * 100).toFixed(1)}% of the purchase price. Loans over 80% must be insured.`}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-5 mb-4">
+                    <SelectInput
+                      label="Insurer"
+                      id="insuranceProvider"
+                      value={formData.mortgage.insuranceProvider}
+                      onChange={(e) => updateFormData('mortgage', { insuranceProvider: e.target.value })}
+                    >
+                      {Object.entries(INSURANCE_PROVIDER_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </SelectInput>
+                    {mortgageInsurance.multiUnit && (
+                      <Input
+                        label="MLI Select Points"
+                        id="mliSelectPoints"
+                        type="number"
+                        min="0"
+                        max="150"
+                        value={formData.mortgage.mliSelectPoints}
+                        onChange={(e) => updateFormData('mortgage', { mliSelectPoints: e.target.value })}
+                        placeholder="0"
+                      />
+                    )}
+                  </div>
+                  {mortgageInsurance.eligible ? (
+                    <div className="grid gap-1.5 text-sm text-amber-900 dark:text-amber-200">
+                      <div className="flex justify-between">
+                        <span>Premium rate{mortgageInsurance.mliSelectDiscount > 0 ? ` (${(mortgageInsurance.mliSelectDiscount * 100).toFixed(0)}% MLI Select discount)` : ''}</span>
+                        <span className="font-medium">{(mortgageInsurance.premiumRate * 100).toFixed(2)}%</span>
+                      </div>
+                      <div className="flex justify-between"><span>Premium (added to the loan)</span><span className="font-medium">{formatCurrency(mortgageInsurance.premium)}</span></div>
+                      {mortgageInsurance.premiumTax > 0 && (
+                        <div className="flex justify-between"><span>Sales tax on premium (closing cost)</span><span className="font-medium">{formatCurrency(mortgageInsurance.premiumTax)}</span></div>
+                      )}
+                      <div className="flex justify-between border-t border-amber-200 dark:border-amber-900/50 pt-1.5"><span>Insured principal</span><span className="font-semibold">{formatCurrency(mortgageInsurance.insuredPrincipal)}</span></div>
+                    </div>
+                  ) : (
+                    <p className="text-sm font-medium text-red-600 dark:text-red-400">This loan can&apos;t be insured as entered.</p>
+                  )}
+                  {mortgageInsurance.warnings.map((warning) => (
+                    <p key={warning} className="text-xs text-amber-700 dark:text-amber-400 mt-2">{warning}</p>
+                  ))}
+                </div>
+              )}
               <div className="flex justify-end pt-2">
                 <Button
                   onClick={handleSubmitMortgage}
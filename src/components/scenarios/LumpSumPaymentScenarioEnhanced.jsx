@@ -2,14 +2,16 @@
 
 import { useState, useEffect } from "react";
 import { useMortgages } from "@/hooks/useMortgages";
-import { usePrepaymentAnalysis } from "@/hooks/useMortgages";
+import { usePrepaymentAnalysis, useUpdateMortgage } from "@/hooks/useMortgages";
 import { useProperty } from "@/context/PropertyContext";
 import { useToast } from "@/context/ToastContext";
-import { ArrowLeft, Calculator, TrendingDown, DollarSign, Loader2 } from "lucide-react";
+import { getLumpSumPrivilege } from "@/utils/prepaymentPrivileges";
+import { ArrowLeft, Calculator, TrendingDown, DollarSign, Loader2, AlertTriangle, ShieldCheck } from "lucide-react";
 
 export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose }) {
   const { data: mortgages, isLoading: mortgagesLoading } = useMortgages(propertyId);
   const prepaymentAnalysis = usePrepaymentAnalysis();
+  const updateMortgage = useUpdateMortgage();
   const propertyData = useProperty(propertyId);
   
   // Create a properties array from the single property data
@@ -26,6 +28,8 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
   const [lumpSumPaymentNumber, setLumpSumPaymentNumber] = useState(12);
   const [results, setResults] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
+  const [allowExceedingPrivileges, setAllowExceedingPrivileges] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
 
   // Filter mortgages for the selected property
   const propertyMortgages = mortgages || [];
@@ -47,57 +51,49 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
 
     setIsCalculating(true);
     try {
-      if (useRealData) {
-        // Use real API calculation
-        const analysisData = {
-          mortgageData: {
-            originalAmount: mortgage.originalAmount,
-            interestRate: mortgage.interestRate,
-            rateType: mortgage.rateType,
-            amortizationPeriodYears: mortgage.amortizationPeriodYears,
-            paymentFrequency: mortgage.paymentFrequency,
-            startDate: mortgage.startDate,
-            termYears: mortgage.termYears
-          },
-          prepaymentType: 'lumpSum',
-          lumpSumAmount: lumpSum,
-          lumpSumPaymentNumber: lumpSumPaymentNumber
-        };
+      // The server analyzes the stored mortgage, including its prepayment privileges
+      const analysisData = {
+        mortgageId: mortgage.id,
+        prepaymentType: 'lumpSum',
+        lumpSumAmount: lumpSum,
+        lumpSumPaymentNumber: lumpSumPaymentNumber,
+        allowExceedingPrivileges
+      };
 
-        const result = await prepaymentAnalysis.mutateAsync(analysisData);
-        setResults(result);
-      } else {
-        // Use mock calculation
-        const mockResults = calculateMockLumpSumImpact(mortgage, lumpSum, lumpSumPaymentNumber);
-        setResults(mockResults);
-      }
+      const result = await prepaymentAnalysis.mutateAsync(analysisData);
+      setResults(result.analysis);
     } catch (error) {
       console.error('Error calculating lump sum impact:', error);
-      showToast('Failed to calculate lump sum impact', 'error');
+      showToast(error.message || 'Failed to calculate lump sum impact', 'error');
     } finally {
       setIsCalculating(false);
     }
   };
 
-  const calculateMockLumpSumImpact = (mortgage, lumpSum, paymentNumber) => {
-    // Simplified mock calculation
-    const monthlyRate = mortgage.interestRate / 12;
-    const totalPayments = mortgage.amortizationPeriodYears * 12;
-    const monthlyPayment = mortgage.originalAmount * 
-      (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-      (Math.pow(1 + monthlyRate, totalPayments) - 1);
+  // Record the lump sum as prepaid today, so it counts against this year's privilege
+  const recordPrepayment = async () => {
+    const mortgage = currentMortgages.find(m => m.id === selectedMortgage);
+    const lumpSum = parseFloat(lumpSumAmount);
+    if (!mortgage || !(lumpSum > 0)) return;
 
-    const remainingPayments = totalPayments - paymentNumber;
-    const totalSavings = remainingPayments * monthlyPayment - lumpSum;
-    const interestSavings = totalSavings * 0.6; // Rough estimate
+    const today = new Date();
+    const date = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
 
-    return {
-      totalSavings,
-      interestSavings,
-      paymentsEliminated: Math.floor(lumpSum / monthlyPayment),
-      mortgagePaidOff: lumpSum >= mortgage.originalAmount * 0.8,
-      newAmortizationSchedule: []
-    };
+    setIsRecording(true);
+    try {
+      await updateMortgage.mutateAsync({
+        mortgageId: mortgage.id,
+        mortgageData: {
+          prepayments: [...(mortgage.prepayments || []), { date, amount: lumpSum }]
+        }
+      });
+      showToast('Prepayment recorded', 'success');
+    } catch (error) {
+      console.error('Error recording prepayment:', error);
+      showToast(error.message || 'Failed to record prepayment', 'error');
+    } finally {
+      setIsRecording(false);
+    }
   };
 
   useEffect(() => {
@@ -107,6 +103,9 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
   }, [currentMortgages, selectedMortgage]);
 
   const selectedMortgageData = currentMortgages.find(m => m.id === selectedMortgage);
+  const privileges = selectedMortgageData?.prepaymentPrivileges;
+  const lumpSumPrivilege = selectedMortgageData ? getLumpSumPrivilege(selectedMortgageData) : null;
+  const exceedsPrivilege = !!lumpSumPrivilege && parseFloat(lumpSumAmount) > lumpSumPrivilege.remaining;
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 max-w-4xl mx-auto">
@@ -122,24 +121,7 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
             Lump Sum Payment Analysis
           </h2>
         </div>
-        
-        {/* Data Source Toggle */}
-        <div className="flex items-center gap-2">
-          <span className="text-sm text-gray-600">Mock Data</span>
-          <button
-            onClick={() => setUseRealData(!useRealData)}
-            className="flex items-center gap-2 px-3 py-1 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
-          >
-            {useRealData ? (
-              <ToggleRight className="w-5 h-5 text-blue-600" />
-            ) : (
-              <ToggleLeft className="w-5 h-5 text-gray-400" />
-            )}
-            <span className="text-sm font-medium">
-              {useRealData ? 'Real Data' : 'Mock Data'}
-            </span>
-          </button>
-        </div>
+
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -153,7 +135,7 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Select Mortgage
               </label>
-              {useRealData && mortgagesLoading ? (
+              {mortgagesLoading ? (
                 <div className="flex items-center gap-2 text-gray-600">
                   <Loader2 className="w-4 h-4 animate-spin" />
                   <span>Loading mortgages...</span>
@@ -185,8 +167,35 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
                 placeholder="50000"
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
+              {lumpSumPrivilege && (
+                <p className={`mt-1 text-sm ${exceedsPrivilege ? 'text-red-600' : 'text-gray-600'}`}>
+                  {formatCurrency(lumpSumPrivilege.remaining)} of your {formatCurrency(lumpSumPrivilege.limit)} prepayment privilege left this anniversary year
+                </p>
+              )}
             </div>
 
+            {/* Privilege Warning */}
+            {exceedsPrivilege && (
+              <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                <div className="flex items-start gap-2">
+                  <AlertTriangle className="w-4 h-4 text-yellow-600 mt-0.5 flex-shrink-0" />
+                  <p className="text-sm text-yellow-800">
+                    This is {formatCurrency(parseFloat(lumpSumAmount) - lumpSumPrivilege.remaining)} over your prepayment privilege.
+                    Your lender will likely charge a prepayment penalty on the excess.
+                  </p>
+                </div>
+                <label className="flex items-center gap-2 mt-2 text-sm text-yellow-800">
+                  <input
+                    type="checkbox"
+                    checked={allowExceedingPrivileges}
+                    onChange={(e) => setAllowExceedingPrivileges(e.target.checked)}
+                    className="w-4 h-4 rounded border-yellow-300"
+                  />
+                  Analyze anyway
+                </label>
+              </div>
+            )}
+
             {/* Payment Number */}
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -204,7 +213,7 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
             {/* Calculate Button */}
             <button
               onClick={calculateLumpSumImpact}
-              disabled={!selectedMortgage || !lumpSumAmount || isCalculating}
+              disabled={!selectedMortgage || !lumpSumAmount || isCalculating || (exceedsPrivilege && !allowExceedingPrivileges)}
               className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {isCalculating ? (
@@ -243,6 +252,26 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
                     {selectedMortgageData.amortizationPeriodYears} years
                   </span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-blue-700">Prepayment Privileges:</span>
+                  <span className="font-medium text-blue-900 text-right">
+                    {selectedMortgageData.mortgageType === 'OPEN'
+                      ? 'Open (no limit)'
+                      : [
+                          typeof privileges?.lumpSumRatio === 'number' && `${(privileges.lumpSumRatio * 100).toFixed(0)}% lump sum`,
+                          typeof privileges?.paymentIncreaseRatio === 'number' && `${(privileges.paymentIncreaseRatio * 100).toFixed(0)}% increase`,
+                          privileges?.doubleUp && 'double-up'
+                        ].filter(Boolean).join(', ') || 'Not recorded'}
+                  </span>
+                </div>
+                {lumpSumPrivilege && (
+                  <div className="flex justify-between">
+                    <span className="text-blue-700">Privilege Left (to {lumpSumPrivilege.end}):</span>
+                    <span className="font-medium text-blue-900">
+                      {formatCurrency(lumpSumPrivilege.remaining)}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -290,6 +319,32 @@ export default function LumpSumPaymentScenarioEnhanced({ propertyId, onClose })
                   </p>
                 </div>
 
+                {results.privilegeCheck?.privilege && (
+                  <div className={`rounded-lg p-3 border ${results.privilegeCheck.allowed ? 'bg-white border-[#205A3E]/20' : 'bg-red-50 border-red-200'}`}>
+                    <div className="flex items-center gap-2">
+                      {results.privilegeCheck.allowed ? (
+                        <ShieldCheck className="w-4 h-4 text-[#205A3E]" />
+                      ) : (
+                        <AlertTriangle className="w-4 h-4 text-red-600" />
+                      )}
+                      <p className={`text-sm font-medium ${results.privilegeCheck.allowed ? 'text-[#205A3E]' : 'text-red-800'}`}>
+                        {results.privilegeCheck.allowed
+                          ? `Within your prepayment privilege (${formatCurrency(results.privilegeCheck.privilege.remaining)} available that year)`
+                          : `${formatCurrency(results.privilegeCheck.excess)} over your prepayment privilege that year`}
+                      </p>
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  onClick={recordPrepayment}
+                  disabled={isRecording}
+                  className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-[#205A3E] text-white rounded-lg hover:bg-[#1a4a32] transition-colors disabled:opacity-50"
+                >
+                  {isRecording && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Record as Prepaid Today
+                </button>
+
                 {results.mortgagePaidOff && (
                   <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
                     <p className="text-sm font-medium text-yellow-800">
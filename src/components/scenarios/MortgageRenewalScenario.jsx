@@ -1,20 +1,35 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { useMortgages } from "@/context/MortgageContext";
+import { useState, useEffect, useMemo } from "react";
+import { useProperties } from "@/context/PropertyContext";
+import {
+  calculateTermChainSchedule,
+  getMortgageTermChain,
+  getMortgageTermOn,
+  getTermEndDate,
+} from "@/utils/mortgageCalculator";
+import { compareRenewalOptions, RENEWAL_OPTION_LABELS } from "@/utils/renewalOptions";
+import { getPrimeRateOn } from "@/utils/primeRateHistory";
+import { PRIME_RATE_PATHS, parsePrimeRatePath, simulateFixedVsVariable } from "@/lib/fixed-vs-variable";
 import { ArrowLeft, Calculator, TrendingUp, DollarSign, Percent } from "lucide-react";
 
 export default function MortgageRenewalScenario({ propertyId, onClose }) {
-  const { mortgages, calculateMortgagePayment, calculateRemainingBalance } = useMortgages();
+  const properties = useProperties();
   const [selectedMortgage, setSelectedMortgage] = useState("");
   const [newRate, setNewRate] = useState("");
   const [newTerm, setNewTerm] = useState(5);
+  const [discountRate, setDiscountRate] = useState("");
+  const [penaltyOverride, setPenaltyOverride] = useState("");
+  const [variableSpread, setVariableSpread] = useState("");
+  const [primeOverride, setPrimeOverride] = useState("");
+  const [variablePayments, setVariablePayments] = useState("ADJUSTABLE");
+  const [customPath, setCustomPath] = useState("");
   const [results, setResults] = useState(null);
 
-  // Filter mortgages for the selected property
-  const propertyMortgages = mortgages.filter(m => 
-    !propertyId || m.propertyId === propertyId
-  );
+  // Mortgages for the selected property (keyed by property id)
+  const propertyMortgages = properties
+    .filter(p => (!propertyId || p.id === propertyId) && p.mortgage?.originalAmount > 0 && p.mortgage?.startDate)
+    .map(p => ({ id: p.id, propertyName: p.nickname || p.name, ...p.mortgage }));
 
   const calculateRenewalImpact = () => {
     if (!selectedMortgage || !newRate) {
@@ -27,46 +42,80 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
 
     const newRateValue = parseFloat(newRate);
 
-    // Calculate current remaining balance
-    const startDate = mortgage.startDate ? new Date(mortgage.startDate.seconds ? mortgage.startDate.seconds * 1000 : mortgage.startDate) : new Date();
-    const monthsSinceStart = Math.max(0, Math.floor((new Date() - startDate) / (1000 * 60 * 60 * 24 * 30)));
-    const paymentsMade = Math.floor(monthsSinceStart / (mortgage.paymentFrequency === 'MONTHLY' ? 1 : mortgage.paymentFrequency === 'BIWEEKLY' ? 0.5 : 0.25));
-    
-    const currentBalance = calculateRemainingBalance(
-      mortgage.originalAmount,
-      mortgage.interestRate,
-      mortgage.amortizationPeriodYears,
-      paymentsMade,
-      mortgage.paymentFrequency
-    );
+    // The proposed term is added to the end of the mortgage's renewal chain
+    const currentTerm = getMortgageTermOn(mortgage);
+    const renewalDate = getTermEndDate(currentTerm);
+    const proposedTerm = {
+      termNumber: currentTerm.termNumber + 1,
+      lender: currentTerm.lender,
+      startDate: renewalDate,
+      termMonths: newTerm * 12,
+      interestRate: newRateValue / 100,
+      rateType: "FIXED",
+    };
 
-    // Calculate remaining amortization
-    const remainingAmortization = mortgage.amortizationPeriodYears - (paymentsMade / 12);
-
-    // Calculate current payment
-    const currentPayment = calculateMortgagePayment(
-      mortgage.originalAmount,
-      mortgage.interestRate,
-      mortgage.amortizationPeriodYears,
-      mortgage.paymentFrequency
-    );
+    let baseline;
+    let proposed;
+    try {
+      // Status quo: keep renewing at the current term's rate
+      baseline = calculateTermChainSchedule({
+        ...mortgage,
+        futureRenewalRate: currentTerm.interestRate,
+      });
+      proposed = calculateTermChainSchedule({
+        ...mortgage,
+        renewals: [...getMortgageTermChain(mortgage).slice(1), proposedTerm],
+        futureRenewalRate: newRateValue / 100,
+      });
+    } catch (error) {
+      console.warn("Error calculating renewal chain:", error);
+      setResults(null);
+      return;
+    }
 
-    // Calculate new payment with new rate
-    const newPayment = calculateMortgagePayment(
-      currentBalance,
-      newRateValue,
-      remainingAmortization,
-      mortgage.paymentFrequency
-    );
+    const termEnd = getTermEndDate(proposedTerm);
+    const inNewTerm = (p) => p.paymentDate >= renewalDate && p.paymentDate < termEnd;
+    const fromRenewal = (p) => p.paymentDate >= renewalDate;
+    const sum = (payments, field) => payments.reduce((total, p) => total + p[field], 0);
+
+    const lastPaymentBefore = baseline.payments.filter(p => p.paymentDate < renewalDate).pop();
+    const currentBalance = lastPaymentBefore ? lastPaymentBefore.remainingBalance : mortgage.originalAmount;
+    const termMonths = newTerm * 12;
+
+    // Monthly equivalents over the new term
+    const currentPayment = sum(baseline.payments.filter(inNewTerm), "monthlyPayment") / termMonths;
+    const newPayment = sum(proposed.payments.filter(inNewTerm), "monthlyPayment") / termMonths;
 
     // Calculate payment difference
     const paymentDifference = newPayment - currentPayment;
 
     // Calculate total cost/savings over new term
-    const totalCostSavings = paymentDifference * (newTerm * 12);
+    const totalCostSavings = paymentDifference * termMonths;
 
     // Calculate interest savings over remaining amortization
-    const totalInterestSavings = (currentPayment - newPayment) * (remainingAmortization * 12);
+    const totalInterestSavings =
+      sum(baseline.payments.filter(fromRenewal), "interest") - sum(proposed.payments.filter(fromRenewal), "interest");
+
+    // Calculate remaining amortization
+    const remainingAmortization = Math.max(
+      0,
+      (new Date(baseline.finalPaymentDate) - new Date(renewalDate)) / (1000 * 60 * 60 * 24 * 365.25)
+    );
+
+    // Acting before maturity: blend-and-extend, break-and-refinance or wait, over the new term from today
+    let earlyOptions = null;
+    if (String(currentTerm.rateType).toUpperCase() !== "VARIABLE" && renewalDate > new Date().toISOString().split("T")[0]) {
+      try {
+        earlyOptions = compareRenewalOptions(mortgage, {
+          newRate: newRateValue / 100,
+          newTermMonths: termMonths,
+          discountRate: discountRate !== "" ? parseFloat(discountRate) / 100 : null,
+          penalty: penaltyOverride !== "" ? parseFloat(penaltyOverride) : null,
+        });
+      } catch (error) {
+        console.warn("Error comparing renewal options:", error);
+      }
+    }
 
     setResults({
       currentBalance,
@@ -77,13 +126,55 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
       totalInterestSavings,
       newRateValue,
       remainingAmortization,
-      currentRate: mortgage.interestRate
+      currentRate: currentTerm.interestRate * 100,
+      renewalDate,
+      termNumber: proposedTerm.termNumber,
+      earlyOptions,
+      paymentFrequency: mortgage.paymentFrequency,
     });
   };
 
   useEffect(() => {
     calculateRenewalImpact();
-  }, [selectedMortgage, newRate, newTerm]);
+  }, [selectedMortgage, newRate, newTerm, discountRate, penaltyOverride]);
+
+  // Fixed vs. variable for the new term, across prime rate paths
+  const customPathPoints = useMemo(() => parsePrimeRatePath(customPath), [customPath]);
+  const rateSimulation = useMemo(() => {
+    if (!results || results.currentBalance <= 0) return null;
+    const primeRate = primeOverride !== "" ? parseFloat(primeOverride) / 100 : getPrimeRateOn(results.renewalDate);
+    if (primeRate === null || !Number.isFinite(primeRate)) return null;
+
+    const paths = customPathPoints
+      ? { ...PRIME_RATE_PATHS, CUSTOM: { label: "Custom", description: "Your prime rate path", points: customPathPoints } }
+      : PRIME_RATE_PATHS;
+    try {
+      return {
+        primeRate,
+        ...simulateFixedVsVariable({
+          balance: results.currentBalance,
+          amortizationYears: results.remainingAmortization,
+          termMonths: newTerm * 12,
+          paymentFrequency: results.paymentFrequency,
+          fixedRate: results.newRateValue / 100,
+          primeRate,
+          spread: variableSpread !== "" ? (parseFloat(variableSpread) || 0) / 100 : 0,
+          fixedPayments: variablePayments === "FIXED",
+          paths,
+        }),
+      };
+    } catch (error) {
+      console.warn("Error simulating fixed vs. variable:", error);
+      return null;
+    }
+  }, [results, newTerm, primeOverride, variableSpread, variablePayments, customPathPoints]);
+
+  const describeBreakEven = (change, shape) => {
+    const bps = Math.round(Math.abs(change) * 10000);
+    return change >= 0
+      ? `prime rises ${bps} bps ${shape}`
+      : `prime falls ${bps} bps ${shape}`;
+  };
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-CA', {
@@ -134,7 +225,7 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
               <option value="">Choose a mortgage...</option>
               {propertyMortgages.map((mortgage) => (
                 <option key={mortgage.id} value={mortgage.id}>
-                  {mortgage.lenderName} - {mortgage.interestRate}% - {formatCurrency(mortgage.originalAmount)}
+                  {mortgage.propertyName} - {mortgage.lender} - {(mortgage.interestRate * 100).toFixed(2)}% - {formatCurrency(mortgage.originalAmount)}
                 </option>
               ))}
             </select>
@@ -238,7 +329,13 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
             </h3>
             <div className="space-y-4">
               <div className="flex justify-between items-center">
-                <span className="text-gray-600 dark:text-gray-400">Current Balance</span>
+                <span className="text-gray-600 dark:text-gray-400">Renewal</span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  Term {results.termNumber} from {results.renewalDate}
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-gray-600 dark:text-gray-400">Balance at Renewal</span>
                 <span className="font-medium text-gray-900 dark:text-white">
                   {formatCurrency(results.currentBalance)}
                 </span>
@@ -246,7 +343,7 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
               <div className="flex justify-between items-center">
                 <span className="text-gray-600 dark:text-gray-400">Current Rate</span>
                 <span className="font-medium text-gray-900 dark:text-white">
-                  {results.currentRate}%
+                  {results.currentRate.toFixed(2)}%
                 </span>
               </div>
               <div className="flex justify-between items-center">
@@ -290,6 +387,234 @@ export default function MortgageRenewalScenario({ propertyId, onClose }) {
             </div>
           </div>
 
+          {/* Renew Early */}
+          {results.earlyOptions && (
+            <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+              <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                Renew Early or Wait?
+              </h3>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                Each option over the {newTerm} years from today to {results.earlyOptions.horizonEnd}. A blend-and-extend
+                keeps {(results.earlyOptions.currentRate * 100).toFixed(2)}% for the {results.earlyOptions.monthsRemaining.toFixed(0)} months
+                left in the term and {results.newRateValue}% for the rest, a blended rate
+                of {(results.earlyOptions.blendedRate * 100).toFixed(2)}%.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Discount Rate for NPV (%)
+                  </label>
+                  <input
+                    type="number"
+                    value={discountRate}
+                    onChange={(e) => setDiscountRate(e.target.value)}
+                    placeholder={String(results.newRateValue)}
+                    min="0"
+                    max="20"
+                    step="0.01"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Break Penalty
+                  </label>
+                  <input
+                    type="number"
+                    value={penaltyOverride}
+                    onChange={(e) => setPenaltyOverride(e.target.value)}
+                    placeholder={String(Math.round(results.earlyOptions.options.find(o => o.key === 'BREAK_AND_REFINANCE').penalty))}
+                    min="0"
+                    step="100"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-600 dark:text-gray-400">
+                      <th className="py-2 pr-4 font-medium">Option</th>
+                      <th className="py-2 pr-4 font-medium text-right">Rate</th>
+                      <th className="py-2 pr-4 font-medium text-right">Monthly Payment</th>
+                      <th className="py-2 pr-4 font-medium text-right">Penalty</th>
+                      <th className="py-2 pr-4 font-medium text-right">Total Interest</th>
+                      <th className="py-2 pr-4 font-medium text-right">Balance at End</th>
+                      <th className="py-2 font-medium text-right">NPV of Payments</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.earlyOptions.options.map((option) => (
+                      <tr
+                        key={option.key}
+                        className={`border-b border-gray-100 dark:border-gray-700 ${option.key === results.earlyOptions.best ? 'bg-green-50 dark:bg-green-900/20' : ''}`}
+                      >
+                        <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                          {RENEWAL_OPTION_LABELS[option.key]}
+                          {option.key === results.earlyOptions.best && (
+                            <span className="ml-2 text-xs text-green-700 dark:text-green-400">Lowest cost</span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{(option.rate * 100).toFixed(2)}%</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(option.monthlyPayment)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(option.penalty)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(option.totalInterest)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(option.balanceAtHorizon)}</td>
+                        <td className="py-2 text-right text-gray-900 dark:text-white">{formatCurrency(option.npv)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                The NPV discounts every payment, the penalty and the balance still owed at the end
+                at {(results.earlyOptions.discountRate * 100).toFixed(2)}% a year; lower is better. Waiting assumes you renew
+                at {results.newRateValue}% on {results.earlyOptions.maturityDate}.
+              </p>
+            </div>
+          )}
+
+          {/* Fixed vs. Variable */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+              Fixed or Variable?
+            </h3>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              The {results.newRateValue}% fixed offer against a variable offer at prime plus a spread, over the {newTerm} year
+              term from {results.renewalDate}, for each path prime could take.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Prime Rate Today (%)
+                </label>
+                <input
+                  type="number"
+                  value={primeOverride}
+                  onChange={(e) => setPrimeOverride(e.target.value)}
+                  placeholder={rateSimulation ? (rateSimulation.primeRate * 100).toFixed(2) : "5.45"}
+                  min="0"
+                  max="20"
+                  step="0.05"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Variable Spread to Prime (%)
+                </label>
+                <input
+                  type="number"
+                  value={variableSpread}
+                  onChange={(e) => setVariableSpread(e.target.value)}
+                  placeholder="0.00"
+                  min="-5"
+                  max="5"
+                  step="0.05"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Variable Payments
+                </label>
+                <select
+                  value={variablePayments}
+                  onChange={(e) => setVariablePayments(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                >
+                  <option value="ADJUSTABLE">Follow prime</option>
+                  <option value="FIXED">Fixed for the term</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Custom Path (% by year)
+                </label>
+                <input
+                  type="text"
+                  value={customPath}
+                  onChange={(e) => setCustomPath(e.target.value)}
+                  placeholder="0, +1, +0.5, -0.5"
+                  title="Prime at the start of each year of the term, relative to today"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            {rateSimulation ? (
+              <>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-600 dark:text-gray-400">
+                        <th className="py-2 pr-4 font-medium">Prime Path</th>
+                        <th className="py-2 pr-4 font-medium text-right">Prime at End</th>
+                        <th className="py-2 pr-4 font-medium text-right">First Payment</th>
+                        <th className="py-2 pr-4 font-medium text-right">Highest Payment</th>
+                        <th className="py-2 pr-4 font-medium text-right">Total Interest</th>
+                        <th className="py-2 pr-4 font-medium text-right">Balance at End</th>
+                        <th className="py-2 font-medium text-right">Interest vs. Fixed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr className="border-b border-gray-100 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40">
+                        <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white">
+                          Fixed at {(rateSimulation.fixed.rate * 100).toFixed(2)}%
+                        </td>
+                        <td className="py-2 pr-4 text-right text-gray-500 dark:text-gray-400">—</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(rateSimulation.fixed.firstPayment)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(rateSimulation.fixed.maxPayment)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(rateSimulation.fixed.totalInterest)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(rateSimulation.fixed.endingBalance)}</td>
+                        <td className="py-2 text-right text-gray-500 dark:text-gray-400">—</td>
+                      </tr>
+                      {rateSimulation.paths.map((path) => (
+                        <tr key={path.key} className="border-b border-gray-100 dark:border-gray-700">
+                          <td className="py-2 pr-4 text-gray-900 dark:text-white" title={path.description}>
+                            <span className="font-medium">{path.label}</span>
+                            {path.triggerRateHit && (
+                              <span className="ml-2 text-xs text-red-600 dark:text-red-400">Trigger rate</span>
+                            )}
+                          </td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{(path.endingPrime * 100).toFixed(2)}%</td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(path.firstPayment)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(path.maxPayment)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(path.totalInterest)}</td>
+                          <td className="py-2 pr-4 text-right text-gray-900 dark:text-white">{formatCurrency(path.endingBalance)}</td>
+                          <td className={`py-2 text-right font-medium ${path.interestDifference > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                            {path.interestDifference > 0 ? '+' : ''}{formatCurrency(path.interestDifference)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="mt-3 text-sm text-gray-700 dark:text-gray-300">
+                  {rateSimulation.breakEven.immediate === null && rateSimulation.breakEven.gradual === null
+                    ? `The variable offer at ${(rateSimulation.variableRate * 100).toFixed(2)}% doesn't break even with fixed for any realistic move in prime.`
+                    : `The variable offer starts at ${(rateSimulation.variableRate * 100).toFixed(2)}% and costs the same interest as fixed if ${[
+                        rateSimulation.breakEven.immediate !== null && describeBreakEven(rateSimulation.breakEven.immediate, 'right away and stays there'),
+                        rateSimulation.breakEven.gradual !== null && describeBreakEven(rateSimulation.breakEven.gradual, 'steadily over the term'),
+                      ].filter(Boolean).join(', or if ')}. A bigger rise favors fixed; anything less favors variable.`}
+                </p>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {variablePayments === "FIXED"
+                    ? "With fixed payments a change in prime changes how much of each payment goes to principal; past the trigger rate the unpaid interest is added to the balance."
+                    : "Variable payments are recalculated over the remaining amortization each time prime changes."}
+                  {" "}Hover over a path for its description.
+                </p>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Enter today&apos;s prime rate to compare the offers.
+              </p>
+            )}
+          </div>
+
           {/* Recommendation */}
           <div className={`rounded-lg p-6 ${
             results.totalInterestSavings > 0 
@@ -1,22 +1,24 @@
 "use client";
 
 import { useState, useEffect } from "react";
-import { useMortgages } from "@/context/MortgageContext";
+import { useProperty } from "@/context/PropertyContext";
+import { getPropertyDebts } from "@/utils/propertyDebts";
+import { getCurrentMortgageBalance, getMonthlyMortgagePayment } from "@/utils/mortgageCalculator";
+import { getMortgageBreakPenalty, IRD_METHOD_LABELS } from "@/utils/breakPenalty";
 import { ArrowLeft, Calculator, TrendingUp, DollarSign, Percent } from "lucide-react";
 
 export default function RefinanceMortgageScenario({ propertyId, onClose }) {
-  const { mortgages, calculateMortgagePayment, calculateRemainingBalance } = useMortgages();
+  const property = useProperty(propertyId);
   const [selectedMortgage, setSelectedMortgage] = useState("");
   const [newRate, setNewRate] = useState("");
   const [newTerm, setNewTerm] = useState(5);
   const [newAmortization, setNewAmortization] = useState(25);
   const [refinanceCosts, setRefinanceCosts] = useState("");
+  const [penaltyOverride, setPenaltyOverride] = useState("");
   const [results, setResults] = useState(null);
 
-  // Filter mortgages for the selected property
-  const propertyMortgages = mortgages.filter(m => 
-    !propertyId || m.propertyId === propertyId
-  );
+  // Mortgages on the selected property (lines of credit can be repaid without a penalty)
+  const propertyMortgages = getPropertyDebts(property).filter(debt => debt.debtType !== 'LINE_OF_CREDIT');
 
   const calculateRefinanceImpact = () => {
     if (!selectedMortgage || !newRate) {
@@ -30,34 +32,21 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
     const newRateValue = parseFloat(newRate);
     const costs = parseFloat(refinanceCosts) || 0;
 
-    // Calculate current remaining balance
-    const startDate = mortgage.startDate ? new Date(mortgage.startDate.seconds ? mortgage.startDate.seconds * 1000 : mortgage.startDate) : new Date();
-    const monthsSinceStart = Math.max(0, Math.floor((new Date() - startDate) / (1000 * 60 * 60 * 24 * 30)));
-    const paymentsMade = Math.floor(monthsSinceStart / (mortgage.paymentFrequency === 'MONTHLY' ? 1 : mortgage.paymentFrequency === 'BIWEEKLY' ? 0.5 : 0.25));
-    
-    const currentBalance = calculateRemainingBalance(
-      mortgage.originalAmount,
-      mortgage.interestRate,
-      mortgage.amortizationPeriodYears,
-      paymentsMade,
-      mortgage.paymentFrequency
-    );
-
-    // Calculate current payment
-    const currentPayment = calculateMortgagePayment(
-      mortgage.originalAmount,
-      mortgage.interestRate,
-      mortgage.amortizationPeriodYears,
-      mortgage.paymentFrequency
-    );
+    // Calculate current remaining balance and payment (monthly equivalent)
+    const currentBalance = getCurrentMortgageBalance(mortgage);
+    const currentPayment = getMonthlyMortgagePayment(mortgage);
 
-    // Calculate new payment
-    const newPayment = calculateMortgagePayment(
-      currentBalance,
-      newRateValue,
-      newAmortization,
-      mortgage.paymentFrequency
-    );
+    // New mortgage for the current balance, starting today
+    const newPayment = getMonthlyMortgagePayment({
+      lender: mortgage.lender,
+      originalAmount: currentBalance,
+      interestRate: newRateValue / 100,
+      rateType: 'FIXED',
+      termMonths: newTerm * 12,
+      amortizationYears: newAmortization,
+      paymentFrequency: mortgage.paymentFrequency,
+      startDate: new Date().toISOString().split('T')[0]
+    });
 
     // Calculate savings per payment
     const paymentSavings = currentPayment - newPayment;
@@ -65,11 +54,17 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
     // Calculate total savings over new term
     const totalSavings = paymentSavings * (newTerm * 12);
 
-    // Calculate break-even point
-    const breakEvenMonths = costs > 0 && paymentSavings > 0 ? Math.ceil(costs / paymentSavings) : 0;
+    // Penalty to break the current term, from the lender's IRD method unless entered
+    const breakPenalty = getMortgageBreakPenalty(mortgage);
+    const penalty = penaltyOverride !== "" && Number.isFinite(Number(penaltyOverride))
+      ? Number(penaltyOverride)
+      : breakPenalty.penalty;
 
     // Calculate total cost of refinancing
-    const totalRefinanceCost = costs + (currentBalance * 0.01); // Assume 1% penalty
+    const totalRefinanceCost = costs + penalty;
+
+    // Calculate break-even point
+    const breakEvenMonths = totalRefinanceCost > 0 && paymentSavings > 0 ? Math.ceil(totalRefinanceCost / paymentSavings) : 0;
 
     setResults({
       currentBalance,
@@ -80,13 +75,15 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
       breakEvenMonths,
       totalRefinanceCost,
       newRateValue,
-      costs
+      costs,
+      penalty,
+      breakPenalty
     });
   };
 
   useEffect(() => {
     calculateRefinanceImpact();
-  }, [selectedMortgage, newRate, newTerm, newAmortization, refinanceCosts]);
+  }, [selectedMortgage, newRate, newTerm, newAmortization, refinanceCosts, penaltyOverride, property]);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-CA', {
@@ -137,7 +134,7 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
               <option value="">Choose a mortgage...</option>
               {propertyMortgages.map((mortgage) => (
                 <option key={mortgage.id} value={mortgage.id}>
-                  {mortgage.lenderName} - {mortgage.interestRate}% - {formatCurrency(mortgage.originalAmount)}
+                  {mortgage.lender} - {(mortgage.interestRate * 100).toFixed(2)}% - {formatCurrency(mortgage.originalAmount)}
                 </option>
               ))}
             </select>
@@ -200,7 +197,7 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
           </div>
 
           {/* Refinance Costs */}
-          <div className="md:col-span-2">
+          <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
               Refinance Costs (Legal, Appraisal, etc.)
             </label>
@@ -214,6 +211,32 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
             />
           </div>
+
+          {/* Break Penalty */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Break Penalty
+            </label>
+            <input
+              type="number"
+              value={penaltyOverride}
+              onChange={(e) => setPenaltyOverride(e.target.value)}
+              placeholder={results ? String(Math.round(results.breakPenalty.penalty)) : "Calculated from your lender"}
+              min="0"
+              step="100"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-[#205A3E] focus:border-transparent"
+            />
+            {results && penaltyOverride === "" && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {results.breakPenalty.penaltyType === 'IRD'
+                  ? `IRD: ${IRD_METHOD_LABELS[results.breakPenalty.method]}`
+                  : results.breakPenalty.penaltyType === 'NONE'
+                    ? 'No penalty'
+                    : "Three months' interest"}
+                {results.breakPenalty.details.table ? ` (${results.breakPenalty.details.table.name})` : ''}
+              </p>
+            )}
+          </div>
         </div>
       </div>
 
@@ -298,6 +321,12 @@ export default function RefinanceMortgageScenario({ propertyId, onClose }) {
                   {formatCurrency(results.costs)}
                 </span>
               </div>
+              <div className="flex justify-between items-center">
+                <span className="text-gray-600 dark:text-gray-400">Break Penalty</span>
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {formatCurrency(results.penalty)}
+                </span>
+              </div>
               <div className="flex justify-between items-center">
                 <span className="text-gray-600 dark:text-gray-400">Total Refinance Cost</span>
                 <span className="font-medium text-gray-900 dark:text-white">
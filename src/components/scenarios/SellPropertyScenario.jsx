@@ -1,16 +1,35 @@
 "use client";
 
-import { useState, useEffect } from 'react';
-import { useProperties } from '@/context/PropertyContext';
+import { useState, useEffect, useMemo } from 'react';
+import { useProperties, usePropertyContext } from '@/context/PropertyContext';
+import { useToast } from '@/context/ToastContext';
+import { apiClient } from '@/lib/api-client';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import {
+  SALE_MORTGAGE_OPTION_LABELS,
+  calculateBlendedTopUp,
+  getSaleMortgageSettlement,
+  isMortgageAssumed,
+} from '@/utils/mortgageTransfers';
 import Button from '@/components/Button';
 import Input from '@/components/Input';
 
 export default function SellPropertyScenario({ propertyId, onClose }) {
   const properties = useProperties();
+  const { updateProperty } = usePropertyContext();
+  const { showToast } = useToast();
   const [selectedProperty, setSelectedProperty] = useState(null);
   const [salePrice, setSalePrice] = useState(0);
   const [sellingCosts, setSellingCosts] = useState(0);
   const [analysisResults, setAnalysisResults] = useState(null);
+  // What happens to the mortgage on closing: discharged, ported to the next property or assumed by the buyer
+  const [mortgageOption, setMortgageOption] = useState('DISCHARGE');
+  const [closingDate, setClosingDate] = useState(new Date().toISOString().split('T')[0]);
+  const [portToPropertyId, setPortToPropertyId] = useState('');
+  const [topUpAmount, setTopUpAmount] = useState(0);
+  const [topUpRatePercent, setTopUpRatePercent] = useState('');
+  const [assumedBy, setAssumedBy] = useState('');
+  const [transferring, setTransferring] = useState(false);
 
   useEffect(() => {
     if (propertyId) {
@@ -25,16 +44,48 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
     }
   }, [propertyId, properties]);
 
+  const mortgage = selectedProperty?.mortgage;
+  // Only a saved mortgage still owed can be ported or assumed
+  const canTransferMortgage = !!(mortgage?.id && mortgage?.startDate && !isMortgageAssumed(mortgage));
+  const portTargets = properties.filter(property => property.id !== selectedProperty?.id);
+
+  const topUp = useMemo(() => {
+    const rate = parseFloat(topUpRatePercent);
+    if (mortgageOption !== 'PORT' || !canTransferMortgage || !(topUpAmount > 0) || !Number.isFinite(rate)) {
+      return null;
+    }
+    try {
+      return calculateBlendedTopUp(mortgage, { date: closingDate, topUpAmount, topUpRate: rate / 100 });
+    } catch (error) {
+      console.warn('Error calculating blended top-up:', error);
+      return null;
+    }
+  }, [mortgageOption, canTransferMortgage, mortgage, closingDate, topUpAmount, topUpRatePercent]);
+
+  const getMortgageSettlement = () => {
+    if (mortgage?.startDate) {
+      try {
+        return getSaleMortgageSettlement(mortgage, mortgageOption, closingDate);
+      } catch (error) {
+        console.warn('Error calculating mortgage settlement:', error);
+      }
+    }
+    const balance = mortgage?.remainingBalance || 0;
+    return { option: mortgageOption, balance, penalty: 0, penaltyAvoided: 0, deductedFromProceeds: balance };
+  };
+
   const calculateSaleAnalysis = () => {
     if (!selectedProperty) return;
 
     const currentMarketValue = selectedProperty.marketValue;
-    const currentMortgageBalance = selectedProperty.mortgage.remainingBalance;
+    const settlement = getMortgageSettlement();
+    const currentMortgageBalance = settlement.balance;
     const totalInvestment = selectedProperty.totalInvestment;
     
     // Calculate proceeds from sale
+    // A ported or assumed mortgage still comes off the cash from the sale, but without a discharge penalty
     const grossProceeds = salePrice;
-    const netProceeds = grossProceeds - sellingCosts - currentMortgageBalance;
+    const netProceeds = grossProceeds - sellingCosts - settlement.deductedFromProceeds;
     
     // Calculate gains/losses
     const capitalGain = grossProceeds - selectedProperty.purchasePrice;
@@ -58,6 +109,9 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
       salePrice,
       sellingCosts,
       currentMortgageBalance,
+      mortgageOption: settlement.option,
+      dischargePenalty: settlement.penalty,
+      penaltyAvoided: settlement.penaltyAvoided,
       totalInvestment,
       grossProceeds,
       netProceeds,
@@ -73,6 +127,57 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
     });
   };
 
+  const applyDebts = (id, rows) => {
+    const mapped = (rows || []).map(mapApiDebtToFrontend);
+    updateProperty(id, {
+      mortgage: mapped[0] || { originalAmount: 0 },
+      additionalDebts: mapped.slice(1),
+      // Re-derive debt service from the new set of debts
+      monthlyExpenses: { mortgagePayment: 0, mortgageInterest: 0, mortgagePrincipal: 0 },
+    }, true);
+  };
+
+  const handleTransferMortgage = async () => {
+    if (!canTransferMortgage || mortgageOption === 'DISCHARGE') return;
+    if (mortgageOption === 'PORT' && !portToPropertyId) {
+      showToast('Choose the property the mortgage is ported to', 'error');
+      return;
+    }
+    if (mortgageOption === 'PORT' && topUpAmount > 0 && !topUp) {
+      showToast('Enter the rate offered on the top-up', 'error');
+      return;
+    }
+
+    setTransferring(true);
+    try {
+      const response = await apiClient.transferPropertyDebt(selectedProperty.id, mortgage.id, {
+        type: mortgageOption,
+        date: closingDate,
+        ...(mortgageOption === 'PORT'
+          ? {
+            toPropertyId: portToPropertyId,
+            ...(topUp ? { topUpAmount: topUp.topUpAmount, topUpRate: topUp.topUpRate } : {}),
+          }
+          : { assumedBy: assumedBy.trim() || undefined }),
+      });
+      applyDebts(selectedProperty.id, response.data?.debts);
+      if (response.data?.targetDebts) {
+        applyDebts(portToPropertyId, response.data.targetDebts);
+      }
+      const target = portTargets.find(property => property.id === portToPropertyId);
+      showToast(
+        mortgageOption === 'PORT'
+          ? `Mortgage ported to ${target?.nickname || 'the new property'}`
+          : 'Mortgage assumption recorded',
+        'success'
+      );
+    } catch (error) {
+      showToast(error instanceof Error ? error.message : 'Failed to transfer mortgage', 'error');
+    } finally {
+      setTransferring(false);
+    }
+  };
+
   if (!selectedProperty) {
     return <div>Loading...</div>;
   }
@@ -104,6 +209,7 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
               setSelectedProperty(property);
               setSalePrice(property.marketValue);
               setSellingCosts(property.marketValue * 0.05);
+              setPortToPropertyId('');
             }}
             className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
           >
@@ -125,7 +231,7 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
             </div>
             <div>
               <div className="text-gray-600 dark:text-gray-400">Mortgage Balance</div>
-              <div className="font-semibold">${selectedProperty.mortgage.remainingBalance.toLocaleString()}</div>
+              <div className="font-semibold">${(mortgage?.remainingBalance || 0).toLocaleString()}</div>
             </div>
             <div>
               <div className="text-gray-600 dark:text-gray-400">Total Investment</div>
@@ -167,6 +273,137 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
           </div>
         </div>
 
+        {/* Mortgage on Sale */}
+        <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg space-y-4">
+          <h4 className="font-medium text-gray-900 dark:text-white">Mortgage on Sale</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Mortgage
+              </label>
+              <select
+                value={mortgageOption}
+                onChange={(e) => setMortgageOption(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                {Object.entries(SALE_MORTGAGE_OPTION_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Closing Date
+              </label>
+              <Input
+                type="date"
+                value={closingDate}
+                onChange={(e) => setClosingDate(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {mortgageOption === 'PORT' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Port To
+                </label>
+                <select
+                  value={portToPropertyId}
+                  onChange={(e) => setPortToPropertyId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  <option value="">Select property bought</option>
+                  {portTargets.map(property => (
+                    <option key={property.id} value={property.id}>
+                      {property.nickname}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Top-Up Amount ($)
+                </label>
+                <Input
+                  type="number"
+                  value={topUpAmount}
+                  onChange={(e) => setTopUpAmount(parseFloat(e.target.value) || 0)}
+                  placeholder="Extra funds needed"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Top-Up Rate (%)
+                </label>
+                <Input
+                  type="number"
+                  step="0.01"
+                  value={topUpRatePercent}
+                  onChange={(e) => setTopUpRatePercent(e.target.value)}
+                  placeholder="Lender's current rate"
+                />
+              </div>
+            </div>
+          )}
+
+          {mortgageOption === 'ASSUMPTION' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Buyer
+              </label>
+              <Input
+                type="text"
+                value={assumedBy}
+                onChange={(e) => setAssumedBy(e.target.value)}
+                placeholder="Name of the buyer assuming the mortgage"
+              />
+            </div>
+          )}
+
+          {topUp && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+              <div>
+                <div className="text-gray-600 dark:text-gray-400">Blended Rate</div>
+                <div className="font-semibold">
+                  {(topUp.blendedRate * 100).toFixed(2)}%
+                  <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">
+                    (from {(topUp.currentRate * 100).toFixed(2)}%)
+                  </span>
+                </div>
+              </div>
+              <div>
+                <div className="text-gray-600 dark:text-gray-400">New Balance</div>
+                <div className="font-semibold">${Math.round(topUp.newBalance).toLocaleString()}</div>
+              </div>
+              <div>
+                <div className="text-gray-600 dark:text-gray-400">Term Ends</div>
+                <div className="font-semibold">{topUp.termEndDate}</div>
+              </div>
+            </div>
+          )}
+
+          {mortgageOption !== 'DISCHARGE' && (
+            canTransferMortgage ? (
+              <Button
+                onClick={handleTransferMortgage}
+                loading={transferring}
+                disabled={mortgageOption === 'PORT' && !portToPropertyId}
+                className="w-full"
+              >
+                {mortgageOption === 'PORT'
+                  ? `Port Mortgage to ${portTargets.find(property => property.id === portToPropertyId)?.nickname || 'New Property'}`
+                  : 'Record Assumption'}
+              </Button>
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Save this property&apos;s mortgage first to record a port or assumption; the sale analysis below still applies.
+              </p>
+            )
+          )}
+        </div>
+
         <Button onClick={calculateSaleAnalysis} className="w-full">
           Analyze Sale Scenario
         </Button>
@@ -179,7 +416,7 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
             {/* Sale Proceeds */}
             <div className="bg-green-50 dark:bg-green-900/20 p-4 rounded-lg">
               <h5 className="font-medium text-green-900 dark:text-green-300 mb-2">Sale Proceeds</h5>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <div>
                   <div className="text-sm text-green-700 dark:text-green-300">Gross Proceeds</div>
                   <div className="text-xl font-bold text-green-600 dark:text-green-400">
@@ -193,16 +430,37 @@ export default function SellPropertyScenario({ propertyId, onClose }) {
                   </div>
                 </div>
                 <div>
-                  <div className="text-sm text-green-700 dark:text-green-300">Less: Mortgage Payoff</div>
+                  <div className="text-sm text-green-700 dark:text-green-300">
+                    {analysisResults.mortgageOption === 'PORT'
+                      ? 'Less: Mortgage Ported'
+                      : analysisResults.mortgageOption === 'ASSUMPTION'
+                        ? 'Less: Assumed by Buyer'
+                        : 'Less: Mortgage Payoff'}
+                  </div>
                   <div className="text-xl font-bold text-red-600 dark:text-red-400">
-                    -${analysisResults.currentMortgageBalance.toLocaleString()}
+                    -${Math.round(analysisResults.currentMortgageBalance).toLocaleString()}
                   </div>
                 </div>
+                {analysisResults.mortgageOption === 'DISCHARGE' ? (
+                  <div>
+                    <div className="text-sm text-green-700 dark:text-green-300">Less: Discharge Penalty</div>
+                    <div className="text-xl font-bold text-red-600 dark:text-red-400">
+                      -${Math.round(analysisResults.dischargePenalty).toLocaleString()}
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                    <div className="text-sm text-green-700 dark:text-green-300">Penalty Avoided</div>
+                    <div className="text-xl font-bold text-green-600 dark:text-green-400">
+                      ${Math.round(analysisResults.penaltyAvoided).toLocaleString()}
+                    </div>
+                  </div>
+                )}
               </div>
               <div className="mt-4 pt-4 border-t border-green-200 dark:border-green-700">
                 <div className="text-sm text-green-700 dark:text-green-300">Net Proceeds</div>
                 <div className="text-3xl font-bold text-green-600 dark:text-green-400">
-                  ${analysisResults.netProceeds.toLocaleString()}
+                  ${Math.round(analysisResults.netProceeds).toLocaleString()}
                 </div>
               </div>
             </div>
@@ -4,6 +4,9 @@ import React, { createContext, useContext, useState, useEffect, useCallback, use
 import apiClient from '@/lib/api-client';
 import { useAuth } from '@/context/AuthContext';
 import { calculateLandTransferTax } from '@/utils/financialCalculations';
+import { setPrimeRateHistory, toPrimeRateEntries } from '@/utils/primeRateHistory';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { getMortgageInsuranceCosts } from '@/utils/mortgageInsurance';
 
 export interface Account {
   id: string;
@@ -147,14 +150,11 @@ export function AccountProvider({ children }: { children: ReactNode }) {
           
           // Map demo properties and attach mortgages/expenses
           const properties = (result.data.properties || []).map((property: any) => {
-            // Find mortgage for this property
-            const mortgage = (result.data.mortgages || []).find((m: any) => m.propertyId === property.id);
-            // Find expenses for this property
-            const expenses = (result.data.expenses || []).filter((e: any) => e.propertyId === property.id);
-            
-            // Map mortgage data
-            if (mortgage) {
-              property.mortgage = {
+            // Find debts for this property (already in lien priority order)
+            const debts = (result.data.mortgages || [])
+              .filter((m: any) => m.propertyId === property.id)
+              .map((mortgage: any) => ({
+                id: mortgage.id,
                 lender: mortgage.lenderName || '',
                 originalAmount: parseFloat(mortgage.originalAmount || 0),
                 interestRate: parseFloat(mortgage.interestRate || 0),
@@ -166,7 +166,16 @@ export function AccountProvider({ children }: { children: ReactNode }) {
                 currentBalance: mortgage.currentBalance ? parseFloat(mortgage.currentBalance) : null,
                 paymentAmount: mortgage.paymentAmount ? parseFloat(mortgage.paymentAmount) : null,
                 mortgageData: mortgage.mortgageData || {},
-              };
+                priority: mortgage.priority || 1,
+                debtType: mortgage.debtType || 'MORTGAGE',
+              }));
+            // Find expenses for this property
+            const expenses = (result.data.expenses || []).filter((e: any) => e.propertyId === property.id);
+            
+            // The first lien is the mortgage; any others are additional debts
+            if (debts.length > 0) {
+              property.mortgage = debts[0];
+              property.additionalDebts = debts.slice(1);
             }
             
             // Map expense history
@@ -375,12 +384,14 @@ export function AccountProvider({ children }: { children: ReactNode }) {
               property.landTransferTax // Manual override if provided
             );
             
-            // Calculate down payment
-            const mortgageAmount = property.mortgage?.originalAmount || 0;
+            // Calculate down payment (a financed insurance premium isn't part of the purchase)
+            const insuranceCosts = getMortgageInsuranceCosts(property.mortgage);
+            const mortgageAmount = (property.mortgage?.originalAmount || 0) - insuranceCosts.premium;
             const downPayment = (property.purchasePrice || 0) - mortgageAmount;
             
             property.totalInvestment = downPayment + 
                                       (property.closingCosts || 0) + 
+                                      insuranceCosts.premiumTax + 
                                       (property.renovationCosts || 0) + 
                                       (property.initialRenovations || 0) + 
                                       landTransferTax;
@@ -731,6 +742,17 @@ export function AccountProvider({ children }: { children: ReactNode }) {
       return;
     }
 
+    // Load the admin-maintained prime rate history used to price variable-rate mortgages
+    try {
+      const primeRatesResponse = await apiClient.getPrimeRates();
+      if (primeRatesResponse.success && Array.isArray(primeRatesResponse.data) && primeRatesResponse.data.length > 0) {
+        setPrimeRateHistory(toPrimeRateEntries(primeRatesResponse.data));
+      }
+    } catch (err) {
+      // Keep the bundled prime rate history
+      console.warn('Could not load prime rate history:', err);
+    }
+
     try {
       console.log('AccountContext: loadProperties called for accountId:', accountId);
       const response = await apiClient.getProperties(accountId, 1, 1000); // Get up to 1000 properties
@@ -760,41 +782,17 @@ export function AccountProvider({ children }: { children: ReactNode }) {
           propertiesArray.map(async (apiProperty: any) => {
             const mapped = mapApiPropertyToFrontend(apiProperty);
             
-            // Load mortgage for this property
+            // Load every debt on this property; the first lien is the mortgage, the rest are additional debts
             try {
-              const mortgageResponse = await apiClient.getMortgage(apiProperty.id);
-              // Check if mortgage exists (success: true with data) or was not found (success: false with "Mortgage not found")
-              if (mortgageResponse.success && mortgageResponse.data) {
-                const mortgage = mortgageResponse.data;
-                const mortgageData = mortgage.mortgage_data || {};
-                mapped.mortgage = {
-                  lender: mortgage.lender || '',
-                  originalAmount: parseFloat(mortgage.original_amount || 0),
-                  interestRate: parseFloat(mortgage.interest_rate || 0),
-                  rateType: mortgage.rate_type || 'Fixed',
-                  termMonths: mortgage.term_months || 60,
-                  amortizationYears: mortgage.amortization_years || 25,
-                  paymentFrequency: mortgage.payment_frequency || 'Monthly',
-                  startDate: mortgage.start_date || null,
-                  // Include additional mortgage data fields
-                  mortgageNumber: mortgageData.mortgageNumber || mortgageData.mortgage_number || null,
-                  currentBalance: mortgageData.currentBalance || mortgageData.current_balance || null,
-                  paymentAmount: mortgageData.paymentAmount || mortgageData.payment_amount || null,
-                  renewalDate: mortgageData.renewalDate || mortgageData.renewal_date || null,
-                  remainingAmortization: mortgageData.remainingAmortization || mortgageData.remaining_amortization || null,
-                };
+              const debtsResponse = await apiClient.getPropertyDebts(apiProperty.id);
+              const debts = Array.isArray(debtsResponse.data) ? debtsResponse.data.map(mapApiDebtToFrontend) : [];
+              if (debts.length > 0) {
+                mapped.mortgage = debts[0];
+                mapped.additionalDebts = debts.slice(1);
               }
-              // If success is false and error is "Mortgage not found", that's expected - property just doesn't have a mortgage
             } catch (err) {
-              // Silently handle "Mortgage not found" - it's normal for properties to not have mortgages
-              const errorMessage = err instanceof Error ? err.message : String(err);
-              if (errorMessage.includes('Mortgage not found') || errorMessage.includes('404')) {
-                // Property doesn't have a mortgage - this is expected and not an error
-                // No need to log or throw
-              } else {
-                // Log other errors (network issues, etc.) but don't throw
-                console.warn(`Could not load mortgage for property ${apiProperty.id}:`, err);
-              }
+              // Log network issues etc. but don't throw - the property still loads without debts
+              console.warn(`Could not load mortgage for property ${apiProperty.id}:`, err);
             }
             
             // Load expenses for this property and convert to monthly expenses
@@ -15,8 +15,15 @@ import {
   calculateLandTransferTax
 } from '@/utils/financialCalculations';
 import { calculateLTT } from '@/utils/mathEngine';
-import { getMonthlyMortgagePayment, getMonthlyMortgageInterest, getMonthlyMortgagePrincipal } from '@/utils/mortgageCalculator';
+import {
+  getPropertyDebts,
+  getTotalMonthlyDebtPayment,
+  getTotalMonthlyDebtInterest,
+  getTotalMonthlyDebtPrincipal,
+} from '@/utils/propertyDebts';
+import type { PropertyDebt } from '@/utils/propertyDebts';
 import { generateSlug } from '@/utils/slug';
+import { getMortgageInsuranceCosts } from '@/utils/mortgageInsurance';
 
 // Define TypeScript interfaces for better type safety
 export interface Property {
@@ -43,6 +50,7 @@ export interface Property {
     paymentFrequency: string;
     startDate: string;
   };
+  additionalDebts?: PropertyDebt[]; // Liens after the first mortgage, in priority order
   rent: {
     monthlyRent: number;
     annualRent: number;
@@ -265,28 +273,11 @@ const preparePropertyData = (property: Property): Property => {
   }, 0);
   const existingMortgagePayment = ensureNumber(monthlyExpensesRecord.mortgagePayment);
   let derivedMortgagePayment = existingMortgagePayment;
+  const hasDebts = getPropertyDebts(cloned).length > 0;
 
-  if (derivedMortgagePayment <= 0 && cloned.mortgage && cloned.mortgage.originalAmount) {
-    try {
-      derivedMortgagePayment = getMonthlyMortgagePayment(cloned.mortgage as any) || 0;
-    } catch (error) {
-      const principal = ensureNumber(cloned.mortgage.originalAmount);
-      const annualRate = ensureNumber(cloned.mortgage.interestRate);
-      const amortizationYears = ensureNumber(cloned.mortgage.amortizationYears);
-
-      if (principal > 0 && amortizationYears > 0) {
-        const totalPayments = amortizationYears * 12;
-        const monthlyRate = annualRate > 0 ? annualRate / 12 : 0;
-
-        if (monthlyRate === 0) {
-          derivedMortgagePayment = principal / totalPayments;
-        } else {
-          const factor = Math.pow(1 + monthlyRate, totalPayments);
-          derivedMortgagePayment = principal * (monthlyRate * factor) / (factor - 1);
-        }
-      }
-    }
-
+  // Debt service covers every lien on the property, not just the first mortgage
+  if (derivedMortgagePayment <= 0 && hasDebts) {
+    derivedMortgagePayment = getTotalMonthlyDebtPayment(cloned);
     derivedMortgagePayment = Number.isFinite(derivedMortgagePayment) ? Number(derivedMortgagePayment.toFixed(2)) : 0;
   }
 
@@ -294,36 +285,16 @@ const preparePropertyData = (property: Property): Property => {
 
   // Calculate mortgage interest
   let derivedMortgageInterest = ensureNumber(monthlyExpensesRecord.mortgageInterest);
-  if (derivedMortgageInterest <= 0 && cloned.mortgage && cloned.mortgage.originalAmount) {
-    try {
-      derivedMortgageInterest = getMonthlyMortgageInterest(cloned.mortgage as any) || 0;
-    } catch (error) {
-      // Fallback calculation: approximate monthly interest
-      const principal = ensureNumber(cloned.mortgage.originalAmount);
-      const annualRate = ensureNumber(cloned.mortgage.interestRate);
-      if (principal > 0 && annualRate > 0) {
-        derivedMortgageInterest = (principal * annualRate) / 12;
-      }
-    }
+  if (derivedMortgageInterest <= 0 && hasDebts) {
+    derivedMortgageInterest = getTotalMonthlyDebtInterest(cloned);
     derivedMortgageInterest = Number.isFinite(derivedMortgageInterest) ? Number(derivedMortgageInterest.toFixed(2)) : 0;
   }
   monthlyExpensesRecord.mortgageInterest = derivedMortgageInterest;
 
   // Calculate mortgage principal
   let derivedMortgagePrincipal = ensureNumber(monthlyExpensesRecord.mortgagePrincipal);
-  if (derivedMortgagePrincipal <= 0 && cloned.mortgage && cloned.mortgage.originalAmount) {
-    try {
-      derivedMortgagePrincipal = getMonthlyMortgagePrincipal(cloned.mortgage as any) || 0;
-    } catch (error) {
-      // Fallback calculation: approximate monthly principal
-      // Principal = Payment - Interest
-      const principal = ensureNumber(cloned.mortgage.originalAmount);
-      const annualRate = ensureNumber(cloned.mortgage.interestRate);
-      if (principal > 0 && annualRate > 0 && derivedMortgagePayment > 0) {
-        const monthlyInterest = (principal * annualRate) / 12;
-        derivedMortgagePrincipal = Math.max(0, derivedMortgagePayment - monthlyInterest);
-      }
-    }
+  if (derivedMortgagePrincipal <= 0 && hasDebts) {
+    derivedMortgagePrincipal = getTotalMonthlyDebtPrincipal(cloned);
     derivedMortgagePrincipal = Number.isFinite(derivedMortgagePrincipal) ? Number(derivedMortgagePrincipal.toFixed(2)) : 0;
   }
   monthlyExpensesRecord.mortgagePrincipal = derivedMortgagePrincipal;
@@ -386,8 +357,10 @@ const preparePropertyData = (property: Property): Property => {
 
   cloned.mortgage = normalizedMortgage;
 
-  // Calculate down payment using normalized mortgage
-  const downPayment = Math.max(0, purchasePrice - cloned.mortgage.originalAmount);
+  // Calculate down payment using normalized mortgage; an insurance premium financed into the
+  // principal isn't part of the purchase, and the sales tax on it is a closing cost
+  const insuranceCosts = getMortgageInsuranceCosts(cloned.mortgage as any);
+  const downPayment = Math.max(0, purchasePrice - (cloned.mortgage.originalAmount - insuranceCosts.premium));
   
   // Calculate Land Transfer Tax using date-aware calculation
   const city = cloned.address?.includes('Toronto') ? 'Toronto' : '';
@@ -406,7 +379,7 @@ const preparePropertyData = (property: Property): Property => {
   const landTransferTax = lttResult.amount;
   
   // Calculate total investment
-  cloned.totalInvestment = Number((downPayment + closingCosts + initialRenovations + renovationCosts + landTransferTax).toFixed(2));
+  cloned.totalInvestment = Number((downPayment + closingCosts + insuranceCosts.premiumTax + initialRenovations + renovationCosts + landTransferTax).toFixed(2));
   
   // Store LTT data with warnings for UI
   (cloned as any).landTransferTax = landTransferTax;
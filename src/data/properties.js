@@ -1,20 +1,27 @@
 // Import mortgage calculator utilities (conditional import for Next.js environment)
-let getMonthlyMortgagePayment, getMonthlyMortgageInterest, getMonthlyMortgagePrincipal, getCurrentMortgageBalance, getAnnualMortgageInterest;
+// Totals cover every debt on a property (its mortgage plus any additionalDebts)
+let getPropertyDebts, getTotalMonthlyDebtPayment, getTotalMonthlyDebtInterest, getTotalMonthlyDebtPrincipal, getTotalDebtBalance, getTotalAnnualDebtInterest;
+
+const sumDebts = (property, getValue) => {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getValue(debt), 0);
+};
 
 try {
-  const mortgageUtils = require('@/utils/mortgageCalculator');
-  getMonthlyMortgagePayment = mortgageUtils.getMonthlyMortgagePayment;
-  getMonthlyMortgageInterest = mortgageUtils.getMonthlyMortgageInterest;
-  getMonthlyMortgagePrincipal = mortgageUtils.getMonthlyMortgagePrincipal;
-  getCurrentMortgageBalance = mortgageUtils.getCurrentMortgageBalance;
-  getAnnualMortgageInterest = mortgageUtils.getAnnualMortgageInterest;
+  const debtUtils = require('@/utils/propertyDebts');
+  getPropertyDebts = debtUtils.getPropertyDebts;
+  getTotalMonthlyDebtPayment = debtUtils.getTotalMonthlyDebtPayment;
+  getTotalMonthlyDebtInterest = debtUtils.getTotalMonthlyDebtInterest;
+  getTotalMonthlyDebtPrincipal = debtUtils.getTotalMonthlyDebtPrincipal;
+  getTotalDebtBalance = debtUtils.getTotalDebtBalance;
+  getTotalAnnualDebtInterest = debtUtils.getTotalAnnualDebtInterest;
 } catch (error) {
   // Fallback functions for non-Next.js environments
-  getMonthlyMortgagePayment = () => 0;
-  getMonthlyMortgageInterest = () => 0;
-  getMonthlyMortgagePrincipal = () => 0;
-  getCurrentMortgageBalance = (mortgage) => mortgage?.originalAmount || 0;
-  getAnnualMortgageInterest = (mortgage) => (mortgage?.originalAmount || 0) * (mortgage?.interestRate || 0);
+  getPropertyDebts = (property) => (property?.mortgage ? [property.mortgage] : []);
+  getTotalMonthlyDebtPayment = () => 0;
+  getTotalMonthlyDebtInterest = () => 0;
+  getTotalMonthlyDebtPrincipal = () => 0;
+  getTotalDebtBalance = (property) => sumDebts(property, (debt) => debt.originalAmount || 0);
+  getTotalAnnualDebtInterest = (property) => sumDebts(property, (debt) => (debt.originalAmount || 0) * (debt.interestRate || 0));
 }
 
 // Import financial calculation utilities
@@ -77,7 +84,7 @@ export const properties = [
     expenseHistory: [
       // 2021 Expenses
       { id: 'first-2021-insurance', date: '2021-01-15', amount: 450, category: 'Insurance', description: 'Property insurance' },
-      { id: 'first-2021-interest', date: '2021-06-01', amount: 11000, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'first-2021-interest', date: '2021-06-01', amount: 11000, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'first-2021-professional', date: '2021-03-15', amount: 2500, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'first-2021-maintenance', date: '2021-08-15', amount: 300, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'first-2021-tax', date: '2021-01-15', amount: 2475, category: 'Property Tax', description: 'Property taxes' },
@@ -86,7 +93,7 @@ export const properties = [
       
       // 2022 Expenses
       { id: 'first-2022-insurance', date: '2022-01-15', amount: 470, category: 'Insurance', description: 'Property insurance' },
-      { id: 'first-2022-interest', date: '2022-06-01', amount: 10750, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'first-2022-interest', date: '2022-06-01', amount: 10750, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'first-2022-professional', date: '2022-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'first-2022-maintenance', date: '2022-08-15', amount: 350, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'first-2022-tax', date: '2022-01-15', amount: 2600, category: 'Property Tax', description: 'Property taxes' },
@@ -95,7 +102,7 @@ export const properties = [
       
       // 2023 Expenses
       { id: 'first-2023-insurance', date: '2023-01-15', amount: 490, category: 'Insurance', description: 'Property insurance' },
-      { id: 'first-2023-interest', date: '2023-06-01', amount: 10500, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'first-2023-interest', date: '2023-06-01', amount: 10500, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'first-2023-professional', date: '2023-03-15', amount: 2800, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'first-2023-maintenance', date: '2023-08-15', amount: 400, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'first-2023-tax', date: '2023-01-15', amount: 2725, category: 'Property Tax', description: 'Property taxes' },
@@ -104,7 +111,7 @@ export const properties = [
       
       // 2024 Expenses
       { id: 'first-2024-insurance', date: '2024-01-15', amount: 510, category: 'Insurance', description: 'Property insurance' },
-      { id: 'first-2024-interest', date: '2024-06-01', amount: 10250, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'first-2024-interest', date: '2024-06-01', amount: 10250, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'first-2024-professional', date: '2024-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'first-2024-maintenance', date: '2024-08-15', amount: 450, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'first-2024-tax', date: '2024-01-15', amount: 2850, category: 'Property Tax', description: 'Property taxes' },
@@ -113,7 +120,7 @@ export const properties = [
       
       // 2025 Expenses
       { id: 'first-2025-insurance', date: '2025-01-15', amount: 530, category: 'Insurance', description: 'Property insurance' },
-      { id: 'first-2025-interest', date: '2025-06-01', amount: 10000, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'first-2025-interest', date: '2025-06-01', amount: 10000, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'first-2025-professional', date: '2025-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'first-2025-maintenance', date: '2025-08-15', amount: 500, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'first-2025-tax', date: '2025-01-15', amount: 2800, category: 'Property Tax', description: 'Property taxes' },
@@ -218,7 +225,7 @@ export const properties = [
     expenseHistory: [
       // 2021 Expenses
       { id: 'second-2021-insurance', date: '2021-01-15', amount: 520, category: 'Insurance', description: 'Property insurance' },
-      { id: 'second-2021-interest', date: '2021-06-01', amount: 13500, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'second-2021-interest', date: '2021-06-01', amount: 13500, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'second-2021-professional', date: '2021-03-15', amount: 2500, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'second-2021-maintenance', date: '2021-08-15', amount: 250, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'second-2021-tax', date: '2021-01-15', amount: 3038, category: 'Property Tax', description: 'Property taxes' },
@@ -227,7 +234,7 @@ export const properties = [
       
       // 2022 Expenses
       { id: 'second-2022-insurance', date: '2022-01-15', amount: 540, category: 'Insurance', description: 'Property insurance' },
-      { id: 'second-2022-interest', date: '2022-06-01', amount: 13200, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'second-2022-interest', date: '2022-06-01', amount: 13200, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'second-2022-professional', date: '2022-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'second-2022-maintenance', date: '2022-08-15', amount: 300, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'second-2022-tax', date: '2022-01-15', amount: 3180, category: 'Property Tax', description: 'Property taxes' },
@@ -236,7 +243,7 @@ export const properties = [
       
       // 2023 Expenses
       { id: 'second-2023-insurance', date: '2023-01-15', amount: 560, category: 'Insurance', description: 'Property insurance' },
-      { id: 'second-2023-interest', date: '2023-06-01', amount: 12900, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'second-2023-interest', date: '2023-06-01', amount: 12900, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'second-2023-professional', date: '2023-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'second-2023-maintenance', date: '2023-08-15', amount: 350, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'second-2023-tax', date: '2023-01-15', amount: 3325, category: 'Property Tax', description: 'Property taxes' },
@@ -245,7 +252,7 @@ export const properties = [
       
       // 2024 Expenses
       { id: 'second-2024-insurance', date: '2024-01-15', amount: 580, category: 'Insurance', description: 'Property insurance' },
-      { id: 'second-2024-interest', date: '2024-06-01', amount: 12600, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'second-2024-interest', date: '2024-06-01', amount: 12600, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'second-2024-professional', date: '2024-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'second-2024-maintenance', date: '2024-08-15', amount: 400, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'second-2024-tax', date: '2024-01-15', amount: 3470, category: 'Property Tax', description: 'Property taxes' },
@@ -254,7 +261,7 @@ export const properties = [
       
       // 2025 Expenses
       { id: 'second-2025-insurance', date: '2025-01-15', amount: 600, category: 'Insurance', description: 'Property insurance' },
-      { id: 'second-2025-interest', date: '2025-06-01', amount: 12300, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'second-2025-interest', date: '2025-06-01', amount: 12300, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'second-2025-professional', date: '2025-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'second-2025-maintenance', date: '2025-08-15', amount: 450, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'second-2025-tax', date: '2025-01-15', amount: 3600, category: 'Property Tax', description: 'Property taxes' },
@@ -359,7 +366,7 @@ export const properties = [
     expenseHistory: [
       // 2021 Expenses
       { id: 'third-2021-insurance', date: '2021-01-15', amount: 1200, category: 'Insurance', description: 'Property insurance' },
-      { id: 'third-2021-interest', date: '2021-06-01', amount: 32400, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'third-2021-interest', date: '2021-06-01', amount: 32400, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'third-2021-professional', date: '2021-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'third-2021-maintenance', date: '2021-08-15', amount: 1800, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'third-2021-tax', date: '2021-01-15', amount: 6075, category: 'Property Tax', description: 'Property taxes' },
@@ -367,7 +374,7 @@ export const properties = [
       
       // 2022 Expenses
       { id: 'third-2022-insurance', date: '2022-01-15', amount: 1260, category: 'Insurance', description: 'Property insurance' },
-      { id: 'third-2022-interest', date: '2022-06-01', amount: 31500, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'third-2022-interest', date: '2022-06-01', amount: 31500, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'third-2022-professional', date: '2022-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'third-2022-maintenance', date: '2022-08-15', amount: 2000, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'third-2022-tax', date: '2022-01-15', amount: 6375, category: 'Property Tax', description: 'Property taxes' },
@@ -375,7 +382,7 @@ export const properties = [
       
       // 2023 Expenses
       { id: 'third-2023-insurance', date: '2023-01-15', amount: 1320, category: 'Insurance', description: 'Property insurance' },
-      { id: 'third-2023-interest', date: '2023-06-01', amount: 30600, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'third-2023-interest', date: '2023-06-01', amount: 30600, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'third-2023-professional', date: '2023-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'third-2023-maintenance', date: '2023-08-15', amount: 2200, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'third-2023-tax', date: '2023-01-15', amount: 6675, category: 'Property Tax', description: 'Property taxes' },
@@ -383,7 +390,7 @@ export const properties = [
       
       // 2024 Expenses
       { id: 'third-2024-insurance', date: '2024-01-15', amount: 1380, category: 'Insurance', description: 'Property insurance' },
-      { id: 'third-2024-interest', date: '2024-06-01', amount: 29700, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'third-2024-interest', date: '2024-06-01', amount: 29700, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'third-2024-professional', date: '2024-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'third-2024-maintenance', date: '2024-08-15', amount: 2400, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'third-2024-tax', date: '2024-01-15', amount: 6975, category: 'Property Tax', description: 'Property taxes' },
@@ -391,7 +398,7 @@ export const properties = [
       
       // 2025 Expenses
       { id: 'third-2025-insurance', date: '2025-01-15', amount: 1440, category: 'Insurance', description: 'Property insurance' },
-      { id: 'third-2025-interest', date: '2025-06-01', amount: 28800, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'third-2025-interest', date: '2025-06-01', amount: 28800, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'third-2025-professional', date: '2025-03-15', amount: 0, category: 'Professional Fees', description: 'Legal & accounting fees' },
       { id: 'third-2025-maintenance', date: '2025-08-15', amount: 2600, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'third-2025-tax', date: '2025-01-15', amount: 7200, category: 'Property Tax', description: 'Property taxes' },
@@ -475,10 +482,10 @@ export const properties = [
 if (typeof window !== 'undefined') {
   properties.forEach(property => {
     try {
-      // Calculate mortgage payments
-      const mortgagePayment = getMonthlyMortgagePayment(property.mortgage);
-      const mortgageInterest = getMonthlyMortgageInterest(property.mortgage);
-      const mortgagePrincipal = getMonthlyMortgagePrincipal(property.mortgage);
+      // Calculate mortgage payments across all debts on the property
+      const mortgagePayment = getTotalMonthlyDebtPayment(property);
+      const mortgageInterest = getTotalMonthlyDebtInterest(property);
+      const mortgagePrincipal = getTotalMonthlyDebtPrincipal(property);
       
       // Update monthly expenses
       property.monthlyExpenses.mortgagePayment = mortgagePayment;
@@ -571,19 +578,19 @@ export const getPortfolioMetrics = (propertyList = properties) => {
   let totalMortgageBalance = 0;
   
   // Use accurate calculation for browser environment
-  if (typeof window !== 'undefined' && getCurrentMortgageBalance) {
+  if (typeof window !== 'undefined' && getTotalDebtBalance) {
     totalMortgageBalance = list.reduce((sum, property) => {
       try {
-        return sum + getCurrentMortgageBalance(property.mortgage);
+        return sum + getTotalDebtBalance(property);
       } catch (error) {
         console.warn(`Error calculating mortgage balance for ${property.id}:`, error);
-        return sum + (property.mortgage?.originalAmount || 0);
+        return sum + sumDebts(property, (debt) => debt.originalAmount || 0);
       }
     }, 0);
   } else {
     // Fallback: use original amount if calculation not available
     totalMortgageBalance = list.reduce((sum, property) => {
-      return sum + (property.mortgage?.originalAmount || 0);
+      return sum + sumDebts(property, (debt) => debt.originalAmount || 0);
     }, 0);
   }
   
@@ -598,14 +605,14 @@ export const getPortfolioMetrics = (propertyList = properties) => {
   let totalAnnualDeductibleExpenses = 0;
   
   // Use accurate calculation for browser environment
-  if (typeof window !== 'undefined' && getAnnualMortgageInterest && calculateAnnualOperatingExpenses) {
+  if (typeof window !== 'undefined' && getTotalAnnualDebtInterest && calculateAnnualOperatingExpenses) {
     totalAnnualDeductibleExpenses = list.reduce((sum, property) => {
       try {
         // Calculate annual operating expenses (excluding mortgage principal)
         const annualOperatingExpenses = calculateAnnualOperatingExpenses(property);
         
-        // Calculate accurate annual mortgage interest from schedule
-        const annualMortgageInterest = getAnnualMortgageInterest(property.mortgage);
+        // Calculate accurate annual mortgage interest from schedule (all debts)
+        const annualMortgageInterest = getTotalAnnualDebtInterest(property);
         
         return sum + annualOperatingExpenses + annualMortgageInterest;
       } catch (error) {
@@ -618,7 +625,7 @@ export const getPortfolioMetrics = (propertyList = properties) => {
           (property.monthlyExpenses?.maintenance || 0) * 12 +
           (property.monthlyExpenses?.professionalFees || 0) * 12 +
           (property.monthlyExpenses?.utilities || 0) * 12;
-        const estimatedAnnualMortgageInterest = (property.mortgage?.originalAmount || 0) * (property.mortgage?.interestRate || 0);
+        const estimatedAnnualMortgageInterest = sumDebts(property, (debt) => (debt.originalAmount || 0) * (debt.interestRate || 0));
         return sum + annualOperatingExpenses + estimatedAnnualMortgageInterest;
       }
     }, 0);
@@ -632,7 +639,7 @@ export const getPortfolioMetrics = (propertyList = properties) => {
         (property.monthlyExpenses?.maintenance || 0) * 12 +
         (property.monthlyExpenses?.professionalFees || 0) * 12 +
         (property.monthlyExpenses?.utilities || 0) * 12;
-      const estimatedAnnualMortgageInterest = (property.mortgage?.originalAmount || 0) * (property.mortgage?.interestRate || 0);
+      const estimatedAnnualMortgageInterest = sumDebts(property, (debt) => (debt.originalAmount || 0) * (debt.interestRate || 0));
       return sum + annualOperatingExpenses + estimatedAnnualMortgageInterest;
     }, 0);
   }
@@ -120,7 +120,7 @@ export const scProperties = [
     expenseHistory: [
       // 2023 Expenses - aligned to 2023 Schedule of Rental Income (total $6,059.94)
       { id: 'richmond-2023-insurance', date: '2023-01-15', amount: 0, category: 'Insurance', description: 'Property insurance' },
-      { id: 'richmond-2023-interest', date: '2023-06-01', amount: 1696.05, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'richmond-2023-interest', date: '2023-06-01', amount: 1696.05, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'richmond-2023-professional', date: '2023-03-15', amount: 3785.50, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'richmond-2023-maintenance', date: '2023-08-15', amount: 0, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'richmond-2023-tax', date: '2023-01-15', amount: 524.39, category: 'Property Tax', description: 'Property taxes' },
@@ -129,7 +129,7 @@ export const scProperties = [
       
       // 2024 Expenses - aligned to 2024 Schedule of Rental Income (total $23,493.77)
       { id: 'richmond-2024-insurance', date: '2024-01-15', amount: 310.14, category: 'Insurance', description: 'Property insurance' },
-      { id: 'richmond-2024-interest', date: '2024-06-01', amount: 10343.11, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'richmond-2024-interest', date: '2024-06-01', amount: 10343.11, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'richmond-2024-professional', date: '2024-03-15', amount: 0, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'richmond-2024-maintenance', date: '2024-08-15', amount: 59.68, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'richmond-2024-tax', date: '2024-01-15', amount: 3218.8, category: 'Property Tax', description: 'Property taxes' },
@@ -137,7 +137,7 @@ export const scProperties = [
       
       // 2025 Expenses - aligned to 2025 Schedule of Rental Income (total $28,893.69)
       { id: 'richmond-2025-insurance', date: '2025-01-15', amount: 552.96, category: 'Insurance', description: 'Property insurance' },
-      { id: 'richmond-2025-interest', date: '2025-06-01', amount: 10264.83, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'richmond-2025-interest', date: '2025-06-01', amount: 10264.83, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'richmond-2025-professional', date: '2025-03-15', amount: 3898.50, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'richmond-2025-maintenance', date: '2025-08-15', amount: 829.17, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'richmond-2025-tax', date: '2025-01-15', amount: 3393.39, category: 'Property Tax', description: 'Property taxes' },
@@ -243,7 +243,7 @@ export const scProperties = [
     expenseHistory: [
       // 2023 Expenses
       { id: 'tretti-2023-insurance', date: '2023-01-15', amount: 179, category: 'Insurance', description: 'Property insurance' },
-      { id: 'tretti-2023-interest', date: '2023-06-01', amount: 4863.71, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'tretti-2023-interest', date: '2023-06-01', amount: 4863.71, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'tretti-2023-professional', date: '2023-03-15', amount: 1864.57, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'tretti-2023-maintenance', date: '2023-08-15', amount: 0, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'tretti-2023-tax', date: '2023-01-15', amount: 0, category: 'Property Tax', description: 'Property taxes' },
@@ -252,7 +252,7 @@ export const scProperties = [
       
       // 2024 Expenses
       { id: 'tretti-2024-insurance', date: '2024-01-15', amount: 291.85, category: 'Insurance', description: 'Property insurance' },
-      { id: 'tretti-2024-interest', date: '2024-06-01', amount: 19266.66, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'tretti-2024-interest', date: '2024-06-01', amount: 19266.66, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'tretti-2024-professional', date: '2024-03-15', amount: 2712, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'tretti-2024-maintenance', date: '2024-08-15', amount: 0, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'tretti-2024-tax', date: '2024-01-15', amount: 2294.1, category: 'Property Tax', description: 'Property taxes' },
@@ -260,7 +260,7 @@ export const scProperties = [
       
       // 2025 Expenses
       { id: 'tretti-2025-insurance', date: '2025-01-15', amount: 552.96, category: 'Insurance', description: 'Property insurance' },
-      { id: 'tretti-2025-interest', date: '2025-06-01', amount: 0, category: 'Other', description: 'Interest & bank charges' },
+      { id: 'tretti-2025-interest', date: '2025-06-01', amount: 0, category: 'Other', description: 'Interest & bank charges', expenseData: { coveredByDebtLedger: true } },
       { id: 'tretti-2025-professional', date: '2025-03-15', amount: 0, category: 'Professional Fees', description: 'Professional fees' },
       { id: 'tretti-2025-maintenance', date: '2025-08-15', amount: 0, category: 'Maintenance', description: 'Repairs & maintenance' },
       { id: 'tretti-2025-tax', date: '2025-01-15', amount: 0, category: 'Property Tax', description: 'Property taxes' },
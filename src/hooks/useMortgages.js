@@ -4,12 +4,10 @@ import { useAuth } from '@/context/AuthContext';
 // API base URL
 const API_BASE = '/api/mortgages';
 
-// Helper function to get auth headers
+// Helper function to get request headers
+// The session cookie authenticates the request (fetch calls below send it with credentials: 'include')
 const getAuthHeaders = () => {
-  // In a real app, you'd get the token from your auth context
-  // For now, we'll use a mock token since we're using mock authentication
   return {
-    'Authorization': 'Bearer mock-token',
     'Content-Type': 'application/json',
   };
 };
@@ -19,9 +17,9 @@ export function useMortgages(propertyId = null) {
   const { user } = useAuth();
   
   return useQuery({
-    queryKey: ['mortgages', user?.uid, propertyId],
+    queryKey: ['mortgages', user?.id, propertyId],
     queryFn: async () => {
-      if (!user?.uid) {
+      if (!user?.id) {
         throw new Error('User not authenticated');
       }
 
@@ -31,6 +29,7 @@ export function useMortgages(propertyId = null) {
       
       const response = await fetch(url, {
         headers: getAuthHeaders(),
+        credentials: 'include',
       });
 
       if (!response.ok) {
@@ -44,7 +43,7 @@ export function useMortgages(propertyId = null) {
 
       return data.data;
     },
-    enabled: !!user?.uid,
+    enabled: !!user?.id,
     staleTime: 2 * 60 * 1000, // 2 minutes
   });
 }
@@ -54,14 +53,15 @@ export function useMortgage(mortgageId) {
   const { user } = useAuth();
   
   return useQuery({
-    queryKey: ['mortgage', user?.uid, mortgageId],
+    queryKey: ['mortgage', user?.id, mortgageId],
     queryFn: async () => {
-      if (!user?.uid || !mortgageId) {
+      if (!user?.id || !mortgageId) {
         throw new Error('User not authenticated or mortgage ID missing');
       }
 
       const response = await fetch(`${API_BASE}/${mortgageId}`, {
         headers: getAuthHeaders(),
+        credentials: 'include',
       });
 
       if (!response.ok) {
@@ -75,7 +75,7 @@ export function useMortgage(mortgageId) {
 
       return data.data;
     },
-    enabled: !!user?.uid && !!mortgageId,
+    enabled: !!user?.id && !!mortgageId,
   });
 }
 
@@ -86,13 +86,14 @@ export function useCreateMortgage() {
 
   return useMutation({
     mutationFn: async (mortgageData) => {
-      if (!user?.uid) {
+      if (!user?.id) {
         throw new Error('User not authenticated');
       }
 
       const response = await fetch(API_BASE, {
         method: 'POST',
         headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(mortgageData),
       });
 
@@ -110,12 +111,12 @@ export function useCreateMortgage() {
     },
     onSuccess: (newMortgage) => {
       // Invalidate and refetch mortgages
-      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.uid] });
+      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.id] });
       
       // If the mortgage is linked to a property, also invalidate that property's mortgages
       if (newMortgage.propertyId) {
         queryClient.invalidateQueries({ 
-          queryKey: ['mortgages', user?.uid, newMortgage.propertyId] 
+          queryKey: ['mortgages', user?.id, newMortgage.propertyId] 
         });
       }
     },
@@ -129,13 +130,14 @@ export function useUpdateMortgage() {
 
   return useMutation({
     mutationFn: async ({ mortgageId, mortgageData }) => {
-      if (!user?.uid) {
+      if (!user?.id) {
         throw new Error('User not authenticated');
       }
 
       const response = await fetch(`${API_BASE}/${mortgageId}`, {
         method: 'PUT',
         headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(mortgageData),
       });
 
@@ -154,17 +156,17 @@ export function useUpdateMortgage() {
     onSuccess: (updatedMortgage) => {
       // Update the specific mortgage in cache
       queryClient.setQueryData(
-        ['mortgage', user?.uid, updatedMortgage.id], 
+        ['mortgage', user?.id, updatedMortgage.id], 
         updatedMortgage
       );
       
       // Invalidate mortgages list to refetch
-      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.uid] });
+      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.id] });
       
       // If the mortgage is linked to a property, also invalidate that property's mortgages
       if (updatedMortgage.propertyId) {
         queryClient.invalidateQueries({ 
-          queryKey: ['mortgages', user?.uid, updatedMortgage.propertyId] 
+          queryKey: ['mortgages', user?.id, updatedMortgage.propertyId] 
         });
       }
     },
@@ -178,13 +180,14 @@ export function useDeleteMortgage() {
 
   return useMutation({
     mutationFn: async (mortgageId) => {
-      if (!user?.uid) {
+      if (!user?.id) {
         throw new Error('User not authenticated');
       }
 
       const response = await fetch(`${API_BASE}/${mortgageId}`, {
         method: 'DELETE',
         headers: getAuthHeaders(),
+        credentials: 'include',
       });
 
       if (!response.ok) {
@@ -201,10 +204,10 @@ export function useDeleteMortgage() {
     },
     onSuccess: (deletedMortgageId) => {
       // Remove the mortgage from cache
-      queryClient.removeQueries({ queryKey: ['mortgage', user?.uid, deletedMortgageId] });
+      queryClient.removeQueries({ queryKey: ['mortgage', user?.id, deletedMortgageId] });
       
       // Invalidate mortgages list to refetch
-      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.uid] });
+      queryClient.invalidateQueries({ queryKey: ['mortgages', user?.id] });
     },
   });
 }
@@ -216,6 +219,7 @@ export function useCalculateMortgage() {
       const response = await fetch(`${API_BASE}/calculate`, {
         method: 'POST',
         headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(mortgageData),
       });
 
@@ -241,6 +245,7 @@ export function usePrepaymentAnalysis() {
       const response = await fetch(`${API_BASE}/prepayment`, {
         method: 'POST',
         headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(analysisData),
       });
 
@@ -266,6 +271,7 @@ export function useRefinanceAnalysis() {
       const response = await fetch(`${API_BASE}/refinance`, {
         method: 'POST',
         headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(analysisData),
       });
 
@@ -197,15 +197,24 @@ class ApiClient {
       name: string | null;
       created_at: string;
       is_admin: boolean;
+      annual_income: number | null;
+      monthly_debt_payments: number | null;
     }>('/auth/user');
   }
 
-  async updateUserProfile(data: { name?: string | null; email?: string }) {
+  async updateUserProfile(data: {
+    name?: string | null;
+    email?: string;
+    annualIncome?: number | null;
+    monthlyDebtPayments?: number | null;
+  }) {
     return this.request<{
       id: string;
       email: string;
       name: string | null;
       created_at: string;
+      annual_income: number | null;
+      monthly_debt_payments: number | null;
     }>('/auth/user', {
       method: 'PATCH',
       body: JSON.stringify(data),
@@ -288,6 +297,38 @@ class ApiClient {
     });
   }
 
+  async getAdminPrimeRates() {
+    return this.request<Array<{
+      id: string;
+      effective_date: string;
+      rate: number;
+      notes: string | null;
+    }>>('/admin/prime-rates');
+  }
+
+  async saveAdminPrimeRate(data: { effectiveDate: string; rate: number; notes?: string | null }) {
+    return this.request<any>('/admin/prime-rates', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteAdminPrimeRate(id: string) {
+    return this.request<{ message: string }>(`/admin/prime-rates/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Prime rate methods
+  async getPrimeRates() {
+    return this.request<Array<{
+      id: string;
+      effective_date: string;
+      rate: number;
+      notes: string | null;
+    }>>('/prime-rates');
+  }
+
   // Account methods
   async getAccounts(page = 1, limit = 10) {
     return this.request<{
@@ -440,6 +481,176 @@ class ApiClient {
     });
   }
 
+  // Lender schedule methods
+  async getMortgageSchedule(propertyId: string) {
+    return this.request<{
+      mortgageId: string;
+      versions: any[];
+      schedule: any[];
+    }>(`/properties/${propertyId}/mortgage/schedule`);
+  }
+
+  async uploadMortgageSchedule(propertyId: string, data: {
+    csvContent: string;
+    fileName?: string;
+    mapping?: Record<string, string>;
+  }) {
+    return this.request<{
+      mortgageId: string;
+      version: any;
+      versions: any[];
+      schedule: any[];
+    }>(`/properties/${propertyId}/mortgage/schedule`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteMortgageScheduleVersion(propertyId: string, version: number) {
+    return this.request<{
+      mortgageId: string;
+      versions: any[];
+      schedule: any[];
+    }>(`/properties/${propertyId}/mortgage/schedule?version=${version}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Lender statement reconciliation methods
+  async reconcileMortgageStatement(propertyId: string, data: {
+    csvContent: string;
+    mapping?: Record<string, string>;
+  }) {
+    return this.request<{
+      mortgageId: string;
+      report: any;
+    }>(`/properties/${propertyId}/mortgage/reconcile`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async adoptLenderBalance(propertyId: string, data: { balance: number; asOf: string }) {
+    return this.request<{
+      mortgageId: string;
+      debts: any[];
+    }>(`/properties/${propertyId}/mortgage/reconcile`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  // Mortgage renewal term methods
+  async getMortgageTerms(propertyId: string) {
+    return this.request<{
+      mortgageId: string;
+      renewals: any[];
+    }>(`/properties/${propertyId}/mortgage/terms`);
+  }
+
+  async createMortgageRenewal(propertyId: string, data: {
+    lender: string;
+    startDate: string;
+    termMonths: number;
+    interestRate: number;
+    rateType: 'FIXED' | 'VARIABLE';
+    paymentAmount?: number | null;
+    notes?: string | null;
+  }) {
+    return this.request<{
+      mortgageId: string;
+      term: any;
+      renewals: any[];
+    }>(`/properties/${propertyId}/mortgage/terms`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteMortgageRenewal(propertyId: string, termNumber: number) {
+    return this.request<{
+      mortgageId: string;
+      renewals: any[];
+    }>(`/properties/${propertyId}/mortgage/terms?term=${termNumber}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Property debt methods (every lien on a property, in priority order)
+  async getPropertyDebts(propertyId: string) {
+    return this.request<any[]>(`/properties/${propertyId}/debts`);
+  }
+
+  async createPropertyDebt(propertyId: string, data: any) {
+    return this.request<{
+      debt: any;
+      debts: any[];
+    }>(`/properties/${propertyId}/debts`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updatePropertyDebt(propertyId: string, debtId: string, data: any) {
+    return this.request<{
+      debt: any;
+      debts: any[];
+    }>(`/properties/${propertyId}/debts/${debtId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deletePropertyDebt(propertyId: string, debtId: string) {
+    return this.request<{
+      id: string;
+      debts: any[];
+    }>(`/properties/${propertyId}/debts/${debtId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async transferPropertyDebt(propertyId: string, debtId: string, transferData: any) {
+    return this.request<{
+      debt: any;
+      debts: any[];
+      targetDebts?: any[];
+      transfer: any;
+    }>(`/properties/${propertyId}/debts/${debtId}/transfer`, {
+      method: 'POST',
+      body: JSON.stringify(transferData),
+    });
+  }
+
+  // Line of credit transaction methods
+  async getCreditLineTransactions(propertyId: string, debtId: string) {
+    return this.request<any[]>(`/properties/${propertyId}/debts/${debtId}/transactions`);
+  }
+
+  async createCreditLineTransaction(propertyId: string, debtId: string, data: {
+    date: string;
+    type: 'DRAW' | 'REPAYMENT';
+    amount: number;
+    notes?: string | null;
+  }) {
+    return this.request<{
+      transaction: any;
+      debts: any[];
+    }>(`/properties/${propertyId}/debts/${debtId}/transactions`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteCreditLineTransaction(propertyId: string, debtId: string, transactionId: string) {
+    return this.request<{
+      id: string;
+      debts: any[];
+    }>(`/properties/${propertyId}/debts/${debtId}/transactions?transactionId=${transactionId}`, {
+      method: 'DELETE',
+    });
+  }
+
   // Expense methods
   async getExpenses(propertyId: string, page = 1, limit = 10) {
     return this.request<{
@@ -455,6 +666,16 @@ class ApiClient {
     });
   }
 
+  async postDebtLedger(propertyId: string, through?: string) {
+    return this.request<{
+      posted: number;
+      removed: number;
+    }>(`/properties/${propertyId}/expenses/debt-ledger`, {
+      method: 'POST',
+      body: JSON.stringify(through ? { through } : {}),
+    });
+  }
+
   // Event methods
   async getEvents() {
     return this.request<Array<{
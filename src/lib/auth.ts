@@ -23,6 +23,8 @@ export interface User {
   name: string | null;
   created_at: Date;
   is_admin?: boolean;
+  annual_income?: string | number | null; // DECIMAL columns come back as strings
+  monthly_debt_payments?: string | number | null;
 }
 
 export interface JWTPayload {
@@ -92,7 +94,7 @@ export async function getUserByEmail(email: string): Promise<User | null> {
 export async function getUserById(id: string): Promise<User | null> {
   try {
     const result = await sql`
-      SELECT id, email, name, created_at, is_admin
+      SELECT id, email, name, created_at, is_admin, annual_income, monthly_debt_payments
       FROM users
       WHERE id = ${id}
       LIMIT 1
@@ -248,6 +250,35 @@ export async function updateUser(
   }
 }
 
+/**
+ * Update the income used for mortgage qualification
+ * Fields left undefined keep their stored values; null clears them.
+ */
+export async function updateUserIncome(
+  userId: string,
+  updates: { annualIncome?: number | null; monthlyDebtPayments?: number | null }
+): Promise<User> {
+  try {
+    const result = await sql`
+      UPDATE users
+      SET
+        annual_income = CASE WHEN ${updates.annualIncome !== undefined} THEN ${updates.annualIncome ?? null} ELSE annual_income END,
+        monthly_debt_payments = CASE WHEN ${updates.monthlyDebtPayments !== undefined} THEN ${updates.monthlyDebtPayments ?? null} ELSE monthly_debt_payments END
+      WHERE id = ${userId}
+      RETURNING id, email, name, created_at, is_admin, annual_income, monthly_debt_payments
+    ` as User[];
+
+    if (!result[0]) {
+      throw new Error('User not found');
+    }
+
+    return result[0];
+  } catch (error) {
+    console.error('Error updating user income:', error);
+    throw error;
+  }
+}
+
 /**
  * Update user password
  */
@@ -0,0 +1,77 @@
+import { sql } from './db';
+
+/**
+ * Credit line transactions store
+ * Draws and repayments on a line of credit (credit_line_transactions table).
+ */
+
+export interface CreditLineTransactionRecord {
+  id: string;
+  mortgage_id: string;
+  transaction_date: string;
+  transaction_type: 'DRAW' | 'REPAYMENT';
+  amount: number;
+  notes: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * Get the transactions on a line of credit, oldest first
+ * @param mortgageId - Mortgage ID of the line of credit
+ */
+export async function getCreditLineTransactions(mortgageId: string): Promise<CreditLineTransactionRecord[]> {
+  const result = await sql`
+    SELECT id, mortgage_id, transaction_date::text AS transaction_date, transaction_type,
+           amount, notes, created_at, updated_at
+    FROM credit_line_transactions
+    WHERE mortgage_id = ${mortgageId}
+    ORDER BY transaction_date ASC, created_at ASC
+  ` as CreditLineTransactionRecord[];
+
+  // DECIMAL columns come back as strings
+  return result.map(row => ({ ...row, amount: parseFloat(String(row.amount)) }));
+}
+
+/**
+ * Record a draw or repayment on a line of credit
+ * @param mortgageId - Mortgage ID of the line of credit
+ * @param transaction - Transaction details
+ */
+export async function createCreditLineTransaction(
+  mortgageId: string,
+  transaction: {
+    date: string;
+    type: 'DRAW' | 'REPAYMENT';
+    amount: number;
+    notes?: string | null;
+  }
+): Promise<CreditLineTransactionRecord> {
+  const result = await sql`
+    INSERT INTO credit_line_transactions (mortgage_id, transaction_date, transaction_type, amount, notes)
+    VALUES (
+      ${mortgageId},
+      ${transaction.date},
+      ${transaction.type},
+      ${transaction.amount},
+      ${transaction.notes || null}
+    )
+    RETURNING id, mortgage_id, transaction_date::text AS transaction_date, transaction_type,
+              amount, notes, created_at, updated_at
+  ` as CreditLineTransactionRecord[];
+
+  return { ...result[0], amount: parseFloat(String(result[0].amount)) };
+}
+
+/**
+ * Delete a transaction from a line of credit
+ * @returns true when the transaction belonged to the line and was deleted
+ */
+export async function deleteCreditLineTransaction(mortgageId: string, transactionId: string): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM credit_line_transactions
+    WHERE id = ${transactionId} AND mortgage_id = ${mortgageId}
+    RETURNING id
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
@@ -0,0 +1,97 @@
+import { sql } from './db';
+import { getPropertyDebts, getDebtsPortedFrom } from './property-debts';
+import { loadPrimeRateHistory } from './prime-rates';
+import { mapApiDebtToFrontend } from '@/utils/propertyDebts';
+import { DEBT_LEDGER_SOURCE, getDebtLedgerEntries } from '@/utils/debtLedger';
+import type { DebtLedgerEntry } from '@/utils/debtLedger';
+
+/**
+ * Debt ledger store
+ * Posts the interest and principal of every payment on a property's debts into the expenses
+ * table as system-generated rows. Posting replaces whatever was generated before, so it can run
+ * again after any change to a debt, its renewals or its lender schedule.
+ */
+
+/**
+ * Ledger entries for every debt on a property, including debts since ported to another
+ * property, which keep their entries on this one up to the move
+ * @param propertyId - Property ID
+ * @param through - Last payment date to include (YYYY-MM-DD)
+ */
+export async function getPropertyDebtLedger(
+  propertyId: string,
+  through: string
+): Promise<{ debtIds: string[]; entries: DebtLedgerEntry[] }> {
+  const debts = [...await getPropertyDebts(propertyId), ...await getDebtsPortedFrom(propertyId)];
+  const entries = debts.flatMap((debt) => {
+    try {
+      return getDebtLedgerEntries(mapApiDebtToFrontend(debt), debt.property_id, through);
+    } catch (error) {
+      console.warn(`Error building ledger entries for ${debt.lender}:`, error);
+      return [];
+    }
+  });
+
+  return { debtIds: debts.map((debt) => debt.id), entries };
+}
+
+/**
+ * Replace the generated interest and principal expenses of a property's debts
+ * Rows entered by hand are never touched.
+ * @param propertyId - Property ID
+ * @param through - Last payment date to post (YYYY-MM-DD), defaults to today
+ */
+export async function postDebtLedger(
+  propertyId: string,
+  through: string = new Date().toISOString().split('T')[0]
+): Promise<{ posted: number; removed: number }> {
+  await loadPrimeRateHistory();
+
+  const { debtIds, entries } = await getPropertyDebtLedger(propertyId, through);
+  const rows = entries.map((entry) => ({
+    property_id: entry.propertyId,
+    date: entry.date,
+    amount: entry.amount,
+    category: entry.category,
+    description: entry.description,
+    expense_data: entry.expenseData,
+  }));
+
+  // Remove and re-post in one transaction so a failed post leaves the previous ledger in place
+  const [removed, posted] = await sql.transaction([
+    sql`
+      DELETE FROM expenses
+      WHERE expense_data->>'systemGenerated' = 'true'
+        AND expense_data->>'source' = ${DEBT_LEDGER_SOURCE}
+        AND (property_id = ${propertyId} OR expense_data->>'debtId' = ANY(${debtIds}::text[]))
+      RETURNING id
+    `,
+    sql`
+      INSERT INTO expenses (property_id, date, amount, category, description, expense_data)
+      SELECT property_id, date, amount, category, description, expense_data
+      FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb) AS entry(
+        property_id UUID, date DATE, amount DECIMAL(15, 2), category VARCHAR(100),
+        description TEXT, expense_data JSONB
+      )
+      RETURNING id
+    `,
+  ]) as [Array<{ id: string }>, Array<{ id: string }>];
+
+  return { posted: posted.length, removed: removed.length };
+}
+
+/**
+ * Re-post a property's debt ledger after a change to its debts
+ * The change itself has already been saved, so a failure here is logged rather than thrown;
+ * the ledger is brought up to date the next time it is posted.
+ * @param propertyIds - Properties whose debts changed
+ */
+export async function syncDebtLedger(...propertyIds: string[]): Promise<void> {
+  for (const propertyId of propertyIds) {
+    try {
+      await postDebtLedger(propertyId);
+    } catch (error) {
+      console.warn(`Could not post debt ledger for property ${propertyId}:`, error);
+    }
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Fixed vs. Variable Renewal Simulator
+ * Runs a fixed-rate offer and a variable-rate offer (prime + spread) over the same term against
+ * a set of prime rate paths, to show what each path costs and which path makes them break even.
+ *
+ * - Fixed: the rate and payment are set for the term (semi-annual compounding)
+ * - Variable: the rate follows prime (monthly compounding); the payment is either recalculated
+ *   whenever prime changes (adjustable) or held, with the amortization absorbing the change
+ *   (fixed payments, where interest above the payment is added to the balance past the trigger rate)
+ *
+ * A path is a list of { month, change } points: prime moves by `change` (as decimal, relative to
+ * today's prime) from that month of the term until the next point.
+ */
+
+import { calculateMortgagePayment, calculatePeriodicRate } from './mortgage-calculations';
+
+const PAYMENTS_PER_YEAR = {
+  MONTHLY: 12,
+  SEMI_MONTHLY: 24,
+  BI_WEEKLY: 26,
+  ACCELERATED_BI_WEEKLY: 26,
+  WEEKLY: 52,
+  ACCELERATED_WEEKLY: 52,
+};
+
+/**
+ * Prime moving in 25 bps steps from today to `totalBps`, one step every `everyMonths`
+ */
+function steppedPath(totalBps, everyMonths, startMonth = everyMonths, from = 0) {
+  const points = [];
+  const step = totalBps > 0 ? 25 : -25;
+  let change = from;
+  for (let month = startMonth; Math.abs(change - from) < Math.abs(totalBps); month += everyMonths) {
+    change += step;
+    points.push({ month, change: change / 10000 });
+  }
+  return points;
+}
+
+export const PRIME_RATE_PATHS = {
+  FLAT: {
+    label: 'Flat',
+    description: 'Prime stays where it is for the whole term',
+    points: [],
+  },
+  UP_100: {
+    label: '+100 bps',
+    description: 'Four 25 bps hikes over the first year',
+    points: steppedPath(100, 3),
+  },
+  DOWN_150: {
+    label: '-150 bps',
+    description: 'Six 25 bps cuts over the first year',
+    points: steppedPath(-150, 2),
+  },
+  SPIKE_THEN_FALL: {
+    label: 'Spike, then fall',
+    description: 'Up 200 bps over eight months, held for a year, then cut 300 bps over the next year',
+    points: [...steppedPath(200, 1), ...steppedPath(-300, 1, 21, 200)],
+  },
+};
+
+/**
+ * Parse a user-defined path: prime at the start of each year of the term, relative to today,
+ * in percentage points (e.g. "0, +1, +0.5, -0.5")
+ * @param {string} text - Comma-separated changes
+ * @returns {Array|null} Path points, or null when the text isn't a list of numbers
+ */
+export function parsePrimeRatePath(text) {
+  const values = String(text || '').split(',').map(value => value.trim()).filter(Boolean);
+  if (values.length === 0) {
+    return null;
+  }
+  const changes = values.map(value => Number(value));
+  if (changes.some(change => !Number.isFinite(change))) {
+    return null;
+  }
+  return changes.map((change, year) => ({ month: year * 12, change: change / 100 }));
+}
+
+/**
+ * Change in prime from today in effect in a month of the term
+ */
+export function getPrimeChangeAt(points, month) {
+  let change = 0;
+  for (const point of points || []) {
+    if (point.month > month) break;
+    change = point.change;
+  }
+  return change;
+}
+
+/**
+ * Run one offer over the term, payment by payment
+ * @param {Object} input
+ * @param {Function} input.getRate - Annual rate (as decimal) in a month of the term
+ * @returns {Object} Payments, interest and balance over the term
+ */
+function simulateTerm({ balance, rateType, amortizationYears, termMonths, paymentFrequency, fixedPayments, getRate }) {
+  const paymentsPerYear = PAYMENTS_PER_YEAR[paymentFrequency];
+  const termPayments = Math.round((termMonths * paymentsPerYear) / 12);
+  const amortizationPayments = Math.round(amortizationYears * paymentsPerYear);
+
+  let remaining = balance;
+  let payment = 0;
+  let rate = null;
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let firstPayment = 0;
+  let maxPayment = 0;
+  let triggerRateHit = false;
+  let totalRate = 0;
+
+  for (let n = 0; n < termPayments && remaining > 0.005; n++) {
+    const month = Math.floor((n * 12) / paymentsPerYear);
+    const periodRate = Math.max(0, getRate(month));
+    totalRate += periodRate;
+
+    // Fixed payments are set once; adjustable payments are reset whenever the rate changes
+    if (rate === null || (periodRate !== rate && !fixedPayments)) {
+      const yearsLeft = Math.max(1 / paymentsPerYear, (amortizationPayments - n) / paymentsPerYear);
+      payment = calculateMortgagePayment(remaining, periodRate, rateType, yearsLeft, paymentFrequency);
+    }
+    rate = periodRate;
+
+    const interest = remaining * calculatePeriodicRate(periodRate, rateType, paymentFrequency);
+    if (interest > payment) {
+      triggerRateHit = true;
+    }
+    const paid = Math.min(payment, remaining + interest);
+    remaining = Math.max(0, remaining + interest - paid);
+
+    totalInterest += interest;
+    totalPaid += paid;
+    if (n === 0) firstPayment = paid;
+    maxPayment = Math.max(maxPayment, paid);
+  }
+
+  return {
+    firstPayment,
+    maxPayment,
+    totalInterest,
+    totalPaid,
+    endingBalance: remaining,
+    averageRate: termPayments > 0 ? totalRate / termPayments : 0,
+    triggerRateHit,
+  };
+}
+
+/**
+ * Prime change, held along a path shape, at which the variable offer costs the same interest
+ * as the fixed offer. Solved by bisection; null when no change within ±10% breaks even.
+ * @param {Function} runVariable - Total variable interest for a path
+ * @param {Function} shape - Path points for a prime change
+ * @param {number} fixedInterest - Total interest on the fixed offer
+ */
+function findBreakEvenChange(runVariable, shape, fixedInterest) {
+  let low = -0.1;
+  let high = 0.1;
+  const difference = change => runVariable(shape(change)) - fixedInterest;
+  if (difference(low) > 0 || difference(high) < 0) {
+    return null;
+  }
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (difference(mid) > 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Compare a fixed offer and a variable offer over a term across prime rate paths
+ * @param {Object} input
+ * @param {number} input.balance - Balance at renewal
+ * @param {number} input.amortizationYears - Amortization remaining at renewal
+ * @param {number} input.termMonths - Length of the term
+ * @param {string} input.paymentFrequency - 'MONTHLY', 'BI_WEEKLY', etc.
+ * @param {number} input.fixedRate - Fixed offer (as decimal)
+ * @param {number} input.primeRate - Prime today (as decimal)
+ * @param {number} input.spread - Variable offer's spread to prime (as decimal, e.g. -0.009 for prime - 0.90%)
+ * @param {boolean} input.fixedPayments - Variable payments held for the term instead of following prime
+ * @param {Object} input.paths - Paths to run, keyed like PRIME_RATE_PATHS (defaults to the presets)
+ * @returns {Object} { fixed, variableRate, paths, breakEven }
+ */
+export function simulateFixedVsVariable(input) {
+  const paymentFrequency = PAYMENTS_PER_YEAR[input.paymentFrequency] ? input.paymentFrequency : 'MONTHLY';
+  const base = {
+    balance: Math.max(0, Number(input.balance) || 0),
+    amortizationYears: Math.max(1, Number(input.amortizationYears) || 25),
+    termMonths: Math.max(1, Math.round(Number(input.termMonths) || 60)),
+    paymentFrequency,
+  };
+  const primeRate = Number(input.primeRate) || 0;
+  const spread = Number(input.spread) || 0;
+  const fixedRate = Number(input.fixedRate) || 0;
+
+  const fixed = {
+    rate: fixedRate,
+    ...simulateTerm({ ...base, rateType: 'FIXED', fixedPayments: true, getRate: () => fixedRate }),
+  };
+
+  const runVariable = points => simulateTerm({
+    ...base,
+    rateType: 'VARIABLE',
+    fixedPayments: Boolean(input.fixedPayments),
+    getRate: month => primeRate + getPrimeChangeAt(points, month) + spread,
+  });
+
+  const paths = Object.entries(input.paths || PRIME_RATE_PATHS).map(([key, path]) => {
+    const result = runVariable(path.points);
+    return {
+      key,
+      label: path.label,
+      description: path.description,
+      ...result,
+      endingPrime: primeRate + getPrimeChangeAt(path.points, base.termMonths - 1),
+      interestDifference: result.totalInterest - fixed.totalInterest, // Positive when variable costs more
+      balanceDifference: result.endingBalance - fixed.endingBalance,
+    };
+  });
+
+  // Break-even: an immediate, lasting move in prime, and a steady move reached by the end of the term
+  const variableInterest = points => runVariable(points).totalInterest;
+  const immediate = change => [{ month: 0, change }];
+  const gradual = change => Array.from({ length: base.termMonths }, (_, month) => ({
+    month,
+    change: (change * (month + 1)) / base.termMonths,
+  }));
+
+  return {
+    fixed,
+    variableRate: primeRate + spread,
+    paths,
+    breakEven: {
+      immediate: findBreakEvenChange(variableInterest, immediate, fixed.totalInterest),
+      gradual: findBreakEvenChange(variableInterest, gradual, fixed.totalInterest),
+    },
+  };
+}
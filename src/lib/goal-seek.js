@@ -0,0 +1,317 @@
+/**
+ * Goal Seek Solver
+ * Answers "what does this input need to be for that return?" questions, such as the rent needed
+ * for a 1.25 DSCR, the most that can be paid for an 8% IRR, or the interest rate at which cash
+ * flow breaks even. Picks a target metric and value and one free input, then runs a root-finder
+ * over the existing calculations:
+ *
+ * - DSCR, cash-on-cash and monthly cash flow from financialCalculations (today's numbers)
+ * - IRR over a holding period from generateForecast (see forecastHoldingPeriod)
+ *
+ * The finder scans the input's range for the crossing closest to the current value, then
+ * bisects it down. Every answer comes with a proof table that re-runs the calculation at the
+ * answer and either side of it.
+ */
+
+import {
+  calculateDSCR,
+  calculateCashOnCashReturn,
+  calculateMonthlyCashFlow,
+  calculateNOI,
+  calculateAnnualDebtService,
+  calculateAnnualOperatingExpenses,
+} from '@/utils/financialCalculations';
+import { getPropertyDebts } from '@/utils/propertyDebts';
+import {
+  CASH_FLOW_DEFAULT_ASSUMPTIONS,
+  EQUITY_DEFAULT_ASSUMPTIONS,
+  SENSITIVITY_VARIABLES,
+  forecastHoldingPeriod,
+  getSensitivityInputValue,
+  applySensitivityInput,
+} from './sensitivity-analysis';
+
+const SCAN_STEPS = 60;
+const MAX_BISECTIONS = 100;
+
+const EXPENSE_FIELDS = ['propertyTax', 'condoFees', 'insurance', 'maintenance', 'professionalFees', 'utilities'];
+
+/**
+ * Metrics the solver can target; each takes the adjusted property and assumptions
+ */
+export const GOAL_SEEK_METRICS = {
+  dscr: {
+    label: 'DSCR',
+    unit: 'ratio',
+    defaultTarget: 1.25,
+    calculate: (property) => calculateDSCR(property),
+  },
+  cashOnCash: {
+    label: 'Cash-on-Cash Return',
+    unit: 'percent',
+    defaultTarget: 8,
+    calculate: (property) => calculateCashOnCashReturn(property),
+  },
+  monthlyCashFlow: {
+    label: 'Monthly Cash Flow',
+    unit: 'currency',
+    defaultTarget: 0,
+    calculate: (property) => calculateMonthlyCashFlow(property),
+  },
+  irr: {
+    label: 'IRR',
+    unit: 'percent',
+    defaultTarget: 8,
+    calculate: (property, assumptions, { years }) => forecastHoldingPeriod(property, assumptions, years).irr,
+  },
+};
+
+const getSensitivityVariable = (key) => SENSITIVITY_VARIABLES.find((variable) => variable.key === key);
+
+/**
+ * Inputs the solver can move; values are in dollars or percent (rates)
+ * tolerance is how close the answer is pinned down.
+ */
+export const GOAL_SEEK_VARIABLES = {
+  monthlyRent: {
+    label: 'Monthly Rent',
+    unit: 'currency',
+    tolerance: 0.5,
+    getValue: (property) => Number(property.rent?.monthlyRent) || 0,
+    getRange: (current) => [0, Math.max(current * 3, 5000)],
+    // calculateNOI prefers annualRent when it's set, so keep the two in step
+    apply: (property, assumptions, value) => ({
+      property: {
+        ...property,
+        rent: {
+          ...property.rent,
+          monthlyRent: value,
+          ...(property.rent?.annualRent ? { annualRent: value * 12 } : {}),
+        },
+      },
+      assumptions,
+    }),
+  },
+  purchasePrice: {
+    label: 'Purchase Price',
+    unit: 'currency',
+    tolerance: 1,
+    getValue: (property) => Number(property.purchasePrice) || 0,
+    getRange: (current) => [current * 0.25, current * 2],
+    // Any difference from the actual price comes out of (or back to) the cash invested
+    apply: (property, assumptions, value) => applySensitivityInput(
+      getSensitivityVariable('purchasePrice'), property, assumptions, Number(property.purchasePrice) || 0, value
+    ),
+  },
+  interestRate: {
+    label: 'Interest Rate',
+    unit: 'percent',
+    tolerance: 0.0001,
+    getValue: (property, assumptions) => getSensitivityInputValue(getSensitivityVariable('interestRate'), property, assumptions),
+    getRange: () => [0, 25],
+    // Every debt on the property moves by the same number of points
+    apply: (property, assumptions, value) => {
+      const variable = getSensitivityVariable('interestRate');
+      return applySensitivityInput(variable, property, assumptions, getSensitivityInputValue(variable, property, assumptions), value);
+    },
+  },
+  vacancyRate: {
+    label: 'Vacancy Rate',
+    unit: 'percent',
+    tolerance: 0.0001,
+    getValue: (property, assumptions) => Number(assumptions.vacancyRate) || 0,
+    getRange: () => [0, 100],
+    // The forecast takes vacancy as a percentage, calculateNOI as a decimal on the property
+    apply: (property, assumptions, value) => ({
+      property: { ...property, vacancyRate: value / 100 },
+      assumptions: { ...assumptions, vacancyRate: value },
+    }),
+  },
+  monthlyExpenses: {
+    label: 'Monthly Operating Expenses',
+    unit: 'currency',
+    tolerance: 0.5,
+    getValue: (property) => calculateAnnualOperatingExpenses(property) / 12,
+    getRange: (current) => [0, Math.max(current * 5, 5000)],
+    // Every expense line scales by the same factor; with none recorded it all goes to maintenance
+    apply: (property, assumptions, value) => {
+      const current = calculateAnnualOperatingExpenses(property) / 12;
+      const monthlyExpenses = { ...property.monthlyExpenses };
+      if (current > 0) {
+        EXPENSE_FIELDS.forEach((field) => {
+          monthlyExpenses[field] = (Number(monthlyExpenses[field]) || 0) * value / current;
+        });
+      } else {
+        monthlyExpenses.maintenance = value;
+      }
+      return { property: { ...property, monthlyExpenses }, assumptions };
+    },
+  },
+  exitCapRate: {
+    label: 'Exit Cap Rate',
+    unit: 'percent',
+    tolerance: 0.0001,
+    getValue: (property, assumptions) => Number(assumptions.exitCapRate) || 0,
+    // Caps far outside the market price the sale at values the IRR can't converge on
+    getRange: () => [2, 12],
+    apply: (property, assumptions, value) => ({ property, assumptions: { ...assumptions, exitCapRate: value } }),
+  },
+};
+
+/**
+ * Free inputs that apply to a property: the interest rate needs a debt and the purchase price a
+ * recorded price. The exit cap rate only moves IRR, and vacancy only DSCR and IRR (cash flow and
+ * cash-on-cash are on the full rent).
+ */
+export function getGoalSeekVariables(property, metric) {
+  if (!property) return [];
+  const hasDebt = getPropertyDebts(property).length > 0;
+  return Object.entries(GOAL_SEEK_VARIABLES)
+    .filter(([key]) => {
+      if (key === 'interestRate') return hasDebt;
+      if (key === 'purchasePrice') return Number(property.purchasePrice) > 0;
+      if (key === 'exitCapRate') return metric === 'irr';
+      if (key === 'vacancyRate') return metric === 'dscr' || metric === 'irr';
+      return true;
+    })
+    .map(([key, variable]) => ({ key, label: variable.label, unit: variable.unit }));
+}
+
+/**
+ * Solve for the value of one input that makes a metric hit a target
+ *
+ * @param {Object} property - Property object
+ * @param {Object} options - What to solve
+ * @param {string} options.metric - Target metric (a GOAL_SEEK_METRICS key)
+ * @param {number} options.target - Target value (DSCR as a ratio, returns in percent, cash flow in dollars)
+ * @param {string} options.variable - Free input (a GOAL_SEEK_VARIABLES key)
+ * @param {Object} options.assumptions - Forecast assumptions, used for IRR and vacancy
+ * @param {number} options.years - IRR holding period in years (default: 10)
+ * @returns {Object} solved: true with the required value, whether it's a minimum or a maximum
+ *   (for at least the target), and the proof table; or solved: false with the reason and the
+ *   range of the metric the input can reach
+ */
+export function solveForTarget(property, options = {}) {
+  if (!property) {
+    throw new Error('Property is required for goal seek');
+  }
+
+  const { metric, target, variable: variableKey, assumptions = {}, years = 10 } = options;
+  const metricConfig = GOAL_SEEK_METRICS[metric];
+  const variable = GOAL_SEEK_VARIABLES[variableKey];
+  if (!metricConfig) {
+    throw new Error(`Unknown goal seek metric: ${metric}`);
+  }
+  if (!variable) {
+    throw new Error(`Unknown goal seek input: ${variableKey}`);
+  }
+  if (!Number.isFinite(target)) {
+    throw new Error('Target must be a number');
+  }
+  if (metric === 'dscr' && getPropertyDebts(property).length === 0) {
+    throw new Error('DSCR needs a debt on the property');
+  }
+  if (metric === 'irr' && !(property.totalInvestment > 0)) {
+    throw new Error('IRR needs a total investment for the property');
+  }
+
+  const baseAssumptions = { ...CASH_FLOW_DEFAULT_ASSUMPTIONS, ...EQUITY_DEFAULT_ASSUMPTIONS, ...assumptions };
+  const currentValue = variable.getValue(property, baseAssumptions);
+
+  // The metric and the cash flow figures behind it with the input set to a value
+  const evaluate = (value) => {
+    const adjusted = variable.apply(property, baseAssumptions, value);
+    const result = metricConfig.calculate(adjusted.property, adjusted.assumptions, { years });
+    return {
+      inputValue: value,
+      metric: Number.isFinite(result) ? result : null,
+      noi: calculateNOI(adjusted.property),
+      annualDebtService: calculateAnnualDebtService(adjusted.property),
+      annualCashFlow: calculateMonthlyCashFlow(adjusted.property) * 12,
+    };
+  };
+  const gap = (value) => {
+    const { metric: result } = evaluate(value);
+    return result === null ? null : result - target;
+  };
+
+  const [rangeMin, rangeMax] = variable.getRange(currentValue);
+  const low = Math.min(rangeMin, currentValue);
+  const high = Math.max(rangeMax, currentValue);
+
+  // Scan for the crossings, then keep the one closest to the current value
+  const points = Array.from({ length: SCAN_STEPS + 1 }, (_, index) => low + (high - low) * index / SCAN_STEPS)
+    .map((value) => ({ value, gap: gap(value) }))
+    .filter((point) => point.gap !== null);
+  const brackets = [];
+  points.forEach((point, index) => {
+    if (index === 0) return;
+    const previous = points[index - 1];
+    if (previous.gap === 0 || Math.sign(previous.gap) !== Math.sign(point.gap)) {
+      brackets.push([previous, point]);
+    }
+  });
+
+  const current = evaluate(currentValue);
+  if (brackets.length === 0) {
+    const reachable = points.map((point) => point.gap + target);
+    return {
+      solved: false,
+      metric,
+      target,
+      variable: { key: variableKey, label: variable.label, unit: variable.unit },
+      currentValue,
+      currentMetric: current.metric,
+      reachable: reachable.length > 0 ? { min: Math.min(...reachable), max: Math.max(...reachable) } : null,
+      range: { min: low, max: high },
+      reason: reachable.length > 0 && Math.max(...reachable) - Math.min(...reachable) < 1e-9
+        ? `${metricConfig.label} doesn't change with ${variable.label.toLowerCase()}`
+        : `${metricConfig.label} doesn't reach the target anywhere in the range of ${variable.label.toLowerCase()}`,
+    };
+  }
+
+  const distance = ([a, b]) => Math.min(Math.abs(a.value - currentValue), Math.abs(b.value - currentValue));
+  let [lower, upper] = brackets.reduce((closest, bracket) => (distance(bracket) < distance(closest) ? bracket : closest));
+
+  // Bisect the bracket
+  for (let iteration = 0; iteration < MAX_BISECTIONS && upper.value - lower.value > variable.tolerance; iteration++) {
+    if (lower.gap === 0) {
+      upper = lower;
+      break;
+    }
+    const value = (lower.value + upper.value) / 2;
+    const midpoint = { value, gap: gap(value) };
+    if (midpoint.gap === null) break;
+    if (Math.sign(midpoint.gap) === Math.sign(lower.gap)) {
+      lower = midpoint;
+    } else {
+      upper = midpoint;
+    }
+  }
+  const value = Math.abs(lower.gap) <= Math.abs(upper.gap) ? lower.value : upper.value;
+
+  // Whether the metric rises with the input decides if the answer is a floor or a ceiling
+  const step = Math.max(variable.tolerance * 10, Math.abs(value) * 0.05, variable.unit === 'percent' ? 0.25 : 1);
+  const below = evaluate(Math.max(low, value - step));
+  const above = evaluate(Math.min(high, value + step));
+  const rising = (above.metric ?? 0) >= (below.metric ?? 0);
+  const solution = evaluate(value);
+
+  return {
+    solved: true,
+    metric,
+    target,
+    variable: { key: variableKey, label: variable.label, unit: variable.unit },
+    currentValue,
+    currentMetric: current.metric,
+    value,
+    achieved: solution.metric,
+    bound: rising ? 'min' : 'max',
+    proof: [
+      { label: 'Current', ...current },
+      { label: 'Lower', ...below },
+      { label: 'Required', ...solution },
+      { label: 'Higher', ...above },
+    ],
+  };
+}
@@ -99,7 +99,7 @@ function mapExpenseToApi(expense: any): any {
     amount: expense.amount || 0,
     category: expense.category || 'Other',
     description: expense.description || expense.note || '',
-    expenseData: {}
+    expenseData: expense.expenseData || {}
   };
 }
 
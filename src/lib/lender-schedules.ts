@@ -0,0 +1,111 @@
+import { sql } from './db';
+import { mergeScheduleVersions, PaymentScheduleItem } from '@/utils/scheduleParser';
+
+/**
+ * Lender schedule store
+ * Versioned lender-provided amortization schedules (mortgage_schedules table).
+ */
+
+export interface MortgageScheduleVersion {
+  id: string;
+  mortgage_id: string;
+  version: number;
+  source: string;
+  file_name: string | null;
+  effective_date: string;
+  payment_count: number;
+  payments: PaymentScheduleItem[];
+  validation_warning: string | null;
+  uploaded_by: string | null;
+  created_at: Date;
+}
+
+export type MortgageScheduleVersionSummary = Omit<MortgageScheduleVersion, 'payments'>;
+
+/**
+ * Get all schedule versions for a mortgage, oldest first
+ * @param mortgageId - Mortgage ID
+ */
+export async function getScheduleVersions(mortgageId: string): Promise<MortgageScheduleVersion[]> {
+  return await sql`
+    SELECT id, mortgage_id, version, source, file_name, effective_date::text AS effective_date,
+           payment_count, payments, validation_warning, uploaded_by, created_at
+    FROM mortgage_schedules
+    WHERE mortgage_id = ${mortgageId}
+    ORDER BY version ASC
+  ` as MortgageScheduleVersion[];
+}
+
+/**
+ * Get the merged lender schedule for a mortgage
+ * @param mortgageId - Mortgage ID
+ * @returns Merged schedule, or null when no schedule has been uploaded
+ */
+export async function getMergedLenderSchedule(mortgageId: string): Promise<PaymentScheduleItem[] | null> {
+  const versions = await getScheduleVersions(mortgageId);
+  if (versions.length === 0) {
+    return null;
+  }
+  return mergeScheduleVersions(versions);
+}
+
+/**
+ * Store a parsed schedule as the next version for a mortgage
+ * @param mortgageId - Mortgage ID
+ * @param payments - Parsed, chronologically sorted schedule
+ * @param options - Upload metadata
+ */
+export async function createScheduleVersion(
+  mortgageId: string,
+  payments: PaymentScheduleItem[],
+  options: {
+    source: string;
+    fileName?: string | null;
+    validationWarning?: string | null;
+    uploadedBy?: string | null;
+  }
+): Promise<MortgageScheduleVersion> {
+  const result = await sql`
+    INSERT INTO mortgage_schedules (
+      mortgage_id, version, source, file_name, effective_date,
+      payment_count, payments, validation_warning, uploaded_by
+    )
+    VALUES (
+      ${mortgageId},
+      (SELECT COALESCE(MAX(version), 0) + 1 FROM mortgage_schedules WHERE mortgage_id = ${mortgageId}),
+      ${options.source},
+      ${options.fileName || null},
+      ${payments[0].paymentDate},
+      ${payments.length},
+      ${JSON.stringify(payments)}::jsonb,
+      ${options.validationWarning || null},
+      ${options.uploadedBy || null}
+    )
+    RETURNING id, mortgage_id, version, source, file_name, effective_date::text AS effective_date,
+              payment_count, payments, validation_warning, uploaded_by, created_at
+  ` as MortgageScheduleVersion[];
+
+  return result[0];
+}
+
+/**
+ * Delete a single schedule version (e.g. to roll back a bad upload)
+ * @returns true when a version was deleted
+ */
+export async function deleteScheduleVersion(mortgageId: string, version: number): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM mortgage_schedules
+    WHERE mortgage_id = ${mortgageId} AND version = ${version}
+    RETURNING id
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
+
+/**
+ * Strip payments from a version for list responses
+ */
+export function summarizeScheduleVersion(
+  { payments: _payments, ...summary }: MortgageScheduleVersion
+): MortgageScheduleVersionSummary {
+  return summary;
+}
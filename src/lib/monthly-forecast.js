@@ -0,0 +1,398 @@
+/**
+ * Monthly Forecast Engine
+ *
+ * Projects a property month by month so that dated events land where they happen:
+ * - Rent increases on each lease's anniversary rather than at the start of every forecast year
+ * - Seasonal vacancy and seasonal expenses (heating, maintenance)
+ * - Mortgage renewals, weekly payments and balloon payments in the month they are scheduled
+ * - A principal prepayment in a specific month, carried through the rest of the schedule
+ * - A property bought during the forecast earns and costs nothing before closing
+ *
+ * rollUpMonthlyForecast turns the months into the yearly forecast the charts use.
+ */
+
+import { getPropertyDebts, getTotalDebtBalance, getTotalMonthlyDebtPayment, getDebtMonthlySummary } from '@/utils/propertyDebts';
+
+const FLAT_SEASONALITY = Array(12).fill(1);
+
+/**
+ * Seasonality presets: January-to-December multipliers on the vacancy rate and on the seasonal
+ * expenses (utilities and maintenance). Each set averages 1, so a year's totals match the
+ * annual assumptions and only their timing changes.
+ */
+export const SEASONALITY_PRESETS = {
+  none: {
+    label: 'None',
+    vacancy: FLAT_SEASONALITY,
+    expenses: FLAT_SEASONALITY,
+  },
+  coldWinters: {
+    label: 'Cold Winters',
+    // Fewer people move in winter; heating and snow clearing peak in January
+    vacancy: [1.4, 1.3, 1.1, 0.9, 0.8, 0.7, 0.7, 0.8, 0.9, 1.0, 1.1, 1.3],
+    expenses: [1.6, 1.5, 1.3, 1.0, 0.8, 0.6, 0.6, 0.6, 0.7, 0.9, 1.1, 1.3],
+  },
+  student: {
+    label: 'Student Rental',
+    // Units turn over between the end of the school year and September
+    vacancy: [0.6, 0.6, 0.6, 0.8, 2.0, 2.4, 2.0, 1.0, 0.5, 0.5, 0.5, 0.5],
+    expenses: FLAT_SEASONALITY,
+  },
+};
+
+/**
+ * Calendar month (YYYY-MM) a number of months after another
+ */
+function addMonths(month, count) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const monthIndex = year * 12 + monthNumber - 1 + count;
+  return `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Number of months from one calendar month (YYYY-MM) to another
+ */
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * First month of a forecast made today: the next full calendar month (YYYY-MM)
+ */
+export function getForecastStartMonth(today = new Date()) {
+  const month = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  return addMonths(month, 1);
+}
+
+/**
+ * Forecast month index of the first anniversary of a month, at or after the forecast start
+ */
+function getFirstAnniversaryIndex(anchorMonth, startMonth) {
+  const index = monthsBetween(startMonth, anchorMonth) + 12;
+  return index >= 0 ? index : ((index % 12) + 12) % 12;
+}
+
+/**
+ * Split the property's rent by lease so each part rises on its own lease anniversary.
+ * Leases share the rent in proportion to their own rents. Without leases the rent rises on the
+ * anniversary of the purchase, or every twelve months from the start of the forecast.
+ */
+function getRentPortions(property, startMonth) {
+  const monthlyRent = property.rent?.monthlyRent || 0;
+  const leases = (property.tenants?.length > 0
+    ? property.tenants.map((tenant) => ({ status: tenant.status, rent: tenant.rent, leaseStart: tenant.leaseStart }))
+    : [property.tenant && { status: property.tenant.status, rent: property.tenant.rent, leaseStart: property.tenant.leaseStartDate }]
+  ).filter((lease) => lease && lease.status === 'Active' && lease.rent > 0 && /^\d{4}-\d{2}/.test(lease.leaseStart || ''));
+  const leaseRent = leases.reduce((sum, lease) => sum + lease.rent, 0);
+
+  if (leaseRent > 0) {
+    return leases.map((lease) => ({
+      rent: monthlyRent * (lease.rent / leaseRent),
+      firstIncrease: getFirstAnniversaryIndex(lease.leaseStart.slice(0, 7), startMonth),
+    }));
+  }
+
+  if (/^\d{4}-\d{2}/.test(property.purchaseDate || '')) {
+    return [{ rent: monthlyRent, firstIncrease: getFirstAnniversaryIndex(property.purchaseDate.slice(0, 7), startMonth) }];
+  }
+
+  return [{ rent: monthlyRent, firstIncrease: 12 }];
+}
+
+/**
+ * Share of a month the property is owned: nothing before the purchase closes, the days from
+ * closing in the month it closes, and all of it afterwards
+ */
+function getOwnedShare(purchaseDate, month) {
+  if (!/^\d{4}-\d{2}-\d{2}/.test(purchaseDate || '')) {
+    return 1;
+  }
+
+  const purchaseMonth = purchaseDate.slice(0, 7);
+  if (month !== purchaseMonth) {
+    return month > purchaseMonth ? 1 : 0;
+  }
+
+  const [year, monthNumber, day] = purchaseDate.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return (daysInMonth - day + 1) / daysInMonth;
+}
+
+/**
+ * Forecast month index of the prepayment: the given calendar month (1-12) within the
+ * prepayment year, or the first month of that year
+ */
+function getPrepaymentIndex(assumptions, startMonth) {
+  const yearStart = ((assumptions.prepaymentYear || 1) - 1) * 12;
+  const prepaymentMonth = Number(assumptions.prepaymentMonth);
+  if (!Number.isInteger(prepaymentMonth) || prepaymentMonth < 1 || prepaymentMonth > 12) {
+    return yearStart;
+  }
+
+  const firstMonthOfYear = Number(addMonths(startMonth, yearStart).slice(5));
+  return yearStart + ((prepaymentMonth - firstMonthOfYear + 12) % 12);
+}
+
+/**
+ * Generate a month-by-month forecast for a property
+ * @param {Object} property - Property object
+ * @param {Object} assumptions - Forecast assumptions, plus seasonality (a SEASONALITY_PRESETS key)
+ *   and prepaymentMonth (calendar month 1-12 of the prepayment within prepaymentYear)
+ * @param {number} months - Number of months to forecast (default: 120)
+ * @param {Object} options - Optional settings
+ * @param {string} options.startMonth - First month of the forecast, YYYY-MM (default: next month)
+ * @param {Array} options.debtMonthSummaries - Debt summaries already built for this start month and future interest rate
+ * @returns {Object} Monthly projections as parallel arrays, plus the starting values the yearly roll-up needs
+ */
+export function generateMonthlyForecast(property, assumptions = {}, months = 120, options = {}) {
+  // Validate inputs
+  if (!property) {
+    throw new Error('Property is required for forecast generation');
+  }
+
+  // Validate assumptions - prevent negative inflation rates
+  if (assumptions.annualRentIncrease < 0 || assumptions.annualExpenseInflation < 0) {
+    throw new Error('Inflation rates cannot be negative');
+  }
+
+  // Validate property value exists (required for calculations)
+  if (!property.purchasePrice && !property.currentMarketValue) {
+    throw new Error('Property must have purchase price or market value');
+  }
+
+  const startMonth = options.startMonth || getForecastStartMonth();
+  const seasonality = SEASONALITY_PRESETS[assumptions.seasonality] || SEASONALITY_PRESETS.none;
+
+  // Debt figures cover every lien on the property (first mortgage, second mortgage, HELOC)
+  const debts = getPropertyDebts(property);
+  const hasMortgage = debts.length > 0;
+  const totalOriginalDebt = debts.reduce((sum, debt) => sum + (debt.originalAmount || 0), 0);
+  // Rate used for estimates once the schedules run out, weighted by each debt's original amount
+  const blendedInterestRate = totalOriginalDebt > 0
+    ? debts.reduce((sum, debt) => sum + (debt.originalAmount || 0) * (debt.interestRate || 0), 0) / totalOriginalDebt
+    : 0;
+  const estimateRate = Number.isFinite(assumptions.futureInterestRate) ? assumptions.futureInterestRate / 100 : blendedInterestRate;
+
+  const currentMortgageBalance = hasMortgage ? getTotalDebtBalance(property) : 0;
+  const monthlyMortgagePayment = hasMortgage ? getTotalMonthlyDebtPayment(property) : 0;
+  // Terms after the last recorded renewal are assumed to renew at the forecast's future rate
+  const debtMonthSummaries = !hasMortgage ? [] : options.debtMonthSummaries || getDebtMonthlySummary(property, startMonth, months, {
+    futureRenewalRate: Number.isFinite(assumptions.futureInterestRate) ? assumptions.futureInterestRate / 100 : undefined,
+  });
+
+  // Utilities and maintenance follow the seasons; taxes, fees and insurance don't
+  const expenses = property.monthlyExpenses || {};
+  const fixedMonthlyExpenses = (expenses.propertyTax || 0) + (expenses.condoFees || 0) +
+    (expenses.insurance || 0) + (expenses.professionalFees || 0);
+  const seasonalMonthlyExpenses = (expenses.maintenance || 0) + (expenses.utilities || 0);
+
+  const rentPortions = getRentPortions(property, startMonth);
+  const prepaymentIndex = getPrepaymentIndex(assumptions, startMonth);
+  const originalPropertyValue = property.currentMarketValue || property.purchasePrice || 0;
+
+  const forecast = {
+    startMonth,
+    months: [],
+    rentalIncome: [],
+    operatingExpenses: [],
+    noi: [], // Net Operating Income (before debt service)
+    debtService: [],
+    debtServicePrincipal: [],
+    debtServiceInterest: [],
+    balloonPayments: [], // Balances paid off at maturity (included in debtService)
+    prepayments: [], // Principal prepaid (included in debtService)
+    netCashFlow: [],
+    cumulativeCashFlow: [],
+    mortgageBalance: [],
+    propertyValue: [],
+    originalPropertyValue,
+    originalMortgageBalance: totalOriginalDebt || currentMortgageBalance,
+  };
+
+  const rents = rentPortions.map((portion) => portion.rent);
+  let mortgageBalance = currentMortgageBalance;
+  // Principal paid ahead of the schedules. Payments stay as scheduled, so the interest it saves
+  // goes to principal too and the prepaid amount grows until the debt is cleared early.
+  let prepaidPrincipal = 0;
+  let paidOff = false;
+  let cumulativeCashFlow = 0;
+
+  for (let index = 0; index < months; index++) {
+    const month = addMonths(startMonth, index);
+    const calendarMonth = Number(month.slice(5)) - 1;
+    forecast.months.push(month);
+
+    // Rent rises on each lease's anniversary
+    rentPortions.forEach((portion, portionIndex) => {
+      if (index >= portion.firstIncrease && (index - portion.firstIncrease) % 12 === 0) {
+        rents[portionIndex] *= 1 + (assumptions.annualRentIncrease || 0) / 100;
+      }
+    });
+
+    const ownedShare = getOwnedShare(property.purchaseDate, month);
+    const vacancyRate = Math.min(100, (assumptions.vacancyRate || 0) * seasonality.vacancy[calendarMonth]);
+    const rentalIncome = rents.reduce((sum, rent) => sum + rent, 0) * (1 - vacancyRate / 100) * ownedShare;
+
+    // Expenses step up with inflation at the start of each forecast year
+    const operatingExpenses = (fixedMonthlyExpenses + seasonalMonthlyExpenses * seasonality.expenses[calendarMonth]) *
+      Math.pow(1 + (assumptions.annualExpenseInflation || 0) / 100, Math.floor(index / 12)) * ownedShare;
+
+    const noi = rentalIncome - operatingExpenses;
+
+    // Determine debt service using schedule-driven values when available
+    let debtService = 0;
+    let principalPaid = 0;
+    let interestPaid = 0;
+    let balloonPayment = 0;
+    let prepayment = 0;
+
+    const debtSummary = paidOff ? null : debtMonthSummaries[index];
+
+    if (debtSummary) {
+      const interestSaved = debtSummary.openingBalance > 0
+        ? prepaidPrincipal * (debtSummary.totalInterest / debtSummary.openingBalance)
+        : 0;
+      prepaidPrincipal += interestSaved;
+
+      // Interest paid from a lender's interest reserve isn't paid out of pocket; lender fees
+      // are paid in the month the loan funds
+      debtService = debtSummary.totalPayment - (debtSummary.reservePaid || 0) + (debtSummary.lenderFee || 0);
+      principalPaid = debtSummary.totalPrincipal + interestSaved;
+      interestPaid = debtSummary.totalInterest - interestSaved;
+      balloonPayment = debtSummary.balloonPayment || 0;
+      mortgageBalance = debtSummary.endingBalance - prepaidPrincipal;
+
+      if (mortgageBalance <= 0 && prepaidPrincipal > 0) {
+        // Prepaid principal has cleared the debt: the last payment only covers what was left
+        const overpayment = -mortgageBalance;
+        debtService -= overpayment;
+        principalPaid -= overpayment;
+        balloonPayment = Math.max(0, balloonPayment - overpayment);
+        mortgageBalance = 0;
+        paidOff = true;
+      }
+    } else if (!paidOff && mortgageBalance > 0 && monthlyMortgagePayment > 0) {
+      interestPaid = mortgageBalance * estimateRate / 12;
+      principalPaid = Math.min(monthlyMortgagePayment - interestPaid, mortgageBalance);
+      debtService = interestPaid + principalPaid;
+      mortgageBalance = Math.max(0, mortgageBalance - principalPaid);
+    } else {
+      mortgageBalance = 0;
+    }
+
+    // Apply prepayment if this is the prepayment month
+    if (index === prepaymentIndex && assumptions.prepaymentAmount > 0 && mortgageBalance > 0) {
+      prepayment = Math.min(assumptions.prepaymentAmount, mortgageBalance);
+      mortgageBalance -= prepayment;
+      prepaidPrincipal += prepayment;
+      paidOff = mortgageBalance <= 0;
+      // Add prepayment to debt service (it's an additional cash outflow)
+      debtService += prepayment;
+      principalPaid += prepayment;
+    }
+
+    const netCashFlow = noi - debtService;
+    cumulativeCashFlow += netCashFlow;
+
+    forecast.rentalIncome.push(rentalIncome);
+    forecast.operatingExpenses.push(operatingExpenses);
+    forecast.noi.push(noi);
+    forecast.debtService.push(debtService);
+    forecast.debtServicePrincipal.push(principalPaid);
+    forecast.debtServiceInterest.push(interestPaid);
+    forecast.balloonPayments.push(balloonPayment);
+    forecast.prepayments.push(prepayment);
+    forecast.netCashFlow.push(netCashFlow);
+    forecast.cumulativeCashFlow.push(cumulativeCashFlow);
+    forecast.mortgageBalance.push(mortgageBalance);
+    forecast.propertyValue.push(
+      originalPropertyValue * Math.pow(1 + (assumptions.annualPropertyAppreciation || 0) / 100, (index + 1) / 12)
+    );
+  }
+
+  return forecast;
+}
+
+/**
+ * Roll a monthly forecast up into forecast years (twelve months each from the start month),
+ * in the shape generateForecast returns for the charts
+ * @param {Object} monthlyForecast - Result of generateMonthlyForecast
+ * @param {string} analysisMode - 'cash-flow' | 'equity' (default: 'cash-flow')
+ * @param {Object} assumptions - Forecast assumptions; exitCapRate values the property in the final year
+ * @returns {Object} Forecast data with yearly projections
+ */
+export function rollUpMonthlyForecast(monthlyForecast, analysisMode = 'cash-flow', assumptions = {}) {
+  const years = Math.floor(monthlyForecast.months.length / 12);
+  const sumYear = (values, year) => values.slice((year - 1) * 12, year * 12).reduce((sum, value) => sum + value, 0);
+  const endOfYear = (values, year) => values[year * 12 - 1];
+
+  if (analysisMode === 'equity') {
+    const forecast = {
+      years: [],
+      propertyValue: [],
+      mortgageBalance: [],
+      equity: [],
+      equityFromAppreciation: [],
+      equityFromPaydown: [],
+      equityGrowthRate: [],
+      originalPropertyValue: monthlyForecast.originalPropertyValue,
+      originalMortgageBalance: monthlyForecast.originalMortgageBalance,
+    };
+
+    for (let year = 1; year <= years; year++) {
+      // For final year, use Exit Cap Rate formula if provided: the sale is priced on the NOI
+      // forecast for that year
+      const propertyValue = year === years && assumptions.exitCapRate > 0
+        ? sumYear(monthlyForecast.noi, year) / (assumptions.exitCapRate / 100)
+        : endOfYear(monthlyForecast.propertyValue, year);
+      const mortgageBalance = endOfYear(monthlyForecast.mortgageBalance, year);
+      const equity = propertyValue - mortgageBalance;
+
+      // Calculate equity growth rate (year-over-year)
+      const previousEquity = forecast.equity[year - 2];
+      const equityGrowthRate = year > 1 && previousEquity > 0 ? ((equity - previousEquity) / previousEquity) * 100 : 0;
+
+      forecast.years.push(year);
+      forecast.propertyValue.push(propertyValue);
+      forecast.mortgageBalance.push(mortgageBalance);
+      forecast.equity.push(equity);
+      forecast.equityFromAppreciation.push(propertyValue - forecast.originalPropertyValue);
+      forecast.equityFromPaydown.push(forecast.originalMortgageBalance - mortgageBalance);
+      forecast.equityGrowthRate.push(equityGrowthRate);
+    }
+
+    return forecast;
+  }
+
+  const forecast = {
+    years: [],
+    netCashFlow: [],
+    mortgageBalance: [],
+    cumulativeCashFlow: [],
+    noi: [], // Net Operating Income (before debt service)
+    rentalIncome: [],
+    operatingExpenses: [],
+    debtService: [],
+    debtServicePrincipal: [],
+    debtServiceInterest: [],
+    balloonPayments: [], // Balances paid off at maturity (included in debtService)
+  };
+
+  for (let year = 1; year <= years; year++) {
+    forecast.years.push(year);
+    forecast.netCashFlow.push(sumYear(monthlyForecast.netCashFlow, year));
+    forecast.mortgageBalance.push(endOfYear(monthlyForecast.mortgageBalance, year));
+    forecast.cumulativeCashFlow.push(endOfYear(monthlyForecast.cumulativeCashFlow, year));
+    forecast.noi.push(sumYear(monthlyForecast.noi, year));
+    forecast.rentalIncome.push(sumYear(monthlyForecast.rentalIncome, year));
+    forecast.operatingExpenses.push(sumYear(monthlyForecast.operatingExpenses, year));
+    forecast.debtService.push(sumYear(monthlyForecast.debtService, year));
+    forecast.debtServicePrincipal.push(sumYear(monthlyForecast.debtServicePrincipal, year));
+    forecast.debtServiceInterest.push(sumYear(monthlyForecast.debtServiceInterest, year));
+    forecast.balloonPayments.push(sumYear(monthlyForecast.balloonPayments, year));
+  }
+
+  return forecast;
+}
@@ -16,6 +16,8 @@
  * - Replace `calculatePeriodicRate()` with `getPeriodicRate()` from mortgageCalculator.ts (private function, use through public APIs)
  */
 
+import { checkLumpSumPrepayment, checkPaymentIncrease } from '@/utils/prepaymentPrivileges';
+
 /**
  * Calculate the periodic interest rate for Canadian mortgages
  * Fixed rates are compounded semi-annually, variable rates are compounded monthly
@@ -239,6 +241,9 @@ export function generateAmortizationSchedule(mortgageData) {
 
 /**
  * Calculate prepayment analysis with lump sum payment
+ * The result's privilege check compares the lump sum with the prepayment privilege left in its
+ * anniversary year (mortgageData.prepaymentPrivileges and mortgageData.prepayments); the amount
+ * is analyzed either way.
  * @param {Object} mortgageData - Original mortgage details
  * @param {number} lumpSumAmount - Lump sum payment amount
  * @param {number} lumpSumPaymentNumber - Payment number when lump sum is made (1-based)
@@ -251,6 +256,8 @@ export function calculateLumpSumPrepayment(mortgageData, lumpSumAmount, lumpSumP
   if (!lumpSumPayment) {
     throw new Error('Invalid lump sum payment number');
   }
+
+  const privilegeCheck = checkLumpSumPrepayment(mortgageData, lumpSumAmount, lumpSumPayment.date);
   
   // Calculate new balance after lump sum payment
   const newBalance = lumpSumPayment.remainingBalance - lumpSumAmount;
@@ -268,7 +275,8 @@ export function calculateLumpSumPrepayment(mortgageData, lumpSumAmount, lumpSumP
         .slice(lumpSumPaymentNumber)
         .reduce((sum, payment) => sum + payment.interestPayment, 0),
       paymentsEliminated: originalSchedule.length - lumpSumPaymentNumber,
-      newAmortizationSchedule: originalSchedule.slice(0, lumpSumPaymentNumber)
+      newAmortizationSchedule: originalSchedule.slice(0, lumpSumPaymentNumber),
+      privilegeCheck
     };
   }
   
@@ -305,12 +313,15 @@ export function calculateLumpSumPrepayment(mortgageData, lumpSumAmount, lumpSumP
       paymentNumber: lumpSumPaymentNumber,
       amount: lumpSumAmount,
       date: lumpSumPayment.date
-    }
+    },
+    privilegeCheck
   };
 }
 
 /**
  * Calculate prepayment analysis with increased regular payments
+ * The result's privilege check compares the increase with the mortgage's payment increase
+ * (or double-up) privilege; the amount is analyzed either way.
  * @param {Object} mortgageData - Original mortgage details
  * @param {number} additionalPayment - Additional amount per payment
  * @param {number} startPaymentNumber - Payment number to start additional payments (1-based)
@@ -375,11 +386,14 @@ export function calculateIncreasedPaymentPrepayment(mortgageData, additionalPaym
   const newInterest = newSchedule.reduce((sum, payment) => sum + payment.interestPayment, 0);
   const interestSavings = originalInterest - newInterest;
   
+  const basePayment = calculateMortgagePayment(mortgageData.originalAmount, mortgageData.interestRate, mortgageData.rateType, mortgageData.amortizationPeriodYears, mortgageData.paymentFrequency);
+
   return {
     totalSavings,
     interestSavings,
     paymentsEliminated: originalSchedule.length - newSchedule.length,
     newAmortizationSchedule: newSchedule,
+    privilegeCheck: checkPaymentIncrease(mortgageData, basePayment, additionalPayment),
     additionalPaymentInfo: {
       amount: additionalPayment,
       startPaymentNumber,
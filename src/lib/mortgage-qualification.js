@@ -0,0 +1,196 @@
+/**
+ * Mortgage Qualification Service
+ * Applies the federal stress test and the GDS/TDS debt service limits lenders use before approving
+ * a purchase or refinance.
+ *
+ * - Qualifying rate: the greater of the contract rate + 2% or the floor rate (OSFI B-20 / insured rules)
+ * - GDS (gross debt service): housing costs on the new mortgage / gross monthly income
+ * - TDS (total debt service): housing costs plus every other debt / gross monthly income
+ *
+ * Rental income is counted with one of the two lender methods:
+ * - Rental offset: a share of the rent is netted against that property's own costs; only a shortfall counts as debt
+ * - Add-back: a share of the rent is added to income and the property's costs count in full
+ */
+
+import { calculateMortgagePayment } from './mortgage-calculations';
+import { getTotalMonthlyDebtPayment } from '@/utils/propertyDebts';
+
+// Minimum qualifying rate floor (as decimal)
+export const QUALIFYING_RATE_FLOOR = 0.0525;
+// Added to the contract rate for the stress test
+export const STRESS_TEST_BUFFER = 0.02;
+// Debt service limits for insured mortgages (CMHC, Sagen, Canada Guaranty)
+export const GDS_LIMIT = 0.39;
+export const TDS_LIMIT = 0.44;
+// Share of condo fees counted as a housing cost
+export const CONDO_FEE_INCLUSION = 0.5;
+// Heating estimate lenders use when the actual cost isn't known
+export const DEFAULT_MONTHLY_HEATING = 100;
+
+export const RENTAL_INCOME_METHODS = {
+  OFFSET: 'Rental offset',
+  ADD_BACK: 'Add-back',
+};
+
+// Share of gross rent a lender counts
+export const DEFAULT_RENTAL_INCLUSION = {
+  OFFSET: 0.5,
+  ADD_BACK: 0.5,
+};
+
+/**
+ * Minimum qualifying rate for the stress test
+ * @param {number} contractRate - Contract rate (as decimal)
+ * @param {number} floorRate - Floor rate (as decimal)
+ * @returns {number} Qualifying rate (as decimal)
+ */
+export function getMinimumQualifyingRate(contractRate, floorRate = QUALIFYING_RATE_FLOOR) {
+  return Math.max((Number(contractRate) || 0) + STRESS_TEST_BUFFER, floorRate);
+}
+
+/**
+ * Monthly principal and interest per dollar borrowed at the qualifying rate
+ * Lenders qualify on a monthly payment regardless of the chosen frequency.
+ */
+function getPaymentPerDollar(qualifyingRate, rateType, amortizationYears) {
+  const reference = 1000000; // calculateMortgagePayment rounds to cents
+  return calculateMortgagePayment(reference, qualifyingRate, rateType, amortizationYears, 'MONTHLY') / reference;
+}
+
+/**
+ * Monthly obligations and rent of a portfolio property, for the rental income rules
+ * @param {Object} property - Property from PropertyContext
+ * @returns {Object} { id, name, monthlyRent, monthlyCosts } with costs on the lender's basis
+ */
+export function getRentalPropertyObligations(property) {
+  const monthlyRent = Number(property?.rent?.monthlyRent) ||
+    (Number(property?.rent?.annualRent) || 0) / 12;
+  const monthlyCosts = getTotalMonthlyDebtPayment(property) +
+    (Number(property?.monthlyPropertyTax) || 0) +
+    (Number(property?.monthlyUtilities) || 0) +
+    (Number(property?.monthlyCondoFees) || 0) * CONDO_FEE_INCLUSION;
+
+  return {
+    id: property?.id,
+    name: property?.nickname || property?.name || property?.address || 'Property',
+    monthlyRent,
+    monthlyCosts,
+  };
+}
+
+/**
+ * Apply the rental income method to one property
+ * @returns {Object} { incomeAddBack, debtObligation } per month
+ */
+function applyRentalMethod(monthlyRent, monthlyCosts, method, inclusionRate) {
+  const countedRent = (Number(monthlyRent) || 0) * inclusionRate;
+  if (method === 'ADD_BACK') {
+    return { incomeAddBack: countedRent, debtObligation: monthlyCosts };
+  }
+  // Offset: a surplus is ignored, a shortfall is a debt
+  return { incomeAddBack: 0, debtObligation: Math.max(0, monthlyCosts - countedRent) };
+}
+
+/**
+ * Check whether a borrower qualifies for a mortgage and the most they qualify for
+ * @param {Object} input
+ * @param {number} input.annualIncome - Gross annual income (before rental income)
+ * @param {number} input.monthlyDebtPayments - Payments on debts outside the portfolio
+ * @param {number} input.mortgageAmount - Mortgage being applied for (0 to only solve for the maximum)
+ * @param {number} input.contractRate - Contract rate (as decimal)
+ * @param {string} input.rateType - 'FIXED' or 'VARIABLE'
+ * @param {number} input.amortizationYears - Amortization period
+ * @param {number} input.monthlyPropertyTax - Property tax on the subject property
+ * @param {number} input.monthlyHeating - Heating on the subject property (defaults to the lender estimate)
+ * @param {number} input.monthlyCondoFees - Condo fees on the subject property (half are counted)
+ * @param {number} input.monthlyRent - Expected rent on the subject property (rentals)
+ * @param {number} input.downPayment - Down payment, to report the maximum purchase price
+ * @param {Array} input.rentalProperties - Existing properties from getRentalPropertyObligations
+ * @param {string} input.rentalMethod - 'OFFSET' or 'ADD_BACK'
+ * @param {number} input.rentalInclusionRate - Share of rent counted (defaults by method)
+ * @param {number} input.floorRate - Qualifying rate floor (as decimal)
+ * @param {number} input.gdsLimit - GDS limit (as decimal)
+ * @param {number} input.tdsLimit - TDS limit (as decimal)
+ * @returns {Object} Ratios, qualification and maximum mortgage
+ */
+export function calculateMortgageQualification(input) {
+  const {
+    annualIncome = 0,
+    monthlyDebtPayments = 0,
+    mortgageAmount = 0,
+    contractRate = 0,
+    rateType = 'FIXED',
+    amortizationYears = 25,
+    monthlyPropertyTax = 0,
+    monthlyHeating = DEFAULT_MONTHLY_HEATING,
+    monthlyCondoFees = 0,
+    monthlyRent = 0,
+    downPayment = null,
+    rentalProperties = [],
+    rentalMethod = 'OFFSET',
+    floorRate = QUALIFYING_RATE_FLOOR,
+    gdsLimit = GDS_LIMIT,
+    tdsLimit = TDS_LIMIT,
+  } = input;
+  const inclusionRate = typeof input.rentalInclusionRate === 'number'
+    ? input.rentalInclusionRate
+    : DEFAULT_RENTAL_INCLUSION[rentalMethod] ?? DEFAULT_RENTAL_INCLUSION.OFFSET;
+
+  const qualifyingRate = getMinimumQualifyingRate(contractRate, floorRate);
+  const paymentPerDollar = getPaymentPerDollar(qualifyingRate, rateType, amortizationYears);
+  const qualifyingPayment = calculateMortgagePayment(mortgageAmount, qualifyingRate, rateType, amortizationYears, 'MONTHLY');
+  const contractPayment = calculateMortgagePayment(mortgageAmount, contractRate, rateType, amortizationYears, 'MONTHLY');
+
+  // Existing rentals under the chosen method
+  const portfolio = rentalProperties.map((property) => ({
+    ...property,
+    ...applyRentalMethod(property.monthlyRent, property.monthlyCosts, rentalMethod, inclusionRate),
+  }));
+  const portfolioAddBack = portfolio.reduce((sum, property) => sum + property.incomeAddBack, 0);
+  const portfolioObligations = portfolio.reduce((sum, property) => sum + property.debtObligation, 0);
+
+  // Subject property: rent is added to income or netted against its own housing costs
+  const subjectRent = (Number(monthlyRent) || 0) * inclusionRate;
+  const subjectAddBack = rentalMethod === 'ADD_BACK' ? subjectRent : 0;
+  const subjectOffset = rentalMethod === 'ADD_BACK' ? 0 : subjectRent;
+  const otherHousingCosts = (Number(monthlyPropertyTax) || 0) +
+    (Number(monthlyHeating) || 0) +
+    (Number(monthlyCondoFees) || 0) * CONDO_FEE_INCLUSION -
+    subjectOffset;
+
+  const monthlyIncome = (Number(annualIncome) || 0) / 12 + portfolioAddBack + subjectAddBack;
+  const otherDebts = (Number(monthlyDebtPayments) || 0) + portfolioObligations;
+  const housingCosts = Math.max(0, qualifyingPayment + otherHousingCosts);
+  const totalObligations = housingCosts + otherDebts;
+
+  const gds = monthlyIncome > 0 ? housingCosts / monthlyIncome : Infinity;
+  const tds = monthlyIncome > 0 ? totalObligations / monthlyIncome : Infinity;
+
+  // Largest payment each limit leaves room for, converted back to principal at the qualifying rate
+  const maxPaymentByGds = gdsLimit * monthlyIncome - otherHousingCosts;
+  const maxPaymentByTds = tdsLimit * monthlyIncome - otherHousingCosts - otherDebts;
+  const maxQualifyingPayment = Math.max(0, Math.min(maxPaymentByGds, maxPaymentByTds));
+  const maxMortgage = paymentPerDollar > 0 ? Math.floor(maxQualifyingPayment / paymentPerDollar) : 0;
+
+  return {
+    qualifyingRate,
+    contractRate,
+    qualifyingPayment,
+    contractPayment,
+    monthlyIncome,
+    rentalIncomeAddBack: portfolioAddBack + subjectAddBack,
+    housingCosts,
+    otherDebts,
+    totalObligations,
+    gds,
+    tds,
+    gdsLimit,
+    tdsLimit,
+    qualifies: mortgageAmount > 0 && gds <= gdsLimit && tds <= tdsLimit,
+    maxQualifyingPayment,
+    maxMortgage,
+    limitedBy: maxPaymentByGds <= maxPaymentByTds ? 'GDS' : 'TDS',
+    maxPurchasePrice: typeof downPayment === 'number' && downPayment >= 0 ? maxMortgage + downPayment : null,
+    portfolio,
+  };
+}
@@ -0,0 +1,91 @@
+import { sql } from './db';
+
+/**
+ * Mortgage renewal terms store
+ * Renewal chain for a mortgage (mortgage_terms table). The mortgages row is term 1;
+ * each renewal is stored as the next term number.
+ */
+
+export interface MortgageTermRecord {
+  id: string;
+  mortgage_id: string;
+  term_number: number;
+  lender: string;
+  start_date: string;
+  term_months: number;
+  interest_rate: number;
+  rate_type: string;
+  payment_amount: number | null;
+  notes: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * Get the renewal terms for a mortgage, oldest first
+ * @param mortgageId - Mortgage ID
+ */
+export async function getMortgageRenewals(mortgageId: string): Promise<MortgageTermRecord[]> {
+  return await sql`
+    SELECT id, mortgage_id, term_number, lender, start_date::text AS start_date, term_months,
+           interest_rate, rate_type, payment_amount, notes, created_at, updated_at
+    FROM mortgage_terms
+    WHERE mortgage_id = ${mortgageId}
+    ORDER BY term_number ASC
+  ` as MortgageTermRecord[];
+}
+
+/**
+ * Append a renewal term to the end of a mortgage's chain
+ * @param mortgageId - Mortgage ID
+ * @param term - Renewal details (rate as decimal)
+ */
+export async function createMortgageRenewal(
+  mortgageId: string,
+  term: {
+    lender: string;
+    startDate: string;
+    termMonths: number;
+    interestRate: number;
+    rateType: string;
+    paymentAmount?: number | null;
+    notes?: string | null;
+  }
+): Promise<MortgageTermRecord> {
+  const result = await sql`
+    INSERT INTO mortgage_terms (
+      mortgage_id, term_number, lender, start_date, term_months,
+      interest_rate, rate_type, payment_amount, notes
+    )
+    VALUES (
+      ${mortgageId},
+      (SELECT COALESCE(MAX(term_number), 1) + 1 FROM mortgage_terms WHERE mortgage_id = ${mortgageId}),
+      ${term.lender},
+      ${term.startDate},
+      ${term.termMonths},
+      ${term.interestRate},
+      ${term.rateType},
+      ${term.paymentAmount ?? null},
+      ${term.notes || null}
+    )
+    RETURNING id, mortgage_id, term_number, lender, start_date::text AS start_date, term_months,
+              interest_rate, rate_type, payment_amount, notes, created_at, updated_at
+  ` as MortgageTermRecord[];
+
+  return result[0];
+}
+
+/**
+ * Delete the latest renewal term (terms can only be unwound from the end of the chain)
+ * @returns true when the term was the latest and was deleted
+ */
+export async function deleteLatestMortgageRenewal(mortgageId: string, termNumber: number): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM mortgage_terms
+    WHERE mortgage_id = ${mortgageId}
+      AND term_number = ${termNumber}
+      AND term_number = (SELECT MAX(term_number) FROM mortgage_terms WHERE mortgage_id = ${mortgageId})
+    RETURNING id
+  ` as Array<{ id: string }>;
+  return !!result[0];
+}
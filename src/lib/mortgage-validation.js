@@ -75,6 +75,33 @@ const baseMortgageSchema = z.object({
   }).optional(),
   
   hasFixedPayments: z.boolean().optional(),
+  
+  // Prepayment privileges (percentages; blank means no limit recorded)
+  lumpSumPrivilegePercent: z.number()
+    .min(0, 'Lump sum privilege must be 0 or greater')
+    .max(100, 'Lump sum privilege must be 100% or less')
+    .optional()
+    .nullable(),
+  
+  paymentIncreasePrivilegePercent: z.number()
+    .min(0, 'Payment increase privilege must be 0 or greater')
+    .max(100, 'Payment increase privilege must be 100% or less')
+    .optional()
+    .nullable(),
+  
+  doubleUpPrivilege: z.boolean().optional(),
+  
+  // Default insurance on high-ratio and multi-unit loans
+  insuranceProvider: z.enum(['CMHC', 'SAGEN', 'CANADA_GUARANTY'], {
+    errorMap: () => ({ message: 'Insurer must be CMHC, Sagen or Canada Guaranty' })
+  }).optional(),
+  
+  mliSelectPoints: z.number()
+    .int('MLI Select points must be a whole number')
+    .min(0, 'MLI Select points must be 0 or greater')
+    .max(150, 'MLI Select points must be 150 or less')
+    .optional()
+    .nullable(),
 });
 
 // Partial mortgage schema for updates (must be created before refinements)
@@ -246,7 +273,8 @@ export const bulkImportSchema = z.object({
 });
 
 // Helper function to transform form data for API
-export function transformMortgageFormData(formData) {
+// insurance is the calculateMortgageInsurance result for the loan; its premium is added to the principal
+export function transformMortgageFormData(formData, insurance = null) {
   // Convert amortization to months
   const amortizationInMonths = formData.amortizationUnit === 'years' 
     ? formData.amortizationValue * 12 
@@ -257,9 +285,12 @@ export function transformMortgageFormData(formData) {
     ? formData.termValue * 12 
     : formData.termValue;
 
+  const insured = insurance && insurance.eligible && insurance.premium > 0;
+  const { insuranceProvider, mliSelectPoints, ...mortgageFields } = formData;
+
   return {
-    ...formData,
-    originalAmount: Number(formData.originalAmount),
+    ...mortgageFields,
+    originalAmount: insured ? insurance.insuredPrincipal : Number(formData.originalAmount),
     interestRate: Number(formData.interestRate) / 100, // Convert percentage to decimal
     variableRateSpread: formData.variableRateSpread ? Number(formData.variableRateSpread) / 100 : null,
     primeRate: formData.primeRate ? Number(formData.primeRate) / 100 : null,
@@ -268,6 +299,20 @@ export function transformMortgageFormData(formData) {
     startDate: formData.startDate instanceof Date ? formData.startDate.toISOString() : formData.startDate,
     mortgageType: formData.mortgageType,
     hasFixedPayments: formData.hasFixedPayments,
+    prepaymentPrivileges: {
+      lumpSumRatio: typeof formData.lumpSumPrivilegePercent === 'number' ? formData.lumpSumPrivilegePercent / 100 : null,
+      paymentIncreaseRatio: typeof formData.paymentIncreasePrivilegePercent === 'number' ? formData.paymentIncreasePrivilegePercent / 100 : null,
+      doubleUp: !!formData.doubleUpPrivilege,
+    },
+    defaultInsurance: insured
+      ? {
+          provider: insuranceProvider || 'CMHC',
+          premiumRate: insurance.premiumRate,
+          premium: insurance.premium,
+          premiumTax: insurance.premiumTax,
+          mliSelectPoints: insurance.multiUnit && typeof mliSelectPoints === 'number' ? mliSelectPoints : null,
+        }
+      : null,
   };
 }
 
@@ -281,8 +326,12 @@ export function transformMortgageApiData(apiData) {
   const termMonths = apiData.termMonths || apiData.termYears * 12;
   const termYears = Math.round(termMonths / 12);
 
+  // The form edits the loan before the insurance premium was added
+  const insurancePremium = Number(apiData.defaultInsurance?.premium) || 0;
+
   return {
     ...apiData,
+    originalAmount: Number(apiData.originalAmount) - insurancePremium,
     interestRate: Number(apiData.interestRate) * 100, // Convert decimal to percentage
     variableRateSpread: apiData.variableRateSpread ? Number(apiData.variableRateSpread) * 100 : null,
     primeRate: apiData.primeRate ? Number(apiData.primeRate) * 100 : null,
@@ -291,6 +340,15 @@ export function transformMortgageApiData(apiData) {
     amortizationUnit: 'years',
     termValue: termYears,
     termUnit: 'years',
+    lumpSumPrivilegePercent: typeof apiData.prepaymentPrivileges?.lumpSumRatio === 'number'
+      ? apiData.prepaymentPrivileges.lumpSumRatio * 100
+      : null,
+    paymentIncreasePrivilegePercent: typeof apiData.prepaymentPrivileges?.paymentIncreaseRatio === 'number'
+      ? apiData.prepaymentPrivileges.paymentIncreaseRatio * 100
+      : null,
+    doubleUpPrivilege: apiData.prepaymentPrivileges?.doubleUp === true,
+    insuranceProvider: apiData.defaultInsurance?.provider || 'CMHC',
+    mliSelectPoints: apiData.defaultInsurance?.mliSelectPoints ?? null,
   };
 }
 
@@ -0,0 +1,157 @@
+import { z } from 'zod';
+import type { PropertyDebtRecord } from './property-debts';
+import type { Prepayment, PrepaymentPrivileges } from '@/utils/prepaymentPrivileges';
+import type { DefaultInsurance } from '@/utils/mortgageInsurance';
+import type { PaymentEvent } from '@/utils/paymentEvents';
+import type { LoanType, MaturityAction } from '@/utils/loanTypes';
+import type { MortgageTransfer } from '@/utils/mortgageTransfers';
+
+/**
+ * Mortgages API helpers
+ * /api/mortgages/* serves rows of the mortgages table in the shape the mortgage hooks and
+ * legacy calculators use (lenderName, amortizationPeriodYears, termYears, ...). These helpers
+ * translate between that shape and mortgages rows.
+ */
+
+export interface MortgageResponse {
+  id: string;
+  propertyId: string;
+  lenderName: string;
+  originalAmount: number;
+  interestRate: number; // as decimal (e.g., 0.0525 for 5.25%)
+  rateType: string;
+  variableRateSpread: number | null;
+  amortizationPeriodYears: number;
+  amortizationPeriodMonths: number;
+  termMonths: number;
+  termYears: number;
+  startDate: string;
+  paymentFrequency: string;
+  mortgageType: string | null;
+  hasFixedPayments: boolean | null;
+  prepaymentPrivileges: PrepaymentPrivileges | null;
+  prepayments: Prepayment[];
+  defaultInsurance: DefaultInsurance | null; // Premium included in originalAmount
+  paymentEvents: PaymentEvent[];
+  loanType: LoanType | null;
+  maturityAction: MaturityAction | null;
+  interestReserve: number | null;
+  lenderFee: number | null;
+  transfers: MortgageTransfer[]; // Ports and assumption, recorded by the transfer endpoint
+  priority: number;
+  debtType: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Check that a route parameter can be a mortgage ID before querying with it
+ */
+export function isMortgageId(id: string | null | undefined): boolean {
+  return z.string().uuid().safeParse(id).success;
+}
+
+/**
+ * Format a mortgages row for /api/mortgages responses
+ * @param debt - Row from the property debts store
+ */
+export function toMortgageResponse(debt: PropertyDebtRecord): MortgageResponse {
+  const mortgageData = debt.mortgage_data || {};
+  return {
+    id: debt.id,
+    propertyId: debt.property_id,
+    lenderName: debt.lender,
+    // DECIMAL columns come back as strings
+    originalAmount: parseFloat(String(debt.original_amount)),
+    interestRate: parseFloat(String(debt.interest_rate)),
+    rateType: debt.rate_type,
+    variableRateSpread: mortgageData.variableRateSpread ?? null,
+    amortizationPeriodYears: debt.amortization_years,
+    amortizationPeriodMonths: debt.amortization_years * 12,
+    termMonths: debt.term_months,
+    termYears: debt.term_months / 12,
+    startDate: debt.start_date,
+    paymentFrequency: debt.payment_frequency,
+    mortgageType: mortgageData.mortgageType ?? null,
+    hasFixedPayments: mortgageData.hasFixedPayments ?? null,
+    prepaymentPrivileges: mortgageData.prepaymentPrivileges ?? null,
+    prepayments: Array.isArray(mortgageData.prepayments) ? mortgageData.prepayments : [],
+    defaultInsurance: mortgageData.defaultInsurance ?? null,
+    paymentEvents: Array.isArray(mortgageData.paymentEvents) ? mortgageData.paymentEvents : [],
+    loanType: mortgageData.loanType ?? null,
+    maturityAction: mortgageData.maturityAction ?? null,
+    interestReserve: mortgageData.interestReserve ?? null,
+    lenderFee: mortgageData.lenderFee ?? null,
+    transfers: Array.isArray(mortgageData.transfers) ? mortgageData.transfers : [],
+    priority: debt.priority,
+    debtType: debt.debt_type,
+    createdAt: debt.created_at,
+    updatedAt: debt.updated_at,
+  };
+}
+
+/**
+ * Map an /api/mortgages request body to mortgage schema input
+ * Accepts the mortgage form payload (lenderName, amortizationPeriodMonths, ISO startDate) as well
+ * as the property mortgage field names. Fields left out stay undefined so partial updates keep
+ * their stored values; variableRateSpread, hasFixedPayments, mortgageType, prepaymentPrivileges,
+ * prepayments, defaultInsurance, paymentEvents and the loan type fields (loanType, maturityAction,
+ * interestReserve, lenderFee) are merged into the existing mortgage_data.
+ *
+ * @param body - Request body
+ * @param existingMortgageData - mortgage_data of the row being updated
+ */
+export function fromMortgageRequest(body: any, existingMortgageData: Record<string, any> | null = null): Record<string, any> {
+  const input: Record<string, any> = {};
+  const setIfDefined = (key: string, value: any) => {
+    if (value !== undefined && value !== null && !Number.isNaN(value)) {
+      input[key] = value;
+    }
+  };
+
+  setIfDefined('propertyId', body.propertyId);
+  setIfDefined('lender', typeof (body.lenderName ?? body.lender) === 'string' ? (body.lenderName ?? body.lender).trim() : undefined);
+  setIfDefined('originalAmount', body.originalAmount !== undefined ? Number(body.originalAmount) : undefined);
+  setIfDefined('interestRate', body.interestRate !== undefined ? Number(body.interestRate) : undefined);
+  setIfDefined('rateType', body.rateType);
+  setIfDefined('paymentFrequency', body.paymentFrequency);
+  setIfDefined('priority', body.priority);
+  setIfDefined('debtType', body.debtType);
+
+  if (body.termMonths !== undefined) {
+    setIfDefined('termMonths', Number(body.termMonths));
+  } else if (body.termYears !== undefined) {
+    setIfDefined('termMonths', Math.round(Number(body.termYears) * 12));
+  }
+
+  if (body.amortizationYears !== undefined) {
+    setIfDefined('amortizationYears', Number(body.amortizationYears));
+  } else if (body.amortizationPeriodMonths !== undefined) {
+    setIfDefined('amortizationYears', Math.round(Number(body.amortizationPeriodMonths) / 12));
+  } else if (body.amortizationPeriodYears !== undefined) {
+    setIfDefined('amortizationYears', Number(body.amortizationPeriodYears));
+  }
+
+  if (body.startDate instanceof Date) {
+    // Parsed spreadsheet dates are local midnight; keep the calendar day
+    const year = body.startDate.getFullYear();
+    const month = String(body.startDate.getMonth() + 1).padStart(2, '0');
+    const day = String(body.startDate.getDate()).padStart(2, '0');
+    input.startDate = `${year}-${month}-${day}`;
+  } else if (body.startDate) {
+    input.startDate = String(body.startDate).slice(0, 10);
+  }
+
+  const extraData: Record<string, any> = {};
+  ['variableRateSpread', 'hasFixedPayments', 'mortgageType', 'prepaymentPrivileges', 'prepayments', 'defaultInsurance', 'paymentEvents',
+    'loanType', 'maturityAction', 'interestReserve', 'lenderFee'].forEach((key) => {
+    if (body[key] !== undefined) {
+      extraData[key] = body[key];
+    }
+  });
+  if (body.mortgageData || Object.keys(extraData).length > 0) {
+    input.mortgageData = { ...(existingMortgageData || {}), ...(body.mortgageData || {}), ...extraData };
+  }
+
+  return input;
+}
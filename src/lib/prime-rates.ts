@@ -0,0 +1,94 @@
+import { sql } from './db';
+import { setPrimeRateHistory, toPrimeRateEntries } from '@/utils/primeRateHistory';
+
+/**
+ * Prime rate history store
+ * Admin-maintained prime rate changes (prime_rates table).
+ */
+
+// How long a loaded history is reused before the table is read again
+const PRIME_RATE_CACHE_MS = 5 * 60 * 1000;
+
+let primeRateHistoryLoadedAt = 0;
+
+export interface PrimeRate {
+  id: string;
+  effective_date: string;
+  rate: number;
+  notes: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * Get the full prime rate history, oldest change first
+ */
+export async function getPrimeRates(): Promise<PrimeRate[]> {
+  const result = await sql`
+    SELECT id, effective_date::text AS effective_date, rate, notes, created_at, updated_at
+    FROM prime_rates
+    ORDER BY effective_date ASC
+  ` as PrimeRate[];
+
+  // DECIMAL columns come back as strings
+  return result.map(row => ({ ...row, rate: parseFloat(String(row.rate)) }));
+}
+
+/**
+ * Price variable-rate debts from the admin-maintained prime rate history
+ * Replaces the calculators' prime rate timeline with the prime_rates table, at most once every
+ * few minutes and again after any admin change. Call before building variable-rate schedules.
+ * On failure the timeline already in place (the bundled history by default) is kept.
+ */
+export async function loadPrimeRateHistory(): Promise<void> {
+  if (Date.now() - primeRateHistoryLoadedAt < PRIME_RATE_CACHE_MS) {
+    return;
+  }
+
+  try {
+    const primeRates = await getPrimeRates();
+    if (primeRates.length > 0) {
+      setPrimeRateHistory(toPrimeRateEntries(primeRates));
+    }
+    primeRateHistoryLoadedAt = Date.now();
+  } catch (error) {
+    // Keep the bundled prime rate history
+    console.warn('Could not load prime rate history:', error);
+  }
+}
+
+/**
+ * Create a prime rate change, or update the rate for an existing effective date
+ */
+export async function upsertPrimeRate(
+  effectiveDate: string,
+  rate: number,
+  notes: string | null,
+  createdBy: string
+): Promise<PrimeRate> {
+  const result = await sql`
+    INSERT INTO prime_rates (effective_date, rate, notes, created_by)
+    VALUES (${effectiveDate}, ${rate}, ${notes}, ${createdBy})
+    ON CONFLICT (effective_date)
+    DO UPDATE SET rate = EXCLUDED.rate, notes = EXCLUDED.notes
+    RETURNING id, effective_date::text AS effective_date, rate, notes, created_at, updated_at
+  ` as PrimeRate[];
+
+  primeRateHistoryLoadedAt = 0;
+  return { ...result[0], rate: parseFloat(String(result[0].rate)) };
+}
+
+/**
+ * Delete a prime rate change
+ * @returns true when a row was deleted
+ */
+export async function deletePrimeRate(id: string): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM prime_rates
+    WHERE id = ${id}
+    RETURNING id
+  ` as Array<{ id: string }>;
+
+  primeRateHistoryLoadedAt = 0;
+  return !!result[0];
+}
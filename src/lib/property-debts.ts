@@ -0,0 +1,290 @@
+import { sql } from './db';
+import { getMergedLenderSchedule } from './lender-schedules';
+import { getMortgageRenewals, MortgageTermRecord } from './mortgage-terms';
+import { getCreditLineTransactions, CreditLineTransactionRecord } from './credit-line-transactions';
+import type { CreateMortgageInput, UpdateMortgageInput } from './validations/mortgage.schema';
+import type { CreateCreditLineInput } from './validations/credit-line.schema';
+
+/**
+ * Property debts store
+ * A property can carry several liens in the mortgages table (first mortgage, second
+ * mortgage, line of credit). priority is the lien position; the lowest is the primary mortgage.
+ */
+
+export interface PropertyDebtRecord {
+  id: string;
+  property_id: string;
+  lender: string;
+  original_amount: number;
+  interest_rate: number;
+  rate_type: string;
+  term_months: number;
+  amortization_years: number;
+  payment_frequency: string;
+  start_date: string;
+  mortgage_data: any;
+  priority: number;
+  debt_type: string;
+  lender_schedule?: any[] | null;
+  renewals?: MortgageTermRecord[];
+  transactions?: CreditLineTransactionRecord[];
+  created_at: Date;
+  updated_at: Date;
+}
+
+/**
+ * Attach the merged lender schedule and renewal chain to a debt row,
+ * or the draws and repayments for a line of credit
+ */
+async function withDebtDetails(debt: PropertyDebtRecord): Promise<PropertyDebtRecord> {
+  if (debt.debt_type === 'LINE_OF_CREDIT') {
+    return {
+      ...debt,
+      transactions: await getCreditLineTransactions(debt.id),
+    };
+  }
+
+  return {
+    ...debt,
+    lender_schedule: await getMergedLenderSchedule(debt.id),
+    renewals: await getMortgageRenewals(debt.id),
+  };
+}
+
+/**
+ * Get every debt on a property in lien order, with lender schedules and renewals attached
+ * @param propertyId - Property ID
+ */
+export async function getPropertyDebts(propertyId: string): Promise<PropertyDebtRecord[]> {
+  const result = await sql`
+    SELECT id, property_id, lender, original_amount, interest_rate, rate_type,
+           term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+           mortgage_data, priority, debt_type, created_at, updated_at
+    FROM mortgages
+    WHERE property_id = ${propertyId}
+    ORDER BY priority ASC, created_at ASC
+  ` as PropertyDebtRecord[];
+
+  return await Promise.all(result.map(withDebtDetails));
+}
+
+/**
+ * Get a single debt on a property
+ * @param propertyId - Property ID
+ * @param debtId - Mortgage ID of the debt
+ */
+export async function getPropertyDebt(propertyId: string, debtId: string): Promise<PropertyDebtRecord | null> {
+  const result = await sql`
+    SELECT id, property_id, lender, original_amount, interest_rate, rate_type,
+           term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+           mortgage_data, priority, debt_type, created_at, updated_at
+    FROM mortgages
+    WHERE id = ${debtId} AND property_id = ${propertyId}
+    LIMIT 1
+  ` as PropertyDebtRecord[];
+
+  return result[0] ? await withDebtDetails(result[0]) : null;
+}
+
+/**
+ * Get the debts ported away from a property, which keep their history on it up to the move
+ * @param propertyId - Property the debts were ported from
+ */
+export async function getDebtsPortedFrom(propertyId: string): Promise<PropertyDebtRecord[]> {
+  const result = await sql`
+    SELECT id, property_id, lender, original_amount, interest_rate, rate_type,
+           term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+           mortgage_data, priority, debt_type, created_at, updated_at
+    FROM mortgages
+    WHERE property_id <> ${propertyId}
+      AND mortgage_data->'transfers' @> ${JSON.stringify([{ fromPropertyId: propertyId }])}::jsonb
+    ORDER BY created_at ASC
+  ` as PropertyDebtRecord[];
+
+  return await Promise.all(result.map(withDebtDetails));
+}
+
+/**
+ * Get every debt on the properties a user owns, grouped by property in lien order
+ * @param userId - User ID
+ */
+export async function getUserDebts(userId: string): Promise<PropertyDebtRecord[]> {
+  const result = await sql`
+    SELECT m.id, m.property_id, m.lender, m.original_amount, m.interest_rate, m.rate_type,
+           m.term_months, m.amortization_years, m.payment_frequency, m.start_date::text AS start_date,
+           m.mortgage_data, m.priority, m.debt_type, m.created_at, m.updated_at
+    FROM mortgages m
+    INNER JOIN properties p ON m.property_id = p.id
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE a.user_id = ${userId}
+    ORDER BY m.property_id, m.priority ASC, m.created_at ASC
+  ` as PropertyDebtRecord[];
+
+  return await Promise.all(result.map(withDebtDetails));
+}
+
+/**
+ * Get a single debt by ID, provided the user owns its property
+ * Debts on demo account properties are readable by everyone (read-only for demo)
+ * @param debtId - Mortgage ID of the debt
+ * @param userId - User ID
+ */
+export async function getUserDebt(debtId: string, userId: string): Promise<PropertyDebtRecord | null> {
+  const result = await sql`
+    SELECT m.id, m.property_id, m.lender, m.original_amount, m.interest_rate, m.rate_type,
+           m.term_months, m.amortization_years, m.payment_frequency, m.start_date::text AS start_date,
+           m.mortgage_data, m.priority, m.debt_type, m.created_at, m.updated_at
+    FROM mortgages m
+    INNER JOIN properties p ON m.property_id = p.id
+    INNER JOIN accounts a ON p.account_id = a.id
+    WHERE m.id = ${debtId} AND (a.user_id = ${userId} OR a.is_demo = true)
+    LIMIT 1
+  ` as PropertyDebtRecord[];
+
+  return result[0] ? await withDebtDetails(result[0]) : null;
+}
+
+/**
+ * Add a debt to a property
+ * Without a priority the debt ranks behind every existing lien
+ * @param propertyId - Property ID
+ * @param debt - Validated debt details
+ */
+export async function createPropertyDebt(
+  propertyId: string,
+  debt: Omit<CreateMortgageInput, 'propertyId'>
+): Promise<PropertyDebtRecord> {
+  const result = await sql`
+    INSERT INTO mortgages (
+      property_id, lender, original_amount, interest_rate, rate_type, term_months,
+      amortization_years, payment_frequency, start_date, mortgage_data, priority, debt_type
+    )
+    VALUES (
+      ${propertyId},
+      ${debt.lender},
+      ${debt.originalAmount},
+      ${debt.interestRate},
+      ${debt.rateType},
+      ${debt.termMonths},
+      ${debt.amortizationYears},
+      ${debt.paymentFrequency},
+      ${debt.startDate},
+      ${debt.mortgageData ? JSON.stringify(debt.mortgageData) : null}::jsonb,
+      COALESCE(
+        ${debt.priority ?? null}::integer,
+        (SELECT COALESCE(MAX(priority), 0) + 1 FROM mortgages WHERE property_id = ${propertyId})
+      ),
+      ${debt.debtType || 'MORTGAGE'}
+    )
+    RETURNING id, property_id, lender, original_amount, interest_rate, rate_type,
+              term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+              mortgage_data, priority, debt_type, created_at, updated_at
+  ` as PropertyDebtRecord[];
+
+  return result[0];
+}
+
+/**
+ * Add a line of credit to a property
+ * original_amount holds the balance owing on the start date. Lines of credit revolve, so
+ * term and amortization are stored as one year only to satisfy the mortgages columns.
+ * @param propertyId - Property ID
+ * @param line - Validated line of credit details
+ */
+export async function createCreditLine(
+  propertyId: string,
+  line: CreateCreditLineInput
+): Promise<PropertyDebtRecord> {
+  const mortgageData = {
+    creditLimitRatio: line.creditLimitRatio,
+    readvanceable: line.readvanceable,
+    ...(line.variableRateSpread !== undefined ? { variableRateSpread: line.variableRateSpread } : {}),
+  };
+
+  return await createPropertyDebt(propertyId, {
+    lender: line.lender,
+    originalAmount: line.openingBalance,
+    interestRate: line.interestRate,
+    rateType: line.rateType,
+    termMonths: 12,
+    amortizationYears: 1,
+    paymentFrequency: 'MONTHLY',
+    startDate: line.startDate,
+    mortgageData,
+    priority: line.priority,
+    debtType: 'LINE_OF_CREDIT',
+  });
+}
+
+/**
+ * Update a debt; fields left out keep their current value
+ * @param debtId - Mortgage ID of the debt
+ * @param debt - Validated partial debt details
+ */
+export async function updatePropertyDebt(
+  debtId: string,
+  debt: UpdateMortgageInput
+): Promise<PropertyDebtRecord | null> {
+  const result = await sql`
+    UPDATE mortgages
+    SET
+      lender = COALESCE(${debt.lender ?? null}, lender),
+      original_amount = COALESCE(${debt.originalAmount ?? null}, original_amount),
+      interest_rate = COALESCE(${debt.interestRate ?? null}, interest_rate),
+      rate_type = COALESCE(${debt.rateType ?? null}, rate_type),
+      term_months = COALESCE(${debt.termMonths ?? null}, term_months),
+      amortization_years = COALESCE(${debt.amortizationYears ?? null}, amortization_years),
+      payment_frequency = COALESCE(${debt.paymentFrequency ?? null}, payment_frequency),
+      start_date = COALESCE(${debt.startDate ?? null}, start_date),
+      mortgage_data = COALESCE(${debt.mortgageData ? JSON.stringify(debt.mortgageData) : null}::jsonb, mortgage_data),
+      priority = COALESCE(${debt.priority ?? null}::integer, priority),
+      debt_type = COALESCE(${debt.debtType ?? null}, debt_type)
+    WHERE id = ${debtId}
+    RETURNING id, property_id, lender, original_amount, interest_rate, rate_type,
+              term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+              mortgage_data, priority, debt_type, created_at, updated_at
+  ` as PropertyDebtRecord[];
+
+  return result[0] || null;
+}
+
+/**
+ * Move a debt to another property, keeping its lender schedules, renewal terms and
+ * transactions; it ranks behind every existing lien on the new property
+ * @param debtId - Mortgage ID of the debt
+ * @param propertyId - Property the debt moves to
+ * @param mortgageData - Updated mortgage_data recording the move
+ */
+export async function movePropertyDebt(
+  debtId: string,
+  propertyId: string,
+  mortgageData: Record<string, any>
+): Promise<PropertyDebtRecord | null> {
+  const result = await sql`
+    UPDATE mortgages
+    SET
+      property_id = ${propertyId},
+      priority = (SELECT COALESCE(MAX(priority), 0) + 1 FROM mortgages WHERE property_id = ${propertyId}),
+      mortgage_data = ${JSON.stringify(mortgageData)}::jsonb
+    WHERE id = ${debtId}
+    RETURNING id, property_id, lender, original_amount, interest_rate, rate_type,
+              term_months, amortization_years, payment_frequency, start_date::text AS start_date,
+              mortgage_data, priority, debt_type, created_at, updated_at
+  ` as PropertyDebtRecord[];
+
+  return result[0] || null;
+}
+
+/**
+ * Delete a debt along with its lender schedules and renewal terms
+ * @param debtId - Mortgage ID of the debt
+ */
+export async function deletePropertyDebt(debtId: string): Promise<boolean> {
+  const result = await sql`
+    DELETE FROM mortgages
+    WHERE id = ${debtId}
+    RETURNING id
+  ` as Array<{ id: string }>;
+
+  return !!result[0];
+}
@@ -143,7 +143,7 @@ export function getScenariosByProperty(propertyId) {
 
 /**
  * Get scenarios by analysis type
- * @param {string} type - 'cash-flow' | 'equity'
+ * @param {string} type - 'cash-flow' | 'equity' | 'lender-offers'
  * @returns {Array} Array of scenarios for the type
  */
 export function getScenariosByType(type) {
@@ -5,10 +5,14 @@
  * - 10-year financial forecasts
  * - IRR (Internal Rate of Return) calculations
  * - Scenario modeling with variable assumptions
+ * - Monte Carlo simulation of the forecast under uncertain assumptions
+ * - One-at-a-time (tornado) sensitivity of returns to each input
+ * - Two-variable sensitivity grids (what-if data tables)
  */
 
-import { getCurrentMortgageBalance, getMonthlyMortgagePayment, getMortgageYearlySummary } from '@/utils/mortgageCalculator';
+import { getPropertyDebts, getDebtMonthlySummary } from '@/utils/propertyDebts';
 import { calculateIRR as calculateIRRUnified, calculateNPV as calculateNPVUnified } from '@/utils/mathEngine';
+import { generateMonthlyForecast, rollUpMonthlyForecast, getForecastStartMonth } from '@/lib/monthly-forecast';
 
 /**
  * Default assumptions for cash flow analysis
@@ -20,6 +24,7 @@ export const CASH_FLOW_DEFAULT_ASSUMPTIONS = {
   futureInterestRate: 5.0, // 5% for mortgage renewals
   prepaymentAmount: 0, // One-time principal prepayment amount
   prepaymentYear: 1, // Year in which prepayment occurs (1-holdingPeriod)
+  seasonality: 'none', // SEASONALITY_PRESETS key for seasonal vacancy and expenses
 };
 
 /**
@@ -109,242 +114,19 @@ export function calculateNPV(cashFlows, discountRate) {
 
 /**
  * Generate forecast for a property
+ * Projects month by month (see generateMonthlyForecast) and rolls the months up into years.
  * @param {Object} property - Property object
  * @param {Object} assumptions - Forecast assumptions
  * @param {number} years - Number of years to forecast (default: 10)
  * @param {string} analysisMode - 'cash-flow' | 'equity' (default: 'cash-flow')
+ * @param {Object} options - Optional settings
+ * @param {string} options.startMonth - First month of the forecast, YYYY-MM (default: next month)
+ * @param {Array} options.debtMonthSummaries - Debt summaries already built for this start month and future interest rate
  * @returns {Object} Forecast data with yearly projections
  */
-export function generateForecast(property, assumptions = DEFAULT_ASSUMPTIONS, years = 10, analysisMode = 'cash-flow') {
-  // Validate inputs
-  if (!property) {
-    throw new Error('Property is required for forecast generation');
-  }
-
-  // Validate assumptions - prevent negative inflation rates
-  if (assumptions.annualRentIncrease < 0 || assumptions.annualExpenseInflation < 0) {
-    throw new Error('Inflation rates cannot be negative');
-  }
-
-  // Validate property value exists (required for calculations)
-  if (!property.purchasePrice && !property.currentMarketValue) {
-    throw new Error('Property must have purchase price or market value');
-  }
-
-  // Initialize forecast structure based on mode
-  const forecast = analysisMode === 'equity' ? {
-    years: [],
-    propertyValue: [],
-    mortgageBalance: [],
-    equity: [],
-    equityFromAppreciation: [],
-    equityFromPaydown: [],
-    equityGrowthRate: [],
-    originalPropertyValue: property.currentMarketValue || property.purchasePrice || 0,
-    originalMortgageBalance: 0,
-  } : {
-    years: [],
-    netCashFlow: [],
-    mortgageBalance: [],
-    cumulativeCashFlow: [],
-    noi: [], // Net Operating Income (before debt service)
-    rentalIncome: [],
-    operatingExpenses: [],
-    debtService: [],
-    debtServicePrincipal: [],
-    debtServiceInterest: [],
-  };
-
-  // Handle properties without mortgages (rental-only or paid-off)
-  const hasMortgage = property.mortgage && property.mortgage.originalAmount && property.mortgage.originalAmount > 0;
-
-  // Get current mortgage details (only if mortgage exists)
-  let currentMortgageBalance = 0;
-  let monthlyMortgagePayment = 0;
-  let mortgageYearSummaries = [];
-
-  if (hasMortgage) {
-    try {
-      currentMortgageBalance = getCurrentMortgageBalance(property.mortgage);
-    } catch (error) {
-      console.warn('Error getting mortgage balance, using original amount:', error);
-      currentMortgageBalance = property.mortgage?.originalAmount || 0;
-    }
-
-    // Store original values for equity calculations
-    if (analysisMode === 'equity') {
-      forecast.originalMortgageBalance = property.mortgage.originalAmount || currentMortgageBalance;
-    }
-
-    try {
-      monthlyMortgagePayment = getMonthlyMortgagePayment(property.mortgage);
-    } catch (error) {
-      console.warn('Error calculating mortgage payment:', error);
-      // Fallback calculation (only if mortgage data is valid)
-      if (property.mortgage.interestRate && property.mortgage.amortizationYears) {
-        const monthlyRate = (property.mortgage.interestRate / 12);
-        const numPayments = property.mortgage.amortizationYears * 12;
-        monthlyMortgagePayment = property.mortgage.originalAmount * 
-          (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-          (Math.pow(1 + monthlyRate, numPayments) - 1);
-      }
-    }
-
-    // Pre-compute forward-looking mortgage schedule summaries (fallback to empty on error)
-    try {
-      mortgageYearSummaries = getMortgageYearlySummary(property.mortgage, years);
-    } catch (error) {
-      console.warn('Error building mortgage yearly summary:', error);
-    }
-  }
-
-  // Starting values
-  let currentRent = property.rent?.monthlyRent || 0;
-  let mortgageBalance = currentMortgageBalance;
-  let cumulativeCashFlow = 0;
-  let currentPropertyValue = forecast.originalPropertyValue || property.currentMarketValue || property.purchasePrice || 0;
-  
-  // Calculate current monthly operating expenses (excluding mortgage) - only for cash-flow mode
-  const currentMonthlyOperatingExpenses = analysisMode === 'cash-flow' ? 
-    ((property.monthlyExpenses?.propertyTax || 0) +
-    (property.monthlyExpenses?.condoFees || 0) +
-    (property.monthlyExpenses?.insurance || 0) +
-    (property.monthlyExpenses?.maintenance || 0) +
-    (property.monthlyExpenses?.professionalFees || 0) +
-    (property.monthlyExpenses?.utilities || 0)) : 0;
-
-  // Project years into the future
-  for (let year = 1; year <= years; year++) {
-    forecast.years.push(year);
-
-    if (analysisMode === 'equity') {
-      // EQUITY MODE CALCULATIONS
-      
-      // Calculate property value using appreciation model
-      // For final year, use Exit Cap Rate formula if provided
-      if (year === years && assumptions.exitCapRate && assumptions.exitCapRate > 0) {
-        // Calculate NOI for exit cap rate (simplified - using current rent and expenses)
-        const currentRentAnnual = (property.rent?.monthlyRent || 0) * 12;
-        const currentExpensesAnnual = currentMonthlyOperatingExpenses * 12;
-        const finalNOI = currentRentAnnual - currentExpensesAnnual;
-        currentPropertyValue = finalNOI / (assumptions.exitCapRate / 100);
-      } else {
-        // Use appreciation model
-        currentPropertyValue = forecast.originalPropertyValue * 
-          Math.pow(1 + (assumptions.annualPropertyAppreciation || 0) / 100, year);
-      }
-
-      // Determine mortgage balance using schedule-driven values when available
-      const mortgageSummary = mortgageYearSummaries[year - 1];
-      if (mortgageSummary) {
-        mortgageBalance = mortgageSummary.endingBalance;
-      } else if (mortgageBalance > 0 && monthlyMortgagePayment > 0 && hasMortgage) {
-        const annualMortgagePayment = monthlyMortgagePayment * 12;
-        const mortgageInterestRate = property.mortgage?.interestRate || 0;
-        const estimatedAnnualInterest = mortgageBalance * (assumptions.futureInterestRate || mortgageInterestRate) / 100;
-        const annualPrincipal = Math.min(annualMortgagePayment - estimatedAnnualInterest, mortgageBalance);
-        mortgageBalance = Math.max(0, mortgageBalance - annualPrincipal);
-      } else {
-        mortgageBalance = 0;
-      }
-
-      // Apply prepayment if this is the prepayment year
-      if (year === (assumptions.prepaymentYear || 1) && assumptions.prepaymentAmount > 0) {
-        const prepaymentAmount = Math.min(assumptions.prepaymentAmount || 0, mortgageBalance);
-        mortgageBalance = Math.max(0, mortgageBalance - prepaymentAmount);
-      }
-
-      // Calculate equity
-      const equity = currentPropertyValue - mortgageBalance;
-
-      // Calculate equity sources
-      const equityFromAppreciation = currentPropertyValue - forecast.originalPropertyValue;
-      const equityFromPaydown = forecast.originalMortgageBalance - mortgageBalance;
-
-      // Calculate equity growth rate (year-over-year)
-      let equityGrowthRate = 0;
-      if (year > 1 && forecast.equity[year - 2] > 0) {
-        equityGrowthRate = ((equity - forecast.equity[year - 2]) / forecast.equity[year - 2]) * 100;
-      }
-
-      // Store equity values
-      forecast.propertyValue.push(currentPropertyValue);
-      forecast.mortgageBalance.push(mortgageBalance);
-      forecast.equity.push(equity);
-      forecast.equityFromAppreciation.push(equityFromAppreciation);
-      forecast.equityFromPaydown.push(equityFromPaydown);
-      forecast.equityGrowthRate.push(equityGrowthRate);
-
-    } else {
-      // CASH FLOW MODE CALCULATIONS
-
-    // Calculate rent with vacancy allowance
-      const effectiveRent = currentRent * (1 - (assumptions.vacancyRate || 0) / 100);
-    const annualRentalIncome = effectiveRent * 12;
-
-    // Calculate operating expenses (grows with inflation)
-    const annualOperatingExpenses = currentMonthlyOperatingExpenses * 12 * 
-        Math.pow(1 + (assumptions.annualExpenseInflation || 0) / 100, year - 1);
-
-    // Calculate NOI (Net Operating Income - before debt service)
-    const noi = annualRentalIncome - annualOperatingExpenses;
-
-    // Determine debt service using schedule-driven values when available
-    let annualDebtService = 0;
-    let annualPrincipalPaid = 0;
-    let annualInterestPaid = 0;
-    let prepaymentApplied = 0;
-
-    const mortgageSummary = mortgageYearSummaries[year - 1];
-
-    if (mortgageSummary) {
-      annualDebtService = mortgageSummary.totalPayment;
-      annualPrincipalPaid = mortgageSummary.totalPrincipal;
-      annualInterestPaid = mortgageSummary.totalInterest;
-      mortgageBalance = mortgageSummary.endingBalance;
-    } else if (mortgageBalance > 0 && monthlyMortgagePayment > 0 && hasMortgage) {
-      const annualMortgagePayment = monthlyMortgagePayment * 12;
-      const mortgageInterestRate = property.mortgage?.interestRate || 0;
-      const estimatedAnnualInterest = mortgageBalance * mortgageInterestRate;
-      const annualPrincipal = Math.min(annualMortgagePayment - estimatedAnnualInterest, mortgageBalance);
-      annualDebtService = annualMortgagePayment;
-      annualPrincipalPaid = annualPrincipal;
-      annualInterestPaid = estimatedAnnualInterest;
-      mortgageBalance = Math.max(0, mortgageBalance - annualPrincipal);
-    } else {
-      mortgageBalance = 0;
-    }
-
-    // Apply prepayment if this is the prepayment year
-    if (year === (assumptions.prepaymentYear || 1) && assumptions.prepaymentAmount > 0) {
-      prepaymentApplied = Math.min(assumptions.prepaymentAmount || 0, mortgageBalance);
-      mortgageBalance = Math.max(0, mortgageBalance - prepaymentApplied);
-      // Add prepayment to debt service (it's an additional cash outflow)
-      annualDebtService += prepaymentApplied;
-      annualPrincipalPaid += prepaymentApplied;
-    }
-
-    // Calculate net cash flow (after debt service, including prepayment)
-    const netCashFlow = annualRentalIncome - annualOperatingExpenses - annualDebtService;
-    cumulativeCashFlow += netCashFlow;
-
-      // Store values (cash flow metrics only)
-    forecast.netCashFlow.push(netCashFlow);
-    forecast.mortgageBalance.push(mortgageBalance);
-    forecast.cumulativeCashFlow.push(cumulativeCashFlow);
-    forecast.noi.push(noi);
-    forecast.rentalIncome.push(annualRentalIncome);
-    forecast.operatingExpenses.push(annualOperatingExpenses);
-    forecast.debtService.push(annualDebtService);
-    forecast.debtServicePrincipal.push(annualPrincipalPaid);
-    forecast.debtServiceInterest.push(annualInterestPaid);
-
-    // Update rent for next year
-      currentRent = currentRent * (1 + (assumptions.annualRentIncrease || 0) / 100);
-    }
-  }
-
-  return forecast;
+export function generateForecast(property, assumptions = DEFAULT_ASSUMPTIONS, years = 10, analysisMode = 'cash-flow', options = {}) {
+  const monthlyForecast = generateMonthlyForecast(property, assumptions, years * 12, options);
+  return rollUpMonthlyForecast(monthlyForecast, analysisMode, assumptions);
 }
 
 /**
@@ -411,7 +193,7 @@ export function buildCapitalFlowSankeyData(property, forecast) {
   }
 
   const initialEquity = Number(property.totalInvestment) || 0;
-  const originalDebt = Number(property.mortgage?.originalAmount) || 0;
+  const originalDebt = getPropertyDebts(property).reduce((sum, debt) => sum + (Number(debt.originalAmount) || 0), 0);
 
   const totalRentalIncome = sumArray(forecast.rentalIncome);
   const totalOperatingExpenses = sumArray(forecast.operatingExpenses);
@@ -507,6 +289,536 @@ export function buildCapitalFlowSankeyData(property, forecast) {
   };
 }
 
+/**
+ * Returns from holding a property for a number of years and then selling it
+ * Buys at the total investment, collects each year's net cash flow, and sells at the end at the
+ * forecast property value less selling costs and the debt still owing.
+ * @param {Object} property - Property object
+ * @param {Object} assumptions - Forecast assumptions
+ * @param {number} years - Holding period in years
+ * @param {Object} options - sellingCostsPercent (default: 5), discountRate for NPV as percentage
+ *   (default: 8), and startMonth and precomputed debtMonthSummaries passed on to generateMonthlyForecast
+ * @returns {Object} Both forecasts, IRR (%) and NPV (null without a total investment),
+ *   cumulative cash flow and final equity
+ */
+export function forecastHoldingPeriod(property, assumptions, years, { sellingCostsPercent = 5.0, discountRate = 8.0, startMonth, debtMonthSummaries } = {}) {
+  const monthlyForecast = generateMonthlyForecast(property, assumptions, years * 12, { startMonth, debtMonthSummaries });
+  const cashFlowForecast = rollUpMonthlyForecast(monthlyForecast, 'cash-flow', assumptions);
+  const equityForecast = rollUpMonthlyForecast(monthlyForecast, 'equity', assumptions);
+
+  let irr = null;
+  let npv = null;
+  if (property.totalInvestment > 0) {
+    const finalValue = equityForecast.propertyValue[years - 1] || 0;
+    const finalBalance = equityForecast.mortgageBalance[years - 1] || 0;
+    const saleProceeds = finalValue * (1 - sellingCostsPercent / 100) - finalBalance;
+    const cashFlows = [
+      -property.totalInvestment,
+      ...cashFlowForecast.netCashFlow.map((value, index) => (index === years - 1 ? value + saleProceeds : value)),
+    ];
+    irr = calculateIRR(cashFlows);
+    npv = calculateNPV(cashFlows, discountRate / 100);
+  }
+
+  return {
+    cashFlowForecast,
+    equityForecast,
+    irr: Number.isFinite(irr) ? irr : null,
+    npv: Number.isFinite(npv) ? npv : null,
+    cumulativeCashFlow: cashFlowForecast.cumulativeCashFlow[years - 1] || 0,
+    finalEquity: equityForecast.equity[years - 1] || 0,
+  };
+}
+
+/**
+ * Spread (standard deviation, in percentage points) of each assumption in the Monte Carlo
+ * simulation. Each run draws every assumption from a normal distribution centred on the
+ * assumption's current value.
+ */
+export const MONTE_CARLO_DEFAULT_SPREADS = {
+  annualRentIncrease: 1.5,
+  annualExpenseInflation: 1.0,
+  vacancyRate: 2.0,
+  annualPropertyAppreciation: 2.5,
+  exitCapRate: 0.75,
+  futureInterestRate: 1.0,
+};
+
+// Bounds each drawn assumption is held within (percent)
+const MONTE_CARLO_BOUNDS = {
+  annualRentIncrease: [0, 20], // generateForecast doesn't take negative inflation rates
+  annualExpenseInflation: [0, 20],
+  vacancyRate: [0, 100],
+  annualPropertyAppreciation: [-20, 30],
+  exitCapRate: [1, 20],
+  futureInterestRate: [0, 25],
+};
+
+// Future interest rates are drawn to the nearest 1/8 point so debt schedules can be reused across runs
+const RATE_STEP = 0.125;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32): the same seed gives the same sequence
+ */
+function createSeededRandom(seed) {
+  let state = (Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function drawStandardNormal(random) {
+  const u = 1 - random(); // (0, 1] so the log is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Value at a percentile (0-100) of sorted values, interpolating between neighbours
+ */
+function getPercentile(sortedValues, percentile) {
+  if (sortedValues.length === 0) return 0;
+  const position = (sortedValues.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+function summarizeDistribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: getPercentile(sorted, 10),
+    p50: getPercentile(sorted, 50),
+    p90: getPercentile(sorted, 90),
+    mean: sumArray(sorted) / (sorted.length || 1),
+  };
+}
+
+/**
+ * Monte Carlo simulation of a property's forecast
+ * Each run draws rent growth, expense inflation, vacancy, appreciation, exit cap rate and the
+ * future interest rate from their distributions, forecasts cash flow and equity with
+ * generateForecast, and works out the IRR of buying at the total investment and selling at the
+ * end of the holding period. Runs are seeded, so the same inputs always give the same results.
+ *
+ * @param {Object} property - Property object
+ * @param {Object} assumptions - Forecast assumptions; each is the centre of its distribution
+ * @param {Object} options - Simulation settings
+ * @param {number} options.runs - Number of runs (default: 2000)
+ * @param {number} options.years - Holding period in years (default: 10)
+ * @param {number} options.seed - Random seed (default: 1)
+ * @param {Object} options.spreads - Standard deviation of each assumption (default: MONTE_CARLO_DEFAULT_SPREADS)
+ * @param {number} options.sellingCostsPercent - Selling costs at exit as percentage (default: 5)
+ * @returns {Object} P10/P50/P90 of IRR, final equity and cumulative cash flow, the probability
+ *   of negative cash flow, and yearly percentiles for a fan chart
+ */
+export function runMonteCarloSimulation(property, assumptions = DEFAULT_ASSUMPTIONS, options = {}) {
+  if (!property) {
+    throw new Error('Property is required for simulation');
+  }
+
+  const {
+    runs = 2000,
+    years = 10,
+    seed = 1,
+    spreads = MONTE_CARLO_DEFAULT_SPREADS,
+    sellingCostsPercent = 5.0,
+  } = options;
+  const centre = { ...CASH_FLOW_DEFAULT_ASSUMPTIONS, ...EQUITY_DEFAULT_ASSUMPTIONS, ...assumptions };
+  const random = createSeededRandom(seed);
+  const hasDebt = getPropertyDebts(property).length > 0;
+  const startMonth = getForecastStartMonth();
+  const debtSummariesByRate = new Map();
+
+  const draw = (key) => {
+    const [min, max] = MONTE_CARLO_BOUNDS[key];
+    const value = (Number(centre[key]) || 0) + drawStandardNormal(random) * (spreads[key] ?? 0);
+    return Math.min(max, Math.max(min, value));
+  };
+
+  const irrs = [];
+  const finalEquities = [];
+  const finalCumulativeCashFlows = [];
+  const yearlyCumulativeCashFlow = Array.from({ length: years }, () => []);
+  const yearlyEquity = Array.from({ length: years }, () => []);
+  let negativeCashFlowRuns = 0;
+  let negativeYearRuns = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const runAssumptions = {
+      ...centre,
+      annualRentIncrease: draw('annualRentIncrease'),
+      annualExpenseInflation: draw('annualExpenseInflation'),
+      vacancyRate: draw('vacancyRate'),
+      annualPropertyAppreciation: draw('annualPropertyAppreciation'),
+      exitCapRate: draw('exitCapRate'),
+      futureInterestRate: Math.round(draw('futureInterestRate') / RATE_STEP) * RATE_STEP,
+    };
+
+    let debtMonthSummaries;
+    if (hasDebt) {
+      if (!debtSummariesByRate.has(runAssumptions.futureInterestRate)) {
+        debtSummariesByRate.set(
+          runAssumptions.futureInterestRate,
+          getDebtMonthlySummary(property, startMonth, years * 12, { futureRenewalRate: runAssumptions.futureInterestRate / 100 })
+        );
+      }
+      debtMonthSummaries = debtSummariesByRate.get(runAssumptions.futureInterestRate);
+    }
+
+    const { cashFlowForecast, equityForecast, irr, cumulativeCashFlow, finalEquity } = forecastHoldingPeriod(
+      property, runAssumptions, years, { sellingCostsPercent, startMonth, debtMonthSummaries }
+    );
+
+    cashFlowForecast.cumulativeCashFlow.forEach((value, index) => yearlyCumulativeCashFlow[index].push(value));
+    equityForecast.equity.forEach((value, index) => yearlyEquity[index].push(value));
+
+    finalCumulativeCashFlows.push(cumulativeCashFlow);
+    finalEquities.push(finalEquity);
+    if (cumulativeCashFlow < 0) negativeCashFlowRuns++;
+    if (cashFlowForecast.netCashFlow.some((value) => value < 0)) negativeYearRuns++;
+    if (irr !== null) irrs.push(irr);
+  }
+
+  return {
+    runs,
+    years,
+    seed,
+    irr: irrs.length > 0 ? summarizeDistribution(irrs) : null,
+    finalEquity: summarizeDistribution(finalEquities),
+    cumulativeCashFlow: summarizeDistribution(finalCumulativeCashFlows),
+    probabilityNegativeCashFlow: runs > 0 ? negativeCashFlowRuns / runs : 0, // Negative over the holding period
+    probabilityNegativeYear: runs > 0 ? negativeYearRuns / runs : 0, // At least one year with negative cash flow
+    fan: Array.from({ length: years }, (_, index) => ({
+      year: index + 1,
+      cumulativeCashFlow: summarizeDistribution(yearlyCumulativeCashFlow[index]),
+      equity: summarizeDistribution(yearlyEquity[index]),
+    })),
+  };
+}
+
+/**
+ * Inputs flexed by the tornado analysis and the two-variable sensitivity grid
+ * unit 'points' moves the input up and down by the assumption range in percentage points;
+ * 'percent' scales it by the value range. The prepayment year is a choice rather than an
+ * uncertainty, so it isn't flexed.
+ */
+export const SENSITIVITY_VARIABLES = [
+  { key: 'annualRentIncrease', label: 'Rent Growth', source: 'assumption', unit: 'points', min: 0 },
+  { key: 'annualExpenseInflation', label: 'Expense Inflation', source: 'assumption', unit: 'points', min: 0 },
+  { key: 'vacancyRate', label: 'Vacancy Rate', source: 'assumption', unit: 'points', min: 0, max: 100 },
+  { key: 'futureInterestRate', label: 'Renewal Interest Rate', source: 'assumption', unit: 'points', min: 0 },
+  { key: 'annualPropertyAppreciation', label: 'Appreciation', source: 'assumption', unit: 'points' },
+  { key: 'exitCapRate', label: 'Exit Cap Rate', source: 'assumption', unit: 'points', min: 0.5 },
+  { key: 'prepaymentAmount', label: 'Prepayment', source: 'assumption', unit: 'percent', min: 0 },
+  { key: 'purchasePrice', label: 'Purchase Price', source: 'property', unit: 'percent', min: 0 },
+  { key: 'monthlyRent', label: 'Rent', source: 'property', unit: 'percent', min: 0 },
+  { key: 'interestRate', label: 'Current Interest Rate', source: 'property', unit: 'points', min: 0 },
+];
+
+/**
+ * Shift the rate on a debt and its recorded renewals by a number of percentage points
+ * Debts with a lender schedule keep the payments on it.
+ */
+function shiftDebtRate(debt, points) {
+  if (!debt) return debt;
+  const shift = points / 100;
+  return {
+    ...debt,
+    interestRate: Math.max(0, (Number(debt.interestRate) || 0) + shift),
+    ...(typeof debt.variableRateSpread === 'number' ? { variableRateSpread: debt.variableRateSpread + shift } : {}),
+    ...(Array.isArray(debt.renewals) ? {
+      renewals: debt.renewals.map((term) => ({ ...term, interestRate: Math.max(0, (Number(term.interestRate) || 0) + shift) })),
+    } : {}),
+  };
+}
+
+/**
+ * Current value of a sensitivity input, as a percentage for rates
+ */
+export function getSensitivityInputValue(variable, property, assumptions) {
+  if (variable.source === 'assumption') {
+    return Number(assumptions[variable.key]) || 0;
+  }
+  if (variable.key === 'purchasePrice') {
+    return Number(property.purchasePrice) || 0;
+  }
+  if (variable.key === 'monthlyRent') {
+    return Number(property.rent?.monthlyRent) || 0;
+  }
+  // Interest rate: weighted by each debt's original amount, as a percentage
+  const debts = getPropertyDebts(property);
+  const totalOriginalDebt = debts.reduce((sum, debt) => sum + (debt.originalAmount || 0), 0);
+  return totalOriginalDebt > 0
+    ? debts.reduce((sum, debt) => sum + (debt.originalAmount || 0) * (debt.interestRate || 0), 0) / totalOriginalDebt * 100
+    : 0;
+}
+
+/**
+ * Property and assumptions with one sensitivity input set to a new value
+ */
+export function applySensitivityInput(variable, property, assumptions, baseValue, value) {
+  if (variable.source === 'assumption') {
+    return { property, assumptions: { ...assumptions, [variable.key]: value } };
+  }
+  if (variable.key === 'purchasePrice') {
+    // Paying more or less for the same property: the difference comes out of (or back to) the
+    // cash invested, and the property is still worth what it's worth today
+    return {
+      property: {
+        ...property,
+        purchasePrice: value,
+        currentMarketValue: property.currentMarketValue || baseValue,
+        totalInvestment: (Number(property.totalInvestment) || 0) + (value - baseValue),
+      },
+      assumptions,
+    };
+  }
+  if (variable.key === 'monthlyRent') {
+    // A recorded annual rent would otherwise win over the flexed monthly rent in calculateNOI
+    return {
+      property: {
+        ...property,
+        rent: {
+          ...property.rent,
+          monthlyRent: value,
+          ...(property.rent?.annualRent ? { annualRent: value * 12 } : {}),
+        },
+      },
+      assumptions,
+    };
+  }
+  const points = value - baseValue;
+  return {
+    property: {
+      ...property,
+      mortgage: shiftDebtRate(property.mortgage, points),
+      ...(Array.isArray(property.additionalDebts)
+        ? { additionalDebts: property.additionalDebts.map((debt) => shiftDebtRate(debt, points)) }
+        : {}),
+    },
+    assumptions,
+  };
+}
+
+/**
+ * Sensitivity inputs that apply to a property: the interest rate needs a debt, and inputs
+ * flexed by a percentage need a value to flex (rent, purchase price, a planned prepayment)
+ */
+export function getSensitivityVariables(property, assumptions = DEFAULT_ASSUMPTIONS) {
+  if (!property) return [];
+  const baseAssumptions = { ...CASH_FLOW_DEFAULT_ASSUMPTIONS, ...EQUITY_DEFAULT_ASSUMPTIONS, ...assumptions };
+  const hasDebt = getPropertyDebts(property).length > 0;
+  return SENSITIVITY_VARIABLES.filter((variable) => {
+    if (variable.key === 'interestRate') return hasDebt;
+    return variable.unit !== 'percent' || getSensitivityInputValue(variable, property, baseAssumptions) !== 0;
+  });
+}
+
+/**
+ * One-at-a-time sensitivity (tornado) analysis
+ * Moves each input down and up by its range while holding every other input at its current
+ * value, and measures how far IRR, NPV and cumulative cash flow swing. Inputs that don't apply
+ * to the property (no debt, no rent, no prepayment) are left out.
+ *
+ * @param {Object} property - Property object
+ * @param {Object} assumptions - Current forecast assumptions
+ * @param {Object} options - Analysis settings
+ * @param {number} options.years - Holding period in years (default: 10)
+ * @param {number} options.assumptionRange - ± percentage points for rates (default: 1)
+ * @param {number} options.valueRange - ± percent for purchase price, rent and prepayment (default: 10)
+ * @param {number} options.discountRate - NPV discount rate as percentage (default: 8)
+ * @param {number} options.sellingCostsPercent - Selling costs at exit as percentage (default: 5)
+ * @returns {Object} Base returns and, for each input, its low and high values and the returns at each
+ */
+export function runTornadoAnalysis(property, assumptions = DEFAULT_ASSUMPTIONS, options = {}) {
+  if (!property) {
+    throw new Error('Property is required for tornado analysis');
+  }
+
+  const {
+    years = 10,
+    assumptionRange = 1.0,
+    valueRange = 10.0,
+    discountRate = 8.0,
+    sellingCostsPercent = 5.0,
+  } = options;
+  const baseAssumptions = { ...CASH_FLOW_DEFAULT_ASSUMPTIONS, ...EQUITY_DEFAULT_ASSUMPTIONS, ...assumptions };
+
+  const getReturns = (flexedProperty, flexedAssumptions) => {
+    const { irr, npv, cumulativeCashFlow } = forecastHoldingPeriod(
+      flexedProperty, flexedAssumptions, years, { sellingCostsPercent, discountRate }
+    );
+    return { irr, npv, cumulativeCashFlow };
+  };
+  const getSwing = (low, high, metric) => (
+    low[metric] === null || high[metric] === null ? null : Math.abs(high[metric] - low[metric])
+  );
+
+  const base = getReturns(property, baseAssumptions);
+
+  const variables = getSensitivityVariables(property, baseAssumptions)
+    .map((variable) => {
+      const baseValue = getSensitivityInputValue(variable, property, baseAssumptions);
+      const step = variable.unit === 'points' ? assumptionRange : Math.abs(baseValue) * valueRange / 100;
+      const clamp = (value) => Math.min(variable.max ?? Infinity, Math.max(variable.min ?? -Infinity, value));
+      return { variable, baseValue, lowValue: clamp(baseValue - step), highValue: clamp(baseValue + step) };
+    })
+    .filter(({ lowValue, highValue }) => highValue !== lowValue)
+    .map(({ variable, baseValue, lowValue, highValue }) => {
+      const lowInputs = applySensitivityInput(variable, property, baseAssumptions, baseValue, lowValue);
+      const highInputs = applySensitivityInput(variable, property, baseAssumptions, baseValue, highValue);
+      const low = getReturns(lowInputs.property, lowInputs.assumptions);
+      const high = getReturns(highInputs.property, highInputs.assumptions);
+
+      return {
+        key: variable.key,
+        label: variable.label,
+        unit: variable.unit,
+        baseValue,
+        lowValue,
+        highValue,
+        low,
+        high,
+        swing: {
+          irr: getSwing(low, high, 'irr'),
+          npv: getSwing(low, high, 'npv'),
+          cumulativeCashFlow: getSwing(low, high, 'cumulativeCashFlow'),
+        },
+      };
+    });
+
+  return { years, assumptionRange, valueRange, discountRate, base, variables };
+}
+
+/**
+ * Tornado inputs ordered from the largest swing in a metric to the smallest
+ * @param {Object} analysis - Result of runTornadoAnalysis
+ * @param {string} metric - 'irr', 'npv' or 'cumulativeCashFlow'
+ */
+export function rankTornadoVariables(analysis, metric = 'irr') {
+  if (!analysis) return [];
+  return [...analysis.variables].sort((a, b) => (b.swing[metric] ?? 0) - (a.swing[metric] ?? 0));
+}
+
+/**
+ * Metrics the two-variable sensitivity grid can show
+ */
+export const SENSITIVITY_GRID_METRICS = {
+  irr: 'IRR',
+  cashOnCash: 'Cash-on-Cash',
+  dscr: 'DSCR',
+};
+
+/**
+ * Two-variable sensitivity grid (a what-if data table)
+ * Steps one input down the rows and another across the columns, centred on their current
+ * values, and forecasts the chosen metric for every combination. Cash-on-cash is the average
+ * annual cash flow over the holding period as a percentage of the total investment; DSCR is
+ * average NOI over average debt service, as in calculateReturnMetrics.
+ *
+ * @param {Object} property - Property object
+ * @param {Object} assumptions - Current forecast assumptions
+ * @param {Object} options - Grid settings
+ * @param {string} options.rowKey - Input stepped down the rows (a SENSITIVITY_VARIABLES key)
+ * @param {string} options.columnKey - Input stepped across the columns
+ * @param {string} options.metric - 'irr', 'cashOnCash' or 'dscr' (default: 'irr')
+ * @param {number} options.size - Values per input, centred on the current one (default: 5)
+ * @param {number} options.years - Holding period in years (default: 10)
+ * @param {number} options.assumptionRange - ± percentage points for rates (default: 1)
+ * @param {number} options.valueRange - ± percent for purchase price, rent and prepayment (default: 10)
+ * @param {number} options.sellingCostsPercent - Selling costs at exit as percentage (default: 5)
+ * @returns {Object} Row and column values, the current values, and a cell per combination
+ *   (null where the metric can't be worked out)
+ */
+export function runSensitivityGrid(property, assumptions = DEFAULT_ASSUMPTIONS, options = {}) {
+  if (!property) {
+    throw new Error('Property is required for sensitivity grid');
+  }
+
+  const {
+    rowKey = 'exitCapRate',
+    columnKey = 'vacancyRate',
+    metric = 'irr',
+    size = 5,
+    years = 10,
+    assumptionRange = 1.0,
+    valueRange = 10.0,
+    sellingCostsPercent = 5.0,
+  } = options;
+  const rowVariable = SENSITIVITY_VARIABLES.find((variable) => variable.key === rowKey);
+  const columnVariable = SENSITIVITY_VARIABLES.find((variable) => variable.key === columnKey);
+  if (!rowVariable || !columnVariable) {
+    throw new Error('Unknown sensitivity input');
+  }
+  if (rowKey === columnKey) {
+    throw new Error('Pick two different inputs for the sensitivity grid');
+  }
+  if (!SENSITIVITY_GRID_METRICS[metric]) {
+    throw new Error(`Unknown sensitivity metric: ${metric}`);
+  }
+
+  const baseAssumptions = { ...CASH_FLOW_DEFAULT_ASSUMPTIONS, ...EQUITY_DEFAULT_ASSUMPTIONS, ...assumptions };
+  const sidesteps = Math.max(1, Math.floor(size / 2));
+
+  // Evenly spaced values across the range, dropping any that collapse onto a bound
+  const getValues = (variable, baseValue) => {
+    const range = variable.unit === 'points' ? assumptionRange : Math.abs(baseValue) * valueRange / 100;
+    const values = [];
+    for (let step = -sidesteps; step <= sidesteps; step++) {
+      const value = Math.min(variable.max ?? Infinity, Math.max(variable.min ?? -Infinity, baseValue + range * step / sidesteps));
+      if (!values.some((existing) => Math.abs(existing - value) < 1e-9)) values.push(value);
+    }
+    return values;
+  };
+
+  const getMetric = (flexedProperty, flexedAssumptions) => {
+    const { cashFlowForecast, irr } = forecastHoldingPeriod(flexedProperty, flexedAssumptions, years, { sellingCostsPercent });
+    if (metric === 'irr') {
+      return irr;
+    }
+    if (metric === 'cashOnCash') {
+      return flexedProperty.totalInvestment > 0
+        ? (sumArray(cashFlowForecast.netCashFlow) / years) / flexedProperty.totalInvestment * 100
+        : null;
+    }
+    const averageDebtService = sumArray(cashFlowForecast.debtService) / years;
+    return averageDebtService > 0 ? (sumArray(cashFlowForecast.noi) / years) / averageDebtService : null;
+  };
+
+  const baseRowValue = getSensitivityInputValue(rowVariable, property, baseAssumptions);
+  const baseColumnValue = getSensitivityInputValue(columnVariable, property, baseAssumptions);
+  const rowValues = getValues(rowVariable, baseRowValue);
+  const columnValues = getValues(columnVariable, baseColumnValue);
+
+  const cells = rowValues.map((rowValue) => {
+    const rowInputs = applySensitivityInput(rowVariable, property, baseAssumptions, baseRowValue, rowValue);
+    return columnValues.map((columnValue) => {
+      const inputs = applySensitivityInput(columnVariable, rowInputs.property, rowInputs.assumptions, baseColumnValue, columnValue);
+      const value = getMetric(inputs.property, inputs.assumptions);
+      return Number.isFinite(value) ? value : null;
+    });
+  });
+
+  const values = cells.flat().filter((value) => value !== null);
+  return {
+    metric,
+    years,
+    row: { key: rowVariable.key, label: rowVariable.label, unit: rowVariable.unit, values: rowValues, baseValue: baseRowValue },
+    column: { key: columnVariable.key, label: columnVariable.label, unit: columnVariable.unit, values: columnValues, baseValue: baseColumnValue },
+    cells,
+    min: values.length > 0 ? Math.min(...values) : null,
+    max: values.length > 0 ? Math.max(...values) : null,
+  };
+}
+
 /**
  * Compare two scenarios and calculate percentage differences
  * @param {Object} baseline - Baseline metrics
@@ -579,7 +891,8 @@ export function formatForecastForChart(forecast, analysisMode = 'cash-flow') {
       operatingIncome: Math.round(forecast.rentalIncome[index] || 0),
       operatingExpenses: Math.round(forecast.operatingExpenses[index] || 0),
       noi: Math.round(forecast.noi[index] || 0),
-      debtService: Math.round(forecast.debtService[index] || 0)
+      debtService: Math.round(forecast.debtService[index] || 0),
+      balloonPayment: Math.round(forecast.balloonPayments?.[index] || 0)
   }));
   }
 }
@@ -33,8 +33,14 @@ export type LoginInput = z.infer<typeof loginSchema>;
 export const updateProfileSchema = z.object({
   name: z.string().max(255, 'Name is too long').optional().nullable(),
   email: z.string().email('Invalid email address').optional(),
-}).refine((data) => data.name !== undefined || data.email !== undefined, {
-  message: 'At least one field (name or email) must be provided',
+  // Gross annual income and monthly debt payments outside the portfolio, for mortgage qualification
+  annualIncome: z.number().min(0, 'Annual income must be positive').max(100000000, 'Annual income is too large').optional().nullable(),
+  monthlyDebtPayments: z.number().min(0, 'Monthly debt payments must be positive').max(10000000, 'Monthly debt payments are too large').optional().nullable(),
+}).refine((data) => (
+  data.name !== undefined || data.email !== undefined ||
+  data.annualIncome !== undefined || data.monthlyDebtPayments !== undefined
+), {
+  message: 'At least one field (name, email, annualIncome or monthlyDebtPayments) must be provided',
 });
 
 export type UpdateProfileInput = z.infer<typeof updateProfileSchema>;
@@ -0,0 +1,31 @@
+import { z } from 'zod';
+
+/**
+ * Schema for adding a line of credit (HELOC) to a property
+ * Lines of credit revolve, so they have a credit limit instead of a term and amortization
+ */
+export const createCreditLineSchema = z.object({
+  lender: z.string().min(1, 'Lender is required').max(255, 'Lender name is too long'),
+  openingBalance: z.number().min(0, 'Opening balance cannot be negative').max(10000000, 'Opening balance must be less than $10,000,000').default(0),
+  interestRate: z.number().min(0, 'Interest rate must be positive').max(1, 'Interest rate must be less than 100%'),
+  rateType: z.enum(['FIXED', 'VARIABLE']),
+  startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  creditLimitRatio: z.number().gt(0, 'Credit limit must be greater than 0%').max(0.95, 'Credit limit must be 95% of value or less'), // Share of the property's market value
+  readvanceable: z.boolean().default(false), // Limit grows as the amortizing mortgage is paid down
+  variableRateSpread: z.number().min(-0.05, 'Spread is too low').max(0.1, 'Spread is too high').optional(),
+  priority: z.number().int().min(1, 'Priority must be at least 1').max(10, 'Priority must be 10 or less').optional(),
+});
+
+export type CreateCreditLineInput = z.infer<typeof createCreditLineSchema>;
+
+/**
+ * Schema for recording a draw on, or repayment of, a line of credit
+ */
+export const createCreditLineTransactionSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  type: z.enum(['DRAW', 'REPAYMENT']),
+  amount: z.number().min(0.01, 'Amount must be greater than 0').max(10000000, 'Amount must be less than $10,000,000'),
+  notes: z.string().max(1000, 'Notes are too long').nullable().optional(),
+});
+
+export type CreateCreditLineTransactionInput = z.infer<typeof createCreditLineTransactionSchema>;
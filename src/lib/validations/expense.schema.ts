@@ -21,3 +21,12 @@ export const updateExpenseSchema = createExpenseSchema.partial().omit({ property
 
 export type UpdateExpenseInput = z.infer<typeof updateExpenseSchema>;
 
+
+/**
+ * Schema for posting debt interest and principal to the expense ledger
+ */
+export const postDebtLedgerSchema = z.object({
+  through: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)').optional(),
+});
+
+export type PostDebtLedgerInput = z.infer<typeof postDebtLedgerSchema>;
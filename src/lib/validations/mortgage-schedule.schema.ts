@@ -0,0 +1,47 @@
+import { z } from 'zod';
+
+const columnName = z.string().min(1).max(100);
+
+const csvMappingSchema = z.object({
+  paymentNumber: columnName.optional(),
+  paymentDate: columnName.optional(),
+  monthlyPayment: columnName.optional(),
+  principal: columnName.optional(),
+  interest: columnName.optional(),
+  remainingBalance: columnName.optional(),
+  interestRate: columnName.optional(),
+});
+
+const csvContent = z.string().min(1, 'CSV content is required').max(2 * 1024 * 1024, 'CSV must not exceed 2MB');
+
+/**
+ * Schema for uploading a lender amortization schedule
+ * The CSV is parsed server-side; mapping overrides header auto-detection
+ */
+export const uploadMortgageScheduleSchema = z.object({
+  csvContent,
+  fileName: z.string().max(255, 'File name is too long').optional(),
+  source: z.enum(['csv_upload', 'manual', 'import']).optional().default('csv_upload'),
+  mapping: csvMappingSchema.optional(),
+});
+
+/**
+ * Schema for reconciling a lender statement or transaction CSV against the computed schedule
+ * The statement is only compared, never stored
+ */
+export const reconcileMortgageStatementSchema = z.object({
+  csvContent,
+  mapping: csvMappingSchema.optional(),
+});
+
+/**
+ * Schema for adopting the balance a lender reports on a statement
+ */
+export const adoptLenderBalanceSchema = z.object({
+  balance: z.number().positive('Balance must be positive').max(100000000, 'Balance is too large'),
+  asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+});
+
+export type UploadMortgageScheduleInput = z.infer<typeof uploadMortgageScheduleSchema>;
+export type ReconcileMortgageStatementInput = z.infer<typeof reconcileMortgageStatementSchema>;
+export type AdoptLenderBalanceInput = z.infer<typeof adoptLenderBalanceSchema>;
@@ -0,0 +1,17 @@
+import { z } from 'zod';
+
+/**
+ * Schema for recording a mortgage renewal
+ * The renewal becomes the next term in the mortgage's chain
+ */
+export const createMortgageRenewalSchema = z.object({
+  lender: z.string().min(1, 'Lender is required').max(255, 'Lender name is too long'),
+  startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  termMonths: z.number().int().min(1, 'Term must be at least 1 month').max(120, 'Term must be 10 years or less'),
+  interestRate: z.number().min(0, 'Interest rate must be positive').max(1, 'Interest rate must be less than 100%'),
+  rateType: z.enum(['FIXED', 'VARIABLE']),
+  paymentAmount: z.number().min(0.01, 'Payment amount must be greater than 0').max(1000000, 'Payment amount is too large').nullable().optional(),
+  notes: z.string().max(1000, 'Notes are too long').nullable().optional(),
+});
+
+export type CreateMortgageRenewalInput = z.infer<typeof createMortgageRenewalSchema>;
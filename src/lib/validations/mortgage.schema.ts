@@ -1,5 +1,101 @@
 import { z } from 'zod';
 
+/**
+ * Kinds of debt that can be secured against a property
+ */
+export const DEBT_TYPES = ['MORTGAGE', 'PRIVATE_MORTGAGE', 'LINE_OF_CREDIT'] as const;
+
+/**
+ * Prepayment privileges written into the mortgage contract (stored in mortgage_data)
+ */
+export const prepaymentPrivilegesSchema = z.object({
+  lumpSumRatio: z.number().min(0, 'Lump sum privilege must be positive').max(1, 'Lump sum privilege must be 100% or less').nullable().optional(),
+  paymentIncreaseRatio: z.number().min(0, 'Payment increase privilege must be positive').max(1, 'Payment increase privilege must be 100% or less').nullable().optional(),
+  doubleUp: z.boolean().nullable().optional(),
+});
+
+/**
+ * Lump sum already prepaid against the privilege (stored in mortgage_data)
+ */
+export const prepaymentSchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  amount: z.number().min(0.01, 'Prepayment must be greater than 0'),
+});
+
+/**
+ * Mortgage default insurance premium added to the principal (stored in mortgage_data)
+ */
+export const defaultInsuranceSchema = z.object({
+  provider: z.enum(['CMHC', 'SAGEN', 'CANADA_GUARANTY']),
+  premiumRate: z.number().min(0, 'Premium rate must be positive').max(0.1, 'Premium rate must be 10% or less'),
+  premium: z.number().min(0, 'Premium must be positive'),
+  premiumTax: z.number().min(0, 'Premium tax must be positive'),
+  mliSelectPoints: z.number().int().min(0).max(150).nullable().optional(),
+});
+
+/**
+ * Deferral, skipped or late payment (stored in mortgage_data)
+ */
+export const paymentEventSchema = z.object({
+  type: z.enum(['DEFERRAL', 'SKIP', 'LATE']),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  payments: z.number().int().min(1, 'At least one payment must be deferred').max(60, 'Deferral must be 60 payments or less').nullable().optional(),
+  paidDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid paid date format (YYYY-MM-DD)').nullable().optional(),
+  fee: z.number().min(0, 'Fee must be positive').nullable().optional(),
+  notes: z.string().max(255, 'Notes are too long').nullable().optional(),
+}).refine((event) => event.type !== 'LATE' || (!!event.paidDate && event.paidDate > event.date), {
+  message: 'A late payment needs the date it was paid, after the date it was due',
+  path: ['paidDate'],
+});
+
+/**
+ * Port to another property or assumption by a buyer (stored in mortgage_data)
+ */
+export const mortgageTransferSchema = z.object({
+  type: z.enum(['PORT', 'ASSUMPTION']),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  fromPropertyId: z.string().uuid('Invalid property ID'),
+  toPropertyId: z.string().uuid('Invalid property ID').nullable().optional(),
+  balance: z.number().min(0, 'Balance must be positive'),
+  topUpAmount: z.number().min(0, 'Top-up must be positive').nullable().optional(),
+  topUpRate: z.number().min(0, 'Top-up rate must be positive').max(1, 'Top-up rate must be less than 100%').nullable().optional(),
+  blendedRate: z.number().min(0).max(1).nullable().optional(),
+  assumedBy: z.string().max(255, 'Buyer name is too long').nullable().optional(),
+});
+
+/**
+ * Schema for porting a mortgage to another property or recording its assumption by a buyer
+ */
+export const transferMortgageSchema = z.object({
+  type: z.enum(['PORT', 'ASSUMPTION']),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  toPropertyId: z.string().uuid('Invalid property ID').nullable().optional(),
+  topUpAmount: z.number().min(0, 'Top-up must be positive').max(10000000, 'Top-up must be less than $10,000,000').nullable().optional(),
+  topUpRate: z.number().min(0, 'Top-up rate must be positive').max(1, 'Top-up rate must be less than 100%').nullable().optional(),
+  assumedBy: z.string().max(255, 'Buyer name is too long').nullable().optional(),
+}).refine((transfer) => transfer.type !== 'PORT' || !!transfer.toPropertyId, {
+  message: 'Choose the property the mortgage is ported to',
+  path: ['toPropertyId'],
+}).refine((transfer) => !(transfer.topUpAmount && transfer.topUpAmount > 0) || typeof transfer.topUpRate === 'number', {
+  message: 'A top-up needs the rate offered on the extra funds',
+  path: ['topUpRate'],
+});
+
+export type TransferMortgageInput = z.infer<typeof transferMortgageSchema>;
+
+// JSONB field for additional data; the prepayment, insurance, payment event, loan type and transfer fields are checked, anything else is kept as is
+const mortgageDataSchema = z.looseObject({
+  loanType: z.enum(['AMORTIZING', 'INTEREST_ONLY', 'BALLOON', 'FIXED_PRINCIPAL']).nullable().optional(),
+  maturityAction: z.enum(['PAYOFF', 'REFINANCE']).nullable().optional(),
+  interestReserve: z.number().min(0, 'Interest reserve must be positive').nullable().optional(),
+  lenderFee: z.number().min(0, 'Lender fee must be positive').nullable().optional(),
+  prepaymentPrivileges: prepaymentPrivilegesSchema.nullable().optional(),
+  prepayments: z.array(prepaymentSchema).max(500, 'Too many prepayments').optional(),
+  defaultInsurance: defaultInsuranceSchema.nullable().optional(),
+  paymentEvents: z.array(paymentEventSchema).max(500, 'Too many payment events').optional(),
+  transfers: z.array(mortgageTransferSchema).max(50, 'Too many transfers').optional(),
+});
+
 /**
  * Schema for creating a mortgage
  * All fields except mortgageData are required for a valid mortgage
@@ -14,7 +110,9 @@ export const createMortgageSchema = z.object({
   amortizationYears: z.number().int().min(1, 'Amortization must be at least 1 year').max(50, 'Amortization must be less than 50 years'),
   paymentFrequency: z.enum(['MONTHLY', 'SEMI_MONTHLY', 'BI_WEEKLY', 'ACCELERATED_BI_WEEKLY', 'WEEKLY', 'ACCELERATED_WEEKLY']),
   startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
-  mortgageData: z.record(z.string(), z.any()).optional(), // JSONB field for additional data
+  mortgageData: mortgageDataSchema.optional(),
+  priority: z.number().int().min(1, 'Priority must be at least 1').max(10, 'Priority must be 10 or less').optional(), // Lien position (1 = first mortgage)
+  debtType: z.enum(DEBT_TYPES).optional(),
 }).refine((data) => {
   // Validate that term does not exceed amortization period
   const amortizationInMonths = data.amortizationYears * 12;
@@ -43,10 +141,13 @@ const baseMortgageSchema = z.object({
   amortizationYears: z.number().int().min(1, 'Amortization must be at least 1 year').max(50, 'Amortization must be less than 50 years'),
   paymentFrequency: z.enum(['MONTHLY', 'SEMI_MONTHLY', 'BI_WEEKLY', 'ACCELERATED_BI_WEEKLY', 'WEEKLY', 'ACCELERATED_WEEKLY']),
   startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
-  mortgageData: z.record(z.string(), z.any()).optional(),
+  mortgageData: mortgageDataSchema.optional(),
+  priority: z.number().int().min(1, 'Priority must be at least 1').max(10, 'Priority must be 10 or less'),
+  debtType: z.enum(DEBT_TYPES),
 });
 
 export const updateMortgageSchema = baseMortgageSchema.partial().omit({ propertyId: true });
 
 export type UpdateMortgageInput = z.infer<typeof updateMortgageSchema>;
+export type PrepaymentPrivilegesInput = z.infer<typeof prepaymentPrivilegesSchema>;
 
@@ -0,0 +1,13 @@
+import { z } from 'zod';
+
+/**
+ * Schema for creating or updating a prime rate change
+ * Rate is a decimal (e.g., 0.0695 for 6.95%)
+ */
+export const primeRateSchema = z.object({
+  effectiveDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD)'),
+  rate: z.number().min(0, 'Rate must be 0 or greater').max(0.25, 'Rate must be less than 25%'),
+  notes: z.string().max(500, 'Notes are too long').optional().nullable(),
+});
+
+export type PrimeRateInput = z.infer<typeof primeRateSchema>;
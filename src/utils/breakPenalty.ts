@@ -0,0 +1,329 @@
+/**
+ * Mortgage break penalties
+ * Breaking a closed mortgage before its term ends costs the greater of three months' interest and
+ * the interest rate differential (IRD). How the IRD's comparison rate is chosen depends on the lender:
+ * - Big banks compare with their posted rate for the remaining term, less the discount given at signing
+ * - Credit unions and some banks compare with their published rate for the remaining term
+ * - Monoline lenders compare with their current offered rate for the remaining term
+ * Variable-rate mortgages pay three months' interest; open mortgages pay nothing.
+ */
+
+import {
+  getCurrentMortgageBalance,
+  getMortgageBalanceOn,
+  getMortgageTermOn,
+  getTermEndDate,
+  getTermRateOn,
+} from './mortgageCalculator';
+import type { MortgageData } from './mortgageCalculator';
+
+export type IrdMethod = 'POSTED_RATE_DISCOUNT' | 'PUBLISHED_RATE' | 'MONOLINE';
+
+export const IRD_METHOD_LABELS: Record<IrdMethod, string> = {
+  POSTED_RATE_DISCOUNT: 'Posted rate with discount clawback (big banks)',
+  PUBLISHED_RATE: 'Published rate for the remaining term',
+  MONOLINE: 'Current offered rate (monoline lenders)',
+};
+
+export interface PostedRateEntry {
+  effectiveDate: string; // YYYY-MM-DD
+  rates: Record<number, number>; // Term in months -> rate as decimal
+}
+
+export interface LenderRateTable {
+  id: string;
+  name: string;
+  aliases: string[]; // Lowercase names a mortgage's lender may be recorded under
+  method: IrdMethod;
+  rates: PostedRateEntry[]; // Oldest first
+}
+
+// Big-bank posted fixed rates; the big six move their posted rates together
+const BIG_BANK_POSTED_RATES: PostedRateEntry[] = [
+  { effectiveDate: '2015-01-01', rates: { 12: 0.0314, 24: 0.0304, 36: 0.0365, 48: 0.0419, 60: 0.0479, 84: 0.0570, 120: 0.0610 } },
+  { effectiveDate: '2019-06-01', rates: { 12: 0.0359, 24: 0.0374, 36: 0.0394, 48: 0.0399, 60: 0.0519, 84: 0.0580, 120: 0.0610 } },
+  { effectiveDate: '2020-06-01', rates: { 12: 0.0289, 24: 0.0314, 36: 0.0344, 48: 0.0369, 60: 0.0479, 84: 0.0575, 120: 0.0610 } },
+  { effectiveDate: '2022-06-01', rates: { 12: 0.0479, 24: 0.0499, 36: 0.0529, 48: 0.0524, 60: 0.0534, 84: 0.0640, 120: 0.0675 } },
+  { effectiveDate: '2023-09-01', rates: { 12: 0.0734, 24: 0.0699, 36: 0.0674, 48: 0.0654, 60: 0.0649, 84: 0.0689, 120: 0.0700 } },
+  { effectiveDate: '2024-10-01', rates: { 12: 0.0694, 24: 0.0639, 36: 0.0609, 48: 0.0594, 60: 0.0609, 84: 0.0640, 120: 0.0675 } },
+  { effectiveDate: '2025-06-01', rates: { 12: 0.0599, 24: 0.0564, 36: 0.0559, 48: 0.0559, 60: 0.0609, 84: 0.0640, 120: 0.0675 } },
+];
+
+// Credit union published fixed rates
+const CREDIT_UNION_PUBLISHED_RATES: PostedRateEntry[] = [
+  { effectiveDate: '2015-01-01', rates: { 12: 0.0289, 24: 0.0279, 36: 0.0309, 48: 0.0339, 60: 0.0359, 84: 0.0449, 120: 0.0499 } },
+  { effectiveDate: '2019-06-01', rates: { 12: 0.0349, 24: 0.0339, 36: 0.0339, 48: 0.0349, 60: 0.0364, 84: 0.0429, 120: 0.0479 } },
+  { effectiveDate: '2020-06-01', rates: { 12: 0.0279, 24: 0.0269, 36: 0.0269, 48: 0.0274, 60: 0.0284, 84: 0.0369, 120: 0.0409 } },
+  { effectiveDate: '2022-06-01', rates: { 12: 0.0429, 24: 0.0459, 36: 0.0479, 48: 0.0484, 60: 0.0494, 84: 0.0539, 120: 0.0579 } },
+  { effectiveDate: '2023-09-01', rates: { 12: 0.0724, 24: 0.0679, 36: 0.0644, 48: 0.0619, 60: 0.0609, 84: 0.0639, 120: 0.0659 } },
+  { effectiveDate: '2024-10-01', rates: { 12: 0.0649, 24: 0.0574, 36: 0.0524, 48: 0.0509, 60: 0.0499, 84: 0.0549, 120: 0.0589 } },
+  { effectiveDate: '2025-06-01', rates: { 12: 0.0554, 24: 0.0489, 36: 0.0464, 48: 0.0464, 60: 0.0469, 84: 0.0519, 120: 0.0569 } },
+];
+
+// Monoline offered fixed rates (close to the discounted rates borrowers sign at)
+const MONOLINE_OFFERED_RATES: PostedRateEntry[] = [
+  { effectiveDate: '2015-01-01', rates: { 12: 0.0249, 24: 0.0239, 36: 0.0259, 48: 0.0274, 60: 0.0284, 84: 0.0369, 120: 0.0419 } },
+  { effectiveDate: '2019-06-01', rates: { 12: 0.0319, 24: 0.0289, 36: 0.0279, 48: 0.0279, 60: 0.0279, 84: 0.0329, 120: 0.0369 } },
+  { effectiveDate: '2020-06-01', rates: { 12: 0.0259, 24: 0.0229, 36: 0.0219, 48: 0.0219, 60: 0.0219, 84: 0.0279, 120: 0.0299 } },
+  { effectiveDate: '2022-06-01', rates: { 12: 0.0379, 24: 0.0409, 36: 0.0434, 48: 0.0429, 60: 0.0434, 84: 0.0459, 120: 0.0489 } },
+  { effectiveDate: '2023-09-01', rates: { 12: 0.0679, 24: 0.0619, 36: 0.0574, 48: 0.0554, 60: 0.0549, 84: 0.0584, 120: 0.0619 } },
+  { effectiveDate: '2024-10-01', rates: { 12: 0.0599, 24: 0.0519, 36: 0.0459, 48: 0.0449, 60: 0.0439, 84: 0.0499, 120: 0.0539 } },
+  { effectiveDate: '2025-06-01', rates: { 12: 0.0509, 24: 0.0429, 36: 0.0409, 48: 0.0409, 60: 0.0409, 84: 0.0469, 120: 0.0519 } },
+];
+
+/**
+ * Lender posted-rate tables
+ * Maintained by hand from lender rate sheets: add a row to the lender's table when it changes its rates.
+ */
+export const LENDER_RATE_TABLES: LenderRateTable[] = [
+  { id: 'rbc', name: 'RBC Royal Bank', aliases: ['rbc', 'royal bank'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'td', name: 'TD Canada Trust', aliases: ['td', 'toronto-dominion', 'toronto dominion'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'bmo', name: 'BMO Bank of Montreal', aliases: ['bmo', 'bank of montreal'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'scotiabank', name: 'Scotiabank', aliases: ['scotiabank', 'scotia', 'bank of nova scotia'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'cibc', name: 'CIBC', aliases: ['cibc', 'canadian imperial'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'national-bank', name: 'National Bank', aliases: ['national bank', 'banque nationale'], method: 'POSTED_RATE_DISCOUNT', rates: BIG_BANK_POSTED_RATES },
+  { id: 'meridian', name: 'Meridian Credit Union', aliases: ['meridian'], method: 'PUBLISHED_RATE', rates: CREDIT_UNION_PUBLISHED_RATES },
+  { id: 'alterna', name: 'Alterna Savings', aliases: ['alterna'], method: 'PUBLISHED_RATE', rates: CREDIT_UNION_PUBLISHED_RATES },
+  { id: 'vancity', name: 'Vancity', aliases: ['vancity'], method: 'PUBLISHED_RATE', rates: CREDIT_UNION_PUBLISHED_RATES },
+  { id: 'credit-union', name: 'Other credit union', aliases: ['credit union'], method: 'PUBLISHED_RATE', rates: CREDIT_UNION_PUBLISHED_RATES },
+  { id: 'first-national', name: 'First National', aliases: ['first national'], method: 'MONOLINE', rates: MONOLINE_OFFERED_RATES },
+  { id: 'mcap', name: 'MCAP', aliases: ['mcap'], method: 'MONOLINE', rates: MONOLINE_OFFERED_RATES },
+  { id: 'rmg', name: 'RMG Mortgages', aliases: ['rmg'], method: 'MONOLINE', rates: MONOLINE_OFFERED_RATES },
+  { id: 'cmls', name: 'CMLS Financial', aliases: ['cmls'], method: 'MONOLINE', rates: MONOLINE_OFFERED_RATES },
+];
+
+// Unknown lenders are estimated with the big-bank method, which gives the highest penalty
+const DEFAULT_RATE_TABLE = LENDER_RATE_TABLES[0];
+
+const DAYS_PER_MONTH = 365.25 / 12;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Find the rate table for a lender by name
+ * @returns null when the lender isn't in the table
+ */
+export function findLenderRateTable(lender: string | null | undefined): LenderRateTable | null {
+  const name = String(lender || '').toLowerCase();
+  if (!name) {
+    return null;
+  }
+
+  return LENDER_RATE_TABLES.find(table =>
+    table.aliases.some(alias => new RegExp(`(^|[^a-z])${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`).test(name))
+  ) || null;
+}
+
+/**
+ * Get a lender table by id
+ */
+export function getLenderRateTable(id: string): LenderRateTable | null {
+  return LENDER_RATE_TABLES.find(table => table.id === id) || null;
+}
+
+/**
+ * Rate a lender had posted on a date for the term closest to termMonths
+ * Ties go to the shorter term. Dates before the table starts use its first row.
+ * @returns null when the table has no rates
+ */
+export function getPostedRateOn(
+  table: LenderRateTable,
+  termMonths: number,
+  asOf: string | Date = new Date()
+): { termMonths: number; rate: number } | null {
+  if (table.rates.length === 0) {
+    return null;
+  }
+
+  const target = toDateKey(asOf);
+  let entry = table.rates[0];
+  for (const candidate of table.rates) {
+    if (candidate.effectiveDate > target) break;
+    entry = candidate;
+  }
+
+  const terms = Object.keys(entry.rates).map(Number).sort((a, b) => a - b);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const closest = terms.reduce((best, term) =>
+    Math.abs(term - termMonths) < Math.abs(best - termMonths) ? term : best
+  );
+  return { termMonths: closest, rate: entry.rates[closest] };
+}
+
+export interface BreakPenaltyInput {
+  balance: number;
+  contractRate: number; // as decimal
+  monthsRemaining: number;
+  rateType?: string; // FIXED or VARIABLE
+  mortgageType?: string | null; // OPEN or CLOSED
+  method: IrdMethod;
+  table?: LenderRateTable | null; // Rate table to look up the comparison rate in
+  termStartDate?: string | null; // Start of the current term (for the discount clawback)
+  termMonths?: number | null; // Length of the current term (for the discount clawback)
+  comparisonRate?: number | null; // Overrides the rate from the table
+  asOf?: string | Date;
+}
+
+export interface BreakPenaltyResult {
+  method: IrdMethod;
+  penaltyType: 'IRD' | 'THREE_MONTHS_INTEREST' | 'NONE';
+  penalty: number;
+  threeMonthsInterest: number;
+  ird: number | null; // null when the IRD doesn't apply (variable or open)
+  balance: number;
+  contractRate: number;
+  monthsRemaining: number;
+  comparisonRate: number | null;
+  comparisonTermMonths: number | null; // Posted term the comparison rate was taken from
+  postedRateAtSigning: number | null; // Posted rate for the term when it started (discount clawback)
+  discount: number | null;
+}
+
+/**
+ * Calculate the penalty to break a mortgage today
+ * IRD = balance × (contract rate − comparison rate) × months remaining / 12
+ */
+export function calculateBreakPenalty(input: BreakPenaltyInput): BreakPenaltyResult {
+  const balance = Math.max(0, Number(input.balance) || 0);
+  const contractRate = Math.max(0, Number(input.contractRate) || 0);
+  const monthsRemaining = Math.max(0, Number(input.monthsRemaining) || 0);
+  const threeMonthsInterest = balance * contractRate * Math.min(3, monthsRemaining) / 12;
+
+  const result: BreakPenaltyResult = {
+    method: input.method,
+    penaltyType: 'THREE_MONTHS_INTEREST',
+    penalty: threeMonthsInterest,
+    threeMonthsInterest,
+    ird: null,
+    balance,
+    contractRate,
+    monthsRemaining,
+    comparisonRate: null,
+    comparisonTermMonths: null,
+    postedRateAtSigning: null,
+    discount: null,
+  };
+
+  if (String(input.mortgageType || '').toUpperCase() === 'OPEN' || monthsRemaining === 0 || balance === 0) {
+    return { ...result, penaltyType: 'NONE', penalty: 0, threeMonthsInterest: 0 };
+  }
+
+  if (String(input.rateType || 'FIXED').toUpperCase() === 'VARIABLE') {
+    return result;
+  }
+
+  let comparisonRate = typeof input.comparisonRate === 'number' && Number.isFinite(input.comparisonRate)
+    ? input.comparisonRate
+    : null;
+  const table = input.table || DEFAULT_RATE_TABLE;
+
+  if (comparisonRate === null) {
+    const posted = getPostedRateOn(table, monthsRemaining, input.asOf);
+    if (!posted) {
+      return result;
+    }
+    comparisonRate = posted.rate;
+    result.comparisonTermMonths = posted.termMonths;
+
+    if (input.method === 'POSTED_RATE_DISCOUNT' && input.termStartDate && input.termMonths) {
+      const postedAtSigning = getPostedRateOn(table, input.termMonths, input.termStartDate);
+      if (postedAtSigning) {
+        const discount = Math.max(0, postedAtSigning.rate - contractRate);
+        result.postedRateAtSigning = postedAtSigning.rate;
+        result.discount = discount;
+        comparisonRate = Math.max(0, comparisonRate - discount);
+      }
+    }
+  }
+
+  const ird = balance * Math.max(0, contractRate - comparisonRate) * monthsRemaining / 12;
+  return {
+    ...result,
+    comparisonRate,
+    ird,
+    penaltyType: ird > threeMonthsInterest ? 'IRD' : 'THREE_MONTHS_INTEREST',
+    penalty: Math.max(ird, threeMonthsInterest),
+  };
+}
+
+export interface MortgageBreakDetails {
+  balance: number;
+  contractRate: number;
+  rateType: string;
+  termStartDate: string;
+  termMonths: number;
+  termEndDate: string;
+  monthsRemaining: number;
+  table: LenderRateTable | null; // null when the lender isn't in the posted-rate table
+}
+
+/**
+ * What breaking a mortgage on a date depends on: its balance, the rate and term in effect, and the lender
+ */
+export function getMortgageBreakDetails(
+  mortgage: MortgageData & { mortgageType?: string | null },
+  asOf: string | Date = new Date()
+): MortgageBreakDetails {
+  const term = getMortgageTermOn(mortgage, asOf);
+  const termEndDate = getTermEndDate(term);
+  const days = (Date.parse(`${termEndDate}T00:00:00Z`) - Date.parse(`${toDateKey(asOf)}T00:00:00Z`)) / MS_PER_DAY;
+  const rateType = String(term.rateType || mortgage.rateType || 'FIXED').toUpperCase();
+  const breakDate = toDateKey(asOf);
+
+  return {
+    // Today's balance honours a reported current balance; other dates come from the schedule
+    balance: breakDate === toDateKey(new Date())
+      ? getCurrentMortgageBalance(mortgage)
+      : getMortgageBalanceOn(mortgage, breakDate),
+    // Variable terms owe interest at the rate on the break date, not the rate at signing
+    contractRate: getTermRateOn(mortgage, term, asOf),
+    rateType,
+    termStartDate: term.startDate,
+    termMonths: term.termMonths,
+    termEndDate,
+    monthsRemaining: Math.max(0, days / DAYS_PER_MONTH),
+    table: findLenderRateTable(term.lender || mortgage.lender),
+  };
+}
+
+/**
+ * Calculate the penalty to break a mortgage today from its own terms
+ * @param mortgage Mortgage data
+ * @param options method and table default to the lender's; comparisonRate overrides the table
+ */
+export function getMortgageBreakPenalty(
+  mortgage: MortgageData & { mortgageType?: string | null },
+  options: { method?: IrdMethod; table?: LenderRateTable | null; comparisonRate?: number | null; asOf?: string | Date } = {}
+): BreakPenaltyResult & { details: MortgageBreakDetails } {
+  const asOf = options.asOf || new Date();
+  const details = getMortgageBreakDetails(mortgage, asOf);
+  const table = options.table || details.table || DEFAULT_RATE_TABLE;
+
+  const result = calculateBreakPenalty({
+    balance: details.balance,
+    contractRate: details.contractRate,
+    monthsRemaining: details.monthsRemaining,
+    rateType: details.rateType,
+    mortgageType: mortgage.mortgageType,
+    method: options.method || table.method,
+    table,
+    termStartDate: details.termStartDate,
+    termMonths: details.termMonths,
+    comparisonRate: options.comparisonRate,
+    asOf,
+  });
+
+  return { ...result, details };
+}
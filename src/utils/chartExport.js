@@ -91,8 +91,9 @@ export function exportChartAsCSV(chartData, filename = 'chart.csv') {
  * @param {Object} property - Property object
  * @param {Object} assumptions - Assumptions object
  * @param {string} filename - Output filename
+ * @param {string} title - Title printed at the top of the page
  */
-export async function exportChartAsPDF(chartElement, chartData, property, assumptions, filename = 'chart.pdf') {
+export async function exportChartAsPDF(chartElement, chartData, property, assumptions, filename = 'chart.pdf', title = 'Property Forecast Analysis') {
   try {
     // Dynamic imports
     const html2canvas = (await import('html2canvas')).default;
@@ -114,7 +115,7 @@ export async function exportChartAsPDF(chartElement, chartData, property, assump
     
     // Add title
     pdf.setFontSize(18);
-    pdf.text('Property Forecast Analysis', pdfWidth / 2, 15, { align: 'center' });
+    pdf.text(title, pdfWidth / 2, 15, { align: 'center' });
     
     // Add property info
     pdf.setFontSize(12);
@@ -0,0 +1,294 @@
+/**
+ * Line of credit (HELOC) calculations
+ * A line of credit revolves: the balance moves with draws and repayments rather than
+ * following an amortization schedule, interest accrues daily on the balance owing and the
+ * minimum payment is interest only. The credit limit is a share of the property's value;
+ * on a readvanceable line the limit grows as the amortizing mortgage is paid down.
+ */
+
+import {
+  calculateAmortizationSchedule,
+  getCurrentMortgageBalance,
+  getVariableRateSpread,
+  isVariableRateMortgage,
+} from './mortgageCalculator';
+import type { MortgageData, MortgageYearlySummary, MortgageMonthlySummary } from './mortgageCalculator';
+import { getPrimeRateHistory, getPrimeRateOn } from './primeRateHistory';
+
+export interface CreditLineTransaction {
+  id?: string;
+  date: string; // YYYY-MM-DD
+  type: 'DRAW' | 'REPAYMENT';
+  amount: number;
+  notes?: string | null;
+}
+
+export interface CreditLineData extends MortgageData {
+  debtType?: string;
+  creditLimitRatio?: number | null; // Share of the property's market value (e.g., 0.65)
+  readvanceable?: boolean | null; // Limit grows as the amortizing mortgage is paid down
+  transactions?: CreditLineTransaction[];
+}
+
+// Federal guideline: the revolving portion of a HELOC can't exceed 65% of the property's value
+export const HELOC_MAX_LIMIT_RATIO = 0.65;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a debt is a revolving line of credit rather than an amortizing mortgage
+ */
+export function isCreditLine(debt: any): boolean {
+  return !!debt && debt.debtType === 'LINE_OF_CREDIT';
+}
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+function addYears(dateKey: string, years: number): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateKey: string, days: number): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function getNextMonthStart(month: string): string {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthNumber === 12 ? `${year + 1}-01-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}-01`;
+}
+
+function getSortedTransactions(line: CreditLineData): CreditLineTransaction[] {
+  return [...(line.transactions || [])].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Balance owing on a line of credit at the end of a given day
+ * Starts from the opening balance (originalAmount) and applies every draw and repayment dated on or before asOf.
+ * @param line Line of credit
+ * @param asOf Date to value the balance on (defaults to today)
+ */
+export function getCreditLineBalance(line: CreditLineData, asOf: string | Date = new Date()): number {
+  const target = toDateKey(asOf);
+  if (line.startDate && target < line.startDate) {
+    return 0;
+  }
+
+  let balance = Number(line.originalAmount) || 0;
+  for (const transaction of getSortedTransactions(line)) {
+    if (transaction.date > target) break;
+    const amount = Number(transaction.amount) || 0;
+    balance = transaction.type === 'DRAW' ? balance + amount : Math.max(0, balance - amount);
+  }
+  return balance;
+}
+
+/**
+ * Annual rate charged on a line of credit on a given day
+ * Variable lines are priced at prime plus the line's spread.
+ */
+export function getCreditLineRate(line: CreditLineData, asOf: string | Date = new Date()): number {
+  if (isVariableRateMortgage(line)) {
+    const prime = getPrimeRateOn(asOf);
+    if (prime !== null) {
+      return Math.max(0, prime + getVariableRateSpread(line));
+    }
+  }
+  return Number(line.interestRate) || 0;
+}
+
+/**
+ * Balance of an amortizing mortgage on a given day
+ */
+function getAmortizingBalanceOn(mortgage: MortgageData, asOf: string): number {
+  if (asOf === toDateKey(new Date())) {
+    return getCurrentMortgageBalance(mortgage);
+  }
+
+  const payments = calculateAmortizationSchedule(mortgage).payments.filter(
+    (payment) => payment.paymentDate.slice(0, 10) <= asOf
+  );
+  return payments.length > 0 ? payments[payments.length - 1].remainingBalance : mortgage.originalAmount;
+}
+
+/**
+ * Credit limit of a line of credit on a given day
+ * The limit is creditLimitRatio of the property's market value. On a readvanceable line that
+ * ratio is the global limit shared with the property's amortizing mortgages, so the line's own
+ * limit is what the mortgages leave unused, capped at HELOC_MAX_LIMIT_RATIO of value.
+ *
+ * @param line Line of credit
+ * @param property Property the line is secured against
+ * @param asOf Date to value the limit on (defaults to today)
+ */
+export function getCreditLineLimit(line: CreditLineData, property: any, asOf: string | Date = new Date()): number {
+  const propertyValue = Number(property?.currentMarketValue || property?.currentValue || property?.purchasePrice) || 0;
+  const ratio = Number(line.creditLimitRatio) > 0 ? Number(line.creditLimitRatio) : HELOC_MAX_LIMIT_RATIO;
+  const globalLimit = propertyValue * ratio;
+
+  if (!line.readvanceable) {
+    return globalLimit;
+  }
+
+  const target = toDateKey(asOf);
+  const amortizingDebts: MortgageData[] = [property?.mortgage, ...(Array.isArray(property?.additionalDebts) ? property.additionalDebts : [])]
+    .filter((debt) => debt && !isCreditLine(debt) && Number(debt.originalAmount) > 0);
+
+  const amortizingBalance = amortizingDebts.reduce((sum, debt) => {
+    try {
+      return sum + getAmortizingBalanceOn(debt, target);
+    } catch (error) {
+      console.warn(`Error calculating balance for ${debt.lender}:`, error);
+      return sum + (Number(debt.originalAmount) || 0);
+    }
+  }, 0);
+
+  return Math.min(propertyValue * HELOC_MAX_LIMIT_RATIO, Math.max(0, globalLimit - amortizingBalance));
+}
+
+/**
+ * Credit still available to draw on a line of credit
+ */
+export function getCreditLineAvailable(line: CreditLineData, property: any, asOf: string | Date = new Date()): number {
+  return Math.max(0, getCreditLineLimit(line, property, asOf) - getCreditLineBalance(line, asOf));
+}
+
+/**
+ * Interest-only minimum payment on a line of credit for the month containing asOf
+ */
+export function getCreditLineMonthlyInterest(line: CreditLineData, asOf: string | Date = new Date()): number {
+  return getCreditLineBalance(line, asOf) * getCreditLineRate(line, asOf) / 12;
+}
+
+/**
+ * Interest accrued on a line of credit from one date up to (not including) another
+ * Interest accrues daily on the balance owing, re-pricing at each draw, repayment and
+ * (for variable lines) prime rate change.
+ *
+ * @param line Line of credit
+ * @param from First day of interest (YYYY-MM-DD or Date)
+ * @param to Day after the last day of interest (YYYY-MM-DD or Date)
+ */
+export function getCreditLineInterestBetween(line: CreditLineData, from: string | Date, to: string | Date): number {
+  let start = toDateKey(from);
+  const end = toDateKey(to);
+  if (line.startDate && start < line.startDate) {
+    start = line.startDate;
+  }
+  if (start >= end) {
+    return 0;
+  }
+
+  // Split the period wherever the balance or the rate changes
+  const breakpoints = new Set<string>([start, end]);
+  getSortedTransactions(line).forEach((transaction) => {
+    if (transaction.date > start && transaction.date < end) breakpoints.add(transaction.date);
+  });
+  if (isVariableRateMortgage(line)) {
+    getPrimeRateHistory().forEach((entry) => {
+      if (entry.effectiveDate > start && entry.effectiveDate < end) breakpoints.add(entry.effectiveDate);
+    });
+  }
+
+  const dates = [...breakpoints].sort();
+  let interest = 0;
+  for (let index = 0; index < dates.length - 1; index++) {
+    const days = daysBetween(dates[index], dates[index + 1]);
+    interest += getCreditLineBalance(line, dates[index]) * getCreditLineRate(line, dates[index]) * days / 365;
+  }
+  return interest;
+}
+
+/**
+ * Forward-looking yearly summaries for a line of credit, in the same shape as mortgage summaries.
+ * Each year is paid interest only; repayments recorded in the year count as principal and draws
+ * dated in the future raise the balance from their date. Without future transactions the
+ * balance stays where it is.
+ *
+ * @param line Line of credit
+ * @param yearsAhead Maximum number of years to project forward
+ */
+export function getCreditLineYearlySummary(line: CreditLineData, yearsAhead = 30): MortgageYearlySummary[] {
+  if (!line || yearsAhead <= 0) {
+    return [];
+  }
+
+  const today = toDateKey(new Date());
+  const transactions = getSortedTransactions(line);
+  const summaries: MortgageYearlySummary[] = [];
+
+  for (let year = 1; year <= yearsAhead; year++) {
+    const from = addYears(today, year - 1);
+    const to = addYears(today, year);
+
+    const totalInterest = getCreditLineInterestBetween(line, from, to);
+    const totalPrincipal = transactions
+      .filter((transaction) => transaction.type === 'REPAYMENT' && transaction.date > from && transaction.date <= to)
+      .reduce((sum, transaction) => sum + (Number(transaction.amount) || 0), 0);
+    const endingBalance = getCreditLineBalance(line, to);
+
+    summaries.push({
+      year,
+      totalPayment: totalInterest + totalPrincipal,
+      totalPrincipal,
+      totalInterest,
+      endingBalance,
+      payments: 12,
+    });
+
+    if (endingBalance <= 0 && !transactions.some((transaction) => transaction.date > to)) {
+      break;
+    }
+  }
+
+  return summaries;
+}
+
+/**
+ * Line of credit activity grouped by calendar month, in the same shape as mortgage monthly summaries.
+ * Each month pays the interest accrued in it; repayments dated in the month count as principal.
+ *
+ * @param line Line of credit
+ * @param months Calendar months to summarize (YYYY-MM), in order
+ */
+export function getCreditLineMonthlySummary(line: CreditLineData, months: string[]): MortgageMonthlySummary[] {
+  if (!line) {
+    return [];
+  }
+
+  const transactions = getSortedTransactions(line);
+
+  return months.map((month) => {
+    const from = `${month}-01`;
+    const to = getNextMonthStart(month);
+    const totalInterest = getCreditLineInterestBetween(line, from, to);
+    const totalPrincipal = transactions
+      .filter((transaction) => transaction.type === 'REPAYMENT' && transaction.date >= from && transaction.date < to)
+      .reduce((sum, transaction) => sum + (Number(transaction.amount) || 0), 0);
+
+    return {
+      month,
+      openingBalance: getCreditLineBalance(line, addDays(from, -1)),
+      totalPayment: totalInterest + totalPrincipal,
+      totalPrincipal,
+      totalInterest,
+      endingBalance: getCreditLineBalance(line, addDays(to, -1)),
+      payments: 1,
+    };
+  });
+}
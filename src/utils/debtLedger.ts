@@ -0,0 +1,184 @@
+/**
+ * Debt payments in the expense ledger
+ * Interest on a property's debts is derived from their schedules rather than entered by hand:
+ * each payment's interest is an "Interest & Bank Charges" expense (CRA T776 line 8710), and its
+ * principal is a non-deductible equity transfer kept under "Mortgage (Principal)". Lines of credit
+ * post the interest accrued each month and their recorded repayments.
+ *
+ * Posted entries are marked system-generated in expense_data so they can be replaced whenever
+ * the schedule changes, and kept apart from expenses entered by hand. Interest entered by hand
+ * before the ledger existed is left in unless the row is marked coveredByDebtLedger.
+ */
+
+import { calculateAmortizationSchedule } from './mortgageCalculator';
+import { isCreditLine, getCreditLineInterestBetween } from './creditLine';
+import { DEBT_TYPE_LABELS } from './propertyDebts';
+import type { DebtType, PropertyDebt } from './propertyDebts';
+import { normalizeMortgageTransfers } from './mortgageTransfers';
+
+export const DEBT_LEDGER_SOURCE = 'DEBT_SCHEDULE';
+export const INTEREST_EXPENSE_CATEGORY = 'Interest & Bank Charges';
+export const PRINCIPAL_EXPENSE_CATEGORY = 'Mortgage (Principal)';
+export const INTEREST_CRA_CODE = '8710';
+
+export type DebtLedgerEntryType = 'INTEREST' | 'PRINCIPAL';
+
+export interface DebtLedgerExpenseData {
+  systemGenerated: true;
+  source: typeof DEBT_LEDGER_SOURCE;
+  debtId: string;
+  entryType: DebtLedgerEntryType;
+  craCode: string | null;
+  deductible: boolean;
+}
+
+export interface DebtLedgerEntry {
+  propertyId: string; // Property the debt was on when the payment was made
+  date: string; // YYYY-MM-DD
+  amount: number;
+  category: string;
+  description: string;
+  expenseData: DebtLedgerExpenseData;
+}
+
+/**
+ * Whether an expense row was posted from a debt schedule
+ * Accepts API rows (expense_data) and mapped expenses (expenseData).
+ */
+export function isGeneratedDebtExpense(expense: any): boolean {
+  const data = expense?.expense_data ?? expense?.expenseData;
+  return data?.systemGenerated === true && data?.source === DEBT_LEDGER_SOURCE;
+}
+
+/**
+ * Whether an expense row entered by hand looks like interest, either under the interest
+ * category or as "Interest & bank charges" under Other. Such rows may also hold bank charges
+ * or interest on other borrowing, so they are only left out once marked as covered.
+ */
+export function isManualInterestExpense(expense: any): boolean {
+  if (!expense || isGeneratedDebtExpense(expense)) {
+    return false;
+  }
+  if (expense.category === INTEREST_EXPENSE_CATEGORY || expense.category === 'Interest') {
+    return true;
+  }
+  return (expense.category || 'Other') === 'Other' && /^\s*interest\b/i.test(expense.description || '');
+}
+
+/**
+ * Whether an expense row entered by hand is mortgage or line of credit interest that the ledger
+ * now derives from the property's debts, as marked by the user (expense_data.coveredByDebtLedger).
+ * These rows would count the interest twice.
+ */
+export function isLedgerCoveredExpense(expense: any): boolean {
+  const data = expense?.expense_data ?? expense?.expenseData;
+  return !isGeneratedDebtExpense(expense) && data?.coveredByDebtLedger === true;
+}
+
+function roundCents(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+function getLastDayOfMonth(monthStart: string): string {
+  const [year, month] = monthStart.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return `${monthStart.slice(0, 8)}${String(lastDay).padStart(2, '0')}`;
+}
+
+function getNextMonthStart(monthStart: string): string {
+  const [year, month] = monthStart.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * Property a debt was on for a date: ported mortgages belong to the property they were ported
+ * from until the closing date. null once a buyer has assumed the mortgage.
+ */
+function getDebtPropertyOn(debt: PropertyDebt, propertyId: string, date: string): string | null {
+  let owner: string | null = propertyId;
+  const transfers = normalizeMortgageTransfers(debt.transfers);
+  for (let index = transfers.length - 1; index >= 0; index--) {
+    const transfer = transfers[index];
+    if (transfer.date <= date) break;
+    owner = transfer.fromPropertyId;
+  }
+  const assumed = transfers.find((transfer) => transfer.type === 'ASSUMPTION');
+  return assumed && assumed.date <= date ? null : owner;
+}
+
+/**
+ * Interest and principal ledger entries for one debt, for payments up to and including a date
+ * @param debt Debt mapped with mapApiDebtToFrontend
+ * @param propertyId Property the debt is on now
+ * @param through Last payment date to post (YYYY-MM-DD)
+ */
+export function getDebtLedgerEntries(debt: PropertyDebt, propertyId: string, through: string): DebtLedgerEntry[] {
+  if (!debt?.startDate) {
+    return [];
+  }
+
+  const debtId = debt.id || '';
+  const debtLabel = DEBT_TYPE_LABELS[(debt.debtType || 'MORTGAGE') as DebtType] || DEBT_TYPE_LABELS.MORTGAGE;
+  const name = debt.lender ? `${debt.lender} ${debtLabel.toLowerCase()}` : debtLabel;
+  const entries: DebtLedgerEntry[] = [];
+
+  const post = (date: string, entryType: DebtLedgerEntryType, amount: number) => {
+    const owner = getDebtPropertyOn(debt, propertyId, date);
+    const rounded = roundCents(amount);
+    if (!owner || rounded <= 0) return;
+    const isInterest = entryType === 'INTEREST';
+    entries.push({
+      propertyId: owner,
+      date,
+      amount: rounded,
+      category: isInterest ? INTEREST_EXPENSE_CATEGORY : PRINCIPAL_EXPENSE_CATEGORY,
+      description: isInterest ? `${name} interest` : `${name} principal (equity, not deductible)`,
+      expenseData: {
+        systemGenerated: true,
+        source: DEBT_LEDGER_SOURCE,
+        debtId,
+        entryType,
+        craCode: isInterest ? INTEREST_CRA_CODE : null,
+        deductible: isInterest,
+      },
+    });
+  };
+
+  if (isCreditLine(debt)) {
+    // Interest accrued over each calendar month, posted on its last day
+    for (let monthStart = `${debt.startDate.slice(0, 7)}-01`; getLastDayOfMonth(monthStart) <= through; monthStart = getNextMonthStart(monthStart)) {
+      post(getLastDayOfMonth(monthStart), 'INTEREST', getCreditLineInterestBetween(debt, monthStart, getNextMonthStart(monthStart)));
+    }
+    (debt.transactions || [])
+      .filter((transaction) => transaction.type === 'REPAYMENT' && transaction.date <= through)
+      .forEach((transaction) => post(transaction.date, 'PRINCIPAL', Number(transaction.amount) || 0));
+    return entries;
+  }
+
+  calculateAmortizationSchedule(debt).payments
+    .filter((payment) => payment.paymentDate <= through)
+    .forEach((payment) => {
+      post(payment.paymentDate, 'INTEREST', payment.interest);
+      post(payment.paymentDate, 'PRINCIPAL', payment.principal);
+    });
+  return entries;
+}
+
+/**
+ * Interest and principal posted to a property in a calendar year
+ */
+export function getLedgerTotalsForYear(
+  entries: DebtLedgerEntry[],
+  propertyId: string,
+  year: number
+): { interest: number; principal: number } {
+  const yearKey = String(year);
+  return entries
+    .filter((entry) => entry.propertyId === propertyId && entry.date.startsWith(yearKey))
+    .reduce(
+      (sum, entry) => entry.expenseData.entryType === 'INTEREST'
+        ? { ...sum, interest: sum.interest + entry.amount }
+        : { ...sum, principal: sum.principal + entry.amount },
+      { interest: 0, principal: 0 }
+    );
+}
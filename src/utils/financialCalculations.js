@@ -10,7 +10,7 @@
  * All calculations follow standard real estate investment principles.
  */
 
-import { getMonthlyMortgagePayment, getMonthlyMortgageInterest, getAnnualMortgageInterest } from './mortgageCalculator';
+import { getDebtYearlySummary, getTotalMonthlyDebtPayment, getTotalDebtBalance, getTotalAnnualDebtInterest } from './propertyDebts';
 import { calculateLTT as calculateLTTUnified, calculateIRR as calculateIRRUnified, buildProjectCashFlows } from './mathEngine';
 
 /**
@@ -57,37 +57,8 @@ const deriveMonthlyMortgagePayment = (property) => {
     return precomputed;
   }
 
-  const mortgage = property.mortgage;
-  if (!mortgage) {
-    return 0;
-  }
-
-  try {
-    const payment = getMonthlyMortgagePayment(mortgage);
-    if (Number.isFinite(payment) && payment > 0) {
-      return payment;
-    }
-  } catch (error) {
-    // Fallback to manual calculation below
-  }
-
-  const principal = Number(mortgage.originalAmount) || 0;
-  const annualRate = Number(mortgage.interestRate) || 0;
-  const amortizationYears = Number(mortgage.amortizationYears) || 0;
-
-  if (principal <= 0 || amortizationYears <= 0) {
-    return 0;
-  }
-
-  const totalPayments = amortizationYears * 12;
-  const monthlyRate = annualRate > 0 ? annualRate / 12 : 0;
-
-  if (monthlyRate === 0) {
-    return principal / totalPayments;
-  }
-
-  const factor = Math.pow(1 + monthlyRate, totalPayments);
-  return principal * (monthlyRate * factor) / (factor - 1);
+  // Debt service across every lien on the property (first mortgage, second mortgage, HELOC)
+  return getTotalMonthlyDebtPayment(property);
 };
 
 export function calculateAnnualOperatingExpenses(property) {
@@ -293,22 +264,8 @@ export function calculateIRR(property, years = 5, exitCapRate = null, sellingCos
     sellingCostsPercent,
     calculateAnnualCashFlow: calculateAnnualCashFlow,
     calculateNOI: calculateNOI,
-    getMonthlyMortgagePayment: (mortgage) => {
-      if (!mortgage) return 0;
-      try {
-        return getMonthlyMortgagePayment(mortgage);
-      } catch (e) {
-        return deriveMonthlyMortgagePayment({ mortgage });
-      }
-    },
-    getMonthlyMortgageInterest: (mortgage) => {
-      if (!mortgage) return 0;
-      try {
-        return getMonthlyMortgageInterest(mortgage);
-      } catch (e) {
-        return 0;
-      }
-    },
+    getDebtYearlySummary: getDebtYearlySummary,
+    getTotalDebtBalance: getTotalDebtBalance,
   });
   
   if (cashFlows.length < 2) {
@@ -349,7 +306,7 @@ export function calculatePortfolioMetrics(properties) {
 
   const totalValue = properties.reduce((sum, property) => sum + (property.currentMarketValue || 0), 0);
   const totalInvestment = properties.reduce((sum, property) => sum + (property.totalInvestment || 0), 0);
-  const totalMortgageBalance = properties.reduce((sum, property) => sum + (property.mortgage?.remainingBalance || 0), 0);
+  const totalMortgageBalance = properties.reduce((sum, property) => sum + getTotalDebtBalance(property), 0);
   const totalEquity = totalValue - totalMortgageBalance;
   
   const totalMonthlyRent = properties.reduce((sum, property) => sum + (property.rent?.monthlyRent || 0), 0);
@@ -411,7 +368,7 @@ export function updatePropertyFinancialMetrics(property) {
 
 /**
  * Calculate annual tax savings from mortgage interest deduction
- * Mortgage interest is tax-deductible for rental properties in Canada
+ * Interest on every debt secured against a rental property is tax-deductible in Canada
  * 
  * @param {Object} property - Property object with mortgage
  * @param {number} marginalTaxRate - Optional marginal tax rate as decimal (e.g., 0.40 for 40%)
@@ -424,7 +381,7 @@ export function calculateAnnualTaxSavings(property, marginalTaxRate = null) {
   }
 
   try {
-    const annualInterest = getAnnualMortgageInterest(property.mortgage);
+    const annualInterest = getTotalAnnualDebtInterest(property);
     
     // If tax rate not provided, estimate based on typical investor income
     // Assume $150k annual income (middle-high bracket)
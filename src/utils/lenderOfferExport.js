@@ -0,0 +1,116 @@
+/**
+ * Lender Offer Export Utilities
+ * Exports a lender offer comparison as a one-page PDF, offers as columns
+ */
+
+import { jsPDF } from 'jspdf';
+import { OFFER_PENALTY_METHOD_LABELS, WORST_CASE_RATE_DROP } from './lenderOffers';
+
+const formatMoney = (value) =>
+  typeof value === 'number' && Number.isFinite(value)
+    ? `$${value.toLocaleString('en-CA', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
+    : '-';
+
+const formatPercent = (value) =>
+  typeof value === 'number' && Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : '-';
+
+/**
+ * Rows of the comparison table: label followed by one cell per offer
+ */
+export function prepareLenderOfferRows(offers, comparison) {
+  const offerById = new Map(offers.map((offer) => [offer.id, offer]));
+  const results = comparison.results;
+  const row = (label, value) => [label, ...results.map((result) => value(result, offerById.get(result.offerId) || {}))];
+
+  const rows = [
+    row('Lender', (result) => result.lender || 'Offer'),
+    row('Rate', (result, offer) => `${formatPercent(offer.rate)} ${offer.rateType === 'VARIABLE' ? 'variable' : 'fixed'}`),
+    row('Term / amortization', (result, offer) => `${offer.termMonths / 12} yr / ${offer.amortizationYears} yr`),
+    row('Payment frequency', (result, offer) => String(offer.paymentFrequency || '').replace(/_/g, ' ').toLowerCase()),
+    row('Payment', (result) => formatMoney(result.payment)),
+    row('Cashback', (result, offer) => formatMoney(Number(offer.cashback) || 0)),
+    row('Fees', (result, offer) => formatMoney(Number(offer.fees) || 0)),
+    row('Lump-sum privilege', (result) => (result.lumpSumLimit === null ? 'Not recorded' : `${formatMoney(result.lumpSumLimit)}/yr`)),
+    row('Penalty method', (result, offer) => OFFER_PENALTY_METHOD_LABELS[offer.penaltyMethod] || '-'),
+    row('Portable', (result) => (result.portable ? 'Yes' : 'No')),
+    row('Total interest over term', (result) => formatMoney(result.totalInterest)),
+    row('Balance at term end', (result) => formatMoney(result.balanceAtTermEnd)),
+    row('APR (with fees & cashback)', (result) => formatPercent(result.apr)),
+  ];
+
+  [2, 3].forEach((year) => {
+    rows.push(row(`Penalty to break in year ${year}`, (result) => {
+      const penalty = result.breakPenalties.find((item) => item.year === year);
+      return penalty ? `${formatMoney(penalty.penalty)} - ${formatMoney(penalty.worstCasePenalty)}` : 'Term ended';
+    }));
+  });
+
+  return rows;
+}
+
+/**
+ * Export a lender offer comparison as PDF
+ * @param {Array} offers - Offers as entered
+ * @param {Object} comparison - Result of compareLenderOffers
+ * @param {Object} options - { title, propertyName }
+ */
+export function exportLenderOffersAsPDF(offers, comparison, { title = 'Lender Offer Comparison', propertyName = '' } = {}) {
+  const rows = prepareLenderOfferRows(offers, comparison);
+
+  const pdf = new jsPDF('landscape', 'mm', 'a4');
+  const pdfWidth = pdf.internal.pageSize.getWidth();
+  const pageMargin = 10;
+
+  // Title
+  pdf.setFontSize(18);
+  pdf.setTextColor(32, 90, 62); // Bonsai green
+  pdf.text(title, pdfWidth / 2, 15, { align: 'center' });
+  pdf.setFontSize(11);
+  pdf.setTextColor(0, 0, 0);
+  const subtitle = [
+    propertyName,
+    `Principal ${formatMoney(comparison.principal)}`,
+    `Starting ${comparison.startDate}`,
+  ].filter(Boolean).join('  |  ');
+  pdf.text(subtitle, pdfWidth / 2, 22, { align: 'center' });
+  pdf.text(`Generated: ${new Date().toLocaleDateString()}`, pdfWidth / 2, 28, { align: 'center' });
+
+  // Table settings
+  const rowHeight = 7;
+  const labelWidth = 60;
+  const offerWidth = Math.min(55, (pdfWidth - pageMargin * 2 - labelWidth) / Math.max(1, comparison.results.length));
+  let currentY = 38;
+
+  pdf.setFontSize(9);
+  rows.forEach((row, rowIdx) => {
+    let xPos = pageMargin;
+    row.forEach((cell, colIdx) => {
+      const colWidth = colIdx === 0 ? labelWidth : offerWidth;
+
+      // Style header row
+      if (rowIdx === 0) {
+        pdf.setFont(undefined, 'bold');
+        pdf.setFillColor(232, 245, 233);
+        pdf.rect(xPos, currentY - 5, colWidth, rowHeight, 'F');
+      } else if (colIdx === 0) {
+        pdf.setFont(undefined, 'bold');
+      }
+
+      pdf.text(String(cell), xPos + 2, currentY, { maxWidth: colWidth - 4 });
+      pdf.setFont(undefined, 'normal');
+      xPos += colWidth;
+    });
+    currentY += rowHeight;
+  });
+
+  pdf.setFontSize(8);
+  pdf.setTextColor(90, 90, 90);
+  pdf.text(
+    `Penalties are estimated with today's posted rates; the higher figure assumes rates have fallen ${(WORST_CASE_RATE_DROP * 100).toFixed(2)}% by then.`,
+    pageMargin,
+    currentY + 4
+  );
+
+  const filename = `Bonzai-Lender-Offers-${new Date().toISOString().split('T')[0]}.pdf`;
+  pdf.save(filename);
+}
@@ -0,0 +1,247 @@
+/**
+ * Lender offer comparison
+ * Runs each quote over its own term from the same principal and start date so offers with
+ * different rates, terms, frequencies, cashback and fees can be compared side by side.
+ */
+
+import { calculateAmortizationSchedule, getPaymentsPerYear } from './mortgageCalculator';
+import { IRD_METHOD_LABELS, calculateBreakPenalty, findLenderRateTable } from './breakPenalty';
+import type { IrdMethod } from './breakPenalty';
+import type { PaymentScheduleItem } from './mortgageCalculator';
+import type { PrepaymentPrivileges } from './prepaymentPrivileges';
+
+export type OfferPenaltyMethod = IrdMethod | 'THREE_MONTHS_INTEREST';
+
+export const OFFER_PENALTY_METHOD_LABELS: Record<OfferPenaltyMethod, string> = {
+  ...IRD_METHOD_LABELS,
+  THREE_MONTHS_INTEREST: "3 months' interest only",
+};
+
+// Years into the term to estimate a break penalty for
+export const BREAK_YEARS = [2, 3];
+// Worst case assumes rates have fallen this much by the time the mortgage is broken (as decimal)
+export const WORST_CASE_RATE_DROP = 0.01;
+
+export interface LenderOffer {
+  id: string;
+  lender: string;
+  rate: number; // as decimal
+  rateType: string; // FIXED or VARIABLE
+  termMonths: number;
+  amortizationYears: number;
+  paymentFrequency: string;
+  cashback: number; // Paid to the borrower at closing
+  fees: number; // Lender, broker and appraisal fees
+  prepaymentPrivileges?: PrepaymentPrivileges | null;
+  penaltyMethod: OfferPenaltyMethod;
+  portable: boolean;
+}
+
+export interface OfferBreakPenalty {
+  year: number;
+  balance: number;
+  penalty: number; // Rates unchanged
+  worstCasePenalty: number; // Rates down WORST_CASE_RATE_DROP
+  penaltyType: 'IRD' | 'THREE_MONTHS_INTEREST' | 'NONE';
+}
+
+export interface LenderOfferResult {
+  offerId: string;
+  lender: string;
+  payment: number; // Per payment at the offer's frequency
+  monthlyPayment: number; // Monthly equivalent
+  totalInterest: number; // Over the term
+  totalPaid: number; // Over the term
+  balanceAtTermEnd: number;
+  termEndDate: string;
+  apr: number; // Annual cost of borrowing including fees and cashback, as decimal
+  lumpSumLimit: number | null; // Yearly lump-sum privilege in dollars
+  breakPenalties: OfferBreakPenalty[];
+  worstCasePenalty: number;
+  portable: boolean;
+}
+
+export interface LenderOfferComparison {
+  principal: number;
+  startDate: string;
+  results: LenderOfferResult[];
+  lowestInterest: string | null; // offerId
+  lowestApr: string | null;
+  lowestWorstCasePenalty: string | null;
+}
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function addMonths(dateKey: string, months: number): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Periodic rate that discounts the payments and the balance at term end back to the net advance
+ * Found by bisection; the net advance is the principal plus cashback less fees.
+ */
+function solvePeriodicRate(netAdvance: number, payments: number[], finalBalance: number): number {
+  const presentValue = (rate: number) => {
+    let value = 0;
+    let factor = 1;
+    payments.forEach((payment) => {
+      factor /= 1 + rate;
+      value += payment * factor;
+    });
+    return value + finalBalance * factor;
+  };
+
+  let low = -0.99;
+  let high = 1;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > netAdvance) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function getOfferBreakPenalty(
+  offer: LenderOffer,
+  schedule: PaymentScheduleItem[],
+  principal: number,
+  startDate: string,
+  year: number
+): OfferBreakPenalty | null {
+  const monthsRemaining = offer.termMonths - year * 12;
+  if (monthsRemaining <= 0) {
+    return null; // Term is over by then
+  }
+
+  const breakDate = addMonths(startDate, year * 12);
+  const lastPayment = schedule.filter((payment) => payment.paymentDate <= breakDate).pop();
+  const balance = lastPayment ? lastPayment.remainingBalance : principal;
+  const threeMonthsOnly = offer.penaltyMethod === 'THREE_MONTHS_INTEREST';
+  const input = {
+    balance,
+    contractRate: offer.rate,
+    monthsRemaining,
+    rateType: offer.rateType,
+    method: threeMonthsOnly ? 'POSTED_RATE_DISCOUNT' as IrdMethod : offer.penaltyMethod as IrdMethod,
+    table: findLenderRateTable(offer.lender),
+    termStartDate: startDate,
+    termMonths: offer.termMonths,
+    asOf: breakDate,
+  };
+
+  const unchanged = calculateBreakPenalty(input);
+  if (threeMonthsOnly) {
+    return {
+      year,
+      balance,
+      penalty: unchanged.threeMonthsInterest,
+      worstCasePenalty: unchanged.threeMonthsInterest,
+      penaltyType: 'THREE_MONTHS_INTEREST',
+    };
+  }
+
+  const ratesDown = unchanged.comparisonRate === null
+    ? unchanged
+    : calculateBreakPenalty({ ...input, comparisonRate: Math.max(0, unchanged.comparisonRate - WORST_CASE_RATE_DROP) });
+
+  return {
+    year,
+    balance,
+    penalty: unchanged.penalty,
+    worstCasePenalty: Math.max(unchanged.penalty, ratesDown.penalty),
+    penaltyType: ratesDown.penaltyType,
+  };
+}
+
+/**
+ * Run one offer over its term
+ */
+export function evaluateLenderOffer(offer: LenderOffer, principal: number, startDate: string | Date): LenderOfferResult {
+  const start = toDateKey(startDate);
+  const termEndDate = addMonths(start, offer.termMonths);
+  const schedule = calculateAmortizationSchedule({
+    lender: offer.lender,
+    originalAmount: principal,
+    interestRate: offer.rate,
+    rateType: offer.rateType,
+    termMonths: offer.termMonths,
+    amortizationYears: offer.amortizationYears,
+    paymentFrequency: offer.paymentFrequency,
+    startDate: start,
+  }).payments;
+
+  const inTerm = schedule.filter((payment) => payment.paymentDate < termEndDate);
+  const payment = inTerm[0]?.monthlyPayment ?? 0;
+  const totalInterest = inTerm.reduce((sum, item) => sum + item.interest, 0);
+  const totalPaid = inTerm.reduce((sum, item) => sum + item.monthlyPayment, 0);
+  const balanceAtTermEnd = inTerm.length > 0 ? inTerm[inTerm.length - 1].remainingBalance : principal;
+
+  const paymentsPerYear = getPaymentsPerYear(offer.paymentFrequency);
+  const netAdvance = principal + (Number(offer.cashback) || 0) - (Number(offer.fees) || 0);
+  const apr = inTerm.length > 0
+    ? solvePeriodicRate(netAdvance, inTerm.map((item) => item.monthlyPayment), balanceAtTermEnd) * paymentsPerYear
+    : 0;
+
+  const breakPenalties = BREAK_YEARS
+    .map((year) => getOfferBreakPenalty(offer, schedule, principal, start, year))
+    .filter((penalty): penalty is OfferBreakPenalty => penalty !== null);
+  const lumpSumRatio = offer.prepaymentPrivileges?.lumpSumRatio;
+
+  return {
+    offerId: offer.id,
+    lender: offer.lender,
+    payment,
+    monthlyPayment: payment * paymentsPerYear / 12,
+    totalInterest,
+    totalPaid,
+    balanceAtTermEnd,
+    termEndDate,
+    apr,
+    lumpSumLimit: typeof lumpSumRatio === 'number' ? principal * lumpSumRatio : null,
+    breakPenalties,
+    worstCasePenalty: breakPenalties.reduce((worst, item) => Math.max(worst, item.worstCasePenalty), 0),
+    portable: !!offer.portable,
+  };
+}
+
+function lowestBy(results: LenderOfferResult[], value: (result: LenderOfferResult) => number): string | null {
+  if (results.length === 0) {
+    return null;
+  }
+  return results.reduce((lowest, result) => (value(result) < value(lowest) ? result : lowest)).offerId;
+}
+
+/**
+ * Compare lender offers on the same principal and start date
+ */
+export function compareLenderOffers(
+  offers: LenderOffer[],
+  principal: number,
+  startDate: string | Date = new Date()
+): LenderOfferComparison {
+  const results = offers
+    .filter((offer) => offer.rate >= 0 && offer.termMonths > 0 && offer.amortizationYears > 0)
+    .map((offer) => evaluateLenderOffer(offer, principal, startDate));
+
+  return {
+    principal,
+    startDate: toDateKey(startDate),
+    results,
+    lowestInterest: lowestBy(results, (result) => result.totalInterest),
+    lowestApr: lowestBy(results, (result) => result.apr),
+    lowestWorstCasePenalty: lowestBy(results, (result) => result.worstCasePenalty),
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Loan types
+ * Bank mortgages amortize with a level payment. Private second mortgages and vendor take-back
+ * loans are often structured differently:
+ * - Interest-only: each payment is the interest; the full principal is due at maturity
+ * - Balloon: payments amortize over the amortization period, but the balance is due at maturity
+ * - Fixed principal: the same principal every payment plus interest on the declining balance
+ * At maturity a balloon is either paid off or refinanced into a new term.
+ */
+
+export type LoanType = 'AMORTIZING' | 'INTEREST_ONLY' | 'BALLOON' | 'FIXED_PRINCIPAL';
+
+export const LOAN_TYPE_LABELS: Record<LoanType, string> = {
+  AMORTIZING: 'Amortizing',
+  INTEREST_ONLY: 'Interest-only',
+  BALLOON: 'Balloon',
+  FIXED_PRINCIPAL: 'Fixed principal',
+};
+
+export type MaturityAction = 'PAYOFF' | 'REFINANCE';
+
+export const MATURITY_ACTION_LABELS: Record<MaturityAction, string> = {
+  PAYOFF: 'Pay off at maturity',
+  REFINANCE: 'Refinance at maturity',
+};
+
+export interface LoanTerms {
+  loanType?: LoanType | string | null;
+  maturityAction?: MaturityAction | string | null; // Interest-only and balloon loans (defaults to PAYOFF)
+  interestReserve?: number | null; // Interest held back from the advance to cover the first payments
+  lenderFee?: number | null; // Lender and broker fees deducted at funding
+}
+
+/**
+ * Loan type of a debt; anything unrecorded or unknown amortizes normally
+ */
+export function getLoanType(loan: LoanTerms | null | undefined): LoanType {
+  const loanType = String(loan?.loanType || '').toUpperCase();
+  return loanType in LOAN_TYPE_LABELS ? loanType as LoanType : 'AMORTIZING';
+}
+
+/**
+ * Whether the balance is due in one payment when the last recorded term matures
+ */
+export function hasBalloonAtMaturity(loan: LoanTerms | null | undefined): boolean {
+  const loanType = getLoanType(loan);
+  return (loanType === 'INTEREST_ONLY' || loanType === 'BALLOON') &&
+    String(loan?.maturityAction || 'PAYOFF').toUpperCase() !== 'REFINANCE';
+}
+
+/**
+ * Interest reserve still to be drawn when the loan is funded
+ */
+export function getInterestReserve(loan: LoanTerms | null | undefined): number {
+  return Math.max(0, Number(loan?.interestReserve) || 0);
+}
+
+/**
+ * Lender and broker fees paid when the loan is funded
+ */
+export function getLenderFee(loan: LoanTerms | null | undefined): number {
+  return Math.max(0, Number(loan?.lenderFee) || 0);
+}
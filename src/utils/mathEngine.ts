@@ -329,8 +329,8 @@ export interface BuildCashFlowsOptions {
   // Import these from financialCalculations - will need to be passed or imported
   calculateAnnualCashFlow?: (property: any) => number;
   calculateNOI?: (property: any) => number;
-  getMonthlyMortgagePayment?: (mortgage: any) => number;
-  getMonthlyMortgageInterest?: (mortgage: any) => number;
+  getDebtYearlySummary?: (property: any, yearsAhead: number) => Array<{ endingBalance: number }>;
+  getTotalDebtBalance?: (property: any) => number;
 }
 
 export function buildProjectCashFlows(
@@ -343,8 +343,8 @@ export function buildProjectCashFlows(
     sellingCostsPercent = 5.0,
     calculateAnnualCashFlow,
     calculateNOI,
-    getMonthlyMortgagePayment,
-    getMonthlyMortgageInterest,
+    getDebtYearlySummary,
+    getTotalDebtBalance,
   } = options;
 
   if (!property || !property.totalInvestment || property.totalInvestment <= 0) {
@@ -352,7 +352,7 @@ export function buildProjectCashFlows(
   }
 
   // Validate required functions are provided
-  if (!calculateAnnualCashFlow || !calculateNOI || !getMonthlyMortgagePayment || !getMonthlyMortgageInterest) {
+  if (!calculateAnnualCashFlow || !calculateNOI || !getDebtYearlySummary || !getTotalDebtBalance) {
     throw new Error('buildProjectCashFlows requires calculation functions to be provided');
   }
 
@@ -396,14 +396,12 @@ export function buildProjectCashFlows(
     futureValue = currentValue * Math.pow(1.03, years);
   }
 
-  // Calculate remaining mortgage balance (simplified)
-  const mortgageBalance = property.mortgage?.remainingBalance || property.mortgage?.originalAmount || 0;
-  const monthlyMortgagePayment = getMonthlyMortgagePayment(property.mortgage) || 0;
-  const monthlyInterest = getMonthlyMortgageInterest(property.mortgage) || 0;
-  const annualMortgagePayment = monthlyMortgagePayment * 12;
-  const annualInterest = monthlyInterest * 12;
-  const annualPrincipal = annualMortgagePayment - annualInterest;
-  const futureMortgageBalance = Math.max(0, mortgageBalance - (annualPrincipal * years));
+  // Remaining balance at exit from the forward schedule of every debt on the property;
+  // lines of credit carry their balance, mortgages follow their renewals and payoff
+  const debtSummaries = getDebtYearlySummary(property, years);
+  const futureMortgageBalance = debtSummaries.length > 0
+    ? debtSummaries[debtSummaries.length - 1].endingBalance
+    : getTotalDebtBalance(property);
 
   const sellingCosts = futureValue * (sellingCostsPercent / 100);
   const netSaleProceeds = futureValue - futureMortgageBalance - sellingCosts;
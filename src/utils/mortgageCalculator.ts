@@ -2,8 +2,13 @@
 // Compatible with existing property data structure
 
 import { validateCustomSchedule } from './mathEngine';
+import { getPrimeRateOn } from './primeRateHistory';
+import { createPaymentEventCursor, getLatePaymentInterest, hasPaymentEvents } from './paymentEvents';
+import type { PaymentEvent, PaymentEventAdjustment, PaymentEventType } from './paymentEvents';
+import { getInterestReserve, getLenderFee, getLoanType, hasBalloonAtMaturity } from './loanTypes';
+import type { LoanTerms } from './loanTypes';
 
-export interface MortgageData {
+export interface MortgageData extends LoanTerms {
   lender: string;
   originalAmount: number;
   interestRate: number; // as decimal (e.g., 0.0269 for 2.69%)
@@ -13,6 +18,14 @@ export interface MortgageData {
   paymentFrequency: string;
   startDate: string;
   currentBalance?: number; // Optional: Current outstanding balance for existing mortgages
+  currentBalanceDate?: string; // Optional: Date currentBalance was reported for (e.g., a lender statement); without it the balance is today's
+  lenderSchedule?: PaymentScheduleItem[]; // Optional: Merged lender schedule from the mortgage_schedules table
+  variableRateSpread?: number; // Optional: Spread over prime as decimal (e.g., -0.005 for prime - 0.5%)
+  hasFixedPayments?: boolean; // Optional: Variable rate with a fixed payment (true) or adjustable payment (false)
+  triggerPointRatio?: number; // Optional: Balance (as a multiple of the original amount) at which the lender resets a fixed payment
+  renewals?: MortgageTerm[]; // Optional: Renewal terms after the original term (the mortgage itself is term 1)
+  futureRenewalRate?: number; // Optional: Rate (as decimal) assumed for renewals after the last recorded term
+  paymentEvents?: PaymentEvent[] | null; // Optional: Recorded deferrals, skipped and late payments
   // Note: For full amortization schedule accuracy, full payment history from the lender is required
 }
 
@@ -23,6 +36,30 @@ export interface PaymentScheduleItem {
   principal: number;
   interest: number;
   remainingBalance: number;
+  interestRate?: number; // Annual rate applied to this payment (variable-rate schedules)
+  negativeAmortization?: boolean; // Interest exceeded the payment, so the balance grew
+  paymentReset?: boolean; // Lender reset the payment after the balance reached the trigger point
+  scheduledPayment?: number; // Regular payment in effect for the period, whatever event falls on it (term chain schedules)
+  termNumber?: number; // Term in the renewal chain this payment belongs to
+  paymentEvent?: PaymentEventType; // Recorded deferral, skip or late payment
+  scheduledDate?: string; // Late payments: date the payment was due (paymentDate is when it was made)
+  fee?: number; // Fee for the event, added to the balance
+  balloonPayment?: number; // Balance paid off at maturity (included in principal and monthlyPayment)
+  paidFromReserve?: number; // Part of the payment drawn from the interest reserve rather than paid by the borrower
+}
+
+/**
+ * One term in a mortgage's renewal chain
+ */
+export interface MortgageTerm {
+  termNumber: number;
+  lender: string;
+  startDate: string; // YYYY-MM-DD
+  termMonths: number;
+  interestRate: number; // as decimal (e.g., 0.0479 for 4.79%)
+  rateType: string; // FIXED or VARIABLE
+  paymentAmount?: number | null; // Per-period payment set by the lender; calculated at renewal when absent
+  projected?: boolean; // Assumed renewal after the last recorded term
 }
 
 export interface AmortizationSchedule {
@@ -329,7 +366,58 @@ function buildRichmondSchedule(): PaymentScheduleItem[] {
   return payments;
 }
 
-const richmondMortgageSchedule: PaymentScheduleItem[] = buildRichmondSchedule();
+// -----------------------------
+// Bundled lender schedules
+// Schedules shipped with the seeded demo portfolio, keyed by mortgage number.
+// Every other mortgage loads its lender schedule from the mortgage_schedules table
+// (uploaded via /api/properties/[id]/mortgage/schedule) as `lenderSchedule`.
+// -----------------------------
+
+const BUNDLED_LENDER_SCHEDULES: Record<string, PaymentScheduleItem[]> = {
+  [RICHMOND_MORTGAGE_NUMBER]: buildRichmondSchedule(),
+};
+
+function normalizeScheduleItems(items: any[]): PaymentScheduleItem[] {
+  return items.map((item: any, index: number) => ({
+    paymentNumber: item.paymentNumber || index + 1,
+    paymentDate: item.paymentDate || item.date || '',
+    monthlyPayment: item.monthlyPayment || item.totalPayment || item.payment || 0,
+    principal: item.principal || 0,
+    interest: item.interest || 0,
+    remainingBalance: item.remainingBalance || item.balance || 0,
+  }));
+}
+
+/**
+ * Resolve the lender-provided schedule for a mortgage, if one exists.
+ * Precedence: stored lender schedule (mortgage_schedules table), then a
+ * customSchedule entered on the property, then a bundled demo schedule.
+ *
+ * @param mortgage Mortgage data
+ * @returns Lender payment schedule, or null when the schedule must be generated
+ */
+export function getLenderSchedule(mortgage: MortgageData): PaymentScheduleItem[] | null {
+  const mortgageAny = mortgage as any;
+
+  if (Array.isArray(mortgageAny.lenderSchedule) && mortgageAny.lenderSchedule.length > 0) {
+    return normalizeScheduleItems(mortgageAny.lenderSchedule);
+  }
+
+  if (Array.isArray(mortgageAny.customSchedule) && mortgageAny.customSchedule.length > 0) {
+    const validation = validateCustomSchedule(mortgageAny.customSchedule);
+    if (!validation.isValid && validation.warning) {
+      console.warn('Custom Schedule Validation:', validation.warning);
+      // Continue processing but log warning
+    }
+    return normalizeScheduleItems(mortgageAny.customSchedule);
+  }
+
+  if (mortgageAny.mortgageNumber && BUNDLED_LENDER_SCHEDULES[mortgageAny.mortgageNumber]) {
+    return BUNDLED_LENDER_SCHEDULES[mortgageAny.mortgageNumber];
+  }
+
+  return null;
+}
 
 export interface MortgageYearlySummary {
   /**
@@ -356,6 +444,29 @@ export interface MortgageYearlySummary {
    * Number of payments made during the year.
    */
   payments: number;
+  /**
+   * Balance paid off at maturity during the year (included in totalPayment and totalPrincipal).
+   */
+  balloonPayment?: number;
+  /**
+   * Part of the year's payments drawn from an interest reserve rather than paid by the borrower.
+   */
+  reservePaid?: number;
+}
+
+export interface MortgageMonthlySummary extends Omit<MortgageYearlySummary, 'year'> {
+  /**
+   * Calendar month (YYYY-MM).
+   */
+  month: string;
+  /**
+   * Balance owing at the start of the month.
+   */
+  openingBalance: number;
+  /**
+   * Lender fee paid when the loan funds in the month (not included in totalPayment).
+   */
+  lenderFee?: number;
 }
 
 /**
@@ -394,6 +505,13 @@ function normalizeFrequency(frequency: string): string {
   if (cleaned === 'semimonthly' || cleaned === 'semi-monthly' || cleaned === 'semi_monthly') {
     return 'semi-monthly';
   }
+  // Handle ACCELERATED_BI_WEEKLY / ACCELERATED_WEEKLY from the API
+  if (cleaned === 'accelerated-bi-weekly' || cleaned === 'accelerated-biweekly') {
+    return 'accelerated bi-weekly';
+  }
+  if (cleaned === 'accelerated-weekly') {
+    return 'accelerated weekly';
+  }
   return cleaned;
 }
 
@@ -421,7 +539,7 @@ function getTotalPayments(amortizationYears: number, paymentFrequency: string):
 /**
  * Get the number of payments made each year based on payment frequency.
  */
-function getPaymentsPerYear(paymentFrequency: string): number {
+export function getPaymentsPerYear(paymentFrequency: string): number {
   const freq = normalizeFrequency(paymentFrequency);
   switch (freq) {
     case 'monthly':
@@ -526,6 +644,785 @@ function getNextPaymentDate(startDate: Date, paymentNumber: number, paymentFrequ
   }
 }
 
+/**
+ * Check whether a mortgage is priced off prime
+ */
+export function isVariableRateMortgage(mortgage: MortgageData): boolean {
+  return (mortgage.rateType || '').toUpperCase() === 'VARIABLE';
+}
+
+/**
+ * Get the spread over prime for a variable-rate mortgage.
+ * Uses the stored spread when present, otherwise derives it from the contract
+ * rate and the prime rate in effect on the start date.
+ *
+ * @param mortgage Mortgage data
+ * @returns Spread as decimal (can be negative)
+ */
+export function getVariableRateSpread(mortgage: MortgageData): number {
+  if (typeof mortgage.variableRateSpread === 'number' && Number.isFinite(mortgage.variableRateSpread)) {
+    return mortgage.variableRateSpread;
+  }
+
+  const primeAtStart = getPrimeRateOn(mortgage.startDate);
+  if (primeAtStart === null) {
+    return 0;
+  }
+  return (mortgage.interestRate || 0) - primeAtStart;
+}
+
+/**
+ * Get periodic interest rate for a variable-rate mortgage
+ * Variable-rate mortgages compound monthly rather than semi-annually.
+ */
+function getVariablePeriodicRate(annualRate: number, paymentFrequency: string): number {
+  const paymentsPerYear = getPaymentsPerYear(paymentFrequency);
+  return Math.pow(1 + annualRate / 12, 12 / paymentsPerYear) - 1;
+}
+
+/**
+ * Level payment that amortizes a balance over the given number of payments
+ */
+function calculateLevelPayment(balance: number, periodicRate: number, numberOfPayments: number): number {
+  if (numberOfPayments <= 0) {
+    return balance;
+  }
+  if (periodicRate === 0) {
+    return balance / numberOfPayments;
+  }
+  return balance * (periodicRate * Math.pow(1 + periodicRate, numberOfPayments)) /
+         (Math.pow(1 + periodicRate, numberOfPayments) - 1);
+}
+
+// Default trigger point: most lenders reset a fixed payment once the balance reaches
+// 105% of the original principal
+const DEFAULT_TRIGGER_POINT_RATIO = 1.05;
+
+/**
+ * Get the balance at which the lender forces a fixed-payment reset
+ */
+export function getTriggerPointBalance(mortgage: MortgageData): number {
+  const ratio = typeof mortgage.triggerPointRatio === 'number' && mortgage.triggerPointRatio > 1
+    ? mortgage.triggerPointRatio
+    : DEFAULT_TRIGGER_POINT_RATIO;
+  return mortgage.originalAmount * ratio;
+}
+
+/**
+ * Reported balance a generated schedule is re-anchored to, and the first payment date it applies from.
+ * An undated currentBalance is today's balance, so it replaces the calculated balance from the next
+ * upcoming payment; a dated one (e.g. a balance adopted from a lender statement) applies from the
+ * first payment after its date.
+ */
+function getBalanceAnchor(mortgage: MortgageData): { balance: number; fromDate: string; dated: boolean } | null {
+  if (typeof mortgage.currentBalance !== 'number' || !(mortgage.currentBalance > 0)) {
+    return null;
+  }
+
+  if (mortgage.currentBalanceDate) {
+    const dayAfter = new Date(`${mortgage.currentBalanceDate.slice(0, 10)}T00:00:00Z`);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    return { balance: mortgage.currentBalance, fromDate: dayAfter.toISOString().split('T')[0], dated: true };
+  }
+
+  return { balance: mortgage.currentBalance, fromDate: new Date().toISOString().split('T')[0], dated: false };
+}
+
+/**
+ * Number of level payments that pay off a balance, or null when the payment doesn't cover the interest
+ */
+function getPaymentsToPayOff(balance: number, periodicRate: number, paymentAmount: number): number | null {
+  if (periodicRate <= 0) {
+    return paymentAmount > 0 ? Math.ceil(balance / paymentAmount) : null;
+  }
+  if (paymentAmount <= balance * periodicRate) {
+    return null;
+  }
+  return Math.ceil(-Math.log(1 - (balance * periodicRate) / paymentAmount) / Math.log(1 + periodicRate));
+}
+
+/**
+ * Split a period's payment into principal and interest, allowing for a recorded payment event.
+ * A deferred or skipped payment isn't made, so the interest is added to the balance; a late
+ * payment pays extra interest for the days it was late. The final payment clears the balance.
+ * With a scheduledPrincipal (interest-only and fixed-principal loans) the payment is that
+ * principal plus the period's interest instead of paymentAmount.
+ */
+function splitPeriodPayment(
+  balance: number,
+  periodicRate: number,
+  paymentAmount: number,
+  scheduledPrincipal: number | null,
+  paymentsPerYear: number,
+  paymentDateKey: string,
+  event: PaymentEventAdjustment | null,
+  isLastPayment: boolean
+): { principal: number; interest: number } {
+  let interest = balance * periodicRate;
+  if (event && event.type !== 'LATE') {
+    return { principal: -interest, interest };
+  }
+
+  let principal = scheduledPrincipal !== null ? scheduledPrincipal : paymentAmount - interest;
+  if (principal >= balance || isLastPayment) {
+    return { principal: balance, interest };
+  }
+
+  if (event) {
+    const lateInterest = getLatePaymentInterest(principal, periodicRate, paymentsPerYear, paymentDateKey, event.paidDate);
+    interest += lateInterest;
+    principal -= lateInterest;
+  }
+  return { principal, interest };
+}
+
+/**
+ * Schedule fields recording a payment event
+ */
+function getPaymentEventFields(event: PaymentEventAdjustment | null, paymentDateKey: string): Partial<PaymentScheduleItem> {
+  if (!event) {
+    return {};
+  }
+  return {
+    paymentEvent: event.type,
+    ...(event.paidDate ? { scheduledDate: paymentDateKey } : {}),
+    ...(event.fee > 0 ? { fee: event.fee } : {}),
+  };
+}
+
+/**
+ * Annual rate at which a payment only covers the interest on a balance
+ * (inverse of getVariablePeriodicRate)
+ */
+function calculateTriggerRate(paymentAmount: number, balance: number, paymentFrequency: string): number {
+  if (balance <= 0) {
+    return Infinity;
+  }
+  const paymentsPerYear = getPaymentsPerYear(paymentFrequency);
+  const periodicRate = paymentAmount / balance;
+  return 12 * (Math.pow(1 + periodicRate, paymentsPerYear / 12) - 1);
+}
+
+/**
+ * Calculate an amortization schedule for a variable-rate mortgage, re-pricing each
+ * payment period from the prime rate in effect at the start of the period.
+ *
+ * - Adjustable payment: the payment is recalculated whenever the rate changes so the
+ *   loan still amortizes over the remaining amortization period.
+ * - Fixed payment (hasFixedPayments): the payment set at origination never changes;
+ *   rate changes only shift the principal/interest split. Once interest exceeds the
+ *   payment the unpaid interest is added to the balance (negative amortization), and
+ *   when the balance reaches the trigger point the payment is reset to amortize the
+ *   balance over the remaining amortization period.
+ *
+ * Rates after the last recorded prime change are held flat. A reported currentBalance replaces
+ * the calculated balance from the payment it applies to on. Recorded deferrals, skipped and late
+ * payments are applied to the payments they fall on.
+ */
+export function calculateVariableRateSchedule(mortgage: MortgageData): AmortizationSchedule {
+  if (!mortgage.originalAmount || mortgage.originalAmount <= 0) {
+    throw new Error('Invalid mortgage amount');
+  }
+
+  if (!mortgage.amortizationYears || mortgage.amortizationYears <= 0) {
+    throw new Error('Invalid amortization period');
+  }
+
+  const paymentFrequency = mortgage.paymentFrequency;
+  const startDate = new Date(mortgage.startDate);
+  const spread = getVariableRateSpread(mortgage);
+  const fixedPayment = mortgage.hasFixedPayments === true;
+  const totalPaymentsForFullAmortization = getTotalPayments(mortgage.amortizationYears, paymentFrequency);
+  // A fixed payment can stretch the amortization when rates rise, so allow the schedule to run past it
+  const maxPayments = totalPaymentsForFullAmortization * 2;
+
+  const triggerPointBalance = getTriggerPointBalance(mortgage);
+  const paymentsPerYear = getPaymentsPerYear(paymentFrequency);
+  const nextPaymentEvent = createPaymentEventCursor(mortgage.paymentEvents);
+  // Deferred payments push out the end of the amortization
+  let deferredPayments = 0;
+
+  const rateOn = (date: Date): number => {
+    const prime = getPrimeRateOn(date);
+    return prime === null ? mortgage.interestRate : Math.max(0, prime + spread);
+  };
+
+  let annualRate = rateOn(startDate);
+  let periodicRate = getVariablePeriodicRate(annualRate, paymentFrequency);
+  let paymentAmount = calculateLevelPayment(mortgage.originalAmount, periodicRate, totalPaymentsForFullAmortization);
+
+  const anchor = getBalanceAnchor(mortgage);
+  let anchorBalance = anchor ? anchor.balance : null;
+
+  const payments: PaymentScheduleItem[] = [];
+  let remainingBalance = mortgage.originalAmount;
+  let totalInterest = 0;
+  let periodStart = startDate;
+
+  for (let paymentNumber = 1; paymentNumber <= maxPayments && remainingBalance > 0.01; paymentNumber++) {
+    const paymentDate = getNextPaymentDate(startDate, paymentNumber, paymentFrequency);
+    const paymentDateKey = paymentDate.toISOString().split('T')[0];
+
+    if (anchor && anchorBalance !== null && paymentDateKey >= anchor.fromDate) {
+      remainingBalance = anchorBalance;
+      anchorBalance = null;
+    }
+
+    const periodRate = rateOn(periodStart);
+    if (periodRate !== annualRate) {
+      annualRate = periodRate;
+      periodicRate = getVariablePeriodicRate(annualRate, paymentFrequency);
+      if (!fixedPayment) {
+        const paymentsRemaining = Math.max(1, totalPaymentsForFullAmortization + deferredPayments - paymentNumber + 1);
+        paymentAmount = calculateLevelPayment(remainingBalance, periodicRate, paymentsRemaining);
+      }
+    }
+
+    const event = nextPaymentEvent(paymentDateKey);
+    const { principal: principalPayment, interest: interestPayment } = splitPeriodPayment(
+      remainingBalance, periodicRate, paymentAmount, null, paymentsPerYear, paymentDateKey, event, paymentNumber === maxPayments
+    );
+    if (event?.extendsAmortization) {
+      deferredPayments++;
+    }
+
+    remainingBalance -= principalPayment;
+    remainingBalance += event?.fee || 0;
+    totalInterest += interestPayment;
+
+    // Trigger point reached – lender resets the payment for the remaining amortization
+    let paymentReset = false;
+    if (fixedPayment && remainingBalance >= triggerPointBalance) {
+      const paymentsRemaining = Math.max(1, totalPaymentsForFullAmortization + deferredPayments - paymentNumber);
+      paymentAmount = calculateLevelPayment(remainingBalance, periodicRate, paymentsRemaining);
+      paymentReset = true;
+    }
+
+    payments.push({
+      paymentNumber,
+      paymentDate: event?.paidDate || paymentDateKey,
+      monthlyPayment: principalPayment + interestPayment,
+      principal: principalPayment,
+      interest: interestPayment,
+      remainingBalance: Math.max(0, remainingBalance),
+      interestRate: annualRate,
+      negativeAmortization: principalPayment < 0,
+      paymentReset,
+      ...getPaymentEventFields(event, paymentDateKey),
+    });
+
+    periodStart = paymentDate;
+  }
+
+  const finalPaymentDate = payments[payments.length - 1]?.paymentDate || '';
+
+  return {
+    payments,
+    totalInterest,
+    totalPayments: payments.length,
+    finalPaymentDate,
+  };
+}
+
+export type TriggerRateStatus = 'OK' | 'NEAR_TRIGGER_RATE' | 'PAST_TRIGGER_RATE';
+
+export interface TriggerRateAnalysis {
+  /**
+   * Fixed periodic payment currently in effect.
+   */
+  paymentAmount: number;
+  /**
+   * Annual rate on the next payment.
+   */
+  currentRate: number;
+  /**
+   * Annual rate at which interest equals the payment on the current balance.
+   */
+  triggerRate: number;
+  /**
+   * Rate increase left before the trigger rate (negative once past it).
+   */
+  rateHeadroom: number;
+  currentBalance: number;
+  /**
+   * Balance at which the lender forces a payment reset.
+   */
+  triggerPointBalance: number;
+  /**
+   * Where the current rate stands against the trigger rate on today's payment and balance.
+   */
+  status: TriggerRateStatus;
+  /**
+   * True when the regular payment doesn't cover the interest at the current rate.
+   */
+  negativeAmortization: boolean;
+  /**
+   * Date of the most recent forced payment reset that has already happened, if any.
+   * A past reset doesn't affect status: the reset payment is what the trigger rate is measured on.
+   */
+  lastResetDate: string | null;
+  /**
+   * Projected date of the next forced payment reset (rates held flat).
+   */
+  projectedResetDate: string | null;
+  /**
+   * Projected payment after that reset.
+   */
+  projectedResetPayment: number | null;
+}
+
+/**
+ * Trigger rate and trigger point analysis for a fixed-payment variable mortgage.
+ * Runs on the renewal chain schedule, so renewals, payment events and a reported balance are
+ * taken into account.
+ *
+ * @param mortgage Mortgage data
+ * @param nearThreshold Rate headroom (decimal) below which the mortgage is flagged as near its trigger rate
+ * @returns Analysis, or null unless the current term is variable with a fixed payment
+ */
+export function analyzeTriggerRate(
+  mortgage: MortgageData,
+  nearThreshold = 0.005
+): TriggerRateAnalysis | null {
+  if (!mortgage || mortgage.hasFixedPayments !== true) {
+    return null;
+  }
+
+  let payments: PaymentScheduleItem[];
+  try {
+    payments = calculateTermChainSchedule(mortgage).payments;
+  } catch (error) {
+    console.warn(`Error analyzing trigger rate for ${mortgage.lender}:`, error);
+    return null;
+  }
+  if (payments.length === 0) {
+    return null;
+  }
+
+  const today = new Date();
+  const nextIndex = payments.findIndex(p => new Date(p.paymentDate) >= today);
+  const currentIndex = nextIndex === -1 ? payments.length - 1 : nextIndex;
+  const nextPayment = payments[currentIndex];
+
+  // Only a variable term with a fixed payment has a trigger rate
+  if (!isVariableTerm(getMortgageTermOn(mortgage, nextPayment.scheduledDate || nextPayment.paymentDate))) {
+    return null;
+  }
+
+  // Measure the term's regular payment against the balance it is applied to, so a skipped or
+  // deferred next payment doesn't read as a payment of nothing
+  const currentBalance = nextPayment.remainingBalance + nextPayment.principal - (nextPayment.fee || 0);
+  const paymentAmount = nextPayment.scheduledPayment ?? nextPayment.monthlyPayment;
+  const currentRate = nextPayment.interestRate ?? mortgage.interestRate;
+  const triggerRate = calculateTriggerRate(paymentAmount, currentBalance, mortgage.paymentFrequency);
+  const rateHeadroom = triggerRate - currentRate;
+
+  const pastPayments = payments.slice(0, currentIndex);
+  const lastReset = [...pastPayments].reverse().find(p => p.paymentReset);
+  const futureResetIndex = payments.findIndex((p, index) => index >= currentIndex && p.paymentReset);
+  const futureReset = futureResetIndex === -1 ? null : payments[futureResetIndex];
+
+  let status: TriggerRateStatus = 'OK';
+  if (rateHeadroom <= 0) {
+    status = 'PAST_TRIGGER_RATE';
+  } else if (rateHeadroom < nearThreshold) {
+    status = 'NEAR_TRIGGER_RATE';
+  }
+
+  return {
+    paymentAmount,
+    currentRate,
+    triggerRate,
+    rateHeadroom,
+    currentBalance,
+    triggerPointBalance: getTriggerPointBalance(mortgage),
+    status,
+    negativeAmortization: rateHeadroom < 0,
+    lastResetDate: lastReset ? lastReset.paymentDate : null,
+    projectedResetDate: futureReset ? futureReset.paymentDate : null,
+    projectedResetPayment: futureReset && payments[futureResetIndex + 1]
+      ? payments[futureResetIndex + 1].scheduledPayment ?? payments[futureResetIndex + 1].monthlyPayment
+      : null,
+  };
+}
+
+/**
+ * Map renewal terms from the API (mortgage_terms rows) to calculator format
+ */
+export function normalizeMortgageRenewals(rows: any[]): MortgageTerm[] {
+  return rows.map((row: any, index: number) => {
+    const paymentAmount = row.paymentAmount ?? row.payment_amount;
+    return {
+      termNumber: row.termNumber ?? row.term_number ?? index + 2,
+      lender: row.lender || '',
+      startDate: String(row.startDate ?? row.start_date ?? '').slice(0, 10),
+      termMonths: Number(row.termMonths ?? row.term_months) || 60,
+      interestRate: parseFloat(row.interestRate ?? row.interest_rate ?? 0),
+      rateType: row.rateType ?? row.rate_type ?? 'FIXED',
+      paymentAmount: paymentAmount ? parseFloat(paymentAmount) : null,
+    };
+  });
+}
+
+/**
+ * Add calendar months to a YYYY-MM-DD date
+ */
+function addMonthsToDateKey(dateKey: string, months: number): string {
+  const date = new Date(`${dateKey.slice(0, 10)}T00:00:00Z`);
+  const originalDay = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const maxDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(originalDay, maxDay));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the date a term matures (the renewal date)
+ */
+export function getTermEndDate(term: MortgageTerm): string {
+  return addMonthsToDateKey(term.startDate, term.termMonths);
+}
+
+/**
+ * Check whether a mortgage has recorded renewals after its original term
+ */
+export function hasMortgageRenewals(mortgage: MortgageData): boolean {
+  return Array.isArray(mortgage.renewals) && mortgage.renewals.length > 0;
+}
+
+/**
+ * Get the recorded renewal chain for a mortgage, oldest term first.
+ * The mortgage's own lender, rate and term describe term 1; renewals follow in start date order.
+ */
+export function getMortgageTermChain(mortgage: MortgageData): MortgageTerm[] {
+  const originalTerm: MortgageTerm = {
+    termNumber: 1,
+    lender: mortgage.lender,
+    startDate: String(mortgage.startDate).slice(0, 10),
+    termMonths: mortgage.termMonths || 60,
+    interestRate: mortgage.interestRate,
+    rateType: mortgage.rateType || 'FIXED',
+  };
+
+  const renewals = (mortgage.renewals || [])
+    .filter(term => term && term.startDate && term.termMonths > 0 && Number.isFinite(term.interestRate))
+    .map(term => ({ ...term, startDate: term.startDate.slice(0, 10) }))
+    .filter(term => term.startDate > originalTerm.startDate)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+  return [originalTerm, ...renewals].map((term, index) => ({ ...term, termNumber: index + 1 }));
+}
+
+function isVariableTerm(term: MortgageTerm): boolean {
+  return (term.rateType || '').toUpperCase() === 'VARIABLE';
+}
+
+/**
+ * Spread over prime for a variable term, set when the term starts
+ */
+function getTermSpread(term: MortgageTerm, mortgage: MortgageData): number {
+  if (term.termNumber === 1) {
+    return getVariableRateSpread(mortgage);
+  }
+  const primeAtStart = getPrimeRateOn(term.startDate);
+  return primeAtStart === null ? 0 : term.interestRate - primeAtStart;
+}
+
+/**
+ * Assume the renewal that follows a term: same length, at the future renewal rate when one is
+ * given (fixed), otherwise on the same rate (or spread over prime) as the maturing term
+ */
+function projectNextTerm(term: MortgageTerm, mortgage: MortgageData): MortgageTerm {
+  const hasFutureRate = typeof mortgage.futureRenewalRate === 'number' && Number.isFinite(mortgage.futureRenewalRate);
+  const startDate = getTermEndDate(term);
+
+  let interestRate = term.interestRate;
+  if (hasFutureRate) {
+    interestRate = mortgage.futureRenewalRate as number;
+  } else if (isVariableTerm(term)) {
+    const primeAtStart = getPrimeRateOn(startDate);
+    if (primeAtStart !== null) {
+      interestRate = Math.max(0, primeAtStart + getTermSpread(term, mortgage));
+    }
+  }
+
+  return {
+    termNumber: term.termNumber + 1,
+    lender: term.lender,
+    startDate,
+    termMonths: term.termMonths,
+    interestRate,
+    rateType: hasFutureRate ? 'FIXED' : term.rateType,
+    projected: true,
+  };
+}
+
+/**
+ * Get the term in effect on a date, projecting renewals past the last recorded term
+ * @param mortgage Mortgage data
+ * @param asOf Date to look up (defaults to today)
+ */
+export function getMortgageTermOn(mortgage: MortgageData, asOf: string | Date = new Date()): MortgageTerm {
+  const target = typeof asOf === 'string' ? asOf.slice(0, 10) : asOf.toISOString().split('T')[0];
+  const chain = getMortgageTermChain(mortgage);
+
+  let term = chain[0];
+  for (const candidate of chain) {
+    if (candidate.startDate > target) break;
+    term = candidate;
+  }
+
+  // Roll forward through assumed renewals once the recorded chain has matured
+  if (term === chain[chain.length - 1]) {
+    while (getTermEndDate(term) <= target) {
+      term = projectNextTerm(term, mortgage);
+    }
+  }
+
+  return term;
+}
+
+/**
+ * Annual rate charged on a term on a given date
+ * Variable terms are priced at prime plus the spread set when the term started.
+ * @param mortgage Mortgage data
+ * @param term Term in the mortgage's renewal chain
+ * @param asOf Date to price the rate on (defaults to today)
+ */
+export function getTermRateOn(mortgage: MortgageData, term: MortgageTerm, asOf: string | Date = new Date()): number {
+  if (!isVariableTerm(term)) {
+    return term.interestRate;
+  }
+  const prime = getPrimeRateOn(asOf);
+  return prime === null ? term.interestRate : Math.max(0, prime + getTermSpread(term, mortgage));
+}
+
+/**
+ * Calculate an amortization schedule across a mortgage's renewal chain.
+ *
+ * The balance carries from term to term. At each renewal the payment is the lender's stated
+ * payment for the term, or the level payment that amortizes the balance at the new rate over
+ * the remaining amortization period. Fixed terms compound semi-annually; variable terms are
+ * re-priced from the prime rate history at the term's spread. Once the recorded chain runs out,
+ * renewals are assumed at futureRenewalRate (or on the last term's rate when none is given).
+ * A reported currentBalance replaces the calculated balance from the payment it applies to on.
+ * An undated currentBalance is taken as today's balance and, as in the single-term schedule, the
+ * current payment carries on: the amortization ends when that payment pays the balance off, and
+ * renewals re-amortize over what is left of it. A dated balance keeps the original amortization.
+ * Recorded deferrals, skipped and late payments are applied to the payments they fall on.
+ *
+ * The loan type sets the principal each payment: interest-only loans pay none, fixed-principal
+ * loans pay the same principal every period, and interest-only and balloon loans that are paid
+ * off at maturity end with the balance due on the last payment of the last recorded term.
+ * Interest-only loans refinanced at maturity switch to the level payment once the last recorded
+ * term matures, amortizing the balance over the rest of the amortization period.
+ * An interest reserve pays the interest until it is used up. A fixed payment on a variable term is
+ * reset to amortize the balance once it reaches the trigger point, as in the variable-rate schedule.
+ */
+export function calculateTermChainSchedule(mortgage: MortgageData): AmortizationSchedule {
+  if (!mortgage.originalAmount || mortgage.originalAmount <= 0) {
+    throw new Error('Invalid mortgage amount');
+  }
+
+  if (mortgage.interestRate === undefined || mortgage.interestRate === null) {
+    throw new Error('Invalid interest rate');
+  }
+
+  if (!mortgage.amortizationYears || mortgage.amortizationYears <= 0) {
+    throw new Error('Invalid amortization period');
+  }
+
+  const paymentFrequency = mortgage.paymentFrequency;
+  const startDate = new Date(mortgage.startDate);
+  const chain = getMortgageTermChain(mortgage);
+  const fixedPayment = mortgage.hasFixedPayments === true;
+  const totalPaymentsForFullAmortization = getTotalPayments(mortgage.amortizationYears, paymentFrequency);
+  // A fixed payment on a variable term can stretch the amortization, so allow the schedule to run past it
+  const maxPayments = totalPaymentsForFullAmortization * 2;
+
+  const rateOn = (term: MortgageTerm, spread: number, date: Date): number => {
+    if (!isVariableTerm(term)) {
+      return term.interestRate;
+    }
+    const prime = getPrimeRateOn(date);
+    return prime === null ? term.interestRate : Math.max(0, prime + spread);
+  };
+
+  const periodicRateFor = (term: MortgageTerm, annualRate: number): number => {
+    return isVariableTerm(term)
+      ? getVariablePeriodicRate(annualRate, paymentFrequency)
+      : getPeriodicRate(annualRate, paymentFrequency);
+  };
+
+  let termIndex = 0;
+  let term = chain[0];
+  let termEnd = getTermEndDate(term);
+  let spread = isVariableTerm(term) ? getTermSpread(term, mortgage) : 0;
+  let annualRate = rateOn(term, spread, startDate);
+  let periodicRate = periodicRateFor(term, annualRate);
+  let paymentAmount = term.paymentAmount && term.paymentAmount > 0
+    ? term.paymentAmount
+    : calculateLevelPayment(mortgage.originalAmount, periodicRate, totalPaymentsForFullAmortization);
+
+  const loanType = getLoanType(mortgage);
+  // Principal per payment on interest-only and fixed-principal loans (null: level payment)
+  let scheduledPrincipal = loanType === 'INTEREST_ONLY'
+    ? 0
+    : loanType === 'FIXED_PRINCIPAL' ? mortgage.originalAmount / totalPaymentsForFullAmortization : null;
+  // Balance comes due when the last recorded term matures
+  const maturityDate = hasBalloonAtMaturity(mortgage) ? getTermEndDate(chain[chain.length - 1]) : null;
+  let reserve = getInterestReserve(mortgage);
+  const triggerPointBalance = getTriggerPointBalance(mortgage);
+
+  // A reported current balance re-anchors the schedule
+  const anchor = getBalanceAnchor(mortgage);
+  let anchorBalance = anchor ? anchor.balance : null;
+
+  const paymentsPerYear = getPaymentsPerYear(paymentFrequency);
+  const nextPaymentEvent = createPaymentEventCursor(mortgage.paymentEvents);
+  // Deferred payments push out the end of the amortization
+  let deferredPayments = 0;
+  // Payment number the amortization ends on
+  let amortizationEnd = totalPaymentsForFullAmortization;
+
+  const payments: PaymentScheduleItem[] = [];
+  let remainingBalance = mortgage.originalAmount;
+  let totalInterest = 0;
+  let periodStart = startDate;
+
+  for (let paymentNumber = 1; paymentNumber <= maxPayments && remainingBalance > 0.01; paymentNumber++) {
+    const paymentDate = getNextPaymentDate(startDate, paymentNumber, paymentFrequency);
+    const paymentDateKey = paymentDate.toISOString().split('T')[0];
+
+    if (anchor && anchorBalance !== null && paymentDateKey >= anchor.fromDate) {
+      remainingBalance = anchorBalance;
+      anchorBalance = null;
+
+      // Today's balance at the current payment sets how much of the amortization is left
+      const paymentsLeft = !anchor.dated && scheduledPrincipal === null
+        ? getPaymentsToPayOff(remainingBalance, periodicRate, paymentAmount)
+        : null;
+      if (paymentsLeft !== null) {
+        amortizationEnd = paymentNumber - 1 + paymentsLeft - deferredPayments;
+      }
+    }
+
+    // Move to the next recorded term once it starts, or assume a renewal once the last one matures
+    let renewed = false;
+    while (true) {
+      const nextRecorded = chain[termIndex + 1];
+      if (nextRecorded && nextRecorded.startDate <= paymentDateKey) {
+        termIndex++;
+        term = nextRecorded;
+      } else if (!nextRecorded && termEnd <= paymentDateKey) {
+        term = projectNextTerm(term, mortgage);
+      } else {
+        break;
+      }
+      termEnd = getTermEndDate(term);
+      renewed = true;
+    }
+
+    const paymentsRemaining = Math.max(1, amortizationEnd + deferredPayments - paymentNumber + 1);
+
+    if (renewed) {
+      // An interest-only loan refinanced at maturity amortizes from the first assumed renewal
+      if (loanType === 'INTEREST_ONLY' && term.projected) {
+        scheduledPrincipal = null;
+      }
+      spread = isVariableTerm(term) ? getTermSpread(term, mortgage) : 0;
+      annualRate = rateOn(term, spread, paymentDate);
+      periodicRate = periodicRateFor(term, annualRate);
+      paymentAmount = term.paymentAmount && term.paymentAmount > 0
+        ? term.paymentAmount
+        : calculateLevelPayment(remainingBalance, periodicRate, paymentsRemaining);
+      if (loanType === 'FIXED_PRINCIPAL') {
+        scheduledPrincipal = remainingBalance / paymentsRemaining;
+      }
+    } else if (isVariableTerm(term)) {
+      const periodRate = rateOn(term, spread, periodStart);
+      if (periodRate !== annualRate) {
+        annualRate = periodRate;
+        periodicRate = periodicRateFor(term, annualRate);
+        if (!fixedPayment) {
+          paymentAmount = calculateLevelPayment(remainingBalance, periodicRate, paymentsRemaining);
+        }
+      }
+    }
+
+    const event = nextPaymentEvent(paymentDateKey);
+    const split = splitPeriodPayment(
+      remainingBalance, periodicRate, paymentAmount, scheduledPrincipal, paymentsPerYear, paymentDateKey, event, paymentNumber === maxPayments
+    );
+    const interestPayment = split.interest;
+    let principalPayment = split.principal;
+    if (event?.extendsAmortization) {
+      deferredPayments++;
+    }
+
+    // Last payment before maturity also pays off the balance
+    let balloonPayment = 0;
+    const atMaturity = maturityDate !== null &&
+      getNextPaymentDate(startDate, paymentNumber + 1, paymentFrequency).toISOString().split('T')[0] >= maturityDate;
+    if (atMaturity) {
+      balloonPayment = Math.max(0, remainingBalance + (event?.fee || 0) - principalPayment);
+      principalPayment += balloonPayment;
+    }
+
+    // Interest reserve covers the interest while it lasts
+    const paidFromReserve = event && event.type !== 'LATE' ? 0 : Math.min(reserve, interestPayment);
+    reserve -= paidFromReserve;
+
+    remainingBalance -= principalPayment;
+    remainingBalance += event?.fee || 0;
+    totalInterest += interestPayment;
+
+    // Trigger point reached on a fixed-payment variable term – lender resets the payment
+    // for the remaining amortization
+    const scheduledPayment = paymentAmount;
+    let paymentReset = false;
+    if (fixedPayment && isVariableTerm(term) && scheduledPrincipal === null && !atMaturity &&
+        remainingBalance >= triggerPointBalance) {
+      paymentAmount = calculateLevelPayment(
+        remainingBalance, periodicRate, Math.max(1, amortizationEnd + deferredPayments - paymentNumber)
+      );
+      paymentReset = true;
+    }
+
+    payments.push({
+      paymentNumber,
+      paymentDate: event?.paidDate || paymentDateKey,
+      monthlyPayment: principalPayment + interestPayment,
+      principal: principalPayment,
+      interest: interestPayment,
+      remainingBalance: Math.max(0, remainingBalance),
+      interestRate: annualRate,
+      negativeAmortization: principalPayment < 0,
+      ...(paymentReset ? { paymentReset } : {}),
+      ...(scheduledPrincipal === null ? { scheduledPayment } : {}),
+      termNumber: term.termNumber,
+      ...getPaymentEventFields(event, paymentDateKey),
+      ...(balloonPayment > 0 ? { balloonPayment } : {}),
+      ...(paidFromReserve > 0 ? { paidFromReserve } : {}),
+    });
+
+    periodStart = paymentDate;
+    if (atMaturity) {
+      break;
+    }
+  }
+
+  const finalPaymentDate = payments[payments.length - 1]?.paymentDate || '';
+
+  return {
+    payments,
+    totalInterest,
+    totalPayments: payments.length,
+    finalPaymentDate,
+  };
+}
+
 /**
  * Calculate complete amortization schedule for a mortgage
  * 
@@ -535,59 +1432,49 @@ function getNextPaymentDate(startDate: Date, paymentNumber: number, paymentFrequ
  */
 export function calculateAmortizationSchedule(mortgage: MortgageData): AmortizationSchedule {
   const mortgageAny = mortgage as any;
-  
-  // Check for manual mortgage source with custom schedule
-  if (mortgageAny.mortgageSource === 'manual' && mortgageAny.customSchedule) {
-    // Use custom schedule from property
-    const customSchedule = mortgageAny.customSchedule;
-    
-    // Ensure it's in the correct format
-    if (Array.isArray(customSchedule) && customSchedule.length > 0) {
-      // Validate the schedule
-      const validation = validateCustomSchedule(customSchedule);
-      
-      if (!validation.isValid && validation.warning) {
-        console.warn('Custom Schedule Validation:', validation.warning);
-        // Continue processing but log warning
-      }
-      
-      const payments: PaymentScheduleItem[] = customSchedule.map((item: any, index: number) => ({
-        paymentNumber: item.paymentNumber || index + 1,
-        paymentDate: item.paymentDate || item.date || '',
-        monthlyPayment: item.monthlyPayment || item.totalPayment || item.payment || 0,
-        principal: item.principal || 0,
-        interest: item.interest || 0,
-        remainingBalance: item.remainingBalance || item.balance || 0,
-      }));
-      
-      const totalInterest = payments.reduce((sum, p) => sum + p.interest, 0);
-      const finalPaymentDate = payments[payments.length - 1]?.paymentDate || '';
-      
-      return {
-        payments,
-        totalInterest,
-        totalPayments: payments.length,
-        finalPaymentDate,
-      };
-    }
-  }
-  
-  // If we have a lender-provided custom schedule for this mortgage, use it directly.
-  // Currently supported: Richmond St E (mortgage number 8963064.1).
-  if (mortgageAny.mortgageNumber === RICHMOND_MORTGAGE_NUMBER) {
-    const payments = richmondMortgageSchedule;
-    const totalInterest = payments.reduce((sum, p) => sum + p.interest, 0);
-    const totalPayments = payments.length;
-    const finalPaymentDate = payments[payments.length - 1]?.paymentDate || "";
+
+  // If we have a lender-provided schedule for this mortgage, use it directly.
+  const lenderSchedule = getLenderSchedule(mortgage);
+  if (lenderSchedule) {
+    const totalInterest = lenderSchedule.reduce((sum, p) => sum + p.interest, 0);
+    const finalPaymentDate = lenderSchedule[lenderSchedule.length - 1]?.paymentDate || '';
 
     return {
-      payments,
+      payments: lenderSchedule,
       totalInterest,
-      totalPayments,
+      totalPayments: lenderSchedule.length,
       finalPaymentDate,
     };
   }
 
+  // Renewed mortgages follow their chain of terms, as do interest-only, balloon and
+  // fixed-principal loans
+  if (hasMortgageRenewals(mortgage) || getLoanType(mortgage) !== 'AMORTIZING') {
+    return calculateTermChainSchedule(mortgage);
+  }
+
+  // Variable-rate mortgages are re-priced from the prime rate history
+  if (isVariableRateMortgage(mortgage)) {
+    return calculateVariableRateSchedule(mortgage);
+  }
+
+  // Forecasts assume renewals at a future rate once the current term matures
+  if (typeof mortgage.futureRenewalRate === 'number' && Number.isFinite(mortgage.futureRenewalRate)) {
+    return calculateTermChainSchedule(mortgage);
+  }
+
+  // A dated balance (e.g. adopted from a lender statement) re-anchors the full schedule
+  // from its date rather than starting the schedule today
+  if (mortgage.currentBalanceDate && typeof mortgage.currentBalance === 'number' && mortgage.currentBalance > 0) {
+    return calculateTermChainSchedule(mortgage);
+  }
+
+  // Deferrals, skipped and late payments change the balance from the payment they fall on,
+  // so the schedule has to run from the start date
+  if (hasPaymentEvents(mortgage)) {
+    return calculateTermChainSchedule(mortgage);
+  }
+
   // Validate inputs
   if (!mortgage.originalAmount || mortgage.originalAmount <= 0) {
     throw new Error('Invalid mortgage amount');
@@ -733,6 +1620,42 @@ export function calculateAmortizationSchedule(mortgage: MortgageData): Amortizat
   };
 }
 
+/**
+ * Get the next upcoming payment for mortgages whose payments can't be derived from
+ * the original loan terms: lender-provided schedules, renewal chains, variable-rate schedules
+ * schedules with recorded payment events and loans that don't amortize with a level payment
+ * (falls back to the last scheduled payment once the schedule has run out). A balloon due at
+ * maturity is left out, so the payment is the regular one.
+ */
+function getNextScheduledPayment(mortgage: MortgageData): PaymentScheduleItem | null {
+  let payments = getLenderSchedule(mortgage);
+  const hasFutureRenewalRate = typeof mortgage.futureRenewalRate === 'number';
+  const hasLoanType = getLoanType(mortgage) !== 'AMORTIZING';
+  if (!payments && (hasMortgageRenewals(mortgage) || isVariableRateMortgage(mortgage) || hasFutureRenewalRate || hasPaymentEvents(mortgage) || hasLoanType)) {
+    try {
+      payments = calculateAmortizationSchedule(mortgage).payments;
+    } catch (e) {
+      // Fall through to generic calculation if anything goes wrong
+      return null;
+    }
+  }
+
+  if (!payments || payments.length === 0) {
+    return null;
+  }
+
+  const today = new Date();
+  const next = payments.find(p => new Date(p.paymentDate) >= today) || payments[payments.length - 1];
+  if (next.balloonPayment) {
+    return {
+      ...next,
+      monthlyPayment: next.monthlyPayment - next.balloonPayment,
+      principal: next.principal - next.balloonPayment,
+    };
+  }
+  return next;
+}
+
 /**
  * Get current month's mortgage payment breakdown
  * Returns the principal and interest for the current payment period
@@ -777,36 +1700,10 @@ export function getCurrentMortgagePayment(mortgage: MortgageData): {
 export function getMonthlyMortgagePayment(mortgage: MortgageData): number {
   const paymentFrequency = normalizeFrequency(mortgage.paymentFrequency || "monthly");
 
-  // Richmond St E (RMG 2.69% bi-weekly) – use lender schedule + exact payment
-  if ((mortgage as any).mortgageNumber === RICHMOND_MORTGAGE_NUMBER) {
-    try {
-      const schedule = calculateAmortizationSchedule(mortgage);
-      const today = new Date();
-      const nextPayment =
-        schedule.payments.find(p => new Date(p.paymentDate) >= today) ||
-        schedule.payments[schedule.payments.length - 1];
-
-      if (!nextPayment) {
-        return 0;
-      }
-
-      const periodicAmount = nextPayment.monthlyPayment;
-
-      switch (paymentFrequency) {
-        case "bi-weekly":
-        case "accelerated bi-weekly":
-          return periodicAmount * 26 / 12;
-        case "weekly":
-        case "accelerated weekly":
-          return periodicAmount * 52 / 12;
-        case "semi-monthly":
-        case "monthly":
-        default:
-          return periodicAmount;
-      }
-    } catch (e) {
-      // Fall through to generic calculation below if anything goes wrong
-    }
+  // Lender or variable-rate schedule – use the next scheduled payment and convert to monthly equivalent
+  const nextScheduledPayment = getNextScheduledPayment(mortgage);
+  if (nextScheduledPayment) {
+    return nextScheduledPayment.monthlyPayment * getPaymentsPerYear(paymentFrequency) / 12;
   }
 
   // For accelerated payments, calculate based on monthly payment
@@ -864,36 +1761,10 @@ export function getMonthlyMortgageInterest(mortgage: MortgageData): number {
   const currentPayment = getCurrentMortgagePayment(mortgage);
   const paymentFrequency = normalizeFrequency(mortgage.paymentFrequency || "monthly");
 
-  // Richmond St E – use schedule and convert to monthly equivalent
-  if ((mortgage as any).mortgageNumber === RICHMOND_MORTGAGE_NUMBER) {
-    try {
-      const schedule = calculateAmortizationSchedule(mortgage);
-      const today = new Date();
-      const nextPayment =
-        schedule.payments.find(p => new Date(p.paymentDate) >= today) ||
-        schedule.payments[schedule.payments.length - 1];
-
-      if (!nextPayment) {
-        return 0;
-      }
-
-      const periodicInterest = nextPayment.interest;
-
-      switch (paymentFrequency) {
-        case "bi-weekly":
-        case "accelerated bi-weekly":
-          return periodicInterest * 26 / 12;
-        case "weekly":
-        case "accelerated weekly":
-          return periodicInterest * 52 / 12;
-        case "semi-monthly":
-        case "monthly":
-        default:
-          return periodicInterest;
-      }
-    } catch (e) {
-      // Fall through to generic conversion below
-    }
+  // Lender or variable-rate schedule – use the next scheduled interest and convert to monthly equivalent
+  const nextScheduledPayment = getNextScheduledPayment(mortgage);
+  if (nextScheduledPayment) {
+    return nextScheduledPayment.interest * getPaymentsPerYear(paymentFrequency) / 12;
   }
   
   // Convert to monthly equivalent based on payment frequency
@@ -928,36 +1799,10 @@ export function getMonthlyMortgagePrincipal(mortgage: MortgageData): number {
   const currentPayment = getCurrentMortgagePayment(mortgage);
   const paymentFrequency = normalizeFrequency(mortgage.paymentFrequency || "monthly");
 
-  // Richmond St E – use schedule principal and convert to monthly equivalent
-  if ((mortgage as any).mortgageNumber === RICHMOND_MORTGAGE_NUMBER) {
-    try {
-      const schedule = calculateAmortizationSchedule(mortgage);
-      const today = new Date();
-      const nextPayment =
-        schedule.payments.find(p => new Date(p.paymentDate) >= today) ||
-        schedule.payments[schedule.payments.length - 1];
-
-      if (!nextPayment) {
-        return 0;
-      }
-
-      const periodicPrincipal = nextPayment.principal;
-
-      switch (paymentFrequency) {
-        case "bi-weekly":
-        case "accelerated bi-weekly":
-          return periodicPrincipal * 26 / 12;
-        case "weekly":
-        case "accelerated weekly":
-          return periodicPrincipal * 52 / 12;
-        case "semi-monthly":
-        case "monthly":
-        default:
-          return periodicPrincipal;
-      }
-    } catch (e) {
-      // Fall through to generic conversion below
-    }
+  // Lender or variable-rate schedule – use the next scheduled principal and convert to monthly equivalent
+  const nextScheduledPayment = getNextScheduledPayment(mortgage);
+  if (nextScheduledPayment) {
+    return nextScheduledPayment.principal * getPaymentsPerYear(paymentFrequency) / 12;
   }
   
   // Convert to monthly equivalent based on payment frequency
@@ -989,14 +1834,16 @@ export function getMonthlyMortgagePrincipal(mortgage: MortgageData): number {
  * Calculate current mortgage balance based on payments made to date
  * 
  * Note: For full amortization schedule accuracy, full payment history from the lender is required.
- * When an explicit currentBalance is provided, it is used directly rather than calculating from schedule.
+ * When an explicit currentBalance is provided, it is used directly rather than calculating from schedule;
+ * a dated currentBalance only stands until the first payment after its date.
  */
 export function getCurrentMortgageBalance(mortgage: MortgageData): number {
   // First check if explicit current balance is provided (preferred for existing mortgages)
   const mortgageAny = mortgage as any;
-  if (mortgageAny.currentBalance !== undefined && 
-      mortgageAny.currentBalance !== null && 
-      mortgageAny.currentBalance > 0) {
+  const hasCurrentBalance = mortgageAny.currentBalance !== undefined &&
+    mortgageAny.currentBalance !== null &&
+    mortgageAny.currentBalance > 0;
+  if (hasCurrentBalance && !mortgage.currentBalanceDate) {
     return mortgageAny.currentBalance;
   }
   
@@ -1011,13 +1858,18 @@ export function getCurrentMortgageBalance(mortgage: MortgageData): number {
       return paymentDate <= currentDate;
     });
 
-    if (pastPayments.length === 0) {
+    // A dated balance stands until the first payment after its date
+    const mostRecentPayment = pastPayments[pastPayments.length - 1];
+    if (hasCurrentBalance && (!mostRecentPayment || mostRecentPayment.paymentDate.slice(0, 10) <= mortgage.currentBalanceDate!.slice(0, 10))) {
+      return mortgageAny.currentBalance;
+    }
+
+    if (!mostRecentPayment) {
       // No payments made yet, return original amount
       return mortgage.originalAmount;
     }
 
     // Return the remaining balance from the most recent payment
-    const mostRecentPayment = pastPayments[pastPayments.length - 1];
     return mostRecentPayment.remainingBalance;
   } catch (error) {
     console.warn(`Error calculating current mortgage balance for ${mortgage.lender}:`, error);
@@ -1026,34 +1878,42 @@ export function getCurrentMortgageBalance(mortgage: MortgageData): number {
   }
 }
 
+/**
+ * Balance owing on a date, after the last payment before it
+ */
+export function getMortgageBalanceOn(mortgage: MortgageData, date: string): number {
+  const lastBefore = calculateAmortizationSchedule(mortgage).payments
+    .filter((payment) => payment.paymentDate < date)
+    .pop();
+  return lastBefore ? lastBefore.remainingBalance : mortgage.originalAmount;
+}
+
 /**
  * Calculate total annual mortgage interest for the next 12 months
+ * Sums a year of payments starting from the next payment, so skipped or deferred payments
+ * and renewals scheduled in that window change the figure. A paid-off mortgage has none.
  * This is used for deductible expenses calculations
  */
 export function getAnnualMortgageInterest(mortgage: MortgageData): number {
   try {
     const schedule = calculateAmortizationSchedule(mortgage);
+    const paymentsPerYear = getPaymentsPerYear(mortgage.paymentFrequency || 'monthly');
     const currentDate = new Date();
     
-    // Find the current payment period
-    const currentPaymentIndex = schedule.payments.findIndex(payment => {
+    // Find the next payment
+    const nextPaymentIndex = schedule.payments.findIndex(payment => {
       const paymentDate = new Date(payment.paymentDate);
-      return paymentDate <= currentDate;
+      return paymentDate >= currentDate;
     });
 
-    if (currentPaymentIndex === -1) {
-      // No payments made yet, use first 12 payments
-      const first12Payments = schedule.payments.slice(0, 12);
-      return first12Payments.reduce((sum, payment) => sum + payment.interest, 0);
+    if (nextPaymentIndex === -1) {
+      return 0;
     }
 
-    // Get the next 12 payments from current position
-    const next12Payments = schedule.payments.slice(currentPaymentIndex, currentPaymentIndex + 12);
+    // Get the next year of payments from the next payment (fewer if the mortgage pays off first)
+    const nextYearPayments = schedule.payments.slice(nextPaymentIndex, nextPaymentIndex + paymentsPerYear);
     
-    // If we don't have 12 payments remaining, use what we have
-    const paymentsToUse = next12Payments.length > 0 ? next12Payments : schedule.payments.slice(-12);
-    
-    return paymentsToUse.reduce((sum, payment) => sum + payment.interest, 0);
+    return nextYearPayments.reduce((sum, payment) => sum + payment.interest, 0);
   } catch (error) {
     console.warn(`Error calculating annual mortgage interest for ${mortgage.lender}:`, error);
     // Fallback: estimate annual interest as 12 months of current interest
@@ -1118,12 +1978,16 @@ export function getMortgageYearlySummary(
     let totalInterest = 0;
     let paymentsThisYear = 0;
     let endingBalance = currentBalance;
+    let balloonPayment = 0;
+    let reservePaid = 0;
 
     while (paymentIndex < schedule.payments.length && paymentsThisYear < paymentsPerYear) {
       const payment = schedule.payments[paymentIndex];
       totalPayment += payment.monthlyPayment;
       totalPrincipal += payment.principal;
       totalInterest += payment.interest;
+      balloonPayment += payment.balloonPayment || 0;
+      reservePaid += payment.paidFromReserve || 0;
       endingBalance = payment.remainingBalance;
       paymentIndex++;
       paymentsThisYear++;
@@ -1140,6 +2004,8 @@ export function getMortgageYearlySummary(
       totalInterest,
       endingBalance,
       payments: paymentsThisYear,
+      balloonPayment,
+      reservePaid,
     });
 
     currentBalance = endingBalance;
@@ -1152,6 +2018,79 @@ export function getMortgageYearlySummary(
   return summaries;
 }
 
+/**
+ * Mortgage payments grouped by the calendar month they fall in.
+ * Unlike the yearly summary, months are dated: a renewal or a weekly payment lands in the month
+ * it is scheduled for. A month before the mortgage is funded owes nothing; summaries stop once
+ * the schedule runs out.
+ *
+ * @param mortgage Mortgage data
+ * @param months Calendar months to summarize (YYYY-MM), in order
+ * @returns One summary per month, possibly fewer than requested
+ */
+export function getMortgageMonthlySummary(
+  mortgage: MortgageData,
+  months: string[]
+): MortgageMonthlySummary[] {
+  if (!mortgage || months.length === 0) {
+    return [];
+  }
+
+  const payments = calculateAmortizationSchedule(mortgage).payments;
+  const fundedMonth = (mortgage.startDate || '').slice(0, 7);
+  const summaries: MortgageMonthlySummary[] = [];
+
+  // Balance going into the first month: after the last payment before it, or the amount funded
+  let paymentIndex = payments.findIndex((payment) => payment.paymentDate.slice(0, 7) >= months[0]);
+  if (paymentIndex === -1) {
+    return [];
+  }
+  let balance = paymentIndex > 0
+    ? payments[paymentIndex - 1].remainingBalance
+    : (fundedMonth < months[0] ? mortgage.originalAmount : 0);
+
+  for (const month of months) {
+    if (paymentIndex >= payments.length && balance <= 0) {
+      break;
+    }
+
+    const summary: MortgageMonthlySummary = {
+      month,
+      openingBalance: balance,
+      totalPayment: 0,
+      totalPrincipal: 0,
+      totalInterest: 0,
+      // Funded this month with nothing paid yet
+      endingBalance: paymentIndex === 0 && month >= fundedMonth ? mortgage.originalAmount : balance,
+      payments: 0,
+      balloonPayment: 0,
+      reservePaid: 0,
+      lenderFee: month === fundedMonth ? getLenderFee(mortgage) : 0,
+    };
+
+    while (paymentIndex < payments.length && payments[paymentIndex].paymentDate.slice(0, 7) === month) {
+      const payment = payments[paymentIndex];
+      summary.totalPayment += payment.monthlyPayment;
+      summary.totalPrincipal += payment.principal;
+      summary.totalInterest += payment.interest;
+      summary.balloonPayment! += payment.balloonPayment || 0;
+      summary.reservePaid! += payment.paidFromReserve || 0;
+      summary.endingBalance = payment.remainingBalance;
+      summary.payments++;
+      paymentIndex++;
+    }
+
+    summaries.push(summary);
+    balance = summary.endingBalance;
+
+    if (paymentIndex >= payments.length && balance > 0) {
+      break;
+    }
+  }
+
+  return summaries;
+}
+
 /**
  * Get the remaining mortgage balance after a given number of future years.
  *
@@ -3,8 +3,10 @@
  * These values should be updated periodically to reflect current market conditions
  */
 
-// Current Canadian Prime Rate (Bank of Canada)
-// This should be updated when the Bank of Canada changes the prime rate
+import { getPrimeRateOn } from './primeRateHistory';
+
+// Fallback Canadian Prime Rate (Bank of Canada)
+// Only used when no prime rate history is loaded – see primeRateHistory.ts
 // Last updated: January 2025
 export const CANADIAN_PRIME_RATE = 6.95; // Percentage (e.g., 6.95 for 6.95%)
 
@@ -32,7 +34,7 @@ export const CANADIAN_TAX_BRACKETS = {
  * @returns Prime rate as a decimal (e.g., 0.0695 for 6.95%)
  */
 export function getPrimeRate(): number {
-  return CANADIAN_PRIME_RATE / 100;
+  return getPrimeRateOn(new Date()) ?? CANADIAN_PRIME_RATE / 100;
 }
 
 /**
@@ -0,0 +1,215 @@
+/**
+ * Mortgage default insurance (CMHC, Sagen, Canada Guaranty)
+ * A purchase with less than 20% down needs default insurance. The premium is a percentage of the
+ * loan set by its loan-to-value (LTV) tier and is added to the principal; provincial sales tax on
+ * the premium can't be financed and is paid at closing. Multi-unit rental loans (5+ units) are
+ * insured on their own premium schedule, discounted under MLI Select for affordability, energy
+ * efficiency and accessibility commitments.
+ */
+
+export type InsuranceProvider = 'CMHC' | 'SAGEN' | 'CANADA_GUARANTY';
+
+export const INSURANCE_PROVIDER_LABELS: Record<InsuranceProvider, string> = {
+  CMHC: 'CMHC',
+  SAGEN: 'Sagen',
+  CANADA_GUARANTY: 'Canada Guaranty',
+};
+
+export interface PremiumTier {
+  maxLtv: number; // Highest LTV in the tier, as decimal
+  rate: number; // Premium as a share of the loan
+}
+
+// Homeowner (1-4 unit) premiums; the three insurers charge the same rates
+export const HOMEOWNER_PREMIUM_TIERS: PremiumTier[] = [
+  { maxLtv: 0.65, rate: 0.006 },
+  { maxLtv: 0.75, rate: 0.017 },
+  { maxLtv: 0.80, rate: 0.024 },
+  { maxLtv: 0.85, rate: 0.028 },
+  { maxLtv: 0.90, rate: 0.031 },
+  { maxLtv: 0.95, rate: 0.040 },
+];
+
+// Multi-unit rental (5+ units) premiums
+export const MULTI_UNIT_PREMIUM_TIERS: PremiumTier[] = [
+  { maxLtv: 0.65, rate: 0.026 },
+  { maxLtv: 0.70, rate: 0.0285 },
+  { maxLtv: 0.75, rate: 0.0335 },
+  { maxLtv: 0.80, rate: 0.0435 },
+  { maxLtv: 0.85, rate: 0.0535 },
+  { maxLtv: 0.95, rate: 0.0585 }, // Only with enough MLI Select points
+];
+
+// MLI Select premium discounts by points scored, highest first
+export const MLI_SELECT_DISCOUNTS: Array<{ minPoints: number; discount: number; maxLtv: number }> = [
+  { minPoints: 100, discount: 0.30, maxLtv: 0.95 },
+  { minPoints: 70, discount: 0.20, maxLtv: 0.95 },
+  { minPoints: 50, discount: 0.10, maxLtv: 0.95 },
+];
+
+// Provinces that charge sales tax on mortgage insurance premiums
+export const PREMIUM_TAX_RATES: Record<string, number> = {
+  ON: 0.08,
+  QC: 0.09,
+  SK: 0.06,
+};
+
+// Loans at or below this LTV are conventional and don't need insurance
+export const CONVENTIONAL_MAX_LTV = 0.80;
+// Homeowner loans over 25 years (first-time buyers and new builds) pay a surcharge
+const LONG_AMORTIZATION_SURCHARGE = 0.002;
+const MULTI_UNIT_STANDARD_MAX_LTV = 0.85;
+
+export interface DefaultInsurance {
+  provider: InsuranceProvider;
+  premiumRate: number; // Share of the loan, after any discount
+  premium: number; // Added to the principal
+  premiumTax: number; // Paid at closing
+  mliSelectPoints?: number | null;
+}
+
+export interface MortgageInsuranceInput {
+  purchasePrice: number;
+  loanAmount: number; // Before the premium is added
+  numberOfUnits?: number;
+  amortizationYears?: number;
+  province?: string;
+  purchaseDate?: string | Date | null;
+  provider?: InsuranceProvider;
+  mliSelectPoints?: number | null; // Multi-unit only
+}
+
+export interface MortgageInsuranceResult {
+  required: boolean; // High-ratio loan (LTV over 80%)
+  eligible: boolean; // Insurable within the price, down payment and LTV limits
+  multiUnit: boolean;
+  ltv: number;
+  premiumRate: number;
+  premium: number;
+  premiumTax: number;
+  insuredPrincipal: number; // Loan plus premium
+  mliSelectDiscount: number;
+  priceLimit: number | null; // Highest insurable purchase price (homeowner loans)
+  minimumDownPayment: number | null;
+  warnings: string[];
+}
+
+/**
+ * Highest purchase price a homeowner loan can be insured at
+ * The cap rose from $1M to $1.5M on December 15, 2024.
+ */
+export function getInsurablePriceLimit(purchaseDate?: string | Date | null): number {
+  const dateKey = purchaseDate
+    ? (typeof purchaseDate === 'string' ? purchaseDate.slice(0, 10) : purchaseDate.toISOString().split('T')[0])
+    : new Date().toISOString().split('T')[0];
+  return dateKey >= '2024-12-15' ? 1500000 : 1000000;
+}
+
+/**
+ * Minimum down payment for an insured homeowner purchase:
+ * 5% of the first $500,000 and 10% of the rest
+ */
+export function getMinimumDownPayment(purchasePrice: number): number {
+  const price = Math.max(0, Number(purchasePrice) || 0);
+  return Math.min(price, 500000) * 0.05 + Math.max(0, price - 500000) * 0.10;
+}
+
+function getTierRate(tiers: PremiumTier[], ltv: number): number | null {
+  const tier = tiers.find(candidate => ltv <= candidate.maxLtv + 1e-9);
+  return tier ? tier.rate : null;
+}
+
+function getMliSelectDiscount(points: number | null | undefined) {
+  const score = Number(points) || 0;
+  return MLI_SELECT_DISCOUNTS.find(level => score >= level.minPoints) || null;
+}
+
+/**
+ * Calculate the default insurance premium for a purchase
+ */
+export function calculateMortgageInsurance(input: MortgageInsuranceInput): MortgageInsuranceResult {
+  const purchasePrice = Math.max(0, Number(input.purchasePrice) || 0);
+  const loanAmount = Math.max(0, Number(input.loanAmount) || 0);
+  const multiUnit = (Number(input.numberOfUnits) || 1) >= 5;
+  const ltv = purchasePrice > 0 ? loanAmount / purchasePrice : 0;
+  const warnings: string[] = [];
+
+  const result: MortgageInsuranceResult = {
+    required: ltv > CONVENTIONAL_MAX_LTV + 1e-9,
+    eligible: true,
+    multiUnit,
+    ltv,
+    premiumRate: 0,
+    premium: 0,
+    premiumTax: 0,
+    insuredPrincipal: loanAmount,
+    mliSelectDiscount: 0,
+    priceLimit: multiUnit ? null : getInsurablePriceLimit(input.purchaseDate),
+    minimumDownPayment: multiUnit ? null : getMinimumDownPayment(purchasePrice),
+    warnings,
+  };
+
+  // Multi-unit rental loans are insured at any LTV; homeowner loans only when high-ratio
+  if (purchasePrice === 0 || loanAmount === 0 || (!multiUnit && !result.required)) {
+    return result;
+  }
+
+  let rate: number | null;
+  if (multiUnit) {
+    const mliSelect = getMliSelectDiscount(input.mliSelectPoints);
+    const maxLtv = mliSelect ? mliSelect.maxLtv : MULTI_UNIT_STANDARD_MAX_LTV;
+    if (ltv > maxLtv + 1e-9) {
+      warnings.push(`Multi-unit loans can be insured up to ${(maxLtv * 100).toFixed(0)}% LTV${mliSelect ? '' : ' (95% with 50+ MLI Select points)'}.`);
+      return { ...result, eligible: false };
+    }
+    rate = getTierRate(MULTI_UNIT_PREMIUM_TIERS, ltv);
+    if (rate !== null && mliSelect) {
+      result.mliSelectDiscount = mliSelect.discount;
+      rate *= 1 - mliSelect.discount;
+    }
+  } else {
+    if (result.priceLimit !== null && purchasePrice >= result.priceLimit) {
+      warnings.push(`Purchases of $${result.priceLimit.toLocaleString('en-CA')} or more can't be insured; at least 20% down is required.`);
+      return { ...result, eligible: false };
+    }
+    if (result.minimumDownPayment !== null && purchasePrice - loanAmount < result.minimumDownPayment - 0.005) {
+      warnings.push(`The minimum down payment is $${result.minimumDownPayment.toLocaleString('en-CA', { maximumFractionDigits: 0 })} (5% of the first $500,000 and 10% of the rest).`);
+      return { ...result, eligible: false };
+    }
+    rate = getTierRate(HOMEOWNER_PREMIUM_TIERS, ltv);
+    if (rate !== null && (Number(input.amortizationYears) || 25) > 25) {
+      rate += LONG_AMORTIZATION_SURCHARGE;
+      warnings.push('Amortizations over 25 years carry a 0.20% premium surcharge and are limited to first-time buyers and new builds.');
+    }
+  }
+
+  if (rate === null) {
+    warnings.push('The loan-to-value ratio is above the insurable maximum.');
+    return { ...result, eligible: false };
+  }
+
+  const premium = Math.round(loanAmount * rate * 100) / 100;
+  const taxRate = PREMIUM_TAX_RATES[(input.province || 'ON').toUpperCase()] || 0;
+
+  return {
+    ...result,
+    premiumRate: rate,
+    premium,
+    premiumTax: Math.round(premium * taxRate * 100) / 100,
+    insuredPrincipal: loanAmount + premium,
+  };
+}
+
+/**
+ * Insurance premium and sales tax recorded on a mortgage (zero for conventional loans)
+ */
+export function getMortgageInsuranceCosts(mortgage: { defaultInsurance?: DefaultInsurance | null } | null | undefined): {
+  premium: number;
+  premiumTax: number;
+} {
+  const insurance = mortgage?.defaultInsurance;
+  return {
+    premium: Number(insurance?.premium) || 0,
+    premiumTax: Number(insurance?.premiumTax) || 0,
+  };
+}
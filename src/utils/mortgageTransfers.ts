@@ -0,0 +1,157 @@
+/**
+ * Mortgage portability and assumption
+ * Selling a property doesn't have to discharge its mortgage:
+ * - Port: the mortgage moves to the property being bought, keeping its rate, term and history.
+ *   Extra funds for the new purchase are a top-up at today's rate, blended with the existing
+ *   rate by amount for the rest of the term (blend-and-increase).
+ * - Assumption: the buyer takes over the mortgage; it leaves the portfolio on the closing date.
+ * Either way no discharge penalty is paid. Each transfer is recorded on the mortgage.
+ */
+
+import {
+  getMortgageBalanceOn,
+  getMortgageTermOn,
+  getTermEndDate,
+} from './mortgageCalculator';
+import type { MortgageData } from './mortgageCalculator';
+import { getMortgageBreakPenalty } from './breakPenalty';
+
+export type MortgageTransferType = 'PORT' | 'ASSUMPTION';
+
+export type SaleMortgageOption = 'DISCHARGE' | MortgageTransferType;
+
+export const SALE_MORTGAGE_OPTION_LABELS: Record<SaleMortgageOption, string> = {
+  DISCHARGE: 'Discharge at sale',
+  PORT: 'Port to new property',
+  ASSUMPTION: 'Assumed by buyer',
+};
+
+export interface MortgageTransfer {
+  type: MortgageTransferType;
+  date: string; // Closing date (YYYY-MM-DD)
+  fromPropertyId: string;
+  toPropertyId?: string | null; // PORT only
+  balance: number; // Balance carried over on the closing date
+  topUpAmount?: number | null; // PORT: extra funds advanced
+  topUpRate?: number | null; // PORT: rate on the extra funds, as decimal
+  blendedRate?: number | null; // PORT: rate for the rest of the term after a top-up, as decimal
+  assumedBy?: string | null; // ASSUMPTION: buyer taking over the mortgage
+}
+
+export interface PortTopUp {
+  date: string;
+  balance: number;
+  topUpAmount: number;
+  topUpRate: number;
+  currentRate: number;
+  blendedRate: number;
+  newBalance: number;
+  lender: string;
+  rateType: string;
+  termEndDate: string; // The ported term keeps its maturity
+  termMonths: number; // Whole months from the closing date to that maturity
+}
+
+export interface SaleMortgageSettlement {
+  option: SaleMortgageOption;
+  balance: number;
+  penalty: number; // Discharge penalty paid from the proceeds
+  penaltyAvoided: number; // Discharge penalty not paid by porting or assuming
+  deductedFromProceeds: number; // Balance (and penalty) coming off the sale price
+}
+
+/**
+ * Recorded transfers, oldest first
+ */
+export function normalizeMortgageTransfers(transfers: MortgageTransfer[] | null | undefined): MortgageTransfer[] {
+  if (!Array.isArray(transfers)) {
+    return [];
+  }
+  return transfers
+    .filter((transfer) => transfer && (transfer.type === 'PORT' || transfer.type === 'ASSUMPTION') && typeof transfer.date === 'string')
+    .map((transfer) => ({ ...transfer, date: transfer.date.slice(0, 10) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Whether a mortgage was assumed by a buyer on or before a date, and is no longer owed
+ */
+export function isMortgageAssumed(
+  mortgage: { transfers?: MortgageTransfer[] | null } | null | undefined,
+  asOf: string | Date = new Date()
+): boolean {
+  const asOfKey = typeof asOf === 'string' ? asOf.slice(0, 10) : asOf.toISOString().split('T')[0];
+  return normalizeMortgageTransfers(mortgage?.transfers).some(
+    (transfer) => transfer.type === 'ASSUMPTION' && transfer.date <= asOfKey
+  );
+}
+
+function monthsBetween(fromKey: string, toKey: string): number {
+  const [fromYear, fromMonth, fromDay] = fromKey.split('-').map(Number);
+  const [toYear, toMonth, toDay] = toKey.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+}
+
+/**
+ * Blend a top-up into a ported mortgage
+ * The existing balance keeps its rate and the extra funds are at the top-up rate, weighted by
+ * amount, for the months left in the current term.
+ * @param mortgage Mortgage being ported
+ * @param input.date Closing date (YYYY-MM-DD)
+ * @param input.topUpAmount Extra funds for the new property
+ * @param input.topUpRate Rate offered on the extra funds, as decimal
+ */
+export function calculateBlendedTopUp(
+  mortgage: MortgageData,
+  input: { date: string; topUpAmount: number; topUpRate: number }
+): PortTopUp {
+  const term = getMortgageTermOn(mortgage, input.date);
+  const termEndDate = getTermEndDate(term);
+  const balance = getMortgageBalanceOn(mortgage, input.date);
+  const topUpAmount = Math.max(0, Number(input.topUpAmount) || 0);
+  const topUpRate = Number(input.topUpRate) || 0;
+  const newBalance = balance + topUpAmount;
+
+  return {
+    date: input.date,
+    balance,
+    topUpAmount,
+    topUpRate,
+    currentRate: term.interestRate,
+    blendedRate: newBalance > 0 ? (balance * term.interestRate + topUpAmount * topUpRate) / newBalance : term.interestRate,
+    newBalance,
+    lender: term.lender || mortgage.lender || '',
+    rateType: String(term.rateType || mortgage.rateType || 'FIXED').toUpperCase(),
+    termEndDate,
+    termMonths: Math.max(1, monthsBetween(input.date, termEndDate)),
+  };
+}
+
+/**
+ * What happens to the mortgage in a sale's proceeds
+ * Discharging repays the balance and the break penalty from the proceeds. A ported mortgage
+ * follows the owner and an assumed one is credited to the buyer against the price, so the
+ * balance still comes off the cash from the sale but no penalty is paid.
+ */
+export function getSaleMortgageSettlement(
+  mortgage: MortgageData & { mortgageType?: string | null },
+  option: SaleMortgageOption,
+  date: string
+): SaleMortgageSettlement {
+  const balance = getMortgageBalanceOn(mortgage, date);
+  let dischargePenalty = 0;
+  try {
+    dischargePenalty = balance > 0 ? getMortgageBreakPenalty(mortgage, { asOf: date }).penalty : 0;
+  } catch (error) {
+    console.warn('Error calculating discharge penalty:', error);
+  }
+
+  const penalty = option === 'DISCHARGE' ? dischargePenalty : 0;
+  return {
+    option,
+    balance,
+    penalty,
+    penaltyAvoided: option === 'DISCHARGE' ? 0 : dischargePenalty,
+    deductedFromProceeds: balance + penalty,
+  };
+}
@@ -3,7 +3,8 @@
  */
 
 import { getPrimeRate, calculateEffectiveVariableRate, getCombinedTaxRate } from './mortgageConstants';
-import { getCurrentMortgageBalance, getAnnualMortgageInterest } from './mortgageCalculator';
+import { getCurrentMortgageBalance, getAnnualMortgageInterest, getVariableRateSpread, getMortgageTermOn, getTermEndDate } from './mortgageCalculator';
+import { getPrimeRateOn } from './primeRateHistory';
 import type { MortgageData } from './mortgageCalculator';
 
 /**
@@ -19,15 +20,32 @@ export function calculateRenewalDate(startDate: string | Date, termMonths: numbe
   return renewal.toISOString().split('T')[0];
 }
 
+/**
+ * Get the next renewal date for a mortgage, following its renewal chain
+ * (assumes renewals on the same term length once the recorded chain has matured)
+ * @param mortgage Mortgage data
+ * @param asOf Date to look from (defaults to today)
+ * @returns Renewal date of the term in effect as ISO string
+ */
+export function getNextRenewalDate(mortgage: MortgageData, asOf: string | Date = new Date()): string {
+  return getTermEndDate(getMortgageTermOn(mortgage, asOf));
+}
+
 /**
  * Get effective interest rate for a mortgage (handles variable rates with prime)
  * @param mortgage Mortgage data
+ * @param asOf Date to price a variable rate on (defaults to today)
  * @returns Effective rate as decimal
  */
-export function getEffectiveInterestRate(mortgage: MortgageData & { primeRate?: number; variableRateSpread?: number }): number {
+export function getEffectiveInterestRate(
+  mortgage: MortgageData & { primeRate?: number; variableRateSpread?: number },
+  asOf?: string | Date
+): number {
   if (mortgage.rateType?.toUpperCase() === 'VARIABLE') {
-    const primeRate = mortgage.primeRate ?? getPrimeRate();
-    const spread = mortgage.variableRateSpread ?? 0;
+    const primeRate = asOf
+      ? getPrimeRateOn(asOf) ?? getPrimeRate()
+      : mortgage.primeRate ?? getPrimeRate();
+    const spread = getVariableRateSpread(mortgage);
     return calculateEffectiveVariableRate(primeRate, spread);
   }
   return mortgage.interestRate;
@@ -0,0 +1,132 @@
+/**
+ * Payment holidays, skipped and late payments
+ * Schedules assume every payment is made on its scheduled date. Recorded events change that:
+ * - Deferral: a run of payments isn't made (e.g., a pandemic payment deferral); the interest is
+ *   added to the balance and the amortization is extended by the deferred payments
+ * - Skip: a single skip-a-payment; the interest is added to the balance
+ * - Late: the payment is made after its scheduled date; interest keeps accruing on the unpaid
+ *   principal until it is paid
+ * A fee charged for the event (skip fee, NSF or late fee) is added to the balance.
+ */
+
+export type PaymentEventType = 'DEFERRAL' | 'SKIP' | 'LATE';
+
+export const PAYMENT_EVENT_LABELS: Record<PaymentEventType, string> = {
+  DEFERRAL: 'Payment deferral',
+  SKIP: 'Skipped payment',
+  LATE: 'Late payment',
+};
+
+export interface PaymentEvent {
+  type: PaymentEventType;
+  date: string; // YYYY-MM-DD; applies to the first scheduled payment on or after this date
+  payments?: number | null; // DEFERRAL: number of consecutive payments deferred (default 1)
+  paidDate?: string | null; // LATE: date the payment was actually made
+  fee?: number | null; // Charged by the lender and added to the balance
+  notes?: string | null;
+}
+
+export interface PaymentEventAdjustment {
+  type: PaymentEventType;
+  paidDate: string | null; // LATE only
+  fee: number;
+  extendsAmortization: boolean;
+}
+
+const EVENT_TYPES: PaymentEventType[] = ['DEFERRAL', 'SKIP', 'LATE'];
+
+/**
+ * Valid events in date order
+ */
+export function normalizePaymentEvents(events: PaymentEvent[] | null | undefined): PaymentEvent[] {
+  if (!Array.isArray(events)) {
+    return [];
+  }
+  return events
+    .filter((event) => event && EVENT_TYPES.includes(event.type) && typeof event.date === 'string' && event.date.length >= 10)
+    .map((event) => ({ ...event, date: event.date.slice(0, 10), paidDate: event.paidDate ? event.paidDate.slice(0, 10) : null }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Whether a mortgage has any recorded payment events
+ */
+export function hasPaymentEvents(mortgage: { paymentEvents?: PaymentEvent[] | null } | null | undefined): boolean {
+  return normalizePaymentEvents(mortgage?.paymentEvents).length > 0;
+}
+
+/**
+ * Walk a schedule's payment dates and return the event, if any, affecting each payment.
+ * Dates must be passed in order; an event applies to the first payment dated on or after it.
+ */
+export function createPaymentEventCursor(
+  events: PaymentEvent[] | null | undefined
+): (paymentDateKey: string) => PaymentEventAdjustment | null {
+  const pending = normalizePaymentEvents(events);
+  let index = 0;
+  let deferredRemaining = 0;
+  let deferralFee = 0;
+
+  return (paymentDateKey: string) => {
+    let adjustment: PaymentEventAdjustment | null = null;
+
+    // Events dated up to this payment; a later one on the same payment wins
+    while (index < pending.length && pending[index].date <= paymentDateKey) {
+      const event = pending[index++];
+      const fee = Math.max(0, Number(event.fee) || 0);
+      if (event.type === 'DEFERRAL') {
+        deferredRemaining = Math.max(1, Math.floor(Number(event.payments) || 1));
+        deferralFee = fee;
+        adjustment = null;
+      } else {
+        adjustment = {
+          type: event.type,
+          paidDate: event.type === 'LATE' && event.paidDate && event.paidDate > paymentDateKey ? event.paidDate : null,
+          fee,
+          extendsAmortization: false,
+        };
+      }
+    }
+
+    // Payments inside a deferral aren't made, whatever else was recorded for them
+    if (deferredRemaining > 0) {
+      deferredRemaining--;
+      const fee = deferralFee;
+      deferralFee = 0; // Charged once, with the first deferred payment
+      return { type: 'DEFERRAL', paidDate: null, fee, extendsAmortization: true };
+    }
+
+    return adjustment;
+  };
+}
+
+/**
+ * Growth factor of a balance over a number of days at a schedule's periodic rate
+ */
+function getDailyGrowth(periodicRate: number, paymentsPerYear: number, days: number): number {
+  if (days <= 0 || periodicRate <= 0) {
+    return 0;
+  }
+  return Math.pow(1 + periodicRate, (paymentsPerYear * days) / 365) - 1;
+}
+
+/**
+ * Interest accrued on the principal portion of a payment made late.
+ * Interest runs on the full balance until the payment is made and the next period is that much
+ * shorter, so the net cost is the interest on the principal portion for the days late.
+ */
+export function getLatePaymentInterest(
+  principalPortion: number,
+  periodicRate: number,
+  paymentsPerYear: number,
+  scheduledDate: string,
+  paidDate: string | null
+): number {
+  if (!paidDate || !(principalPortion > 0)) {
+    return 0;
+  }
+  const days = Math.round(
+    (new Date(`${paidDate}T00:00:00Z`).getTime() - new Date(`${scheduledDate}T00:00:00Z`).getTime()) / 86400000
+  );
+  return principalPortion * getDailyGrowth(periodicRate, paymentsPerYear, days);
+}
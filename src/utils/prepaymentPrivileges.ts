@@ -0,0 +1,158 @@
+/**
+ * Prepayment privileges
+ * A closed mortgage only lets the borrower prepay so much without a penalty: a lump sum of up to
+ * a share of the original principal each anniversary year, an increase to the regular payment,
+ * and on some products a double-up of any payment. Open mortgages can be prepaid freely.
+ */
+
+export interface PrepaymentPrivileges {
+  lumpSumRatio?: number | null; // Share of the original principal that can be prepaid each anniversary year (e.g., 0.15)
+  paymentIncreaseRatio?: number | null; // Share the regular payment can be increased by (e.g., 0.20)
+  doubleUp?: boolean | null; // Any regular payment can be doubled
+}
+
+export interface Prepayment {
+  date: string; // YYYY-MM-DD
+  amount: number;
+}
+
+export interface PrepaymentMortgage {
+  originalAmount: number;
+  startDate: string | Date;
+  mortgageType?: string | null; // OPEN or CLOSED
+  prepaymentPrivileges?: PrepaymentPrivileges | null;
+  prepayments?: Prepayment[] | null; // Lump sums already prepaid
+}
+
+export interface AnniversaryYear {
+  start: string; // First day of the anniversary year (YYYY-MM-DD)
+  end: string; // First day of the next anniversary year
+}
+
+export interface LumpSumPrivilege extends AnniversaryYear {
+  limit: number;
+  used: number;
+  remaining: number;
+}
+
+export interface PaymentIncreasePrivilege {
+  maxIncrease: number; // Most the regular payment can be increased by
+  maxPayment: number;
+  doubleUp: boolean;
+}
+
+export interface PrivilegeCheck<T> {
+  privilege: T | null; // null when the mortgage has no limit recorded
+  allowed: boolean;
+  excess: number; // Amount over the privilege (0 when allowed)
+}
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  // Schedule dates are built at UTC midnight, so read the calendar day in UTC
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function addYears(dateKey: string, years: number): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.toISOString().split('T')[0];
+}
+
+function isOpenMortgage(mortgage: PrepaymentMortgage): boolean {
+  return String(mortgage.mortgageType || '').toUpperCase() === 'OPEN';
+}
+
+/**
+ * Anniversary year of a mortgage containing a given date
+ * Privileges reset on each anniversary of the start date.
+ */
+export function getAnniversaryYear(startDate: string | Date, asOf: string | Date = new Date()): AnniversaryYear {
+  const start = toDateKey(startDate);
+  const target = toDateKey(asOf);
+
+  let years = Math.max(0, Number(target.slice(0, 4)) - Number(start.slice(0, 4)));
+  while (years > 0 && addYears(start, years) > target) {
+    years--;
+  }
+
+  return { start: addYears(start, years), end: addYears(start, years + 1) };
+}
+
+/**
+ * Lump-sum prepayment privilege for the anniversary year containing asOf
+ * @param mortgage Mortgage with its privileges and the prepayments already made
+ * @param asOf Date in the anniversary year (defaults to today)
+ * @returns null when the mortgage is open or has no lump-sum limit recorded
+ */
+export function getLumpSumPrivilege(mortgage: PrepaymentMortgage, asOf: string | Date = new Date()): LumpSumPrivilege | null {
+  const ratio = mortgage.prepaymentPrivileges?.lumpSumRatio;
+  if (isOpenMortgage(mortgage) || typeof ratio !== 'number' || !mortgage.startDate) {
+    return null;
+  }
+
+  const year = getAnniversaryYear(mortgage.startDate, asOf);
+  const limit = (Number(mortgage.originalAmount) || 0) * ratio;
+  const used = (mortgage.prepayments || [])
+    .filter((prepayment) => prepayment.date >= year.start && prepayment.date < year.end)
+    .reduce((sum, prepayment) => sum + (Number(prepayment.amount) || 0), 0);
+
+  return {
+    ...year,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+  };
+}
+
+/**
+ * Payment increase privilege on a regular payment
+ * A double-up allows up to twice the regular payment; otherwise the payment can grow by paymentIncreaseRatio.
+ * @returns null when the mortgage is open or has no payment increase limit recorded
+ */
+export function getPaymentIncreasePrivilege(mortgage: PrepaymentMortgage, regularPayment: number): PaymentIncreasePrivilege | null {
+  const privileges = mortgage.prepaymentPrivileges;
+  const ratio = privileges?.paymentIncreaseRatio;
+  const doubleUp = privileges?.doubleUp === true;
+  if (isOpenMortgage(mortgage) || (typeof ratio !== 'number' && !doubleUp)) {
+    return null;
+  }
+
+  const maxIncrease = regularPayment * Math.max(typeof ratio === 'number' ? ratio : 0, doubleUp ? 1 : 0);
+  return {
+    maxIncrease,
+    maxPayment: regularPayment + maxIncrease,
+    doubleUp,
+  };
+}
+
+/**
+ * Check a lump-sum prepayment against the privilege left in its anniversary year
+ */
+export function checkLumpSumPrepayment(
+  mortgage: PrepaymentMortgage,
+  amount: number,
+  date: string | Date
+): PrivilegeCheck<LumpSumPrivilege> {
+  const privilege = getLumpSumPrivilege(mortgage, date);
+  const excess = privilege ? Math.max(0, amount - privilege.remaining) : 0;
+  return { privilege, allowed: excess < 0.005, excess };
+}
+
+/**
+ * Check an increase to the regular payment against the payment increase privilege
+ */
+export function checkPaymentIncrease(
+  mortgage: PrepaymentMortgage,
+  regularPayment: number,
+  additionalPayment: number
+): PrivilegeCheck<PaymentIncreasePrivilege> {
+  const privilege = getPaymentIncreasePrivilege(mortgage, regularPayment);
+  const excess = privilege ? Math.max(0, additionalPayment - privilege.maxIncrease) : 0;
+  return { privilege, allowed: excess < 0.005, excess };
+}
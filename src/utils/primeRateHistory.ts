@@ -0,0 +1,100 @@
+/**
+ * Canadian Prime Rate History
+ * Timeline of prime rate changes used to re-price variable-rate mortgages period by period.
+ * The bundled history is replaced at runtime by the admin-maintained prime_rates table
+ * (loaded via /api/prime-rates).
+ */
+
+export interface PrimeRateEntry {
+  effectiveDate: string; // YYYY-MM-DD
+  rate: number; // as decimal (e.g., 0.0695 for 6.95%)
+}
+
+// Big-bank prime rate changes following Bank of Canada policy rate announcements
+export const DEFAULT_PRIME_RATE_HISTORY: PrimeRateEntry[] = [
+  { effectiveDate: '2015-07-16', rate: 0.0270 },
+  { effectiveDate: '2017-07-13', rate: 0.0295 },
+  { effectiveDate: '2017-09-07', rate: 0.0320 },
+  { effectiveDate: '2018-01-18', rate: 0.0345 },
+  { effectiveDate: '2018-07-12', rate: 0.0370 },
+  { effectiveDate: '2018-10-25', rate: 0.0395 },
+  { effectiveDate: '2020-03-05', rate: 0.0345 },
+  { effectiveDate: '2020-03-17', rate: 0.0295 },
+  { effectiveDate: '2020-03-30', rate: 0.0245 },
+  { effectiveDate: '2022-03-03', rate: 0.0270 },
+  { effectiveDate: '2022-04-14', rate: 0.0320 },
+  { effectiveDate: '2022-06-02', rate: 0.0370 },
+  { effectiveDate: '2022-07-14', rate: 0.0470 },
+  { effectiveDate: '2022-09-08', rate: 0.0545 },
+  { effectiveDate: '2022-10-27', rate: 0.0595 },
+  { effectiveDate: '2022-12-08', rate: 0.0645 },
+  { effectiveDate: '2023-01-26', rate: 0.0670 },
+  { effectiveDate: '2023-06-08', rate: 0.0695 },
+  { effectiveDate: '2023-07-13', rate: 0.0720 },
+  { effectiveDate: '2024-06-06', rate: 0.0695 },
+  { effectiveDate: '2024-07-25', rate: 0.0670 },
+  { effectiveDate: '2024-09-05', rate: 0.0645 },
+  { effectiveDate: '2024-10-24', rate: 0.0595 },
+  { effectiveDate: '2024-12-12', rate: 0.0545 },
+  { effectiveDate: '2025-01-30', rate: 0.0520 },
+  { effectiveDate: '2025-03-13', rate: 0.0495 },
+  { effectiveDate: '2025-09-18', rate: 0.0470 },
+  { effectiveDate: '2025-10-30', rate: 0.0445 },
+];
+
+let primeRateHistory: PrimeRateEntry[] = DEFAULT_PRIME_RATE_HISTORY;
+
+/**
+ * Replace the prime rate timeline (e.g. with the admin-maintained history from the database)
+ * @param entries Prime rate changes in any order
+ */
+export function setPrimeRateHistory(entries: PrimeRateEntry[]): void {
+  primeRateHistory = [...entries]
+    .filter(entry => entry && entry.effectiveDate && Number.isFinite(entry.rate))
+    .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+}
+
+/**
+ * Prime rate timeline entries from prime_rates rows (API or database)
+ * @param rows Rows with effective_date (YYYY-MM-DD) and rate (decimal, number or string)
+ */
+export function toPrimeRateEntries(rows: Array<{ effective_date: string; rate: number | string }>): PrimeRateEntry[] {
+  return rows.map((row) => ({ effectiveDate: row.effective_date, rate: Number(row.rate) }));
+}
+
+/**
+ * Get the prime rate timeline, oldest change first
+ */
+export function getPrimeRateHistory(): PrimeRateEntry[] {
+  return primeRateHistory;
+}
+
+/**
+ * Get the prime rate in effect on a given date
+ * Dates before the first recorded change use the earliest known rate.
+ * @param date Date to look up
+ * @returns Prime rate as decimal, or null when no history is loaded
+ */
+export function getPrimeRateOn(date: string | Date): number | null {
+  if (primeRateHistory.length === 0) {
+    return null;
+  }
+
+  const target = typeof date === 'string' ? date.slice(0, 10) : toDateKey(date);
+  let rate = primeRateHistory[0].rate;
+
+  for (const entry of primeRateHistory) {
+    if (entry.effectiveDate > target) break;
+    rate = entry.rate;
+  }
+
+  return rate;
+}
+
+function toDateKey(date: Date): string {
+  // Schedule dates are built at UTC midnight, so read the calendar day in UTC
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
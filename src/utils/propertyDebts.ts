@@ -0,0 +1,467 @@
+/**
+ * Property debt aggregation
+ * A property's mortgage is its first lien; any further liens (second mortgage, private
+ * mortgage, line of credit) are kept in additionalDebts. Debt service, balances and
+ * forecasts should use these totals rather than the mortgage alone.
+ */
+
+import {
+  getMonthlyMortgagePayment,
+  getMonthlyMortgageInterest,
+  getMonthlyMortgagePrincipal,
+  getCurrentMortgageBalance,
+  getAnnualMortgageInterest,
+  getMortgageYearlySummary,
+  getMortgageMonthlySummary,
+  normalizeMortgageRenewals,
+  calculateAmortizationSchedule,
+} from './mortgageCalculator';
+import type { MortgageYearlySummary, MortgageMonthlySummary } from './mortgageCalculator';
+import {
+  isCreditLine,
+  getCreditLineBalance,
+  getCreditLineMonthlyInterest,
+  getCreditLineInterestBetween,
+  getCreditLineYearlySummary,
+  getCreditLineMonthlySummary,
+} from './creditLine';
+import type { CreditLineData } from './creditLine';
+import { isMortgageAssumed } from './mortgageTransfers';
+import type { MortgageTransfer } from './mortgageTransfers';
+
+export type DebtType = 'MORTGAGE' | 'PRIVATE_MORTGAGE' | 'LINE_OF_CREDIT';
+
+export const DEBT_TYPE_LABELS: Record<DebtType, string> = {
+  MORTGAGE: 'Mortgage',
+  PRIVATE_MORTGAGE: 'Private Mortgage',
+  LINE_OF_CREDIT: 'Line of Credit',
+};
+
+export interface PropertyDebt extends CreditLineData {
+  id?: string;
+  priority?: number; // Lien position (1 = first mortgage)
+  debtType?: DebtType;
+  transfers?: MortgageTransfer[]; // Ported from another property or assumed by a buyer
+}
+
+/**
+ * Map a debt row from the API (snake_case) to calculator format
+ * @param debt Row from /api/properties/[id]/debts
+ */
+export function mapApiDebtToFrontend(debt: any): PropertyDebt {
+  const mortgageData = debt.mortgage_data || {};
+  return {
+    id: debt.id,
+    priority: debt.priority || 1,
+    debtType: debt.debt_type || 'MORTGAGE',
+    lender: debt.lender || '',
+    originalAmount: parseFloat(debt.original_amount || 0),
+    interestRate: parseFloat(debt.interest_rate || 0),
+    rateType: debt.rate_type || 'Fixed',
+    termMonths: debt.term_months || 60,
+    amortizationYears: debt.amortization_years || 25,
+    paymentFrequency: debt.payment_frequency || 'Monthly',
+    startDate: debt.start_date || null,
+    // Include additional mortgage data fields
+    mortgageNumber: mortgageData.mortgageNumber || mortgageData.mortgage_number || null,
+    currentBalance: mortgageData.currentBalance || mortgageData.current_balance || null,
+    currentBalanceDate: mortgageData.currentBalanceDate || null,
+    paymentAmount: mortgageData.paymentAmount || mortgageData.payment_amount || null,
+    renewalDate: mortgageData.renewalDate || mortgageData.renewal_date || null,
+    remainingAmortization: mortgageData.remainingAmortization || mortgageData.remaining_amortization || null,
+    // Merged lender schedule from the mortgage_schedules table (used instead of a generated schedule)
+    lenderSchedule: debt.lender_schedule || null,
+    variableRateSpread: mortgageData.variableRateSpread ?? mortgageData.variable_rate_spread ?? null,
+    hasFixedPayments: mortgageData.hasFixedPayments ?? mortgageData.has_fixed_payments ?? null,
+    mortgageType: mortgageData.mortgageType ?? null,
+    // Prepayment privileges and the lump sums already prepaid against them
+    prepaymentPrivileges: mortgageData.prepaymentPrivileges ?? null,
+    prepayments: Array.isArray(mortgageData.prepayments) ? mortgageData.prepayments : [],
+    // Default insurance premium included in originalAmount
+    defaultInsurance: mortgageData.defaultInsurance ?? null,
+    // Deferrals, skipped and late payments applied to the schedule
+    paymentEvents: Array.isArray(mortgageData.paymentEvents) ? mortgageData.paymentEvents : [],
+    // Interest-only, balloon and fixed-principal loans, and private lender terms
+    loanType: mortgageData.loanType ?? null,
+    maturityAction: mortgageData.maturityAction ?? null,
+    interestReserve: mortgageData.interestReserve ?? null,
+    lenderFee: mortgageData.lenderFee ?? null,
+    // Ports between properties and assumption by a buyer
+    transfers: Array.isArray(mortgageData.transfers) ? mortgageData.transfers : [],
+    // Renewal terms from the mortgage_terms table (this mortgage row is term 1)
+    renewals: normalizeMortgageRenewals(debt.renewals || []),
+    // Line of credit settings and its draws/repayments from the credit_line_transactions table
+    creditLimitRatio: mortgageData.creditLimitRatio ?? null,
+    readvanceable: mortgageData.readvanceable ?? null,
+    transactions: (debt.transactions || []).map((transaction: any) => ({
+      id: transaction.id,
+      date: transaction.transaction_date,
+      type: transaction.transaction_type,
+      amount: parseFloat(transaction.amount || 0),
+      notes: transaction.notes || null,
+    })),
+  } as PropertyDebt;
+}
+
+/**
+ * Whether a debt should be counted; mortgages need an original amount, while a line of
+ * credit counts even when it opened with nothing drawn. A mortgage assumed by a buyer no
+ * longer counts once the sale closes.
+ */
+function isActiveDebt(debt: PropertyDebt | null | undefined): boolean {
+  return !!debt && (isCreditLine(debt) || Number(debt.originalAmount) > 0) && !isMortgageAssumed(debt);
+}
+
+/**
+ * Get every debt on a property in lien order, starting with its mortgage
+ * Mortgages without an original amount are skipped.
+ * @param property Property with mortgage and optional additionalDebts
+ */
+export function getPropertyDebts(property: any): PropertyDebt[] {
+  if (!property) {
+    return [];
+  }
+
+  const debts: PropertyDebt[] = [];
+  if (isActiveDebt(property.mortgage)) {
+    debts.push(property.mortgage);
+  }
+
+  const additionalDebts: PropertyDebt[] = Array.isArray(property.additionalDebts) ? property.additionalDebts : [];
+  additionalDebts
+    .filter(isActiveDebt)
+    .sort((a, b) => (a.priority || 1) - (b.priority || 1))
+    .forEach((debt) => debts.push(debt));
+
+  return debts;
+}
+
+/**
+ * Level monthly payment over the full amortization, used when a debt's schedule can't be built
+ */
+function estimateMonthlyPayment(debt: PropertyDebt): number {
+  const principal = Number(debt.originalAmount) || 0;
+  const annualRate = Number(debt.interestRate) || 0;
+  const amortizationYears = Number(debt.amortizationYears) || 0;
+
+  if (principal <= 0 || amortizationYears <= 0) {
+    return 0;
+  }
+
+  const totalPayments = amortizationYears * 12;
+  const monthlyRate = annualRate > 0 ? annualRate / 12 : 0;
+
+  if (monthlyRate === 0) {
+    return principal / totalPayments;
+  }
+
+  const factor = Math.pow(1 + monthlyRate, totalPayments);
+  return principal * (monthlyRate * factor) / (factor - 1);
+}
+
+function getDebtMonthlyPayment(debt: PropertyDebt): number {
+  // Lines of credit only require interest
+  if (isCreditLine(debt)) {
+    return getCreditLineMonthlyInterest(debt);
+  }
+  try {
+    const payment = getMonthlyMortgagePayment(debt);
+    if (Number.isFinite(payment) && payment > 0) {
+      return payment;
+    }
+  } catch (error) {
+    // Fallback to level payment below
+  }
+  return estimateMonthlyPayment(debt);
+}
+
+function getDebtMonthlyInterest(debt: PropertyDebt): number {
+  if (isCreditLine(debt)) {
+    return getCreditLineMonthlyInterest(debt);
+  }
+  try {
+    const interest = getMonthlyMortgageInterest(debt);
+    if (Number.isFinite(interest)) {
+      return interest;
+    }
+  } catch (error) {
+    // Fallback to simple interest below
+  }
+  return (Number(debt.originalAmount) || 0) * (Number(debt.interestRate) || 0) / 12;
+}
+
+function getDebtMonthlyPrincipal(debt: PropertyDebt): number {
+  if (isCreditLine(debt)) {
+    return 0;
+  }
+  try {
+    const principal = getMonthlyMortgagePrincipal(debt);
+    if (Number.isFinite(principal)) {
+      return principal;
+    }
+  } catch (error) {
+    // Fallback to payment less interest below
+  }
+  return Math.max(0, getDebtMonthlyPayment(debt) - getDebtMonthlyInterest(debt));
+}
+
+function getDebtBalance(debt: PropertyDebt): number {
+  if (isCreditLine(debt)) {
+    return getCreditLineBalance(debt);
+  }
+  try {
+    const balance = getCurrentMortgageBalance(debt);
+    if (Number.isFinite(balance)) {
+      return balance;
+    }
+  } catch (error) {
+    console.warn(`Error calculating balance for ${debt.lender}:`, error);
+  }
+  return Number(debt.originalAmount) || 0;
+}
+
+function getDebtAnnualInterest(debt: PropertyDebt): number {
+  if (isCreditLine(debt)) {
+    const today = new Date();
+    const nextYear = new Date(today);
+    nextYear.setFullYear(today.getFullYear() + 1);
+    return getCreditLineInterestBetween(debt, today, nextYear);
+  }
+  try {
+    const interest = getAnnualMortgageInterest(debt);
+    if (Number.isFinite(interest)) {
+      return interest;
+    }
+  } catch (error) {
+    console.warn(`Error calculating annual interest for ${debt.lender}:`, error);
+  }
+  return (Number(debt.originalAmount) || 0) * (Number(debt.interestRate) || 0);
+}
+
+/**
+ * Total monthly payment (monthly equivalent) across all debts on a property
+ */
+export function getTotalMonthlyDebtPayment(property: any): number {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getDebtMonthlyPayment(debt), 0);
+}
+
+/**
+ * Total monthly interest (monthly equivalent) across all debts on a property
+ */
+export function getTotalMonthlyDebtInterest(property: any): number {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getDebtMonthlyInterest(debt), 0);
+}
+
+/**
+ * Total monthly principal (monthly equivalent) across all debts on a property
+ */
+export function getTotalMonthlyDebtPrincipal(property: any): number {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getDebtMonthlyPrincipal(debt), 0);
+}
+
+/**
+ * Total current balance across all debts on a property
+ */
+export function getTotalDebtBalance(property: any): number {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getDebtBalance(debt), 0);
+}
+
+/**
+ * Total interest over the next 12 months across all debts on a property
+ */
+export function getTotalAnnualDebtInterest(property: any): number {
+  return getPropertyDebts(property).reduce((sum, debt) => sum + getDebtAnnualInterest(debt), 0);
+}
+
+/**
+ * Forward-looking yearly summaries combined across all debts on a property.
+ * A debt that is paid off contributes nothing in later years; a debt whose schedule
+ * can't be built carries its current balance with no payments.
+ *
+ * @param property Property with mortgage and optional additionalDebts
+ * @param yearsAhead Maximum number of years to project forward
+ * @param options.futureRenewalRate Rate (as decimal) assumed for renewals after each debt's last recorded term
+ */
+export function getDebtYearlySummary(
+  property: any,
+  yearsAhead = 30,
+  options: { futureRenewalRate?: number } = {}
+): MortgageYearlySummary[] {
+  const debts = getPropertyDebts(property);
+  if (debts.length === 0 || yearsAhead <= 0) {
+    return [];
+  }
+
+  const perDebt = debts.map((debt) => {
+    const forecastDebt = Number.isFinite(options.futureRenewalRate)
+      ? { ...debt, futureRenewalRate: options.futureRenewalRate }
+      : debt;
+    try {
+      const summaries = isCreditLine(debt)
+        ? getCreditLineYearlySummary(debt, yearsAhead)
+        : getMortgageYearlySummary(forecastDebt, yearsAhead);
+      return { summaries, fallbackBalance: 0 };
+    } catch (error) {
+      console.warn(`Error building yearly summary for ${debt.lender}:`, error);
+      return { summaries: [] as MortgageYearlySummary[], fallbackBalance: getDebtBalance(debt) };
+    }
+  });
+
+  const years = Math.max(...perDebt.map(({ summaries }) => summaries.length));
+  const combined: MortgageYearlySummary[] = [];
+
+  for (let index = 0; index < years; index++) {
+    const summary: Required<MortgageYearlySummary> = {
+      year: index + 1,
+      totalPayment: 0,
+      totalPrincipal: 0,
+      totalInterest: 0,
+      endingBalance: 0,
+      payments: 0,
+      balloonPayment: 0,
+      reservePaid: 0,
+    };
+
+    perDebt.forEach(({ summaries, fallbackBalance }) => {
+      const yearSummary = summaries[index];
+      if (yearSummary) {
+        summary.totalPayment += yearSummary.totalPayment;
+        summary.totalPrincipal += yearSummary.totalPrincipal;
+        summary.totalInterest += yearSummary.totalInterest;
+        summary.endingBalance += yearSummary.endingBalance;
+        summary.payments = Math.max(summary.payments, yearSummary.payments);
+        summary.balloonPayment += yearSummary.balloonPayment || 0;
+        summary.reservePaid += yearSummary.reservePaid || 0;
+      } else {
+        summary.endingBalance += fallbackBalance;
+      }
+    });
+
+    combined.push(summary);
+  }
+
+  return combined;
+}
+
+/**
+ * Calendar months (YYYY-MM) starting at startMonth
+ */
+function getMonthKeys(startMonth: string, count: number): string[] {
+  const [startYear, startMonthNumber] = startMonth.split('-').map(Number);
+  return Array.from({ length: Math.max(0, count) }, (_, index) => {
+    const monthIndex = startMonthNumber - 1 + index;
+    const year = startYear + Math.floor(monthIndex / 12);
+    return `${year}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+  });
+}
+
+/**
+ * Forward-looking monthly summaries combined across all debts on a property.
+ * Payments are dated, so renewals, weekly payments and balloon payments fall in the month they
+ * are scheduled for. A debt that is paid off contributes nothing in later months; a debt whose
+ * schedule can't be built carries its current balance with no payments.
+ *
+ * @param property Property with mortgage and optional additionalDebts
+ * @param startMonth First calendar month to summarize (YYYY-MM)
+ * @param monthsAhead Maximum number of months to project forward
+ * @param options.futureRenewalRate Rate (as decimal) assumed for renewals after each debt's last recorded term
+ */
+export function getDebtMonthlySummary(
+  property: any,
+  startMonth: string,
+  monthsAhead = 120,
+  options: { futureRenewalRate?: number } = {}
+): MortgageMonthlySummary[] {
+  const debts = getPropertyDebts(property);
+  if (debts.length === 0 || monthsAhead <= 0) {
+    return [];
+  }
+
+  const months = getMonthKeys(startMonth, monthsAhead);
+  const perDebt = debts.map((debt) => {
+    const forecastDebt = Number.isFinite(options.futureRenewalRate)
+      ? { ...debt, futureRenewalRate: options.futureRenewalRate }
+      : debt;
+    try {
+      const summaries = isCreditLine(debt)
+        ? getCreditLineMonthlySummary(debt, months)
+        : getMortgageMonthlySummary(forecastDebt, months);
+      return { summaries, fallbackBalance: 0 };
+    } catch (error) {
+      console.warn(`Error building monthly summary for ${debt.lender}:`, error);
+      return { summaries: [] as MortgageMonthlySummary[], fallbackBalance: getDebtBalance(debt) };
+    }
+  });
+
+  const monthCount = Math.max(...perDebt.map(({ summaries }) => summaries.length));
+  const combined: MortgageMonthlySummary[] = [];
+
+  for (let index = 0; index < monthCount; index++) {
+    const summary: Required<MortgageMonthlySummary> = {
+      month: months[index],
+      openingBalance: 0,
+      totalPayment: 0,
+      totalPrincipal: 0,
+      totalInterest: 0,
+      endingBalance: 0,
+      payments: 0,
+      balloonPayment: 0,
+      reservePaid: 0,
+      lenderFee: 0,
+    };
+
+    perDebt.forEach(({ summaries, fallbackBalance }) => {
+      const monthSummary = summaries[index];
+      if (monthSummary) {
+        summary.openingBalance += monthSummary.openingBalance;
+        summary.totalPayment += monthSummary.totalPayment;
+        summary.totalPrincipal += monthSummary.totalPrincipal;
+        summary.totalInterest += monthSummary.totalInterest;
+        summary.endingBalance += monthSummary.endingBalance;
+        summary.payments = Math.max(summary.payments, monthSummary.payments);
+        summary.balloonPayment += monthSummary.balloonPayment || 0;
+        summary.reservePaid += monthSummary.reservePaid || 0;
+        summary.lenderFee += monthSummary.lenderFee || 0;
+      } else {
+        summary.openingBalance += fallbackBalance;
+        summary.endingBalance += fallbackBalance;
+      }
+    });
+
+    combined.push(summary);
+  }
+
+  return combined;
+}
+
+/**
+ * Interest and principal paid on a debt during a calendar year, for the T776 interest line.
+ * Mortgages use the scheduled payments dated in the year; lines of credit use the interest
+ * accrued on the balance and the repayments recorded in the year.
+ *
+ * @param debt Debt on the property
+ * @param year Calendar year (e.g., 2024)
+ */
+export function getDebtPaidForYear(debt: PropertyDebt, year: number): { interest: number; principal: number } {
+  const yearStart = `${year}-01-01`;
+  const nextYearStart = `${year + 1}-01-01`;
+
+  if (isCreditLine(debt)) {
+    const principal = (debt.transactions || [])
+      .filter((transaction) => transaction.type === 'REPAYMENT' && transaction.date >= yearStart && transaction.date < nextYearStart)
+      .reduce((sum, transaction) => sum + (Number(transaction.amount) || 0), 0);
+    return { interest: getCreditLineInterestBetween(debt, yearStart, nextYearStart), principal };
+  }
+
+  try {
+    return calculateAmortizationSchedule(debt).payments
+      .filter((payment) => payment.paymentDate >= yearStart && payment.paymentDate < nextYearStart)
+      .reduce(
+        (sum, payment) => ({ interest: sum.interest + payment.interest, principal: sum.principal + payment.principal }),
+        { interest: 0, principal: 0 }
+      );
+  } catch (error) {
+    console.warn(`Error calculating ${year} interest for ${debt.lender}:`, error);
+    return { interest: getDebtAnnualInterest(debt), principal: getDebtMonthlyPrincipal(debt) * 12 };
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Debt maturity ladder and rate-shock exposure
+ * Looks forward across a portfolio's debts:
+ * - Maturity ladder: when each mortgage's current term matures, grouped by quarter, with the
+ *   balance coming due for renewal
+ * - Rate shock: the payment, cash flow and DSCR of each property if every mortgage renews at its
+ *   current rate plus a shock. Lines of credit float with prime, so the shock applies to them today.
+ */
+
+import {
+  calculateTermChainSchedule,
+  getMortgageTermChain,
+  getMortgageTermOn,
+  getPaymentsPerYear,
+  getTermEndDate,
+} from './mortgageCalculator';
+import type { MortgageData, MortgageTerm } from './mortgageCalculator';
+import { getPropertyDebts, DEBT_TYPE_LABELS } from './propertyDebts';
+import type { DebtType, PropertyDebt } from './propertyDebts';
+import { isCreditLine, getCreditLineBalance } from './creditLine';
+import { hasBalloonAtMaturity } from './loanTypes';
+import { calculateAnnualDebtService, calculateMonthlyCashFlow, calculateNOI } from './financialCalculations';
+
+// Renewal rate increases over each mortgage's current rate (as decimal)
+export const RATE_SHOCKS = [0.01, 0.02, 0.03];
+// Properties below this DSCR no longer cover their debt service from NOI
+export const DSCR_FLOOR = 1.0;
+
+export interface DebtMaturity {
+  propertyId: string;
+  propertyName: string;
+  lender: string;
+  debtLabel: string;
+  maturityDate: string;
+  rate: number; // Maturing term's rate, as decimal
+  balanceAtMaturity: number;
+  monthlyPayment: number; // Monthly equivalent after renewing at the current rate
+  dueAtMaturity: boolean; // Interest-only or balloon loan paid off at maturity rather than renewed
+  renewalPayments: number[]; // Monthly equivalent after renewing at each shock, in RATE_SHOCKS order
+}
+
+export interface MaturityLadderQuarter {
+  key: string; // YYYY-Qn
+  label: string;
+  balance: number;
+  maturities: DebtMaturity[];
+}
+
+export interface RateShockScenario {
+  shock: number;
+  monthlyDebtService: number;
+  paymentIncrease: number; // Monthly
+  monthlyCashFlow: number;
+  dscr: number | null; // null when there is no debt service
+  belowFloor: boolean;
+}
+
+export interface PropertyRateShock {
+  propertyId: string;
+  propertyName: string;
+  noi: number; // Annual
+  monthlyDebtService: number;
+  monthlyCashFlow: number;
+  dscr: number | null;
+  scenarios: RateShockScenario[];
+}
+
+export interface RateShockReport {
+  shocks: number[];
+  properties: PropertyRateShock[];
+  portfolio: Omit<PropertyRateShock, 'propertyId' | 'propertyName'>;
+}
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function getPropertyName(property: any): string {
+  return property?.nickname || property?.name || property?.address || 'Property';
+}
+
+/**
+ * Recorded terms through the next maturity, with any renewals assumed since the last recorded
+ * term written out, so a renewal rate only changes terms from that maturity on
+ */
+function getTermsToNextMaturity(mortgage: MortgageData, asOf: string): MortgageTerm[] {
+  const terms = getMortgageTermChain(mortgage);
+  let term = terms[terms.length - 1];
+  while (getTermEndDate(term) <= asOf) {
+    term = { ...getMortgageTermOn(mortgage, getTermEndDate(term)), projected: false };
+    terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Monthly equivalent of the first payment on or after a date
+ */
+function getMonthlyPaymentFrom(mortgage: MortgageData, dateKey: string): { balanceBefore: number; monthlyPayment: number } {
+  const payments = calculateTermChainSchedule(mortgage).payments;
+  const lastBefore = payments.filter(payment => payment.paymentDate < dateKey).pop();
+  const firstAfter = payments.find(payment => payment.paymentDate >= dateKey);
+  return {
+    balanceBefore: lastBefore ? lastBefore.remainingBalance : mortgage.originalAmount,
+    monthlyPayment: firstAfter ? (firstAfter.monthlyPayment * getPaymentsPerYear(mortgage.paymentFrequency)) / 12 : 0,
+  };
+}
+
+/**
+ * Next maturity of every mortgage in the portfolio, soonest first
+ * Lines of credit have no term and aren't included.
+ */
+export function getDebtMaturities(properties: any[], asOf: string | Date = new Date()): DebtMaturity[] {
+  const asOfKey = toDateKey(asOf);
+  const maturities: DebtMaturity[] = [];
+
+  for (const property of properties || []) {
+    for (const debt of getPropertyDebts(property)) {
+      if (isCreditLine(debt) || !debt.startDate) continue;
+      try {
+        const terms = getTermsToNextMaturity(debt, asOfKey);
+        const maturingTerm = terms[terms.length - 1];
+        const maturityDate = getTermEndDate(maturingTerm);
+        const renewals = terms.slice(1);
+        const renewAt = (rate: number) => getMonthlyPaymentFrom({ ...debt, renewals, futureRenewalRate: rate }, maturityDate);
+
+        const current = renewAt(maturingTerm.interestRate);
+        if (current.balanceBefore <= 0.005) continue;
+
+        const dueAtMaturity = hasBalloonAtMaturity(debt);
+        const debtType = (debt.debtType || 'MORTGAGE') as DebtType;
+        maturities.push({
+          propertyId: property.id,
+          propertyName: getPropertyName(property),
+          lender: debt.lender || '',
+          debtLabel: DEBT_TYPE_LABELS[debtType] || DEBT_TYPE_LABELS.MORTGAGE,
+          maturityDate,
+          rate: maturingTerm.interestRate,
+          balanceAtMaturity: current.balanceBefore,
+          monthlyPayment: current.monthlyPayment,
+          dueAtMaturity,
+          renewalPayments: RATE_SHOCKS.map(shock =>
+            dueAtMaturity ? current.monthlyPayment : renewAt(maturingTerm.interestRate + shock).monthlyPayment
+          ),
+        });
+      } catch (error) {
+        console.warn(`Error calculating maturity for ${debt.lender}:`, error);
+      }
+    }
+  }
+
+  return maturities.sort((a, b) => a.maturityDate.localeCompare(b.maturityDate));
+}
+
+/**
+ * Group maturities by calendar quarter
+ */
+export function getMaturityLadder(maturities: DebtMaturity[]): MaturityLadderQuarter[] {
+  const quarters = new Map<string, MaturityLadderQuarter>();
+  for (const maturity of maturities) {
+    const year = maturity.maturityDate.slice(0, 4);
+    const quarter = Math.floor((Number(maturity.maturityDate.slice(5, 7)) - 1) / 3) + 1;
+    const key = `${year}-Q${quarter}`;
+    if (!quarters.has(key)) {
+      quarters.set(key, { key, label: `Q${quarter} ${year}`, balance: 0, maturities: [] });
+    }
+    const entry = quarters.get(key) as MaturityLadderQuarter;
+    entry.balance += maturity.balanceAtMaturity;
+    entry.maturities.push(maturity);
+  }
+  return Array.from(quarters.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function getScenario(noi: number, monthlyDebtService: number, monthlyCashFlow: number, shock: number, paymentIncrease: number): RateShockScenario {
+  const shockedDebtService = monthlyDebtService + paymentIncrease;
+  const dscr = shockedDebtService > 0 ? noi / (shockedDebtService * 12) : null;
+  return {
+    shock,
+    monthlyDebtService: shockedDebtService,
+    paymentIncrease,
+    monthlyCashFlow: monthlyCashFlow - paymentIncrease,
+    dscr,
+    belowFloor: dscr !== null && dscr < DSCR_FLOOR,
+  };
+}
+
+/**
+ * Payment, cash flow and DSCR of each property, and the portfolio, if every mortgage renews at
+ * its current rate plus each of RATE_SHOCKS. Interest-only and balloon loans paid off at
+ * maturity keep their payment; lines of credit pay the shock on today's balance.
+ */
+export function getRateShockReport(properties: any[], asOf: string | Date = new Date()): RateShockReport {
+  const maturities = getDebtMaturities(properties, asOf);
+
+  const rows: PropertyRateShock[] = (properties || [])
+    .filter(property => getPropertyDebts(property).length > 0)
+    .map((property) => {
+      const noi = calculateNOI(property);
+      const monthlyDebtService = calculateAnnualDebtService(property) / 12;
+      const monthlyCashFlow = calculateMonthlyCashFlow(property);
+      const propertyMaturities = maturities.filter(maturity => maturity.propertyId === property.id);
+      const creditLineBalance = getPropertyDebts(property)
+        .filter(isCreditLine)
+        .reduce((sum, line: PropertyDebt) => sum + getCreditLineBalance(line, asOf), 0);
+
+      const scenarios = RATE_SHOCKS.map((shock, index) => {
+        const paymentIncrease = propertyMaturities.reduce(
+          (sum, maturity) => sum + Math.max(0, maturity.renewalPayments[index] - maturity.monthlyPayment),
+          0
+        ) + (creditLineBalance * shock) / 12;
+        return getScenario(noi, monthlyDebtService, monthlyCashFlow, shock, paymentIncrease);
+      });
+
+      return {
+        propertyId: property.id,
+        propertyName: getPropertyName(property),
+        noi,
+        monthlyDebtService,
+        monthlyCashFlow,
+        dscr: monthlyDebtService > 0 ? noi / (monthlyDebtService * 12) : null,
+        scenarios,
+      };
+    });
+
+  const total = (field: 'noi' | 'monthlyDebtService' | 'monthlyCashFlow') => rows.reduce((sum, row) => sum + row[field], 0);
+  const noi = total('noi');
+  const monthlyDebtService = total('monthlyDebtService');
+  const monthlyCashFlow = total('monthlyCashFlow');
+
+  return {
+    shocks: RATE_SHOCKS,
+    properties: rows,
+    portfolio: {
+      noi,
+      monthlyDebtService,
+      monthlyCashFlow,
+      dscr: monthlyDebtService > 0 ? noi / (monthlyDebtService * 12) : null,
+      scenarios: RATE_SHOCKS.map((shock, index) => getScenario(
+        noi,
+        monthlyDebtService,
+        monthlyCashFlow,
+        shock,
+        rows.reduce((sum, row) => sum + row.scenarios[index].paymentIncrease, 0)
+      )),
+    },
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Mid-term renewal options
+ * Compares what a borrower can do with a fixed term before it matures, over the same horizon:
+ * - Blend-and-extend: the lender blends the old contract rate with today's rate and restarts the term, with no penalty
+ * - Break-and-refinance: pay the break penalty and start a new term at today's rate
+ * - Wait until maturity: keep the current term, then renew at today's rate
+ */
+
+import {
+  calculateTermChainSchedule,
+  getCurrentMortgageBalance,
+  getMortgageTermChain,
+  getMortgageTermOn,
+  getPaymentsPerYear,
+} from './mortgageCalculator';
+import { getMortgageBreakDetails, getMortgageBreakPenalty } from './breakPenalty';
+import type { MortgageData, MortgageTerm, PaymentScheduleItem } from './mortgageCalculator';
+
+export type RenewalOptionKey = 'BLEND_AND_EXTEND' | 'BREAK_AND_REFINANCE' | 'WAIT_UNTIL_MATURITY';
+
+export const RENEWAL_OPTION_LABELS: Record<RenewalOptionKey, string> = {
+  BLEND_AND_EXTEND: 'Blend and extend',
+  BREAK_AND_REFINANCE: 'Break and refinance',
+  WAIT_UNTIL_MATURITY: 'Wait until maturity',
+};
+
+export interface RenewalOption {
+  key: RenewalOptionKey;
+  rate: number; // Rate from today, as decimal
+  monthlyPayment: number; // Monthly equivalent of the first payment from today
+  penalty: number;
+  totalInterest: number; // Interest paid over the horizon
+  totalCost: number; // Interest plus penalty
+  balanceAtHorizon: number;
+  npv: number; // Present value of the payments, penalty and balance left at the horizon (lower is better)
+}
+
+export interface RenewalOptionsComparison {
+  asOf: string;
+  horizonEnd: string;
+  currentBalance: number;
+  currentRate: number;
+  monthsRemaining: number;
+  maturityDate: string;
+  blendedRate: number;
+  discountRate: number;
+  options: RenewalOption[];
+  best: RenewalOptionKey; // Lowest NPV
+}
+
+export interface RenewalOptionsInput {
+  newRate: number; // Today's rate for the new term, as decimal
+  newTermMonths: number;
+  discountRate?: number | null; // Defaults to newRate
+  penalty?: number | null; // Overrides the calculated break penalty
+  asOf?: string | Date;
+}
+
+function toDateKey(date: string | Date): string {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function addMonths(dateKey: string, months: number): string {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Blended rate for a blend-and-extend
+ * The old rate applies for the months left in the current term and the new rate for the extension.
+ * @param currentRate Contract rate as decimal
+ * @param monthsRemaining Months left in the current term
+ * @param newRate Rate for the new term as decimal
+ * @param newTermMonths Length of the new term (at least the months remaining)
+ */
+export function calculateBlendedRate(
+  currentRate: number,
+  monthsRemaining: number,
+  newRate: number,
+  newTermMonths: number
+): number {
+  if (newTermMonths <= 0) {
+    return currentRate;
+  }
+  const remaining = Math.min(Math.max(0, monthsRemaining), newTermMonths);
+  return (currentRate * remaining + newRate * (newTermMonths - remaining)) / newTermMonths;
+}
+
+/**
+ * Compare blend-and-extend, break-and-refinance and waiting until maturity
+ * Each option keeps the remaining amortization. Payments run from asOf to asOf + newTermMonths;
+ * the NPV discounts every payment, the penalty (paid today) and the balance still owed at the
+ * horizon, so options that pay down more principal aren't penalized for it.
+ */
+export function compareRenewalOptions(
+  mortgage: MortgageData & { mortgageType?: string | null },
+  input: RenewalOptionsInput
+): RenewalOptionsComparison {
+  const asOf = toDateKey(input.asOf || new Date());
+  const horizonEnd = addMonths(asOf, input.newTermMonths);
+  const discountRate = typeof input.discountRate === 'number' && Number.isFinite(input.discountRate)
+    ? input.discountRate
+    : input.newRate;
+
+  const details = getMortgageBreakDetails(mortgage, asOf);
+  const blendedRate = calculateBlendedRate(details.contractRate, details.monthsRemaining, input.newRate, input.newTermMonths);
+  const penalty = typeof input.penalty === 'number' && Number.isFinite(input.penalty)
+    ? input.penalty
+    : getMortgageBreakPenalty(mortgage, { asOf }).penalty;
+
+  // Every option starts from today's balance, after the recorded terms up to today
+  // (including the current term when it is an assumed renewal, so waiting keeps its rate)
+  const currentBalance = getCurrentMortgageBalance(mortgage);
+  const currentTerm = getMortgageTermOn(mortgage, asOf);
+  const pastRenewals = getMortgageTermChain(mortgage).slice(1).filter(term => term.startDate <= asOf);
+  if (currentTerm.projected) {
+    pastRenewals.push({ ...currentTerm, projected: false });
+  }
+  const fromToday: MortgageData = { ...mortgage, currentBalance, currentBalanceDate: asOf };
+
+  const withNewTerm = (rate: number): MortgageData => {
+    const newTerm: MortgageTerm = {
+      termNumber: pastRenewals.length + 2,
+      lender: mortgage.lender,
+      startDate: asOf,
+      termMonths: input.newTermMonths,
+      interestRate: rate,
+      rateType: 'FIXED',
+    };
+    return { ...fromToday, renewals: [...pastRenewals, newTerm], futureRenewalRate: input.newRate };
+  };
+
+  const scenarios: Array<{ key: RenewalOptionKey; rate: number; penalty: number; mortgage: MortgageData }> = [
+    { key: 'BLEND_AND_EXTEND', rate: blendedRate, penalty: 0, mortgage: withNewTerm(blendedRate) },
+    { key: 'BREAK_AND_REFINANCE', rate: input.newRate, penalty, mortgage: withNewTerm(input.newRate) },
+    {
+      key: 'WAIT_UNTIL_MATURITY',
+      rate: details.contractRate,
+      penalty: 0,
+      mortgage: { ...fromToday, renewals: pastRenewals, futureRenewalRate: input.newRate },
+    },
+  ];
+
+  const paymentsPerYear = getPaymentsPerYear(mortgage.paymentFrequency);
+  const discount = (dateKey: string) => {
+    const years = (Date.parse(`${dateKey}T00:00:00Z`) - Date.parse(`${asOf}T00:00:00Z`)) / (365.25 * 24 * 60 * 60 * 1000);
+    return Math.pow(1 + discountRate, -Math.max(0, years));
+  };
+
+  const options: RenewalOption[] = scenarios.map((scenario) => {
+    const schedule = calculateTermChainSchedule(scenario.mortgage).payments;
+    const inHorizon = schedule.filter((payment: PaymentScheduleItem) => payment.paymentDate > asOf && payment.paymentDate <= horizonEnd);
+    const lastBefore = schedule.filter((payment: PaymentScheduleItem) => payment.paymentDate <= asOf).pop();
+    const balanceAtHorizon = inHorizon.length > 0
+      ? inHorizon[inHorizon.length - 1].remainingBalance
+      : lastBefore ? lastBefore.remainingBalance : currentBalance;
+
+    const totalInterest = inHorizon.reduce((sum, payment) => sum + payment.interest, 0);
+    const npv = scenario.penalty +
+      inHorizon.reduce((sum, payment) => sum + payment.monthlyPayment * discount(payment.paymentDate), 0) +
+      balanceAtHorizon * discount(horizonEnd);
+
+    return {
+      key: scenario.key,
+      rate: scenario.rate,
+      monthlyPayment: inHorizon.length > 0 ? inHorizon[0].monthlyPayment * paymentsPerYear / 12 : 0,
+      penalty: scenario.penalty,
+      totalInterest,
+      totalCost: totalInterest + scenario.penalty,
+      balanceAtHorizon,
+      npv,
+    };
+  });
+
+  const best = options.reduce((lowest, option) => (option.npv < lowest.npv ? option : lowest)).key;
+
+  return {
+    asOf,
+    horizonEnd,
+    currentBalance,
+    currentRate: details.contractRate,
+    monthsRemaining: details.monthsRemaining,
+    maturityDate: details.termEndDate,
+    blendedRate,
+    discountRate,
+    options,
+    best,
+  };
+}
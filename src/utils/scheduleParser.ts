@@ -12,15 +12,17 @@ export interface PaymentScheduleItem {
   principal: number;
   interest: number;
   remainingBalance: number;
+  interestRate?: number; // Annual rate as decimal, when the CSV has a rate column
 }
 
-interface CSVMapping {
+export interface CSVMapping {
   paymentNumber?: string;
   paymentDate?: string;
   monthlyPayment?: string;
   principal?: string;
   interest?: string;
   remainingBalance?: string;
+  interestRate?: string;
 }
 
 const DEFAULT_CSV_MAPPING: Required<CSVMapping> = {
@@ -30,13 +32,14 @@ const DEFAULT_CSV_MAPPING: Required<CSVMapping> = {
   principal: 'principal',
   interest: 'interest',
   remainingBalance: 'remainingBalance',
+  interestRate: 'interestRate',
 };
 
 /**
  * Parse CSV mortgage schedule
  * @param csvContent - CSV content as string
  * @param mapping - Optional column name mapping
- * @returns Object with parsed schedule and validation result
+ * @returns Object with parsed schedule, validation result and the columns found in the CSV
  */
 export function parseMortgageScheduleCSV(
   csvContent: string,
@@ -44,6 +47,7 @@ export function parseMortgageScheduleCSV(
 ): {
   schedule: PaymentScheduleItem[];
   validation: import('./mathEngine').ScheduleValidationResult;
+  columns: (keyof CSVMapping)[];
 } {
   const lines = csvContent.trim().split('\n');
   if (lines.length < 2) {
@@ -54,6 +58,7 @@ export function parseMortgageScheduleCSV(
         warning: 'CSV must contain at least a header row and one data row',
         finalBalance: 0,
       },
+      columns: [],
     };
   }
 
@@ -84,10 +89,11 @@ export function parseMortgageScheduleCSV(
     const variations: Record<string, string[]> = {
       paymentNumber: ['payment', 'number', 'payment #', '#'],
       paymentDate: ['date', 'payment date'],
-      monthlyPayment: ['payment', 'total', 'total payment', 'amount'],
+      monthlyPayment: ['payment', 'total', 'total payment', 'total paid', 'amount'],
       principal: ['principal', 'principal paid'],
       interest: ['interest', 'interest paid'],
       remainingBalance: ['balance', 'remaining balance', 'principal balance'],
+      interestRate: ['rate', 'interest rate', 'annual rate'],
     };
     
     const vars = variations[key] || [];
@@ -106,6 +112,19 @@ export function parseMortgageScheduleCSV(
   const principalIdx = getColumnIndex('principal');
   const interestIdx = getColumnIndex('interest');
   const remainingBalanceIdx = getColumnIndex('remainingBalance');
+  const interestRateIdx = getColumnIndex('interestRate');
+
+  const columnIndices: Record<keyof CSVMapping, number | null> = {
+    paymentNumber: paymentNumberIdx,
+    paymentDate: paymentDateIdx,
+    monthlyPayment: monthlyPaymentIdx,
+    principal: principalIdx,
+    interest: interestIdx,
+    remainingBalance: remainingBalanceIdx,
+    interestRate: interestRateIdx,
+  };
+  const columns = (Object.keys(columnIndices) as (keyof CSVMapping)[])
+    .filter(key => columnIndices[key] !== null);
 
   // Parse data rows
   const schedule: PaymentScheduleItem[] = [];
@@ -140,14 +159,28 @@ export function parseMortgageScheduleCSV(
     };
 
     const parseDate = (val: string): string => {
-      // Try to parse various date formats
+      if (/^\d{4}-\d{2}-\d{2}$/.test(val)) {
+        return val;
+      }
+      // Try to parse various date formats (e.g. "Thu, Jan 30, 2025" from lender exports).
+      // Use local date components so the date isn't shifted by the UTC conversion.
       const date = new Date(val);
       if (!isNaN(date.getTime())) {
-        return date.toISOString().split('T')[0];
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
       }
       return val; // Return as-is if can't parse
     };
 
+    // Rates are listed as percentages ("5.25%" or 5.25); values below 1 are already decimals
+    const parseRate = (val: string): number | undefined => {
+      const num = parseFloat((val || '').replace(/[%\s]/g, ''));
+      if (!Number.isFinite(num)) return undefined;
+      return num >= 1 ? num / 100 : num;
+    };
+
     schedule.push({
       paymentNumber: paymentNumberIdx !== null ? parseInt(values[paymentNumberIdx] || String(i)) : i,
       paymentDate: paymentDateIdx !== null ? parseDate(values[paymentDateIdx]) : '',
@@ -155,6 +188,7 @@ export function parseMortgageScheduleCSV(
       principal: principalIdx !== null ? parseMoney(values[principalIdx]) : 0,
       interest: interestIdx !== null ? parseMoney(values[interestIdx]) : 0,
       remainingBalance: remainingBalanceIdx !== null ? parseMoney(values[remainingBalanceIdx]) : 0,
+      ...(interestRateIdx !== null ? { interestRate: parseRate(values[interestRateIdx]) } : {}),
     });
   }
 
@@ -164,5 +198,43 @@ export function parseMortgageScheduleCSV(
   return {
     schedule,
     validation,
+    columns,
   };
 }
+
+export interface ScheduleVersion {
+  version: number;
+  payments: PaymentScheduleItem[];
+}
+
+/**
+ * Merge lender schedule versions into a single payment history.
+ * Versions are applied oldest first; each newer version replaces every payment
+ * dated on or after its own first payment, so re-uploading a schedule after a
+ * renewal keeps the payments recorded under the previous term.
+ * @param versions - Schedule versions (any order)
+ * @returns Chronological schedule with sequential payment numbers
+ */
+export function mergeScheduleVersions(versions: ScheduleVersion[]): PaymentScheduleItem[] {
+  const ordered = [...versions].sort((a, b) => a.version - b.version);
+  let merged: PaymentScheduleItem[] = [];
+
+  for (const { payments } of ordered) {
+    if (!Array.isArray(payments) || payments.length === 0) continue;
+
+    const sorted = [...payments].sort(
+      (a, b) => new Date(a.paymentDate).getTime() - new Date(b.paymentDate).getTime()
+    );
+    const cutoff = sorted[0].paymentDate;
+
+    merged = [
+      ...merged.filter(payment => payment.paymentDate < cutoff),
+      ...sorted,
+    ];
+  }
+
+  return merged.map((payment, index) => ({
+    ...payment,
+    paymentNumber: index + 1,
+  }));
+}
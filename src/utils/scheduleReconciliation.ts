@@ -0,0 +1,311 @@
+/**
+ * Lender statement reconciliation
+ * Compares the rows of a lender's annual statement or transaction export with the schedule
+ * calculated for the mortgage, payment by payment, so a balance that drifts from the bank's
+ * can be traced to its cause: a missed or extra payment, a different rate, or interest the
+ * lender calculated differently.
+ */
+
+import {
+  calculateAmortizationSchedule,
+  getMortgageTermOn,
+  getPaymentsPerYear,
+} from './mortgageCalculator';
+import type { MortgageData, PaymentScheduleItem } from './mortgageCalculator';
+import type { CSVMapping, PaymentScheduleItem as StatementItem } from './scheduleParser';
+
+export type ReconciliationStatus = 'MATCHED' | 'DRIFT' | 'MISSED' | 'EXTRA';
+
+export interface ReconciliationRow {
+  date: string; // Lender's date, or the scheduled date of a missed payment
+  status: ReconciliationStatus;
+  lender: StatementItem | null;
+  computed: PaymentScheduleItem | null;
+  // Differences are lender minus computed, for the columns the statement has
+  paymentDrift: number | null;
+  principalDrift: number | null;
+  interestDrift: number | null;
+  balanceDrift: number | null;
+  lenderRate: number | null; // Stated on the statement, or implied by the interest charged
+  lenderRateImplied: boolean;
+  computedRate: number | null;
+  rateMismatch: boolean;
+}
+
+export interface ReconciliationReport {
+  rows: ReconciliationRow[];
+  columns: (keyof CSVMapping)[];
+  periodStart: string;
+  periodEnd: string;
+  matchedCount: number;
+  driftCount: number;
+  missedCount: number;
+  extraCount: number;
+  rateMismatchCount: number;
+  totals: {
+    lenderPrincipal: number;
+    computedPrincipal: number;
+    principalDrift: number;
+    lenderInterest: number;
+    computedInterest: number;
+    interestDrift: number;
+  };
+  // Last balance on the statement against the calculated balance on the same day
+  closingBalance: {
+    date: string;
+    lender: number;
+    computed: number;
+    drift: number;
+  } | null;
+}
+
+// Differences under a dollar are rounding
+export const RECONCILIATION_TOLERANCE = 1;
+// Stated rates within 0.01% match
+const RATE_TOLERANCE = 0.0001;
+// Implied rates vary with the days in each period when the lender charges daily interest
+const IMPLIED_RATE_TOLERANCE = 0.05;
+// A statement row within 5% of the scheduled payment is the regular payment
+const REGULAR_PAYMENT_TOLERANCE = 0.05;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function daysApart(a: string, b: string): number {
+  return Math.abs(Date.parse(`${a.slice(0, 10)}T00:00:00Z`) - Date.parse(`${b.slice(0, 10)}T00:00:00Z`)) / MS_PER_DAY;
+}
+
+function isPaymentRow(item: StatementItem): boolean {
+  return item.monthlyPayment !== 0 || item.principal !== 0 || item.interest !== 0;
+}
+
+/**
+ * Schedule calculated from the mortgage's own terms, ignoring any uploaded lender schedule
+ * An undated currentBalance can't be placed on the statement's timeline, so it is left out;
+ * a dated one (an adopted statement balance) stays, as it is part of the schedule we use.
+ */
+function getComputedPayments(mortgage: MortgageData): PaymentScheduleItem[] {
+  const computedMortgage = {
+    ...(mortgage as any),
+    lenderSchedule: null,
+    customSchedule: null,
+    mortgageNumber: null,
+    ...(mortgage.currentBalanceDate ? {} : { currentBalance: null }),
+  } as MortgageData;
+
+  return calculateAmortizationSchedule(computedMortgage).payments;
+}
+
+/**
+ * Balance owing before a payment was applied
+ */
+function getOpeningBalance(item: { principal: number; remainingBalance: number }): number {
+  return item.remainingBalance + item.principal;
+}
+
+/**
+ * Reconcile a lender statement against the calculated schedule
+ *
+ * Statement rows are matched to scheduled payments within half a payment period of each other,
+ * regular payments first so a lump-sum prepayment near a payment date doesn't take its place.
+ * Scheduled payments in the statement period without a statement row are MISSED; statement rows
+ * without a scheduled payment (prepayments, extra payments) are EXTRA. Rows that only carry a
+ * balance (e.g. an opening balance line) aren't payments, but count towards the closing balance.
+ *
+ * @param mortgage Mortgage data
+ * @param statement Parsed statement rows (see parseMortgageScheduleCSV)
+ * @param columns Columns the statement has; missing columns aren't compared
+ */
+export function reconcileLenderStatement(
+  mortgage: MortgageData,
+  statement: StatementItem[],
+  columns: (keyof CSVMapping)[]
+): ReconciliationReport {
+  const has = (column: keyof CSVMapping) => columns.includes(column);
+  const dated = statement
+    .filter((item) => /^\d{4}-\d{2}-\d{2}$/.test(item.paymentDate))
+    .sort((a, b) => a.paymentDate.localeCompare(b.paymentDate));
+  const lenderPayments = dated.filter(isPaymentRow);
+
+  const periodStart = dated[0]?.paymentDate || '';
+  const periodEnd = dated[dated.length - 1]?.paymentDate || '';
+  const schedule = dated.length > 0 ? getComputedPayments(mortgage) : [];
+
+  const window = Math.max(1, Math.floor(365 / getPaymentsPerYear(mortgage.paymentFrequency) / 2));
+  const candidates = schedule.filter((payment) => {
+    const date = payment.paymentDate.slice(0, 10);
+    return daysApart(date, periodStart) <= window || daysApart(date, periodEnd) <= window ||
+      (date >= periodStart && date <= periodEnd);
+  });
+
+  // Pair statement rows with scheduled payments
+  const matches = new Map<StatementItem, PaymentScheduleItem>();
+  const used = new Set<PaymentScheduleItem>();
+  const matchPass = (regularOnly: boolean) => {
+    for (const item of lenderPayments) {
+      if (matches.has(item)) continue;
+
+      let best: PaymentScheduleItem | null = null;
+      let bestDays = Infinity;
+      for (const payment of candidates) {
+        if (used.has(payment)) continue;
+        const days = daysApart(item.paymentDate, payment.paymentDate);
+        if (days > window || days >= bestDays) continue;
+        if (regularOnly && has('monthlyPayment') &&
+            Math.abs(item.monthlyPayment - payment.monthlyPayment) > payment.monthlyPayment * REGULAR_PAYMENT_TOLERANCE) {
+          continue;
+        }
+        best = payment;
+        bestDays = days;
+      }
+
+      if (best) {
+        matches.set(item, best);
+        used.add(best);
+      }
+    }
+  };
+  matchPass(true);
+  matchPass(false);
+
+  const drift = (column: keyof CSVMapping, lenderValue: number, computedValue: number): number | null => {
+    return has(column) ? lenderValue - computedValue : null;
+  };
+
+  const rows: ReconciliationRow[] = [];
+  lenderPayments.forEach((item) => {
+    const payment = matches.get(item);
+    if (!payment) {
+      rows.push({
+        date: item.paymentDate,
+        status: 'EXTRA',
+        lender: item,
+        computed: null,
+        paymentDrift: null,
+        principalDrift: null,
+        interestDrift: null,
+        balanceDrift: null,
+        lenderRate: has('interestRate') ? item.interestRate ?? null : null,
+        lenderRateImplied: false,
+        computedRate: null,
+        rateMismatch: false,
+      });
+      return;
+    }
+
+    const computedRate = typeof payment.interestRate === 'number'
+      ? payment.interestRate
+      : getMortgageTermOn(mortgage, payment.paymentDate).interestRate;
+
+    let lenderRate: number | null = null;
+    let lenderRateImplied = false;
+    let rateMismatch = false;
+    if (has('interestRate') && typeof item.interestRate === 'number') {
+      lenderRate = item.interestRate;
+      rateMismatch = Math.abs(lenderRate - computedRate) > RATE_TOLERANCE;
+    } else if (has('interest') && has('remainingBalance')) {
+      // Compare the interest charged per dollar owed, which keeps each side's compounding convention
+      const previous = dated[dated.indexOf(item) - 1];
+      const lenderOpening = has('principal') ? getOpeningBalance(item) : previous?.remainingBalance;
+      const computedOpening = getOpeningBalance(payment);
+      if (lenderOpening && lenderOpening > 0 && computedOpening > 0 && payment.interest > 0) {
+        const ratio = (item.interest / lenderOpening) / (payment.interest / computedOpening);
+        lenderRate = computedRate * ratio;
+        lenderRateImplied = true;
+        rateMismatch = Math.abs(ratio - 1) > IMPLIED_RATE_TOLERANCE;
+      }
+    }
+
+    const paymentDrift = drift('monthlyPayment', item.monthlyPayment, payment.monthlyPayment);
+    const principalDrift = drift('principal', item.principal, payment.principal);
+    const interestDrift = drift('interest', item.interest, payment.interest);
+    const balanceDrift = drift('remainingBalance', item.remainingBalance, payment.remainingBalance);
+    const drifted = [paymentDrift, principalDrift, interestDrift, balanceDrift]
+      .some((value) => value !== null && Math.abs(value) > RECONCILIATION_TOLERANCE);
+
+    rows.push({
+      date: item.paymentDate,
+      status: drifted ? 'DRIFT' : 'MATCHED',
+      lender: item,
+      computed: payment,
+      paymentDrift,
+      principalDrift,
+      interestDrift,
+      balanceDrift,
+      lenderRate,
+      lenderRateImplied,
+      computedRate,
+      rateMismatch,
+    });
+  });
+
+  candidates
+    .filter((payment) => !used.has(payment))
+    .filter((payment) => payment.paymentDate.slice(0, 10) >= periodStart && payment.paymentDate.slice(0, 10) <= periodEnd)
+    .forEach((payment) => {
+      rows.push({
+        date: payment.paymentDate.slice(0, 10),
+        status: 'MISSED',
+        lender: null,
+        computed: payment,
+        paymentDrift: null,
+        principalDrift: null,
+        interestDrift: null,
+        balanceDrift: null,
+        lenderRate: null,
+        lenderRateImplied: false,
+        computedRate: null,
+        rateMismatch: false,
+      });
+    });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  const lenderPrincipal = lenderPayments.reduce((sum, item) => sum + item.principal, 0);
+  const lenderInterest = lenderPayments.reduce((sum, item) => sum + item.interest, 0);
+  const counted = rows.filter((row) => row.computed).map((row) => row.computed as PaymentScheduleItem);
+  const computedPrincipal = counted.reduce((sum, payment) => sum + payment.principal, 0);
+  const computedInterest = counted.reduce((sum, payment) => sum + payment.interest, 0);
+
+  let closingBalance: ReconciliationReport['closingBalance'] = null;
+  const lastBalanceRow = has('remainingBalance')
+    ? [...dated].reverse().find((item) => item.remainingBalance > 0)
+    : undefined;
+  if (lastBalanceRow) {
+    const paid = schedule.filter((payment) => payment.paymentDate.slice(0, 10) <= lastBalanceRow.paymentDate);
+    const lastPaid = paid[paid.length - 1];
+    // An adopted balance stands from its date until the next payment
+    const anchorDate = mortgage.currentBalanceDate?.slice(0, 10);
+    const anchored = !!anchorDate && typeof mortgage.currentBalance === 'number' && mortgage.currentBalance > 0 &&
+      anchorDate <= lastBalanceRow.paymentDate && (!lastPaid || lastPaid.paymentDate.slice(0, 10) <= anchorDate);
+    const computed = anchored
+      ? mortgage.currentBalance as number
+      : lastPaid ? lastPaid.remainingBalance : mortgage.originalAmount;
+    closingBalance = {
+      date: lastBalanceRow.paymentDate,
+      lender: lastBalanceRow.remainingBalance,
+      computed,
+      drift: lastBalanceRow.remainingBalance - computed,
+    };
+  }
+
+  return {
+    rows,
+    columns,
+    periodStart,
+    periodEnd,
+    matchedCount: rows.filter((row) => row.status === 'MATCHED').length,
+    driftCount: rows.filter((row) => row.status === 'DRIFT').length,
+    missedCount: rows.filter((row) => row.status === 'MISSED').length,
+    extraCount: rows.filter((row) => row.status === 'EXTRA').length,
+    rateMismatchCount: rows.filter((row) => row.rateMismatch).length,
+    totals: {
+      lenderPrincipal,
+      computedPrincipal,
+      principalDrift: lenderPrincipal - computedPrincipal,
+      lenderInterest,
+      computedInterest,
+      interestDrift: lenderInterest - computedInterest,
+    },
+    closingBalance,
+  };
+}